@@ -0,0 +1,189 @@
+// app/auth/auth.service.js
+
+'use strict';
+
+const crypto = require('crypto');
+const mongoDB = require('../db');
+const constants = require('../constants');
+const logger = require('../utils').logger();
+const errors = require('../errors');
+
+const error_code = constants.error_code;
+
+const auth_type = {
+    business: 'BUSINESS',
+    admin: 'ADMIN',
+    service: 'SERVICE',
+};
+
+// Service keys are not tied to a business, so on business routes they can only read
+const read_methods = ['GET', 'HEAD'];
+
+function base64url(buffer) {
+    return buffer.toString('base64').replace(/=+$/, '').replace(/\+/g, '-').replace(/\//g, '_');
+}
+
+function safeEqual(a, b) {
+    const buffer_a = Buffer.from(a);
+    const buffer_b = Buffer.from(b);
+    return buffer_a.length === buffer_b.length && crypto.timingSafeEqual(buffer_a, buffer_b);
+}
+
+class AuthService {
+    /**
+     * Auth service class constructor.
+     *
+     * Three kinds of credentials are accepted:
+     * - Castr platform tokens: `Authorization: Bearer {HS256 JWT}` signed with CASTR_AUTH_SECRET.
+     *   The `business_ids` claim lists the businesses the caller owns. Tokens must expire (`exp`).
+     * - Admin tokens: HS256 JWTs signed with CASTR_ADMIN_SECRET with `role: 'admin'`.
+     * - Service keys: `X-Castr-Service-Key` matching one of CASTR_SERVICE_KEYS ({name}:{key}, comma separated).
+     * Missing secrets reject every credential of that kind.
+     */
+    constructor() {
+        this.secret = process.env.CASTR_AUTH_SECRET;
+        this.admin_secret = process.env.CASTR_ADMIN_SECRET;
+        this.service_keys = (process.env.CASTR_SERVICE_KEYS || '').split(',')
+            .map(entry => entry.trim().split(':'))
+            .filter(entry => entry.length === 2 && entry[1])
+            .map(entry => ({ name: entry[0], key: entry[1] }));
+        this.business = this.business.bind(this);
+        this.statement = this.statement.bind(this);
+        this.admin = this.admin.bind(this);
+        this.service = this.service.bind(this);
+        this.authenticated = this.authenticated.bind(this);
+    }
+
+    /**
+     * Middleware: platform tokens owning `:business_id` and admins. Services can only read (GET): changes to a
+     * business (payments, refunds, payout accounts...) need a token of the business.
+     */
+    business(req, res, next) {
+        this._authorize(req, res, next, (auth) => {
+            if (auth.type === auth_type.service) { return read_methods.includes(req.method); }
+            return auth.type === auth_type.admin || auth.business_ids.includes(req.params.business_id);
+        });
+    }
+
+    /**
+     * Middleware: platform tokens owning the business of the `:statement_id` payout statement, admins and services.
+     */
+    statement(req, res, next) {
+        const auth = this._authenticate(req);
+        if (!auth) {
+            errors.sendError(res, new errors.CastrError(401, error_code.unauthenticated, 'Missing or invalid credentials.'));
+            return;
+        }
+        req.auth = auth;
+        if (auth.type !== auth_type.business) {
+            next();
+            return;
+        }
+        let statement_id;
+        try {
+            statement_id = mongoDB.ObjectId(req.params.statement_id);
+        } catch (err) {
+            errors.sendError(res, new errors.CastrError(403, error_code.forbidden, 'Not allowed to access this statement.'));
+            return;
+        }
+        mongoDB.getDB().collection('mc-statements').findOne({ _id: statement_id }, { business_id: 1 })
+            .then((statement) => {
+                if (!statement || !auth.business_ids.includes(statement.business_id)) {
+                    errors.sendError(res, new errors.CastrError(403, error_code.forbidden, 'Not allowed to access this statement.'));
+                    return;
+                }
+                next();
+            })
+            .catch((err) => {
+                errors.sendError(res, err);
+            });
+    }
+
+    /**
+     * Middleware: admins only.
+     */
+    admin(req, res, next) {
+        this._authorize(req, res, next, auth => auth.type === auth_type.admin);
+    }
+
+    /**
+     * Middleware: services (and admins) only, for internal routes.
+     */
+    service(req, res, next) {
+        this._authorize(req, res, next, auth => auth.type !== auth_type.business);
+    }
+
+    /**
+     * Middleware: any valid credential.
+     */
+    authenticated(req, res, next) {
+        this._authorize(req, res, next, () => true);
+    }
+
+    _authorize(req, res, next, allowed) {
+        const auth = this._authenticate(req);
+        if (!auth) {
+            errors.sendError(res, new errors.CastrError(401, error_code.unauthenticated, 'Missing or invalid credentials.'));
+            return;
+        }
+        req.auth = auth;
+        if (!allowed(auth)) {
+            logger.error(`${auth.type} (${auth.subject}) is not allowed to ${req.method} ${req.originalUrl}`);
+            errors.sendError(res, new errors.CastrError(403, error_code.forbidden, 'Not allowed to access this resource.'));
+            return;
+        }
+        next();
+    }
+
+    /**
+     * Returns the caller ({ type, subject, business_ids }), or null if the credentials are missing or invalid.
+     * @param {*} req
+     */
+    _authenticate(req) {
+        const service_key = req.get('X-Castr-Service-Key');
+        if (service_key) {
+            const service = this.service_keys.find(entry => safeEqual(entry.key, service_key));
+            return (service) ? { type: auth_type.service, subject: service.name, business_ids: [] } : null;
+        }
+        const header = req.get('Authorization') || '';
+        const match = header.match(/^Bearer (.+)$/);
+        if (!match) { return null; }
+        const admin_claims = this._verify(match[1], this.admin_secret);
+        if (admin_claims && admin_claims.role === 'admin') {
+            return { type: auth_type.admin, subject: admin_claims.sub, business_ids: [] };
+        }
+        const claims = this._verify(match[1], this.secret);
+        if (!claims) { return null; }
+        return {
+            type: auth_type.business,
+            subject: claims.sub,
+            business_ids: (claims.business_ids || []).map(business_id => `${business_id}`),
+        };
+    }
+
+    /**
+     * Verifies an HS256 JWT and its expiry. Tokens without a numeric `exp` are rejected.
+     *
+     * Returns the claims, or null.
+     * @param {string} token
+     * @param {string} secret
+     */
+    _verify(token, secret) {
+        if (!secret) { return null; }
+        const parts = token.split('.');
+        if (parts.length !== 3) { return null; }
+        try {
+            const header = JSON.parse(Buffer.from(parts[0], 'base64').toString());
+            if (header.alg !== 'HS256') { return null; }
+            const signature = base64url(crypto.createHmac('sha256', secret).update(`${parts[0]}.${parts[1]}`).digest());
+            if (!safeEqual(signature, parts[2])) { return null; }
+            const claims = JSON.parse(Buffer.from(parts[1], 'base64').toString());
+            if (typeof claims.exp !== 'number' || claims.exp * 1000 < Date.now()) { return null; }
+            return claims;
+        } catch (err) {
+            return null;
+        }
+    }
+}
+
+module.exports = new AuthService();
@@ -5,15 +5,21 @@ const timezone = {
 const payment_type = {
     initial: 'INITIAL',
     scheduled: 'SCHEDULED',
+    plan_change: 'CHANGE',
     refund: 'REFUND',
     mc_purchase: 'PURCHASE',
     mc_redeem: 'REDEEM',
 };
+// Week counts of the original plans, for schedules created before the 'billing-plans' catalog
 const billing_plan_type = {
     '4_WEEK': 4,
     '26_WEEK': 26,
     '52_WEEK': 52,
 };
+const vat_type = {
+    inclusive: 'INCLUSIVE',
+    exempt: 'EXEMPT',
+};
 const status_type = {
     paid: 'PAID',
     cancelled: 'REFUNDED',
@@ -22,10 +28,122 @@ const status_type = {
     unscheduled: 'CANCELLED',
     paused: 'PAUSED',
     redeemed: 'REDEEMED',
+    suspended: 'SUSPENDED',
+};
+// States of a Menucast voucher (a PURCHASE unit in 'mc-transactions')
+const voucher_status_type = {
+    issued: 'ISSUED',
+    redeemed: 'REDEEMED',
+    expired: 'EXPIRED',
+    refunded: 'REFUNDED',
+    // Reserved by a refund request until I'mport confirms it (see IamportService.mcRefund())
+    refunding: 'REFUNDING',
+};
+// Open Platform transfer of a statement's payout (`mc-statements.payout.status`)
+const payout_status_type = {
+    pending: 'PENDING',
+    held: 'HELD',
+    sent: 'SENT',
+    failed: 'FAILED',
+    returned: 'RETURNED',
+    skipped: 'SKIPPED',
+};
+// Entries of the per-business payout ledger ('payout-ledger')
+const ledger_entry_type = {
+    sales: 'SALES',
+    payout: 'PAYOUT',
+    adjustment: 'ADJUSTMENT',
+};
+// Fee rules of 'fee-schedules': won per unit, or a percentage of the amount
+const fee_rule_type = {
+    flat: 'flat',
+    percent: 'percent',
+};
+// Payout cadences of 'payout-cadences' (see app/payout/cadence.service.js)
+const payout_frequency_type = {
+    weekly: 'weekly',
+    biweekly: 'biweekly',
+    monthly: 'monthly',
+    on_demand: 'on_demand',
+};
+// Payment notification processing in 'payment-hooks' (see IamportService._runHook())
+const hook_status_type = {
+    processing: 'PROCESSING',
+    done: 'DONE',
+};
+const job_status_type = {
+    running: 'RUNNING',
+    succeeded: 'SUCCEEDED',
+    failed: 'FAILED',
+};
+const event_type = {
+    subscription_activated: 'subscription.activated',
+    subscription_suspended: 'subscription.suspended',
+    subscription_refunded: 'subscription.refunded',
+    subscription_cancelled: 'subscription.cancelled',
+    payment_failed: 'payment.failed',
+    mc_voucher_purchased: 'menucast.voucher.purchased',
+    mc_voucher_refunded: 'menucast.voucher.refunded',
+    payout_sent: 'payout.sent',
+    payout_failed: 'payout.failed',
+    payout_returned: 'payout.returned',
+};
+const event_status_type = {
+    pending: 'PENDING',
+    delivered: 'DELIVERED',
+    failed: 'FAILED',
+};
+const email_type = {
+    payment_receipt: 'payment_receipt',
+    renewal_reminder: 'renewal_reminder',
+    payment_failed: 'payment_failed',
+    refund_confirmation: 'refund_confirmation',
+    payout_statement: 'payout_statement',
+};
+const email_status_type = {
+    sent: 'SENT',
+    failed: 'FAILED',
+    skipped: 'SKIPPED',
+};
+// Stable `error.code` values of the error envelope (see app/errors.js)
+const error_code = {
+    validation: 'validation_error',
+    unauthenticated: 'castr_unauthenticated',
+    forbidden: 'castr_forbidden',
+    not_found: 'castr_not_found',
+    conflict: 'castr_conflict',
+    idempotency_key_reused: 'idempotency_key_reused',
+    idempotency_in_progress: 'idempotency_request_in_progress',
+    idempotency_outcome_unknown: 'idempotency_outcome_unknown',
+    payment: 'castr_payment_error',
+    mc_pay: 'mc_pay_error',
+    mc_voucher: 'mc_voucher_error',
+    mc_promotion_not_started: 'mc_promotion_not_started',
+    mc_promotion_ended: 'mc_promotion_ended',
+    mc_promotion_unavailable: 'mc_promotion_not_available_now',
+    mc_promotion_sold_out: 'mc_promotion_sold_out',
+    mc_promotion_customer_limit: 'mc_promotion_customer_limit',
+    payout_account_verification: 'payout_account_verification_failed',
+    rate_limited: 'castr_rate_limited',
+    iamport: 'iamport_error',
+    internal: 'castr_internal_error',
 };
 const full_day = 24 * 60 * 60 * 1000;
 const week = full_day * 7;
+// Default refund fee, used until a default schedule is created in 'fee-schedules' (see app/fees/fee.service.js)
 const refund_fee_perc = 0.2;
+// Days before `payment-schedule.schedule` the renewal reminder is sent
+const renewal_reminder_days = parseInt(process.env.RENEWAL_REMINDER_DAYS || 3);
+// Days after the first failure of a scheduled payment on which it is retried (e.g. DUNNING_RETRY_DAYS=1,3,7)
+// The subscription is suspended when the last retry fails
+const dunning_retry_days = (process.env.DUNNING_RETRY_DAYS || '1,3,7').split(',').map(day => parseInt(day));
+// Weeks a subscription can be paused within a year (counted from the pause start dates)
+const max_pause_weeks = parseInt(process.env.MAX_PAUSE_WEEKS || 8);
+// Days a Menucast voucher can be redeemed after purchase
+const voucher_validity_days = parseInt(process.env.MC_VOUCHER_VALIDITY_DAYS || 365);
+// Balances under this amount are carried into the next statement instead of being paid out
+const min_payout_amount = parseInt(process.env.MIN_PAYOUT_AMOUNT || 10000);
+// Default Menucast fees (won per unit), also superseded by 'fee-schedules'
 const redeem_fee = 100;
 const purchase_fee = 250;
 
@@ -33,10 +151,28 @@ module.exports = {
     timezone: timezone,
     payment_type: payment_type,
     billing_plan_type: billing_plan_type,
+    vat_type: vat_type,
     status_type: status_type,
+    voucher_status_type: voucher_status_type,
+    payout_status_type: payout_status_type,
+    ledger_entry_type: ledger_entry_type,
+    fee_rule_type: fee_rule_type,
+    payout_frequency_type: payout_frequency_type,
+    hook_status_type: hook_status_type,
+    job_status_type: job_status_type,
+    event_type: event_type,
+    event_status_type: event_status_type,
+    email_type: email_type,
+    email_status_type: email_status_type,
+    error_code: error_code,
     full_day: full_day,
     week: week,
     refund_fee_perc: refund_fee_perc,
+    dunning_retry_days: dunning_retry_days,
+    renewal_reminder_days: renewal_reminder_days,
+    max_pause_weeks: max_pause_weeks,
+    voucher_validity_days: voucher_validity_days,
+    min_payout_amount: min_payout_amount,
     redeem_fee: redeem_fee,
     purchase_fee: purchase_fee,
 }
\ No newline at end of file
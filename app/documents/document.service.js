@@ -0,0 +1,126 @@
+// app/documents/document.service.js
+
+'use strict';
+
+const mongoDB = require('../db');
+const constants = require('../constants');
+const logger = require('../utils').logger();
+const errors = require('../errors');
+const pdf = require('./pdf');
+const templates = require('./templates');
+
+const status_type = constants.status_type;
+const payment_type = constants.payment_type;
+
+class DocumentService {
+    /**
+     * Document service class constructor.
+     *
+     * Renders receipts and payout statements as PDF using the templates in app/documents/templates.js.
+     */
+    constructor() {
+        this.templates = templates;
+    }
+
+    /**
+     * Sends the receipt of a payment transaction ('transaction_id') of the business ('business_id').
+     * Paid transactions get a charge receipt, refund transactions a refund receipt.
+     * Query: `lang` (kr (default) or en).
+     * @param {*} req
+     * @param {*} res
+     */
+    getReceipt(req, res) {
+        const business_id = req.params.business_id;
+        const transaction_id = req.params.transaction_id;
+        mongoDB.getDB().collection('payment-transactions').findOne({
+            _id: mongoDB.ObjectId(transaction_id),
+            business_id: business_id,
+        })
+            .then((transaction) => {
+                if (!transaction) { throw errors.notFound(`Transaction (#${transaction_id}) not found.`); }
+                if (transaction.status === status_type.paid) {
+                    return { template: 'receipt', data: transaction };
+                }
+                if (transaction.status !== status_type.cancelled) {
+                    throw errors.unprocessable(`Transaction (#${transaction_id}) is ${transaction.status} and has no receipt.`);
+                }
+                // VAT is refunded in proportion to the original payment
+                return mongoDB.getDB().collection('payment-transactions').findOne({ imp_uid: transaction.imp_uid, status: status_type.paid })
+                    .then((original) => {
+                        const refund_amount = -transaction.amount;
+                        const original_amount = (original) ? original.amount : refund_amount;
+                        const original_vat = (original) ? (original.vat || 0) : 0;
+                        return {
+                            template: 'refund_receipt',
+                            data: Object.assign({}, transaction, {
+                                refund_amount: refund_amount,
+                                refund_vat: Math.round(original_vat * (refund_amount / original_amount)),
+                                original_amount: original_amount,
+                            }),
+                        };
+                    });
+            })
+            .then((document) => {
+                this._send(res, document.template, document.data, req.query.lang, `${document.template}_${document.data.merchant_uid}`);
+            })
+            .catch((err) => {
+                errors.sendError(res, err, { business_id: business_id, transaction_id: transaction_id });
+            });
+    }
+
+    /**
+     * Sends a payout statement ('statement_id') with the Menucast purchases and refunds of its period and the service fees.
+     * Query: `lang` (kr (default) or en).
+     * @param {*} req
+     * @param {*} res
+     */
+    getStatement(req, res) {
+        const statement_id = req.params.statement_id;
+        let statement;
+        mongoDB.getDB().collection('mc-statements').findOne({ _id: mongoDB.ObjectId(statement_id) })
+            .then((result) => {
+                statement = result;
+                if (!statement) { throw errors.notFound(`Payout statement (#${statement_id}) not found.`); }
+                return mongoDB.getDB().collection('mc-transactions').find({
+                    business_id: statement.business_id,
+                    $or: [
+                        { type: payment_type.mc_purchase, status: status_type.paid },
+                        { type: payment_type.refund, status: status_type.cancelled }
+                    ],
+                    time_created: { $gte: statement.date_range.start, $lt: statement.date_range.end },
+                }).sort({ time_created: 1 }).toArray();
+            })
+            .then((purchases) => {
+                // Statements from before fee schedules used the constant fees
+                const data = Object.assign({}, statement, {
+                    purchases: purchases,
+                    fees: statement.fees || {
+                        purchase: statement.num_voucher_purchases * constants.purchase_fee,
+                        redeem: statement.num_coupon_redeems * constants.redeem_fee,
+                    },
+                });
+                this._send(res, 'payout_statement', data, req.query.lang, `payout_statement_${statement_id}`);
+            })
+            .catch((err) => {
+                errors.sendError(res, err, { statement_id: statement_id });
+            });
+    }
+
+    /**
+     * Renders the template and sends it as a PDF download.
+     * @param {*} res
+     * @param {string} template One of `this.templates`
+     * @param {*} data
+     * @param {string} lang kr (default) or en
+     * @param {string} filename Without extension
+     */
+    _send(res, template, data, lang, filename) {
+        const document = this.templates[template][lang || 'kr'](data);
+        logger.debug(`Sending ${template} PDF (${filename})`);
+        res.set('Content-Type', 'application/pdf');
+        res.attachment(`${filename}.pdf`);
+        res.send(pdf(document.rows, document.title));
+    }
+}
+
+module.exports = new DocumentService();
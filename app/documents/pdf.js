@@ -0,0 +1,116 @@
+// app/documents/pdf.js
+
+'use strict';
+
+// A4 in points
+const page_width = 595;
+const page_height = 842;
+const margin = 50;
+const default_size = 10;
+
+function isAscii(text) {
+    return /^[\x20-\x7E]*$/.test(text);
+}
+
+function literal(text) {
+    return `(${text.replace(/([\\()])/g, '\\$1')})`;
+}
+
+function ucs2(text) {
+    return Array.from(text).map((char) => {
+        const code = char.charCodeAt(0);
+        return (code > 0xFFFF) ? '003F' : `0000${code.toString(16).toUpperCase()}`.slice(-4);
+    }).join('');
+}
+
+/**
+ * Returns the text operand for the content stream. ASCII text uses Helvetica (F1) as a literal string,
+ * anything else the Korean CID font (F2) as UCS-2 hex.
+ * @param {string} text
+ */
+function textOperand(text) {
+    return (isAscii(text)) ? { font: 'F1', string: literal(text) } : { font: 'F2', string: `<${ucs2(text)}>` };
+}
+
+/**
+ * Lays the rows out top to bottom, starting a new page when the current one is full.
+ *
+ * Returns the content stream of each page.
+ * @param {*} rows
+ */
+function layout(rows) {
+    const pages = [];
+    let operations = [];
+    let y = page_height - margin;
+    rows.forEach((row) => {
+        const size = row.size || default_size;
+        const height = size + (row.gap || 6);
+        if (y - height < margin) {
+            pages.push(operations.join('\n'));
+            operations = [];
+            y = page_height - margin;
+        }
+        y -= height;
+        if (row.rule) {
+            operations.push(`0.5 w ${margin} ${y + (size / 2)} m ${page_width - margin} ${y + (size / 2)} l S`);
+            return;
+        }
+        const columns = row.columns || [[0, row.text || '']];
+        columns.forEach((column) => {
+            const text = textOperand(`${column[1] === null || column[1] === undefined ? '' : column[1]}`);
+            operations.push(`BT /${text.font} ${size} Tf ${margin + column[0]} ${y} Td ${text.string} Tj ET`);
+        });
+    });
+    pages.push(operations.join('\n'));
+    return pages;
+}
+
+/**
+ * Builds an A4 PDF document from rows of text. Each row is one of:
+ * - { text, size, gap }: a line of text
+ * - { columns: [[x, text], ...], size, gap }: texts at `x` points from the left margin
+ * - { rule: true }: a horizontal line
+ *
+ * Korean text uses the non-embedded HYGoThic-Medium font, which PDF readers substitute with their Korean font.
+ *
+ * Returns a Buffer.
+ * @param {*} rows
+ * @param {string} title Document title (metadata)
+ */
+function pdf(rows, title) {
+    const contents = layout(rows);
+    const objects = [];
+    const add = (body) => {
+        objects.push(body);
+        return objects.length;
+    };
+    const catalog = add(null);
+    const pages = add(null);
+    const helvetica = add('<< /Type /Font /Subtype /Type1 /BaseFont /Helvetica /Encoding /WinAnsiEncoding >>');
+    const descriptor = add('<< /Type /FontDescriptor /FontName /HYGoThic-Medium /Flags 4 /FontBBox [-6 -145 1003 880] /ItalicAngle 0 /Ascent 880 /Descent -120 /CapHeight 880 /StemV 93 >>');
+    const cid_font = add(`<< /Type /Font /Subtype /CIDFontType0 /BaseFont /HYGoThic-Medium /CIDSystemInfo << /Registry (Adobe) /Ordering (Korea1) /Supplement 1 >> /FontDescriptor ${descriptor} 0 R /DW 1000 /W [1 95 500] >>`);
+    const korean = add(`<< /Type /Font /Subtype /Type0 /BaseFont /HYGoThic-Medium-UniKS-UCS2-H /Encoding /UniKS-UCS2-H /DescendantFonts [${cid_font} 0 R] >>`);
+    // Text strings outside of content streams are PDFDocEncoding or UTF-16BE with a BOM
+    const title_string = (isAscii(title || '')) ? literal(title || '') : `<FEFF${ucs2(title)}>`;
+    const info = add(`<< /Title ${title_string} /Producer (Castr) >>`);
+    const page_refs = contents.map((content) => {
+        const stream = add(`<< /Length ${Buffer.byteLength(content)} >>\nstream\n${content}\nendstream`);
+        return add(`<< /Type /Page /Parent ${pages} 0 R /MediaBox [0 0 ${page_width} ${page_height}] /Resources << /Font << /F1 ${helvetica} 0 R /F2 ${korean} 0 R >> >> /Contents ${stream} 0 R >>`);
+    });
+    objects[catalog - 1] = `<< /Type /Catalog /Pages ${pages} 0 R >>`;
+    objects[pages - 1] = `<< /Type /Pages /Kids [${page_refs.map(ref => `${ref} 0 R`).join(' ')}] /Count ${page_refs.length} >>`;
+
+    let output = '%PDF-1.4\n';
+    const offsets = objects.map((body, i) => {
+        const offset = Buffer.byteLength(output);
+        output += `${i + 1} 0 obj\n${body}\nendobj\n`;
+        return offset;
+    });
+    const xref_offset = Buffer.byteLength(output);
+    output += `xref\n0 ${objects.length + 1}\n0000000000 65535 f \n`;
+    output += offsets.map(offset => `${`0000000000${offset}`.slice(-10)} 00000 n \n`).join('');
+    output += `trailer\n<< /Size ${objects.length + 1} /Root ${catalog} 0 R /Info ${info} 0 R >>\nstartxref\n${xref_offset}\n%%EOF\n`;
+    return Buffer.from(output);
+}
+
+module.exports = pdf;
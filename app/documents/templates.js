@@ -0,0 +1,180 @@
+// app/documents/templates.js
+
+'use strict';
+
+const constants = require('../constants');
+const moment = require('../utils').moment();
+
+const timezone = constants.timezone;
+
+function won(amount) {
+    return `${Math.round(amount).toString().replace(/\B(?=(\d{3})+(?!\d))/g, ',')}원`;
+}
+
+function date(value, locale) {
+    return moment(value).tz(timezone.kr).locale(locale).format('LL');
+}
+
+function dateTime(value, locale) {
+    return moment(value).tz(timezone.kr).locale(locale).format('LLL');
+}
+
+function layout(title, sections, footer) {
+    const rows = [{ text: title, size: 18, gap: 14 }];
+    sections.forEach((section) => {
+        rows.push({ rule: true });
+        section.forEach((row) => {
+            rows.push((Array.isArray(row)) ? { columns: [[0, row[0]], [140, row[1]]] } : row);
+        });
+    });
+    rows.push({ rule: true });
+    if (footer) { rows.push({ text: footer, size: 8 }); }
+    rows.push({ text: 'Castr', size: 8 });
+    return rows;
+}
+
+function purchaseRows(purchases, locale) {
+    return purchases.map(purchase => ({
+        columns: [
+            [0, moment(purchase.time_created).tz(timezone.kr).locale(locale).format('L')],
+            [80, purchase.promotable_name],
+            [280, purchase.voucher_code],
+            [360, purchase.voucher_status],
+            [420, won(purchase.amount)]
+        ],
+        size: 9,
+        gap: 4,
+    }));
+}
+
+function adjustmentRows(adjustments, label) {
+    return (adjustments || []).map(adjustment => [`${label}: ${adjustment.reason}`, won(adjustment.amount)]);
+}
+
+/**
+ * PDF document templates. Each template has a 'kr' and 'en' renderer returning { title, rows } (see app/documents/pdf.js).
+ */
+module.exports = {
+    receipt: {
+        kr: data => ({
+            title: `영수증 - ${data.merchant_uid}`,
+            rows: layout('영수증', [
+                [
+                    ['상품', data.name.long_kr],
+                    ['주문번호', data.merchant_uid],
+                    ['결제일시', dateTime(data.time_paid, 'kr')],
+                    ['카드', data.card_name || '-']
+                ],
+                [
+                    ['공급가액', won(data.amount - (data.vat || 0))],
+                    ['부가세', won(data.vat || 0)],
+                    ['합계', won(data.amount)],
+                    ['환불액', (data.refunded_amount) ? won(data.refunded_amount) : '-']
+                ]
+            ], data.receipt_url ? `카드 영수증: ${data.receipt_url}` : null),
+        }),
+        en: data => ({
+            title: `Receipt - ${data.merchant_uid}`,
+            rows: layout('Receipt', [
+                [
+                    ['Item', data.name.long],
+                    ['Order ID', data.merchant_uid],
+                    ['Paid at', dateTime(data.time_paid, 'en')],
+                    ['Card', data.card_name || '-']
+                ],
+                [
+                    ['Supply amount', won(data.amount - (data.vat || 0))],
+                    ['VAT', won(data.vat || 0)],
+                    ['Total', won(data.amount)],
+                    ['Refunded', (data.refunded_amount) ? won(data.refunded_amount) : '-']
+                ]
+            ], data.receipt_url ? `Card receipt: ${data.receipt_url}` : null),
+        }),
+    },
+    refund_receipt: {
+        kr: data => ({
+            title: `환불 영수증 - ${data.merchant_uid}`,
+            rows: layout('환불 영수증', [
+                [
+                    ['상품', data.name.long_kr],
+                    ['주문번호', data.merchant_uid],
+                    ['환불일시', dateTime(data.time_refunded, 'kr')],
+                    ['환불 사유', data.ref_reason || '-'],
+                    ['카드', data.card_name || '-'],
+                    ['원 결제금액', won(data.original_amount)]
+                ],
+                [
+                    ['환불 공급가액', won(data.refund_amount - data.refund_vat)],
+                    ['환불 부가세', won(data.refund_vat)],
+                    ['환불 합계', won(data.refund_amount)]
+                ]
+            ], data.receipt_url ? `카드 영수증: ${data.receipt_url}` : null),
+        }),
+        en: data => ({
+            title: `Refund receipt - ${data.merchant_uid}`,
+            rows: layout('Refund receipt', [
+                [
+                    ['Item', data.name.long],
+                    ['Order ID', data.merchant_uid],
+                    ['Refunded at', dateTime(data.time_refunded, 'en')],
+                    ['Reason', data.ref_reason || '-'],
+                    ['Card', data.card_name || '-'],
+                    ['Original amount', won(data.original_amount)]
+                ],
+                [
+                    ['Supply amount', won(data.refund_amount - data.refund_vat)],
+                    ['VAT', won(data.refund_vat)],
+                    ['Total refunded', won(data.refund_amount)]
+                ]
+            ], data.receipt_url ? `Card receipt: ${data.receipt_url}` : null),
+        }),
+    },
+    payout_statement: {
+        kr: data => ({
+            title: `정산서 - ${data.business_id}`,
+            rows: layout('정산서', [
+                [
+                    ['사업자 ID', data.business_id],
+                    ['정산 기간', `${date(data.date_range.start, 'kr')} - ${date(data.date_range.end, 'kr')}`],
+                    ['발행일', date(data.time_created, 'kr')]
+                ],
+                [{ columns: [[0, '일자'], [80, '상품'], [280, '바우처'], [360, '상태'], [420, '금액']] }].concat(purchaseRows(data.purchases, 'kr')),
+                [
+                    ['환불', `${data.num_voucher_refunds || 0}건 (${won(-(data.refunded_amount || 0))})`],
+                    ['판매액 (환불 차감)', won(data.raw_sales)],
+                    ['바우처 판매', `${data.num_voucher_purchases}건`],
+                    ['판매 수수료', won(-data.fees.purchase)],
+                    ['쿠폰 사용', `${data.num_coupon_redeems}건`],
+                    ['사용 수수료', won(-data.fees.redeem)],
+                    ['기초 잔액', won(data.opening_balance || 0)]
+                ].concat(adjustmentRows(data.adjustments, '조정'), [
+                    ['정산금액', won(data.payout_amount)],
+                    ['이월 잔액', won(data.closing_balance || 0)]
+                ])
+            ]),
+        }),
+        en: data => ({
+            title: `Payout statement - ${data.business_id}`,
+            rows: layout('Payout statement', [
+                [
+                    ['Business ID', data.business_id],
+                    ['Period', `${date(data.date_range.start, 'en')} - ${date(data.date_range.end, 'en')}`],
+                    ['Issued', date(data.time_created, 'en')]
+                ],
+                [{ columns: [[0, 'Date'], [80, 'Item'], [280, 'Voucher'], [360, 'Status'], [420, 'Amount']] }].concat(purchaseRows(data.purchases, 'en')),
+                [
+                    ['Refunds', `${data.num_voucher_refunds || 0} (${won(-(data.refunded_amount || 0))})`],
+                    ['Sales (net of refunds)', won(data.raw_sales)],
+                    ['Vouchers sold', data.num_voucher_purchases],
+                    ['Purchase fees', won(-data.fees.purchase)],
+                    ['Coupons redeemed', data.num_coupon_redeems],
+                    ['Redeem fees', won(-data.fees.redeem)],
+                    ['Opening balance', won(data.opening_balance || 0)]
+                ].concat(adjustmentRows(data.adjustments, 'Adjustment'), [
+                    ['Payout', won(data.payout_amount)],
+                    ['Closing balance', won(data.closing_balance || 0)]
+                ])
+            ]),
+        }),
+    },
+};
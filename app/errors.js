@@ -0,0 +1,134 @@
+// app/errors.js
+
+'use strict';
+
+const constants = require('./constants');
+const logger = require('./utils').logger();
+
+const error_code = constants.error_code;
+
+/**
+ * Error with an HTTP status and a stable `error.code` (one of `constants.error_code`).
+ */
+class CastrError extends Error {
+    constructor(status, code, message, details) {
+        super(message);
+        this.status = status;
+        this.code = code;
+        this.details = details;
+    }
+}
+
+/**
+ * Maps any error to { status, code, message, details }:
+ * - CastrError: as is
+ * - Rejections from `iamportService.pay()` ({ params, error }): declined payment (402)
+ * - I'mport SDK errors: rejected by I'mport (`IAMPORT_{code}`, 422) or I'mport unavailable (`HTTP_{status}`, 502)
+ * - Anything else: internal error (500)
+ * @param {*} err
+ */
+function normalize(err) {
+    if (err instanceof CastrError) {
+        return {
+            status: err.status,
+            code: err.code,
+            message: err.message,
+            details: err.details,
+        };
+    }
+    if (err && err.error && err.params) {
+        return {
+            status: 402,
+            code: error_code.payment,
+            message: err.error.message,
+            details: { iamport_code: err.error.code, params: err.params },
+        };
+    }
+    if (err && typeof err.code === 'string' && /^(IAMPORT|HTTP)_/.test(err.code)) {
+        return {
+            status: (err.code.indexOf('IAMPORT_') === 0) ? 422 : 502,
+            code: error_code.iamport,
+            message: err.message,
+            details: { iamport_code: err.code },
+        };
+    }
+    return {
+        status: 500,
+        code: error_code.internal,
+        message: (err && err.message) || 'Something went wrong.',
+    };
+}
+
+/**
+ * Logs the error and sends the error envelope:
+ * { success: false, message, params, error: { code, message, details } }
+ * @param {*} res
+ * @param {*} err
+ * @param {*} params Request parameters echoed back (optional)
+ */
+function sendError(res, err, params) {
+    const normalized = normalize(err);
+    if (normalized.status >= 500) {
+        logger.error(err);
+    } else {
+        logger.error(`[${normalized.code}] ${normalized.message}`);
+    }
+    const body = {
+        success: false,
+        message: normalized.message,
+        error: {
+            code: normalized.code,
+            message: normalized.message,
+        },
+    };
+    if (params) { body.params = params; }
+    if (normalized.details) { body.error.details = normalized.details; }
+    res.status(normalized.status).send(body);
+}
+
+/**
+ * Returns the error as a CastrError with the given code, keeping its status (internal errors are kept as is).
+ * @param {*} err
+ * @param {string} code One of `constants.error_code`
+ */
+function withCode(err, code) {
+    const normalized = normalize(err);
+    if (normalized.status >= 500 && normalized.code === error_code.internal) { return err; }
+    return new CastrError(normalized.status, code, normalized.message, normalized.details);
+}
+
+function badRequest(message, details) {
+    return new CastrError(400, error_code.validation, message, details);
+}
+
+function notFound(message) {
+    return new CastrError(404, error_code.not_found, message);
+}
+
+function conflict(message) {
+    return new CastrError(409, error_code.conflict, message);
+}
+
+function tooManyRequests(message) {
+    return new CastrError(429, error_code.rate_limited, message);
+}
+
+/**
+ * Request that is valid but cannot be processed in the current state (e.g. nothing to refund).
+ * @param {string} message
+ * @param {string} code Defaults to `castr_payment_error`
+ */
+function unprocessable(message, code) {
+    return new CastrError(422, code || error_code.payment, message);
+}
+
+module.exports = {
+    CastrError: CastrError,
+    sendError: sendError,
+    withCode: withCode,
+    badRequest: badRequest,
+    notFound: notFound,
+    conflict: conflict,
+    unprocessable: unprocessable,
+    tooManyRequests: tooManyRequests,
+};
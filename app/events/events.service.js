@@ -0,0 +1,222 @@
+// app/events/events.service.js
+
+'use strict';
+
+const crypto = require('crypto');
+const shortid = require('shortid');
+const mongoDB = require('../db');
+const constants = require('../constants');
+const logger = require('../utils').logger();
+const httpRequest = require('../utils').httpRequest;
+const scheduler = require('../scheduler/scheduler.service');
+
+const event_status_type = constants.event_status_type;
+
+const minute = 60 * 1000;
+const max_attempts = 10;
+const max_backoff = 6 * 60 * minute;
+// A claimed event is not picked up by another instance for this long
+const delivery_lease = 2 * minute;
+
+class EventsService {
+    /**
+     * Events service class constructor.
+     *
+     * Events are written to 'event-outbox' (one document per endpoint) and delivered as HMAC-signed POST requests
+     * to the endpoints in CASTR_WEBHOOK_URLS (comma separated), retrying with exponential backoff.
+     */
+    constructor() {
+        this.endpoints = (process.env.CASTR_WEBHOOK_URLS || '').split(',').map(endpoint => endpoint.trim()).filter(endpoint => endpoint);
+        this.secret = process.env.CASTR_WEBHOOK_SECRET;
+    }
+
+    initialize() {
+        mongoDB.getDB().collection('event-outbox').createIndex({ status: 1, next_attempt: 1 });
+        // An event is queued once per endpoint, however many times it is published (see publish())
+        mongoDB.getDB().collection('event-outbox').createIndex({ event_id: 1, endpoint: 1 }, { unique: true });
+        // Retry undelivered events every minute
+        scheduler.define('event-delivery', {
+            next: from => new Date((Math.floor(from.getTime() / minute) + 1) * minute),
+            handler: this._deliverPending.bind(this),
+            coalesce: true,
+        });
+        if (this.endpoints.length > 0 && !this.secret) {
+            logger.error('CASTR_WEBHOOK_SECRET is not set: events will not be published.');
+        }
+        logger.debug(`Event delivery initialized for ${this.endpoints.length} endpoints.`);
+    }
+
+    /**
+     * Queues an event for every endpoint and tries to deliver it right away.
+     * The event is identified by its type and `event_key` (the hook or record it comes from), so publishing it again,
+     * e.g. from a hook that is run again after failing, queues nothing new. Nothing is published without
+     * CASTR_WEBHOOK_SECRET, since endpoints could not verify the events.
+     *
+     * Returns a promise.
+     * @param {string} type One of `constants.event_type`
+     * @param {string} business_id
+     * @param {*} data
+     * @param {string} event_key What the event is about, unique per event type (optional: each call is a new event)
+     */
+    publish(type, business_id, data, event_key) {
+        if (this.endpoints.length === 0) { return Promise.resolve(); }
+        if (!this.secret) {
+            logger.error(`Event ${type} for business (${business_id}) not published: CASTR_WEBHOOK_SECRET is not set.`);
+            return Promise.resolve();
+        }
+        const event_id = this.eventId(type, event_key);
+        const now = new Date();
+        const operations = this.endpoints.map(endpoint => ({
+            updateOne: {
+                filter: { event_id: event_id, endpoint: endpoint },
+                update: {
+                    $setOnInsert: {
+                        type: type,
+                        business_id: business_id,
+                        data: data,
+                        status: event_status_type.pending,
+                        attempts: 0,
+                        next_attempt: now,
+                        time_created: now,
+                    },
+                },
+                upsert: true,
+            },
+        }));
+        return mongoDB.getDB().collection('event-outbox').bulkWrite(operations, { ordered: false })
+            .then((write_result) => {
+                if (write_result.upsertedCount === 0) {
+                    logger.debug(`Event ${type} (${event_id}) already queued, skipping`);
+                    return;
+                }
+                logger.debug(`Event ${type} (${event_id}) queued for business (${business_id})`);
+                setTimeout(() => {
+                    this._deliverPending()
+                        .catch((err) => {
+                            logger.error(`Event ${type} (${event_id}) delivery failed, left to the event-delivery job: ${err.message}`);
+                        });
+                }, 0);
+            })
+            .catch((err) => {
+                logger.error(`Failed to queue event ${type} for business (${business_id}): ${err.message}`);
+            });
+    }
+
+    /**
+     * Returns the ID of an event: derived from its type and `event_key`, or random without a key.
+     * @param {string} type
+     * @param {string} event_key
+     */
+    eventId(type, event_key) {
+        if (!event_key) { return `evt_${shortid.generate()}`; }
+        return `evt_${crypto.createHash('sha256').update(`${type}\n${event_key}`).digest('hex').substring(0, 24)}`;
+    }
+
+    /**
+     * Delivers every due event in the outbox, one at a time.
+     *
+     * Returns a promise resolving with the run outcome.
+     */
+    _deliverPending() {
+        const outcome = {
+            delivered: 0,
+            failed: 0,
+        };
+        if (!this.secret) {
+            logger.error('Events not delivered: CASTR_WEBHOOK_SECRET is not set.');
+            return Promise.resolve(outcome);
+        }
+        const next = () => this._claim()
+            .then((event) => {
+                if (!event) { return outcome; }
+                return this._deliver(event)
+                    .then((delivered) => {
+                        outcome[(delivered) ? 'delivered' : 'failed'] += 1;
+                        return next();
+                    });
+            });
+        return next();
+    }
+
+    /**
+     * Claims the oldest due event by pushing its `next_attempt` past the delivery lease.
+     */
+    _claim() {
+        const now = new Date();
+        return mongoDB.getDB().collection('event-outbox').findOneAndUpdate(
+            {
+                status: event_status_type.pending,
+                next_attempt: { $lte: now },
+            },
+            { $set: { next_attempt: new Date(now.getTime() + delivery_lease) } },
+            { sort: { next_attempt: 1 }, returnOriginal: false }
+        )
+            .then(claim_result => claim_result.value);
+    }
+
+    /**
+     * Sends the event and records the attempt. Resolves with whether it was delivered.
+     * @param {*} event Claimed 'event-outbox' document
+     */
+    _deliver(event) {
+        const timestamp = Math.floor(Date.now() / 1000);
+        const body = JSON.stringify({
+            id: event.event_id,
+            type: event.type,
+            business_id: event.business_id,
+            created: Math.floor(event.time_created.getTime() / 1000),
+            data: event.data,
+        });
+        const headers = {
+            'Content-Type': 'application/json',
+            'X-Castr-Event': event.type,
+            'X-Castr-Signature': `t=${timestamp},v1=${this.sign(timestamp, body)}`,
+        };
+        return httpRequest('POST', event.endpoint, headers, body)
+            .then((response) => {
+                if (response.status < 200 || response.status >= 300) {
+                    throw new Error(`Endpoint responded with ${response.status}`);
+                }
+                logger.debug(`Event ${event.type} (${event.event_id}) delivered to ${event.endpoint}`);
+                return mongoDB.getDB().collection('event-outbox').updateOne(
+                    { _id: event._id },
+                    {
+                        $set: { status: event_status_type.delivered, time_delivered: new Date() },
+                        $inc: { attempts: 1 },
+                    }
+                )
+                    .then(() => true);
+            })
+            .catch((err) => {
+                const attempts = event.attempts + 1;
+                const status = (attempts >= max_attempts) ? event_status_type.failed : event_status_type.pending;
+                // 1, 2, 4, 8... minutes
+                const backoff = Math.min(minute * (2 ** (attempts - 1)), max_backoff);
+                logger.error(`Event ${event.type} (${event.event_id}) delivery to ${event.endpoint} failed [ATTEMPT ${attempts}]: ${err.message}`);
+                return mongoDB.getDB().collection('event-outbox').updateOne(
+                    { _id: event._id },
+                    {
+                        $set: {
+                            status: status,
+                            next_attempt: new Date(Date.now() + backoff),
+                            last_error: err.message,
+                        },
+                        $inc: { attempts: 1 },
+                    }
+                )
+                    .then(() => false);
+            });
+    }
+
+    /**
+     * HMAC-SHA256 of `${timestamp}.${body}` with CASTR_WEBHOOK_SECRET, hex encoded. Throws without a secret.
+     * @param {number} timestamp Unix seconds
+     * @param {string} body
+     */
+    sign(timestamp, body) {
+        if (!this.secret) { throw new Error('CASTR_WEBHOOK_SECRET is not set.'); }
+        return crypto.createHmac('sha256', this.secret).update(`${timestamp}.${body}`).digest('hex');
+    }
+}
+
+module.exports = new EventsService();
@@ -0,0 +1,20 @@
+// app/export/export.route.js
+
+'use strict';
+
+const express = require('express');
+const validate = require('../validate');
+const auth = require('../auth/auth.service');
+const exportService = require('./export.service');
+const schema = require('./export.schema');
+
+const router = express.Router();
+
+/**
+ * Export ':dataset' (payment-transactions, mc-transactions or mc-statements) of every business as CSV or XLSX
+ */
+router.get('/:dataset', auth.admin, validate(schema.exportAll), (req, res) => {
+    exportService.export(req, res, req.params.dataset);
+});
+
+module.exports = router;
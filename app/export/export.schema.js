@@ -0,0 +1,34 @@
+// app/export/export.schema.js
+
+'use strict';
+
+const constants = require('../constants');
+
+const payment_type = constants.payment_type;
+const status_type = constants.status_type;
+
+// Query shared by every export route
+const query = {
+    format: { type: 'string', enum: ['csv', 'xlsx'] },
+    lang: { type: 'string', enum: ['kr', 'en'] },
+    from: { type: 'date' },
+    to: { type: 'date' },
+    type: { type: 'string', enum: Object.values(payment_type) },
+    status: { type: 'string', enum: Object.values(status_type) },
+};
+
+/**
+ * Request schemas for app/export/export.route.js (see app/validate.js)
+ */
+module.exports = {
+    query: query,
+    exportAll: {
+        params: { dataset: { type: 'string', required: true, enum: ['payment-transactions', 'mc-transactions', 'mc-statements'] } },
+        query: Object.assign({
+            business_id: { type: 'string' },
+        }, query, {
+            from: { type: 'date', required: true },
+            to: { type: 'date', required: true },
+        }),
+    },
+};
@@ -0,0 +1,332 @@
+// app/export/export.service.js
+
+'use strict';
+
+const Writable = require('stream').Writable;
+const ExcelJS = require('exceljs');
+const mongoDB = require('../db');
+const constants = require('../constants');
+const logger = require('../utils').logger();
+const moment = require('../utils').moment();
+const errors = require('../errors');
+const pagination = require('../pagination');
+
+const timezone = constants.timezone;
+const payment_type = constants.payment_type;
+const status_type = constants.status_type;
+const voucher_status_type = constants.voucher_status_type;
+const payout_status_type = constants.payout_status_type;
+
+// Admin exports across businesses are limited to this many days
+const max_export_days = 366;
+
+const labels = {
+    kr: {
+        [payment_type.initial]: '최초 결제',
+        [payment_type.scheduled]: '정기 결제',
+        [payment_type.plan_change]: '플랜 변경',
+        [payment_type.refund]: '환불',
+        [payment_type.mc_purchase]: '구매',
+        [payment_type.mc_redeem]: '쿠폰 사용',
+        [status_type.paid]: '결제 완료',
+        [status_type.cancelled]: '환불',
+        [status_type.failed]: '결제 실패',
+        [status_type.redeemed]: '사용 완료',
+        [voucher_status_type.issued]: '발행',
+        [voucher_status_type.expired]: '만료',
+        [voucher_status_type.refunding]: '환불 처리 중',
+    },
+    en: {
+        [payment_type.initial]: 'Initial payment',
+        [payment_type.scheduled]: 'Scheduled payment',
+        [payment_type.plan_change]: 'Plan change',
+        [payment_type.refund]: 'Refund',
+        [payment_type.mc_purchase]: 'Purchase',
+        [payment_type.mc_redeem]: 'Coupon redeemed',
+        [status_type.paid]: 'Paid',
+        [status_type.cancelled]: 'Refunded',
+        [status_type.failed]: 'Payment failed',
+        [status_type.redeemed]: 'Redeemed',
+        [voucher_status_type.issued]: 'Issued',
+        [voucher_status_type.expired]: 'Expired',
+        [voucher_status_type.refunding]: 'Refund in progress',
+    },
+};
+// Payout statuses overlap with payment statuses ('FAILED'), so they have their own labels
+const payout_labels = {
+    kr: {
+        [payout_status_type.pending]: '이체 대기',
+        [payout_status_type.held]: '계좌 미등록 보류',
+        [payout_status_type.sent]: '이체 완료',
+        [payout_status_type.failed]: '이체 실패',
+        [payout_status_type.returned]: '이체 반환',
+        [payout_status_type.skipped]: '이체 없음',
+    },
+    en: {
+        [payout_status_type.pending]: 'Transfer pending',
+        [payout_status_type.held]: 'Held (no payout account)',
+        [payout_status_type.sent]: 'Transferred',
+        [payout_status_type.failed]: 'Transfer failed',
+        [payout_status_type.returned]: 'Transfer returned',
+        [payout_status_type.skipped]: 'No transfer',
+    },
+};
+// Text starting with one of these is read as a formula by spreadsheets (CSV injection)
+const formula_prefix = /^[=+\-@\t\r]/;
+
+function date(value, lang) {
+    return (value) ? moment(value).tz(timezone.kr).locale(lang).format('LLL') : '';
+}
+
+function day(value, lang) {
+    return (value) ? moment(value).tz(timezone.kr).locale(lang).format('LL') : '';
+}
+
+function label(value, lang) {
+    return labels[lang][value] || value || '';
+}
+
+/**
+ * Exportable collections and their columns: { header: { kr, en }, value: (document, lang) => value }
+ */
+const datasets = {
+    'payment-transactions': {
+        collection: 'payment-transactions',
+        name: { kr: '결제 내역', en: 'Payments' },
+        columns: [
+            { header: { kr: '일시', en: 'Date' }, value: (doc, lang) => date(doc.time_created, lang) },
+            { header: { kr: '사업자 ID', en: 'Business ID' }, value: doc => doc.business_id },
+            { header: { kr: '주문번호', en: 'Order ID' }, value: doc => doc.merchant_uid },
+            { header: { kr: '유형', en: 'Type' }, value: (doc, lang) => label(doc.type, lang) },
+            { header: { kr: '내용', en: 'Description' }, value: (doc, lang) => ((doc.name) ? doc.name[(lang === 'kr') ? 'long_kr' : 'long'] : '') },
+            { header: { kr: '금액', en: 'Amount' }, value: doc => doc.amount },
+            { header: { kr: '부가세', en: 'VAT' }, value: doc => doc.vat },
+            { header: { kr: '환불액', en: 'Refunded' }, value: doc => doc.refunded_amount },
+            { header: { kr: '상태', en: 'Status' }, value: (doc, lang) => label(doc.status, lang) },
+            { header: { kr: '카드', en: 'Card' }, value: doc => doc.card_name },
+            { header: { kr: '영수증', en: 'Receipt' }, value: doc => doc.receipt_url }
+        ],
+    },
+    'mc-transactions': {
+        collection: 'mc-transactions',
+        name: { kr: '메뉴캐스트 거래', en: 'Menucast transactions' },
+        columns: [
+            { header: { kr: '일시', en: 'Date' }, value: (doc, lang) => date(doc.time_created, lang) },
+            { header: { kr: '사업자 ID', en: 'Business ID' }, value: doc => doc.business_id },
+            { header: { kr: '주문번호', en: 'Order ID' }, value: doc => doc.merchant_uid },
+            { header: { kr: '상품', en: 'Item' }, value: doc => doc.promotable_name },
+            { header: { kr: '유형', en: 'Type' }, value: (doc, lang) => label(doc.type, lang) },
+            { header: { kr: '금액', en: 'Amount' }, value: doc => doc.amount },
+            { header: { kr: '할인율', en: 'Discount (%)' }, value: doc => doc.perc_disc_applied },
+            { header: { kr: '상태', en: 'Status' }, value: (doc, lang) => label(doc.status, lang) },
+            { header: { kr: '고객 ID', en: 'Customer ID' }, value: doc => doc.mc_customer_id },
+            { header: { kr: '바우처 코드', en: 'Voucher code' }, value: doc => doc.voucher_code },
+            { header: { kr: '바우처 상태', en: 'Voucher status' }, value: (doc, lang) => label(doc.voucher_status, lang) },
+            { header: { kr: '구매 주문번호', en: 'Purchase order ID' }, value: doc => doc.purchase_merchant_uid },
+            { header: { kr: '사용 일시', en: 'Redeemed' }, value: (doc, lang) => date(doc.time_redeemed, lang) }
+        ],
+    },
+    'mc-statements': {
+        collection: 'mc-statements',
+        name: { kr: '정산 내역', en: 'Payout statements' },
+        columns: [
+            { header: { kr: '발행일', en: 'Issued' }, value: (doc, lang) => date(doc.time_created, lang) },
+            { header: { kr: '사업자 ID', en: 'Business ID' }, value: doc => doc.business_id },
+            { header: { kr: '정산 시작', en: 'Period start' }, value: (doc, lang) => day(doc.date_range.start, lang) },
+            { header: { kr: '정산 종료', en: 'Period end' }, value: (doc, lang) => day(doc.date_range.end, lang) },
+            { header: { kr: '판매액', en: 'Sales' }, value: doc => doc.raw_sales },
+            { header: { kr: '환불액', en: 'Refunds' }, value: doc => doc.refunded_amount || 0 },
+            { header: { kr: '바우처 판매 수', en: 'Vouchers sold' }, value: doc => doc.num_voucher_purchases },
+            { header: { kr: '바우처 환불 수', en: 'Vouchers refunded' }, value: doc => doc.num_voucher_refunds || 0 },
+            { header: { kr: '쿠폰 사용 수', en: 'Coupons redeemed' }, value: doc => doc.num_coupon_redeems },
+            { header: { kr: '기초 잔액', en: 'Opening balance' }, value: doc => doc.opening_balance || 0 },
+            { header: { kr: '수수료 차감 판매액', en: 'Sales after fees' }, value: doc => doc.sales_amount },
+            { header: { kr: '조정액', en: 'Adjustments' }, value: doc => doc.adjustment_amount || 0 },
+            { header: { kr: '정산액', en: 'Payout' }, value: doc => doc.payout_amount },
+            { header: { kr: '기말 잔액', en: 'Closing balance' }, value: doc => doc.closing_balance || 0 },
+            { header: { kr: '이체 상태', en: 'Transfer status' }, value: (doc, lang) => ((doc.payout) ? payout_labels[lang][doc.payout.status] || doc.payout.status : '') },
+            { header: { kr: '이체 일시', en: 'Transferred' }, value: (doc, lang) => date(doc.payout && doc.payout.time_sent, lang) }
+        ],
+    },
+};
+
+/**
+ * Exported value of a cell: text that a spreadsheet would run as a formula gets a leading quote.
+ * @param {*} value
+ */
+function cell(value) {
+    return (typeof value === 'string' && formula_prefix.test(value)) ? `'${value}` : value;
+}
+
+function csvCell(value) {
+    if (value === null || value === undefined) { return ''; }
+    const text = `${value}`;
+    return (/[",\r\n]/.test(text)) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+function csvLine(values) {
+    return `${values.map(csvCell).join(',')}\r\n`;
+}
+
+class ExportService {
+    /**
+     * Export service class constructor.
+     *
+     * Exports 'payment-transactions', 'mc-transactions' and 'mc-statements' as CSV or XLSX, oldest first.
+     * Both formats are streamed from the cursor. Dates are in KST, formatted with the `lang` locale.
+     */
+    constructor() {
+        this.datasets = Object.keys(datasets);
+    }
+
+    /**
+     * Sends the export of `dataset` as a file download.
+     * Query: `format` (csv (default) or xlsx), `lang` (kr (default) or en), `from`, `to`, `type` and `status`.
+     * With `:business_id`, only that business is exported. Otherwise (admins) `from` and `to` are required and
+     * an optional `business_id` query narrows the export.
+     * @param {*} req
+     * @param {*} res
+     * @param {string} dataset One of `this.datasets`
+     */
+    export(req, res, dataset) {
+        const definition = datasets[dataset];
+        const format = req.query.format || 'csv';
+        const lang = req.query.lang || 'kr';
+        const business_id = req.params.business_id || req.query.business_id;
+        let filter;
+        try {
+            filter = this._filter(req.query, business_id);
+        } catch (err) {
+            errors.sendError(res, err);
+            return;
+        }
+        const filename = `${dataset}_${business_id || 'all'}_${moment().tz(timezone.kr).format('YYYYMMDD')}.${format}`;
+        const cursor = mongoDB.getDB().collection(definition.collection).find(filter).sort({ time_created: 1, _id: 1 });
+        const header = definition.columns.map(column => column.header[lang]);
+        const row = document => definition.columns.map(column => cell(column.value(document, lang)));
+        logger.debug(`Exporting ${dataset} (${business_id || 'all businesses'}) as ${format}`);
+        res.attachment(filename);
+        if (format === 'xlsx') {
+            res.set('Content-Type', 'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet');
+            this._streamXlsx(res, cursor, definition.name[lang], header, row, dataset);
+            return;
+        }
+        // The BOM makes Excel read the file as UTF-8 (Korean headers)
+        res.set('Content-Type', 'text/csv; charset=utf-8');
+        res.write(`\uFEFF${csvLine(header)}`);
+        this._streamRows(res, cursor, document => res.write(csvLine(row(document))), () => res.end(), dataset);
+    }
+
+    /**
+     * Streams an XLSX workbook with one sheet to the response, one row per document of the cursor.
+     * @param {*} res
+     * @param {*} cursor
+     * @param {string} name Sheet name
+     * @param {string[]} header
+     * @param {function} row Returns the row of a document
+     * @param {string} dataset
+     */
+    _streamXlsx(res, cursor, name, header, row, dataset) {
+        // Forwards the workbook to the response, waiting for it to drain when it is full
+        let draining = false;
+        const output = new Writable({
+            write: (chunk, encoding, callback) => {
+                if (res.write(chunk)) {
+                    callback();
+                    return;
+                }
+                draining = true;
+                res.once('drain', () => {
+                    draining = false;
+                    callback();
+                });
+            },
+        });
+        output.on('finish', () => res.end());
+        const workbook = new ExcelJS.stream.xlsx.WorkbookWriter({ stream: output, useStyles: false, useSharedStrings: false });
+        const sheet = workbook.addWorksheet(name);
+        sheet.addRow(header).commit();
+        this._streamRows(res, cursor, (document) => {
+            sheet.addRow(row(document)).commit();
+            return !draining;
+        }, () => {
+            sheet.commit();
+            workbook.commit()
+                .catch((err) => {
+                    logger.error(`Export of ${dataset} failed: ${err.message}`);
+                    res.destroy();
+                });
+        }, dataset);
+    }
+
+    /**
+     * Writes every document of the cursor to the response, oldest first, without loading them all.
+     * `write` returns false when the response is full: the cursor is paused until the response drains.
+     * The cursor is closed if the client disconnects. On a database error the response is cut short, since the
+     * headers are already sent.
+     * @param {*} res
+     * @param {*} cursor
+     * @param {function} write (document) => boolean
+     * @param {function} end Called after the last document
+     * @param {string} dataset
+     */
+    _streamRows(res, cursor, write, end, dataset) {
+        const stream = cursor.stream();
+        let done = false;
+        let paused = false;
+        const stop = () => {
+            done = true;
+            cursor.close();
+        };
+        res.on('close', () => {
+            if (done) { return; }
+            logger.debug(`Export of ${dataset} cancelled by the client`);
+            stop();
+        });
+        stream.on('data', (document) => {
+            if (done || write(document) || paused) { return; }
+            paused = true;
+            stream.pause();
+            res.once('drain', () => {
+                paused = false;
+                if (!done) { stream.resume(); }
+            });
+        });
+        stream.on('end', () => {
+            if (done) { return; }
+            done = true;
+            end();
+        });
+        stream.on('error', (err) => {
+            if (done) { return; }
+            logger.error(`Export of ${dataset} failed: ${err.message}`);
+            stop();
+            res.destroy();
+        });
+    }
+
+    /**
+     * Builds the filter from the query. Exports across businesses need a date range of at most `max_export_days`.
+     * @param {*} query
+     * @param {string} business_id
+     */
+    _filter(query, business_id) {
+        const filter = {};
+        if (business_id) { filter.business_id = business_id; }
+        if (query.type) { filter.type = query.type; }
+        if (query.status) { filter.status = query.status; }
+        const date_range = pagination.dateRange(query);
+        if (date_range) { filter.time_created = date_range; }
+        if (!business_id) {
+            if (!date_range || !date_range.$gte || !date_range.$lt) {
+                throw errors.badRequest('\'from\' and \'to\' are required to export all businesses.');
+            }
+            if (moment(date_range.$lt).diff(date_range.$gte, 'days') > max_export_days) {
+                throw errors.badRequest(`Exports across businesses cover at most ${max_export_days} days.`);
+            }
+        }
+        return filter;
+    }
+}
+
+module.exports = new ExportService();
@@ -0,0 +1,39 @@
+// app/fees/fee.route.js
+
+'use strict';
+
+const express = require('express');
+const validate = require('../validate');
+const auth = require('../auth/auth.service');
+const feeService = require('./fee.service');
+const schema = require('./fee.schema');
+
+const router = express.Router();
+
+/**
+ * Fee schedules in effect (admin)
+ */
+router.route('/')
+    .get(auth.admin, validate(schema.getSchedules), (req, res) => {
+        feeService.getSchedules(req, res);
+    })
+    .post(auth.admin, validate(schema.createSchedule), (req, res) => {
+        // Create a version of the default schedule or of a business override (admin)
+        feeService.createSchedule(req, res);
+    });
+
+/**
+ * End a schedule version now (admin)
+ */
+router.delete('/schedules/:schedule_id', auth.admin, validate(schema.endSchedule), (req, res) => {
+    feeService.endSchedule(req, res);
+});
+
+/**
+ * Fee schedule in effect for ':business_id'
+ */
+router.get('/:business_id', auth.business, validate(schema.getBusinessSchedule), (req, res) => {
+    feeService.getBusinessSchedule(req, res);
+});
+
+module.exports = router;
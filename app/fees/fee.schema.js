@@ -0,0 +1,56 @@
+// app/fees/fee.schema.js
+
+'use strict';
+
+const constants = require('../constants');
+
+const fee_rule_type = constants.fee_rule_type;
+
+/**
+ * Returns an error message for an invalid fee rule, or null.
+ * @param {string} name purchase, redeem or refund
+ * @param {*} rule { type, value, tiers: [{ from, value }] }
+ */
+function checkRule(name, rule) {
+    if (!rule || typeof rule !== 'object') { return `'fees.${name}' is required.`; }
+    if (!Object.values(fee_rule_type).includes(rule.type)) {
+        return `'fees.${name}.type' must be either: ${Object.values(fee_rule_type)}.`;
+    }
+    const valid = value => (
+        Number.isFinite(Number(value)) && Number(value) >= 0 && (rule.type !== fee_rule_type.percent || Number(value) <= 100)
+    );
+    if (!valid(rule.value)) { return `'fees.${name}.value' must be a non-negative number (at most 100 for percent).`; }
+    if (rule.tiers !== undefined && !Array.isArray(rule.tiers)) { return `'fees.${name}.tiers' must be an array.`; }
+    const invalid_tier = (rule.tiers || []).find(tier => !tier || !(parseInt(tier.from) >= 1) || !valid(tier.value));
+    return (invalid_tier) ? `'fees.${name}.tiers' must be { from (at least 1), value }.` : null;
+}
+
+/**
+ * Request schemas for app/fees/fee.route.js (see app/validate.js)
+ */
+module.exports = {
+    getSchedules: {
+        query: {
+            all: { type: 'boolean' },
+            business_id: { type: 'string' },
+        },
+    },
+    getBusinessSchedule: {
+        params: { business_id: { type: 'string', required: true } },
+    },
+    createSchedule: {
+        body: {
+            business_id: { type: 'string' },
+            name: { type: 'string', max: 100 },
+            fees: { type: 'object', required: true },
+            effective_from: { type: 'date' },
+            effective_to: { type: 'date' },
+        },
+        check: req => ['purchase', 'redeem', 'refund']
+            .map(name => checkRule(name, req.body.fees[name]))
+            .find(message => message) || null,
+    },
+    endSchedule: {
+        params: { schedule_id: { type: 'string', required: true } },
+    },
+};
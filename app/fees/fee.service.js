@@ -0,0 +1,355 @@
+// app/fees/fee.service.js
+
+'use strict';
+
+const shortid = require('shortid');
+const mongoDB = require('../db');
+const constants = require('../constants');
+const logger = require('../utils').logger();
+const errors = require('../errors');
+
+const payment_type = constants.payment_type;
+const fee_rule_type = constants.fee_rule_type;
+
+// Used when no default schedule has been created
+const builtin_schedule = {
+    schedule_id: 'builtin',
+    business_id: null,
+    name: 'Built-in default',
+    fees: {
+        purchase: { type: fee_rule_type.flat, value: constants.purchase_fee, tiers: [] },
+        redeem: { type: fee_rule_type.flat, value: constants.redeem_fee, tiers: [] },
+        refund: { type: fee_rule_type.percent, value: constants.refund_fee_perc * 100, tiers: [] },
+    },
+    effective_from: new Date(0),
+    effective_to: null,
+};
+
+/**
+ * Returns the rate of a fee rule for the period volume: the value of the highest tier reached, or the base value.
+ * A tier from 0 (only possible in documents written directly) replaces the base value.
+ * @param {*} rule { type, value, tiers: [{ from, value }] }
+ * @param {number} volume
+ */
+function rate(rule, volume) {
+    return (rule.tiers || [])
+        .filter(tier => volume >= tier.from)
+        .reduce((current, tier) => ((tier.from >= current.from) ? tier : current), { from: 0, value: rule.value })
+        .value;
+}
+
+/**
+ * Returns the fee of `count` units totalling `amount` at the given rate.
+ * @param {*} rule
+ * @param {number} unit_rate From rate()
+ * @param {number} count
+ * @param {number} amount
+ */
+function fee(rule, unit_rate, count, amount) {
+    return (rule.type === fee_rule_type.percent) ? Math.round((amount * unit_rate) / 100) : count * unit_rate;
+}
+
+function summary(schedule) {
+    return {
+        schedule_id: schedule.schedule_id,
+        business_id: schedule.business_id,
+        name: schedule.name,
+        effective_from: schedule.effective_from,
+    };
+}
+
+class FeeService {
+    /**
+     * Fee service class constructor.
+     *
+     * 'fee-schedules' holds one document per schedule version: the default schedule (`business_id: null`) and
+     * per-business overrides, each with a `purchase`, `redeem` and `refund` rule. Like billing plans, a new version ends
+     * the open-ended version of the same business where it starts.
+     * Rules are `flat` (won per unit) or `percent` (of the amount), with optional volume `tiers` ({ from, value }):
+     * the highest tier reached by the payout period's unit count sets the rate for every unit of the period.
+     */
+    constructor() {
+        this.builtin = builtin_schedule;
+    }
+
+    initialize() {
+        mongoDB.getDB().collection('fee-schedules').createIndex({ business_id: 1, effective_from: -1 });
+        mongoDB.getDB().collection('fee-schedules').createIndex({ schedule_id: 1 }, { unique: true });
+    }
+
+    /**
+     * Lists the fee schedules in effect (`?all=true` includes past and future versions). `business_id` narrows the list
+     * to the default schedule and that business' overrides.
+     * @param {*} req
+     * @param {*} res
+     */
+    getSchedules(req, res) {
+        const now = new Date();
+        const query = (req.query.all === 'true') ? {} : {
+            effective_from: { $lte: now },
+            $or: [{ effective_to: null }, { effective_to: { $gt: now } }],
+        };
+        if (req.query.business_id) { query.business_id = { $in: [null, req.query.business_id] }; }
+        mongoDB.getDB().collection('fee-schedules').find(query)
+            .sort({ business_id: 1, effective_from: -1 })
+            .toArray()
+            .then((schedules) => {
+                const msg = `Fetched ${schedules.length} fee schedules.`;
+                logger.debug(msg);
+                res.send({
+                    success: true,
+                    message: msg,
+                    data: schedules,
+                });
+            })
+            .catch((err) => {
+                errors.sendError(res, err);
+            });
+    }
+
+    /**
+     * Fetches the fee schedule in effect for the business ('business_id') now.
+     * @param {*} req
+     * @param {*} res
+     */
+    getBusinessSchedule(req, res) {
+        const business_id = req.params.business_id;
+        this.scheduleAt(business_id, new Date())
+            .then((schedule) => {
+                const msg = `Fee schedule in effect for business (#${business_id})`;
+                logger.debug(msg);
+                res.send({
+                    success: true,
+                    message: msg,
+                    data: schedule,
+                });
+            })
+            .catch((err) => {
+                errors.sendError(res, err, { business_id: business_id });
+            });
+    }
+
+    /**
+     * Creates a version of the default schedule, or of a business' override (`business_id`), starting at
+     * `effective_from` (default now). The open-ended version of the same schedule ends where the new one starts.
+     * Body: `business_id`, `name`, `fees` ({ purchase, redeem, refund }), `effective_from`, `effective_to`.
+     * @param {*} req
+     * @param {*} res
+     */
+    createSchedule(req, res) {
+        const body = req.body;
+        const rule = value => ({
+            type: value.type,
+            value: Number(value.value),
+            tiers: (value.tiers || []).map(tier => ({ from: parseInt(tier.from), value: Number(tier.value) }))
+                .sort((a, b) => a.from - b.from),
+        });
+        const schedule = {
+            schedule_id: `fee_${shortid.generate()}`,
+            business_id: body.business_id || null,
+            name: body.name || ((body.business_id) ? `${body.business_id} override` : 'Default'),
+            fees: {
+                purchase: rule(body.fees.purchase),
+                redeem: rule(body.fees.redeem),
+                // Volume tiers do not apply to refunds
+                refund: Object.assign(rule(body.fees.refund), { tiers: [] }),
+            },
+            effective_from: (body.effective_from) ? new Date(body.effective_from) : new Date(),
+            effective_to: (body.effective_to) ? new Date(body.effective_to) : null,
+            created_by: { type: req.auth.type, subject: req.auth.subject },
+            time_created: new Date(),
+        };
+        if (schedule.effective_to && !(schedule.effective_to > schedule.effective_from)) {
+            errors.sendError(res, errors.badRequest('\'effective_to\' must be after \'effective_from\'.'));
+            return;
+        }
+        mongoDB.getDB().collection('fee-schedules').updateMany(
+            {
+                business_id: schedule.business_id,
+                effective_from: { $lt: schedule.effective_from },
+                effective_to: null,
+            },
+            { $set: { effective_to: schedule.effective_from } }
+        )
+            .then(() => mongoDB.getDB().collection('fee-schedules').insertOne(schedule))
+            .then(() => {
+                const msg = `Fee schedule ${schedule.schedule_id} (${schedule.business_id || 'default'}) effective from ${schedule.effective_from.toISOString()}`;
+                logger.debug(msg);
+                res.send({
+                    success: true,
+                    message: msg,
+                    data: schedule,
+                });
+            })
+            .catch((err) => {
+                errors.sendError(res, err);
+            });
+    }
+
+    /**
+     * Ends a schedule version now (e.g. a business override, so the default schedule applies again).
+     * @param {*} req
+     * @param {*} res
+     */
+    endSchedule(req, res) {
+        const schedule_id = req.params.schedule_id;
+        const now = new Date();
+        mongoDB.getDB().collection('fee-schedules').findOneAndUpdate(
+            {
+                schedule_id: schedule_id,
+                $or: [{ effective_to: null }, { effective_to: { $gt: now } }],
+            },
+            { $set: { effective_to: now } },
+            { returnOriginal: false }
+        )
+            .then((result) => {
+                if (!result.value) { throw errors.notFound(`Fee schedule ${schedule_id} not found or already ended.`); }
+                const msg = `Fee schedule ${schedule_id} ended`;
+                logger.debug(msg);
+                res.send({
+                    success: true,
+                    message: msg,
+                    data: result.value,
+                });
+            })
+            .catch((err) => {
+                errors.sendError(res, err, { schedule_id: schedule_id });
+            });
+    }
+
+    /**
+     * Returns a promise resolving with the schedule in effect for the business at `at`: its override, else the default.
+     * @param {string} business_id
+     * @param {Date} at
+     */
+    scheduleAt(business_id, at) {
+        return this._load([business_id])
+            .then(schedules => this._pick(schedules, business_id, at));
+    }
+
+    /**
+     * Computes the purchase and redeem fees of the businesses' Menucast transactions in [start, end), each at the
+     * schedule in effect when it was made.
+     *
+     * Returns a promise resolving with { [business_id]: { fees: { purchase, redeem }, breakdown, schedules } }.
+     * @param {string[]} business_ids
+     * @param {Date} start
+     * @param {Date} end
+     */
+    periodFees(business_ids, start, end) {
+        const types = {
+            [payment_type.mc_purchase]: 'purchase',
+            [payment_type.mc_redeem]: 'redeem',
+        };
+        const groups = {};
+        const volumes = {};
+        return this._load(business_ids)
+            .then(schedules => new Promise((resolve, reject) => {
+                const stream = mongoDB.getDB().collection('mc-transactions').find(
+                    {
+                        business_id: { $in: business_ids },
+                        type: { $in: Object.keys(types) },
+                        time_created: { $gte: start, $lt: end },
+                    },
+                    {
+                        business_id: 1,
+                        type: 1,
+                        amount: 1,
+                        time_created: 1,
+                    }
+                ).stream();
+                stream.on('data', (transaction) => {
+                    const fee_type = types[transaction.type];
+                    const schedule = this._pick(schedules, transaction.business_id, transaction.time_created);
+                    const key = `${transaction.business_id}|${fee_type}|${schedule.schedule_id}`;
+                    if (!groups[key]) {
+                        groups[key] = {
+                            business_id: transaction.business_id,
+                            fee_type: fee_type,
+                            schedule: schedule,
+                            count: 0,
+                            amount: 0,
+                        };
+                    }
+                    groups[key].count += 1;
+                    groups[key].amount += transaction.amount || 0;
+                    const volume_key = `${transaction.business_id}|${fee_type}`;
+                    volumes[volume_key] = (volumes[volume_key] || 0) + 1;
+                });
+                stream.on('end', resolve);
+                stream.on('error', reject);
+            }))
+            .then(() => {
+                const result = {};
+                business_ids.forEach((business_id) => {
+                    result[business_id] = { fees: { purchase: 0, redeem: 0 }, breakdown: [], schedules: [] };
+                });
+                Object.keys(groups).forEach((key) => {
+                    const group = groups[key];
+                    const rule = group.schedule.fees[group.fee_type];
+                    const unit_rate = rate(rule, volumes[`${group.business_id}|${group.fee_type}`]);
+                    const group_fee = fee(rule, unit_rate, group.count, group.amount);
+                    const business = result[group.business_id];
+                    business.fees[group.fee_type] += group_fee;
+                    business.breakdown.push({
+                        fee_type: group.fee_type,
+                        schedule_id: group.schedule.schedule_id,
+                        rule_type: rule.type,
+                        rate: unit_rate,
+                        count: group.count,
+                        amount: group.amount,
+                        fee: group_fee,
+                    });
+                    if (!business.schedules.some(used => used.schedule_id === group.schedule.schedule_id)) {
+                        business.schedules.push(summary(group.schedule));
+                    }
+                });
+                return result;
+            });
+    }
+
+    /**
+     * Returns the refund fee of `value` under the schedule: a percentage of it, or a flat amount (at most `value`).
+     * @param {*} schedule From scheduleAt()
+     * @param {number} value
+     */
+    refundFee(schedule, value) {
+        const rule = schedule.fees.refund;
+        return Math.min(fee(rule, rule.value, 1, value), value);
+    }
+
+    /**
+     * Returns the schedule summary recorded on statements and refunds: { schedule_id, business_id, name, effective_from }.
+     * @param {*} schedule
+     */
+    summary(schedule) {
+        return summary(schedule);
+    }
+
+    /**
+     * Loads every version of the default schedule and of the businesses' overrides.
+     * @param {string[]} business_ids
+     */
+    _load(business_ids) {
+        return mongoDB.getDB().collection('fee-schedules').find({ business_id: { $in: [null].concat(business_ids) } })
+            .sort({ effective_from: -1 })
+            .toArray();
+    }
+
+    /**
+     * Picks the version in effect at `at`: the business' override, else the default, else the built-in schedule.
+     * @param {*} schedules From _load(), newest first
+     * @param {string} business_id
+     * @param {Date} at
+     */
+    _pick(schedules, business_id, at) {
+        const effective = schedule => (
+            schedule.effective_from <= at && (!schedule.effective_to || schedule.effective_to > at)
+        );
+        return schedules.find(schedule => schedule.business_id === business_id && effective(schedule))
+            || schedules.find(schedule => schedule.business_id === null && effective(schedule))
+            || this.builtin;
+    }
+}
+
+module.exports = new FeeService();
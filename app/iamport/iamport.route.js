@@ -3,14 +3,29 @@
 'use strict';
 
 const express = require('express');
+const validate = require('../validate');
+const auth = require('../auth/auth.service');
 const iamportService = require('./iamport.service');
+const schema = require('./iamport.schema');
+const mailerService = require('../mailer/mailer.service');
+const idempotency = require('../idempotency/idempotency.service');
+const exportService = require('../export/export.service');
+const documentService = require('../documents/document.service');
 
 const router = express.Router();
 
+/**
+ * I'mport notification webhook (set as the notification URL on the I'mport admin console).
+ * The notification body is never trusted, the payment is re-fetched from I'mport with the provided `imp_uid`.
+ */
+router.post('/webhook', validate(schema.webhook), (req, res) => {
+    iamportService.webhook(req, res);
+});
+
 /**
  * Get all payment methods under ':business_id'
  */
-router.get('/:business_id', (req, res) => {
+router.get('/:business_id', auth.business, validate(schema.getPlan), (req, res) => {
     // Uses 'customer_uid' to retrieve the payment method
     iamportService.getPlan(req, res);
 });
@@ -23,15 +38,15 @@ router.get('/:business_id', (req, res) => {
  * - Once we call POST /customer/:customer_uid, we can use the `customer_uid` to request payment using the corresponding payment method.
  */
 router.route('/:business_id/payment-method')
-    .get((req, res) => {
+    .get(auth.business, validate(schema.getPaymentMethods), (req, res) => {
         // Creates a customer (single payment method) using the provided 'customer_uid'
         iamportService.getPaymentMethods(req, res);
     })
-    .post((req, res) => {
+    .post(auth.business, validate(schema.savePaymentMethod), (req, res) => {
         // Creates a customer (single payment method) using the provided 'customer_uid'
         iamportService.savePaymentMethod(req, res);
     })
-    .delete((req, res) => {
+    .delete(auth.business, validate(schema.deletePaymentMethod), (req, res) => {
         // Uses 'customer_uid' to delete the payment method
         iamportService.deletePaymentMethod(req, res);
     });
@@ -39,7 +54,7 @@ router.route('/:business_id/payment-method')
 /**
  * Set the payment method as the default for this business.
  */
-router.post('/:business_id/payment-method/:customer_uid', (req, res) => {
+router.post('/:business_id/payment-method/:customer_uid', auth.business, validate(schema.setAsDefault), (req, res) => {
     iamportService.setAsDefault(req, res);
 });
 
@@ -47,30 +62,55 @@ router.post('/:business_id/payment-method/:customer_uid', (req, res) => {
  *
  */
 router.route('/:business_id/subscription')
-    .post((req, res) => {
+    .post(auth.business, validate(schema.subscribe), idempotency.guard, (req, res) => {
         // Processes a one-time payment with the provided `customer_uid`
         iamportService.subscribe(req, res);
     })
-    .put((req, res) => {
-        // Change subscription billing plan
+    .put(auth.business, validate(schema.changeSubscription), idempotency.guard, (req, res) => {
+        // Change subscription billing plan (at next renewal, or immediately with proration)
         iamportService.changeSubscription(req, res);
     })
-    .delete((req, res) => {
+    .delete(auth.business, validate(schema.refund), idempotency.guard, (req, res) => {
         // Refund service fee for the current billing cycle (80% of prorated)
         iamportService.refund(req, res);
     });
 
 /**
- * Stop next scheduled payment until resumed
+ * Cancel at period end without refund, or undo the cancellation before the period ends
+ */
+router.route('/:business_id/subscription/cancellation')
+    .post(auth.business, validate(schema.cancelAtPeriodEnd), (req, res) => {
+        iamportService.cancelAtPeriodEnd(req, res);
+    })
+    .delete(auth.business, validate(schema.undoCancellation), (req, res) => {
+        iamportService.undoCancellation(req, res);
+    });
+
+/**
+ * Prorated refund the business would get by cancelling now
  */
-router.post('/:business_id/pause', (req, res) => {
+router.get('/:business_id/subscription/refund-quote', auth.business, validate(schema.getRefundQuote), (req, res) => {
+    iamportService.getRefundQuote(req, res);
+});
+
+/**
+ * Refund part of a payment by `merchant_uid` (ops)
+ */
+router.post('/:business_id/refunds', auth.admin, validate(schema.partialRefund), idempotency.guard, (req, res) => {
+    iamportService.partialRefund(req, res);
+});
+
+/**
+ * Pause the subscription for `weeks` or until `resume_date`
+ */
+router.post('/:business_id/pause', auth.business, validate(schema.pause), (req, res) => {
     iamportService.pause(req, res);
 });
 
 /**
- * Process paused scheduled payment
+ * Resume a paused subscription before the pause ends
  */
-router.post('/:business_id/resume', (req, res) => {
+router.post('/:business_id/resume', auth.business, validate(schema.resume), idempotency.guard, (req, res) => {
     iamportService.resume(req, res);
 });
 
@@ -78,9 +118,44 @@ router.post('/:business_id/resume', (req, res) => {
  * Use the business_id (formerly restaurant_id) for the `merchant_uid`.
  * This will retrieve all the transaction history for a specific `merchant_uid` (which is mapped to a specific business).
 */
-router.get('/:business_id/history', (req, res) => {
+router.get('/:business_id/history', auth.business, validate(schema.getHistory), (req, res) => {
     // Retrieve all transaction hisotry for the provided `merchant_uid`
     iamportService.getHistory(req, res);
 });
 
+/**
+ * Download the PDF receipt of a transaction (':transaction_id') from the history; refunds get a refund receipt
+ */
+router.get('/:business_id/history/:transaction_id/receipt', auth.business, validate(schema.getReceipt), (req, res) => {
+    documentService.getReceipt(req, res);
+});
+
+/**
+ * Export the transaction history of ':business_id' as CSV or XLSX
+ */
+router.get('/:business_id/history/export', auth.business, validate(schema.exportHistory), (req, res) => {
+    exportService.export(req, res, 'payment-transactions');
+});
+
+/**
+ * Set the email (and 'kr' or 'en' locale) that billing emails are sent to
+ */
+router.put('/:business_id/billing-contact', auth.business, validate(schema.setContact), (req, res) => {
+    mailerService.setContact(req, res);
+});
+
+/**
+ * Billing emails sent to the business
+ */
+router.get('/:business_id/emails', auth.business, validate(schema.getEmails), (req, res) => {
+    mailerService.getEmails(req, res);
+});
+
+/**
+ * Resend a billing email to the current billing contact
+ */
+router.post('/:business_id/emails/:email_id/resend', auth.business, validate(schema.resend), (req, res) => {
+    mailerService.resend(req, res);
+});
+
 module.exports = router;
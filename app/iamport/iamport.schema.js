@@ -0,0 +1,117 @@
+// app/iamport/iamport.schema.js
+
+'use strict';
+
+const constants = require('../constants');
+const paging = require('../pagination').schema;
+const export_query = require('../export/export.schema').query;
+
+const payment_type = constants.payment_type;
+const status_type = constants.status_type;
+const object_id = /^[0-9a-fA-F]{24}$/;
+const email = /^[^\s@]+@[^\s@]+\.[^\s@]+$/;
+
+const business = { business_id: { type: 'string', required: true } };
+
+/**
+ * Request schemas for app/iamport/iamport.route.js (see app/validate.js)
+ */
+module.exports = {
+    webhook: {
+        body: {
+            imp_uid: { type: 'string', required: true },
+            merchant_uid: { type: 'string' },
+            status: { type: 'string' },
+        },
+    },
+    getPlan: { params: business },
+    getPaymentMethods: { params: business },
+    savePaymentMethod: {
+        params: business,
+        // RSA encrypted chunks of the card details
+        body: { payload: { type: 'array', required: true, min: 1 } },
+    },
+    deletePaymentMethod: {
+        params: business,
+        body: { customer_uid: { type: 'string', required: true } },
+    },
+    setAsDefault: {
+        params: {
+            business_id: business.business_id,
+            customer_uid: { type: 'string', required: true },
+        },
+    },
+    subscribe: {
+        params: business,
+        body: {
+            billing_plan: { type: 'string', required: true },
+            charge_num: { type: 'integer', min: 0 },
+        },
+    },
+    changeSubscription: {
+        params: business,
+        body: {
+            billing_plan: { type: 'string', required: true },
+            mode: { type: 'string', enum: ['next_renewal', 'immediate'] },
+            dry_run: { type: 'boolean' },
+        },
+    },
+    refund: {
+        params: business,
+        body: { reason: { type: 'string', max: 200 } },
+    },
+    cancelAtPeriodEnd: {
+        params: business,
+        body: { reason: { type: 'string', max: 200 } },
+    },
+    undoCancellation: { params: business },
+    getRefundQuote: { params: business },
+    partialRefund: {
+        params: business,
+        body: {
+            merchant_uid: { type: 'string', required: true },
+            amount: { type: 'integer', required: true, min: 1 },
+            reason: { type: 'string', max: 200 },
+        },
+    },
+    pause: {
+        params: business,
+        body: {
+            weeks: { type: 'integer', min: 1 },
+            resume_date: { type: 'date' },
+        },
+        check: req => ((req.body.weeks || req.body.resume_date) ? null : 'Either \'weeks\' or \'resume_date\' is required.'),
+    },
+    resume: { params: business },
+    getHistory: {
+        params: business,
+        query: Object.assign({
+            type: { type: 'string', enum: Object.values(payment_type) },
+            status: { type: 'string', enum: Object.values(status_type) },
+        }, paging),
+    },
+    getReceipt: {
+        params: Object.assign({
+            transaction_id: { type: 'string', required: true, pattern: object_id },
+        }, business),
+        query: { lang: { type: 'string', enum: ['kr', 'en'] } },
+    },
+    exportHistory: {
+        params: business,
+        query: export_query,
+    },
+    setContact: {
+        params: business,
+        body: {
+            email: { type: 'string', required: true, pattern: email },
+            locale: { type: 'string', enum: ['kr', 'en'] },
+        },
+    },
+    getEmails: { params: business },
+    resend: {
+        params: {
+            business_id: business.business_id,
+            email_id: { type: 'string', required: true, pattern: object_id },
+        },
+    },
+};
@@ -2,6 +2,7 @@
 
 'use strict';
 
+const crypto = require('crypto');
 const mongoDB = require('../db');
 const constants = require('../constants');
 const logger = require('../utils').logger();
@@ -9,13 +10,29 @@ const moment = require('../utils').moment();
 const NodeRSA = require('node-rsa');
 const shortid = require('shortid');
 const Iamport = require('iamport');
+const scheduler = require('../scheduler/scheduler.service');
+const eventsService = require('../events/events.service');
+const mailerService = require('../mailer/mailer.service');
+const planService = require('../plans/plan.service');
+const feeService = require('../fees/fee.service');
+const mcService = require('../menucast/mc.service');
+const errors = require('../errors');
+const pagination = require('../pagination');
 
 const timezone = constants.timezone;
-const billing_plan_type = constants.billing_plan_type;
 const payment_type = constants.payment_type;
 const status_type = constants.status_type;
+const voucher_status_type = constants.voucher_status_type;
 const full_day = constants.full_day;
-const refund_fee_perc = constants.refund_fee_perc;
+const dunning_retry_days = constants.dunning_retry_days;
+const max_pause_weeks = constants.max_pause_weeks;
+const event_type = constants.event_type;
+const email_type = constants.email_type;
+const error_code = constants.error_code;
+const hook_status_type = constants.hook_status_type;
+
+// A delivery processing a notification holds it this long before another delivery can take over
+const hook_lease = 5 * 60 * 1000;
 
 class IamportService {
     /**
@@ -29,83 +46,236 @@ class IamportService {
     }
 
     initialize() {
-        this._checkScheduleAt6AM();
+        // Hook results are keyed by `hook_key` so repeated notifications are only processed once (see _runHook())
+        mongoDB.getDB().collection('payment-transactions').createIndex({ hook_key: 1 }, { unique: true, sparse: true });
+        mongoDB.getDB().collection('mc-transactions').createIndex({ hook_key: 1 }, { unique: true, sparse: true });
+        mongoDB.getDB().collection('subscription-pauses').createIndex({ business_id: 1, start: -1 });
+        // Check payment schedules at 6 am everyday (local time)
+        scheduler.define('scheduled-payments', {
+            next: this._nextSixAM,
+            handler: this._checkScheduledPayments.bind(this),
+            coalesce: true,
+        });
+        // Retry failed scheduled payments following the dunning policy
+        scheduler.define('payment-retries', {
+            next: this._nextSixAM,
+            handler: this._retryFailedPayments.bind(this),
+            coalesce: true,
+        });
         logger.debug('Payment schedule checking initialized.');
     }
 
     /**
-     * Triggers checking payment schedules at 6 am everyday (local time).
+     * Returns the first 6 am (local time) after the given date.
+     * @param {Date} from
      */
-    _checkScheduleAt6AM() {
-        const utc_now = moment.tz(timezone.utc);
-        const local_next_morning = moment(utc_now).tz(timezone.kr).add(1, 'day').hour(6).minute(0).second(0).millisecond(0);
-        // Calculate time until next 6 am
-        const time_until = local_next_morning.diff(utc_now) % full_day;
-        // Check for scheduled payments at next 6 am
-        const callback = function () {
-            this._checkScheduledPayments();
-        };
-        setTimeout(callback.bind(this), time_until);
-        logger.debug(`Next pay-schedule checking scheduled at ${(time_until / 3600000).toFixed(2)} hours later.`);
+    _nextSixAM(from) {
+        const local_six_am = moment(from).tz(timezone.kr).hour(6).minute(0).second(0).millisecond(0);
+        if (!local_six_am.isAfter(from)) { local_six_am.add(1, 'day'); }
+        return local_six_am.toDate();
     }
 
     /**
      * Checks the payment schedules and process them.
-     * This runs daily at 6 am (local time).
+     * This runs daily at 6 am (local time) through the scheduler.
+     *
+     * Returns a promise resolving with the run outcome.
      */
     _checkScheduledPayments() {
         logger.debug(`Checking for payments scheduled on ${moment.tz(timezone.kr).format('LL')}.`);
         // Result arrays
-        const promises = [];
         const successes = [];
         const failures = [];
-        // Find all scheduled payments with SCHEDULED status for today and before
-        mongoDB.getDB().collection('payment-schedule').find(
+        let ended = 0;
+        let resumed = 0;
+        // End subscriptions cancelled at period end and resume ended pauses,
+        // then find all scheduled payments with SCHEDULED status for today and before
+        return this._endCancelledSubscriptions()
+            .then((count) => {
+                ended = count;
+                return this._resumeEndedPauses();
+            })
+            .then((count) => {
+                resumed = count;
+                return mongoDB.getDB().collection('payment-schedule').find({
+                    status: status_type.scheduled,
+                    cancel_at_period_end: { $ne: true },
+                    schedule: { $lte: moment.tz(timezone.kr).hour(0).minute(0).second(0).millisecond(0).toDate() },
+                }).toArray();
+            })
+            .then((documents) => {
+                const promises = documents.map((document) => {
+                    const schedule_params = {
+                        business_id: document.business_id,
+                        merchant_uid: document.merchant_uid,
+                        type: payment_type.scheduled,
+                        billing_plan: document.billing_plan,
+                        billing_weeks: document.billing_weeks,
+                        pay_date: new Date(),
+                        amount: document.amount,
+                        vat: document.vat,
+                    };
+                    // Make the payment
+                    return this.pay(schedule_params)
+                        .then((result) => {
+                            successes.push(`\n - ${result.data.merchant_uid}: ${result.data.amount} ${result.data.currency}`);
+                        })
+                        .catch((error) => {
+                            failures.push(`\n - ${error.params.merchant_uid}: ${error.params.amount}`);
+                        });
+                });
+                return Promise.all(promises);
+            })
+            .then((results) => {
+                logger.debug(`(${successes.length}/${results.length}) scheduled payment requests approved:${successes}`);
+                if (failures.length !== 0) {
+                    logger.error(`(${failures.length}/${results.length}) scheduled payment requests failed:${failures}`);
+                }
+                return {
+                    scheduled: results.length,
+                    succeeded: successes.length,
+                    failed: failures.length,
+                    ended: ended,
+                    resumed: resumed,
+                };
+            });
+    }
+
+    /**
+     * Resumes the PAUSED schedules whose pause has ended. Their billing date was already pushed back by pause().
+     *
+     * Returns a promise resolving with the number of schedules resumed.
+     */
+    _resumeEndedPauses() {
+        let resumed = 0;
+        const next = () => mongoDB.getDB().collection('payment-schedule').findOneAndUpdate(
+            {
+                status: status_type.paused,
+                'pause.end': { $lte: new Date() },
+            },
+            {
+                $set: {
+                    status: status_type.scheduled,
+                    time_resumed: new Date(),
+                },
+            }
+        )
+            .then((update_result) => {
+                const schedule = update_result.value;
+                if (!schedule) { return resumed; }
+                resumed += 1;
+                logger.debug(`Resumed the next schedule for business (#${schedule.business_id}), next payment on ${moment(schedule.schedule).tz(timezone.kr).format('LL')}`);
+                return next();
+            });
+        return next();
+    }
+
+    /**
+     * Cancels the due schedules marked `cancel_at_period_end`: the paid period is over and the service ends.
+     *
+     * Returns a promise resolving with the number of subscriptions ended.
+     */
+    _endCancelledSubscriptions() {
+        let ended = 0;
+        const next = () => mongoDB.getDB().collection('payment-schedule').findOneAndUpdate(
             {
                 status: status_type.scheduled,
-                schedule: { $lte: moment.tz(timezone.kr).hour(0).minute(0).second(0).millisecond(0).toDate() },
+                cancel_at_period_end: true,
+                schedule: { $lte: new Date() },
             },
-            (db_error, cursor) => {
-                cursor.forEach(
-                    // Iteration callback
-                    (document) => {
-                        const schedule_params = {
-                            business_id: document.business_id,
-                            merchant_uid: document.merchant_uid,
-                            type: payment_type.scheduled,
-                            billing_plan: document.billing_plan,
-                            pay_date: new Date(),
-                            amount: document.amount,
-                            vat: document.vat,
-                        };
-                        // Make the payment
-                        promises.push(this.pay(schedule_params)
-                            .then((result) => {
-                                successes.push(`\n - ${result.data.merchant_uid}: ${result.data.amount} ${result.data.currency}`);
-                            })
-                            .catch((error) => {
-                                failures.push(`\n - ${error.params.merchant_uid}: ${error.params.amount}`);
-                            }));
-                    },
-                    // End callback
-                    (end) => {
-                        Promise.all(promises)
-                            .then(() => {
-                                logger.debug(`(${successes.length}/${promises.length}) scheduled payment requests approved:${successes}`);
-                                if (failures.length !== 0) {
-                                    logger.error(`(${failures.length}/${promises.length}) scheduled payment requests failed:${failures}`);
-                                }
-                            })
-                            .catch((err) => {
-                                // This shouldn't happen
-                                logger.error(err);
-                            });
-                    }
-                );
+            {
+                $set: {
+                    status: status_type.unscheduled,
+                    time_ended: new Date(),
+                },
             }
-        );
-        // Schdule payment-schedule check at next 6AM
-        this._checkScheduleAt6AM();
+        )
+            .then((update_result) => {
+                const schedule = update_result.value;
+                if (!schedule) { return ended; }
+                ended += 1;
+                logger.debug(`Subscription for business (#${schedule.business_id}) ended at period end (${schedule.merchant_uid})`);
+                return eventsService.publish(event_type.subscription_cancelled, schedule.business_id, {
+                    merchant_uid: schedule.merchant_uid,
+                    billing_plan: schedule.billing_plan,
+                    service_end_date: schedule.schedule,
+                    reason: schedule.cancel_reason || null,
+                }, schedule.merchant_uid)
+                    .then(next);
+            });
+        return next();
+    }
+
+    /**
+     * Retries FAILED scheduled payments whose `next_retry` date has come (see `constants.dunning_retry_days`).
+     * This runs daily at 6 am (local time) through the scheduler.
+     *
+     * Returns a promise resolving with the run outcome.
+     */
+    _retryFailedPayments() {
+        logger.debug(`Checking for failed payments to retry on ${moment.tz(timezone.kr).format('LL')}.`);
+        let retried = 0;
+        let succeeded = 0;
+        return mongoDB.getDB().collection('payment-schedule').find({
+            status: status_type.failed,
+            next_retry: { $lte: new Date() },
+        }).toArray()
+            .then((documents) => {
+                retried = documents.length;
+                const promises = documents.map((document) => {
+                    const schedule_params = {
+                        business_id: document.business_id,
+                        merchant_uid: document.merchant_uid,
+                        type: payment_type.scheduled,
+                        billing_plan: document.billing_plan,
+                        billing_weeks: document.billing_weeks,
+                        pay_date: new Date(),
+                        amount: document.amount,
+                        vat: document.vat,
+                    };
+                    logger.debug(`[ATTEMPT ${(document.failures.length + 1)}] Retrying failed scheduled payment (${document.merchant_uid})`);
+                    return this.pay(schedule_params)
+                        .then(() => { succeeded += 1; })
+                        .catch(() => { });
+                });
+                return Promise.all(promises);
+            })
+            .then(() => {
+                logger.debug(`(${succeeded}/${retried}) failed payment retries approved`);
+                return {
+                    retried: retried,
+                    succeeded: succeeded,
+                    failed: retried - succeeded,
+                };
+            });
+    }
+
+    /**
+     * Returns the dunning state of a FAILED scheduled payment (`failures` sorted by latest first).
+     * @param {*} failed_schedule
+     */
+    _dunningState(failed_schedule) {
+        const failures = failed_schedule.failures || [];
+        const retries_done = Math.max(failures.length - 1, 0);
+        const retries_left = Math.max(dunning_retry_days.length - retries_done, 0);
+        if (retries_left === 0) {
+            return {
+                retries_left: 0,
+                next_retry: null,
+            };
+        }
+        // Retry days are counted from the first failure
+        const first_failed = failures[failures.length - 1].time_failed;
+        const next_retry = moment(first_failed).tz(timezone.kr)
+            .add(dunning_retry_days[retries_done], 'day')
+            .hour(0)
+            .minute(0)
+            .second(0)
+            .millisecond(0);
+        return {
+            retries_left: retries_left,
+            next_retry: next_retry.toDate(),
+        };
     }
 
     /**
@@ -118,7 +288,7 @@ class IamportService {
             { business_id: req.params.business_id },
             (db_error, cursor) => {
                 if (db_error) {
-                    logger.error(`${db_error}`);
+                    errors.sendError(res, db_error);
                     return;
                 }
                 const response = {
@@ -153,20 +323,36 @@ class IamportService {
                             res.send(response);
                             return null;
                         }
-                        // If last payment failed
-                        if (last_status === status_type.failed) {
+                        // If last payment failed or the subscription was suspended after failed retries
+                        if ([status_type.failed, status_type.suspended].includes(last_status)) {
+                            const dunning = this._dunningState(last_scheduled);
                             response.message = 'Subscription not active for the business.';
                             response.data.plan_status = last_status;
-                            response.data.fail_reason = last_scheduled.failures[last_scheduled.failures.length - 1].reason;
+                            // Failures are sorted by latest first
+                            response.data.fail_reason = last_scheduled.failures[0].reason;
+                            response.data.next_retry_date = dunning.next_retry;
+                            response.data.retries_left = dunning.retries_left;
                             response.data.plan = last_scheduled.billing_plan;
                             response.data.billing_date = last_scheduled.schedule;
                             response.data.billing_amount = last_scheduled.amount;
                             res.send(response);
                             return null;
                         }
-                        // If last payment already refunded
+                        // If last payment already refunded, or the subscription ended at period end
                         if (last_status === status_type.unscheduled) {
                             response.message = 'Subscription not active for the business.';
+                            if (last_scheduled.cancel_at_period_end) { response.data.service_end_date = last_scheduled.schedule; }
+                        }
+                        // If paused, include the pause window (billing date already pushed back)
+                        if (last_status === status_type.paused && last_scheduled.pause) {
+                            response.data.pause_start = last_scheduled.pause.start;
+                            response.data.pause_end = last_scheduled.pause.end;
+                        }
+                        // If cancelled at period end, the service ends when the next payment would have been made
+                        if (last_status === status_type.scheduled && last_scheduled.cancel_at_period_end) {
+                            response.message = `Subscription cancelled, service ends on ${moment(last_scheduled.schedule).tz(timezone.kr).format('LL')}.`;
+                            response.data.cancel_at_period_end = true;
+                            response.data.service_end_date = last_scheduled.schedule;
                         }
                         // Include next plan details
                         response.data.next_plan_status = last_status;
@@ -188,10 +374,7 @@ class IamportService {
                         res.send(response);
                     })
                     .catch((err) => {
-                        res.send({
-                            success: false,
-                            message: err.message,
-                        });
+                        errors.sendError(res, err, { business_id: req.params.business_id });
                     });
             }
         );
@@ -233,29 +416,24 @@ class IamportService {
             Promise.all(promises)
                 .then(() => {
                     res.send({
-                        sucecss: true,
+                        success: true,
                         message: `Successfully fetched ${promises.length} payment methods.`,
                         data: methods,
                     });
                 })
                 .catch((err) => {
                     // Should not happen
-                    const error = {
-                        message: 'Something went wrong during the end callback of cursor iteration',
-                        error: {
-                            code: err.code,
-                            message: err.message,
-                        },
-                    };
-                    logger.error(error);
-                    error.success = false;
-                    res.send();
+                    errors.sendError(res, err, { business_id: req.params.business_id });
                 });
         };
         // Find all payment methods under the business
         mongoDB.getDB().collection('payment-methods').find(
             { business_id: req.params.business_id },
             (db_error, cursor) => {
+                if (db_error) {
+                    errors.sendError(res, db_error);
+                    return;
+                }
                 cursor.forEach(
                     // Iteration callback
                     iteration_callback.bind(this),
@@ -275,15 +453,21 @@ class IamportService {
         const business_id = req.params.business_id;
         let customer_uid;
         let is_default;
+        let email;
         this._rsaDecryptArray(req.body.payload)
-            .then((payload) => {
-                const body = JSON.parse(payload);
+            .then(payload => JSON.parse(payload))
+            .catch(() => { throw errors.badRequest('\'payload\' could not be decrypted.'); })
+            .then((body) => {
                 const card_number = body.card_number;
+                if (typeof card_number !== 'string' || card_number.split('-').length !== 4) {
+                    throw errors.badRequest('\'card_number\' must be formatted as XXXX-XXXX-XXXX-XXXX.');
+                }
                 const last_4_digits = card_number.split('-')[3];
                 customer_uid = `${business_id}_${last_4_digits}`;
                 is_default = body.is_default;
+                email = body.email;
                 // Check for I'mport vulnerability
-                if (last_4_digits.length !== 4) { throw new Error(`The last 4 digits are not 4 digits long (${last_4_digits}).`); }
+                if (last_4_digits.length !== 4) { throw errors.badRequest(`The last 4 digits are not 4 digits long (${last_4_digits}).`); }
                 // Request I'mport service
                 return this.iamport.subscribe_customer.create({
                     // Required
@@ -319,6 +503,7 @@ class IamportService {
             .then((write_result) => {
                 const msg = `Payment method (${customer_uid}) has been saved to DB.`;
                 logger.debug(msg);
+                mailerService.saveDefaultContact(business_id, email);
                 res.send({
                     success: true,
                     message: msg,
@@ -329,21 +514,11 @@ class IamportService {
                 });
             })
             .catch((err) => {
-                const error = {
-                    success: false,
-                    message: 'Something went wrong while registering payment method.',
-                    params: {
-                        business_id: business_id,
-                        customer_uid: customer_uid,
-                        is_default: req.body.is_default,
-                    },
-                    error: {
-                        code: err.code,
-                        message: err.message,
-                    },
-                };
-                logger.error(error);
-                res.send(error);
+                errors.sendError(res, err, {
+                    business_id: business_id,
+                    customer_uid: customer_uid,
+                    is_default: req.body.is_default,
+                });
             });
     }
 
@@ -356,12 +531,9 @@ class IamportService {
         const business_id = req.params.business_id;
         const customer_uid = req.body.customer_uid;
         // Validate business_id & customer_uid consistency
-        const regex = new RegExp(`${business_id}_\\d+$`, 'g');
-        if (!customer_uid.match(regex)) {
-            res.send({
-                success: false,
-                message: `Invalid payment method (#${customer_uid}) for business (#${business_id})`,
-            });
+        const prefix = `${business_id}_`;
+        if (!customer_uid || customer_uid.indexOf(prefix) !== 0 || !/^\d+$/.test(customer_uid.substring(prefix.length))) {
+            errors.sendError(res, errors.badRequest(`Invalid payment method (#${customer_uid}) for business (#${business_id})`));
             return;
         }
         const params = { customer_uid: customer_uid };
@@ -381,17 +553,7 @@ class IamportService {
                 });
             })
             .catch((iamport_error) => {
-                const error = {
-                    message: 'Something went wrong with I\'mport while removing the payment method.',
-                    params: params,
-                    error: {
-                        code: iamport_error.code,
-                        message: iamport_error.message,
-                    },
-                };
-                logger.error(error);
-                error.success = false;
-                res.send(error);
+                errors.sendError(res, iamport_error, params);
             });
     }
 
@@ -412,30 +574,32 @@ class IamportService {
             { $set: { default_method: false } },
             // Set the provided method as the new default
             (unset_db_error, unset_write_result) => {
+                if (unset_db_error) {
+                    errors.sendError(res, unset_db_error);
+                    return;
+                }
                 mongoDB.getDB().collection('payment-methods').updateOne(
-                    { customer_uid: customer_uid },
+                    {
+                        business_id: business_id,
+                        customer_uid: customer_uid,
+                    },
                     { $set: { default_method: true } },
                     (set_db_error, set_write_result) => {
+                        if (set_db_error) {
+                            errors.sendError(res, set_db_error);
+                            return;
+                        }
                         // If no payment method found, return error
                         if (set_write_result.matchedCount === 0) {
-                            const msg = `No payment method was found for the given 'customer_uid' (${customer_uid}).`;
-                            logger.error(msg);
-                            res.send({
-                                success: false,
-                                message: msg,
-                                error: {
-                                    code: 'castr_payment_error',
-                                    message: msg,
-                                },
-                            });
+                            errors.sendError(res, errors.notFound(`No payment method was found for the given 'customer_uid' (${customer_uid}).`));
                             return;
                         }
                         logger.debug(`Business (${business_id}): default pay_method changed to ${customer_uid}`);
-                        // See if there is any failed scheduled payments
+                        // See if there is any failed scheduled payments (a new method also reactivates suspended subscriptions)
                         mongoDB.getDB().collection('payment-schedule').findOne(
                             {
                                 business_id: business_id,
-                                status: status_type.failed,
+                                status: { $in: [status_type.failed, status_type.suspended] },
                             },
                             (db_error, failed_payment) => {
                                 if (!failed_payment) { return; }
@@ -445,6 +609,7 @@ class IamportService {
                                     merchant_uid: failed_payment.merchant_uid,
                                     type: payment_type.scheduled,
                                     billing_plan: failed_payment.billing_plan,
+                                    billing_weeks: failed_payment.billing_weeks,
                                     pay_date: moment().toDate(),
                                     amount: failed_payment.amount,
                                     vat: failed_payment.vat,
@@ -473,139 +638,319 @@ class IamportService {
      * @param {*} res 
      */
     subscribe(req, res) {
-        // Validate billing plan
         const billing_plan = req.body.billing_plan;
-        if (!billing_plan_type.hasOwnProperty(req.body.billing_plan)) {
-            const msg = `'billing_plan' not supported, must provide either: ${Object.keys(billing_plan_type)}.`;
-            logger.error(msg);
-            res.send({
-                success: false,
-                message: msg,
-                error: {
-                    code: 'castr_payment_error',
-                    message: msg,
-                },
+        // Price the subscription from the 'billing-plans' catalog, never from the request
+        planService.findPlan(billing_plan)
+            .then((plan) => {
+                if (!plan) { throw errors.unprocessable(`'billing_plan' (${billing_plan}) is not offered.`); }
+                this._subscribe(req, res, plan);
+            })
+            .catch((err) => {
+                errors.sendError(res, err, { business_id: req.params.business_id });
             });
-            return;
-        }
+    }
+
+    _subscribe(req, res, plan) {
         const business_id = req.params.business_id;
-        mongoDB.getDB().collection('payment-schedule').find(
-            { business_id: business_id },
-            (db_error, cursor) => {
-                let merchant_uid;
-                cursor.sort({ time_scheduled: -1 }).limit(1).next()
-                    // Fetch latest schedule
-                    .then((last_scheduled) => {
-                        if (last_scheduled.status === status_type.scheduled) {
-                            const msg = `Business (#${business_id}) already subscribed`;
-                            res.send({
-                                success: false,
-                                message: msg,
-                                error: {
-                                    code: 'castr_payment_error',
-                                    message: msg,
-                                },
-                            });
-                            return null;
-                        }
-                        let charge_num = 0;
-                        if (req.body.charge_num) {
-                            charge_num = req.body.charge_num;
-                        } else if (last_scheduled) {
-                            charge_num = parseInt(last_scheduled.merchant_uid.match(/\d+$/)[0]) + 1;
-                        }
-                        merchant_uid = `${business_id}_ch${charge_num}`;
-                        const subscription_params = {
-                            business_id: business_id,
-                            merchant_uid: merchant_uid,
-                            type: payment_type.initial,
-                            billing_plan: billing_plan,
-                            pay_date: moment().toDate(),
-                            amount: req.body.amount,
-                            vat: req.body.vat,
-                        };
-                        // Process initial payment
-                        return this.pay(subscription_params);
-                    })
-                    .then((result) => {
-                        if (result) {
-                            const msg = `Initial payment sccuessful (${merchant_uid})`;
-                            logger.debug(`Enabling Castr service for business (${business_id})`);
-                            res.send({
-                                success: true,
-                                message: msg,
-                                data: result.data,
-                            });
-                        }
-                    })
-                    .catch((error) => {
-                        logger.error(error.message);
-                        res.send({
-                            success: false,
-                            message: `Initial payment failed (${merchant_uid})`,
-                            error: {
-                                code: error.code || 'castr_payment_error',
-                                message: error.message,
-                            },
-                        });
-                    });
-            }
-        );
+        const price = planService.price(plan);
+        let merchant_uid;
+        // Fetch latest schedule
+        mongoDB.getDB().collection('payment-schedule').find({ business_id: business_id })
+            .sort({ time_scheduled: -1 })
+            .limit(1)
+            .next()
+            .then((last_scheduled) => {
+                if (last_scheduled && last_scheduled.status === status_type.scheduled) {
+                    throw errors.conflict(`Business (#${business_id}) already subscribed`);
+                }
+                let charge_num = 0;
+                if (req.body.charge_num) {
+                    charge_num = parseInt(req.body.charge_num);
+                } else if (last_scheduled) {
+                    charge_num = parseInt(last_scheduled.merchant_uid.match(/\d+$/)[0]) + 1;
+                }
+                merchant_uid = `${business_id}_ch${charge_num}`;
+                const subscription_params = {
+                    business_id: business_id,
+                    merchant_uid: merchant_uid,
+                    type: payment_type.initial,
+                    billing_plan: plan.plan_id,
+                    billing_weeks: plan.weeks,
+                    pay_date: moment().toDate(),
+                    amount: price.amount,
+                    vat: price.vat,
+                };
+                // Process initial payment
+                return this.pay(subscription_params);
+            })
+            .then((result) => {
+                // Castr service is enabled by the 'subscription.activated' event from paymentHook()
+                const msg = `Initial payment successful (${merchant_uid})`;
+                res.send({
+                    success: true,
+                    message: msg,
+                    data: result.data,
+                });
+            })
+            .catch((error) => {
+                errors.sendError(res, error, { business_id: business_id, merchant_uid: merchant_uid });
+            });
     }
 
+    /**
+     * Changes the billing plan, priced from the catalog.
+     *
+     * `mode: 'next_renewal'` (default) applies the new plan from the next scheduled payment.
+     * `mode: 'immediate'` starts the new plan today: the unserved value of the current period is credited,
+     * and the difference is charged (upgrade) or partially refunded on the last payment (downgrade).
+     * `dry_run: true` returns the before/after quote without changing anything.
+     * @param {*} req
+     * @param {*} res
+     */
     changeSubscription(req, res) {
         const business_id = req.params.business_id;
         const new_billing_plan = req.body.billing_plan;
-        const new_amount = req.body.amount;
-        let old_billing_plan;
-        let old_amount;
-        let schedule;
-        mongoDB.getDB().collection('payment-schedule').findOne({
-            business_id: req.params.business_id,
-            status: { $in: [status_type.scheduled, status_type.failed, status_type.paused] },
+        const mode = req.body.mode || 'next_renewal';
+        const dry_run = req.body.dry_run === true || req.body.dry_run === 'true';
+        let change;
+        planService.findPlan(new_billing_plan)
+            .then((plan) => {
+                if (!plan) { throw errors.unprocessable(`'billing_plan' (${new_billing_plan}) is not offered.`); }
+                if (mode === 'immediate') { return this._changeImmediately(business_id, plan, dry_run); }
+                if (mode !== 'next_renewal') { throw errors.badRequest('\'mode\' must be either: immediate,next_renewal.'); }
+                return this._changeAtRenewal(business_id, plan, dry_run);
+            })
+            .then((result) => {
+                change = result;
+                const before = change.before;
+                const after = change.after;
+                const action = (dry_run) ? 'Quoted subscription change' : 'Subscription change';
+                const msg = `Business (${business_id}): ${action} (${mode}) ${before.billing_plan}(${before.next_billing_amount}) => ${after.billing_plan}(${after.next_billing_amount})`;
+                logger.debug(msg);
+                res.send({
+                    success: true,
+                    message: msg,
+                    data: {
+                        business_id: business_id,
+                        mode: mode,
+                        dry_run: dry_run,
+                        schedule: before.next_billing_date,
+                        old_billing_plan: before.billing_plan,
+                        new_billing_plan: after.billing_plan,
+                        before: before,
+                        after: after,
+                        proration: change.proration,
+                    },
+                });
+            })
+            .catch((error) => {
+                errors.sendError(res, error, { business_id: business_id });
+            });
+    }
+
+    /**
+     * Applies the plan to the next scheduled payment.
+     *
+     * Returns a promise resolving with the before/after summary.
+     * @param {string} business_id
+     * @param {*} plan
+     * @param {boolean} dry_run
+     */
+    _changeAtRenewal(business_id, plan, dry_run) {
+        const price = planService.price(plan);
+        return mongoDB.getDB().collection('payment-schedule').findOne({
+            business_id: business_id,
+            status: { $in: [status_type.scheduled, status_type.failed, status_type.suspended, status_type.paused] },
         })
             .then((scheduled_payment) => {
                 if (!scheduled_payment) {
-                    throw Error(`Business (${business_id}) is either invalid, not yet subscribed, or is missing next payment schedule`);
+                    throw errors.unprocessable(`Business (${business_id}) is either invalid, not yet subscribed, or is missing next payment schedule`);
                 }
-                old_billing_plan = scheduled_payment.billing_plan;
-                old_amount = scheduled_payment.amount;
-                schedule = scheduled_payment.schedule;
+                const change = {
+                    before: {
+                        billing_plan: scheduled_payment.billing_plan,
+                        next_billing_date: scheduled_payment.schedule,
+                        next_billing_amount: scheduled_payment.amount,
+                    },
+                    after: {
+                        billing_plan: plan.plan_id,
+                        next_billing_date: scheduled_payment.schedule,
+                        next_billing_amount: price.amount,
+                    },
+                    proration: null,
+                };
+                if (dry_run) { return change; }
                 return mongoDB.getDB().collection('payment-schedule').updateOne(
                     { merchant_uid: scheduled_payment.merchant_uid },
                     {
                         $set: {
-                            billing_plan: new_billing_plan,
-                            amount: new_amount,
+                            billing_plan: plan.plan_id,
+                            billing_weeks: plan.weeks,
+                            amount: price.amount,
+                            vat: price.vat,
                             time_scheduled: new Date(),
                         },
                     }
-                );
-            })
-            .then((update_result) => {
-                const msg = `Business (${business_id}): Subscription change ${old_billing_plan}(${old_amount}) => ${new_billing_plan}(${new_amount})`;
-                logger.debug(msg);
-                res.send({
-                    success: true,
-                    message: msg,
-                    data: {
-                        business_id: business_id,
-                        schedule: schedule,
-                        old_billing_plan: old_billing_plan,
-                        new_billing_plan: new_billing_plan,
+                )
+                    .then(() => change);
+            });
+    }
+
+    /**
+     * Starts the plan today, crediting the unserved value of the current period.
+     * The upcoming schedule becomes the new plan's first period (PAID), and the next one is scheduled at full price.
+     *
+     * Returns a promise resolving with the before/after summary and the proration.
+     * @param {string} business_id
+     * @param {*} plan
+     * @param {boolean} dry_run
+     */
+    _changeImmediately(business_id, plan, dry_run) {
+        const price = planService.price(plan);
+        const now = moment();
+        let upcoming;
+        let last_paid;
+        let change;
+        return mongoDB.getDB().collection('payment-schedule').find({ business_id: business_id })
+            .sort({ time_scheduled: -1 })
+            .limit(2)
+            .toArray()
+            .then((schedules) => {
+                upcoming = schedules[0];
+                last_paid = schedules[1];
+                if (!upcoming || upcoming.status !== status_type.scheduled || !last_paid || last_paid.status !== status_type.paid) {
+                    throw errors.unprocessable(`Business (${business_id}) has no active subscription period to change immediately.`);
+                }
+                if (upcoming.cancel_at_period_end) { throw errors.unprocessable(`Business (${business_id}) cancelled at period end, undo the cancellation to change plans.`); }
+                // Unserved value of the current period is credited in full (no cancellation fee)
+                const credit = parseInt(this._prorate(last_paid).value_unserved.toFixed(0));
+                const net = price.amount - credit;
+                const next_billing_date = now.clone().tz(timezone.kr).add(plan.weeks, 'week')
+                    .hour(0)
+                    .minute(0)
+                    .second(0)
+                    .millisecond(0);
+                change = {
+                    before: {
+                        billing_plan: last_paid.billing_plan,
+                        amount: last_paid.amount,
+                        billing_date: last_paid.schedule,
+                        next_billing_date: upcoming.schedule,
+                        next_billing_amount: upcoming.amount,
                     },
-                });
-            })
-            .catch((error) => {
-                logger.error(error.message);
-                res.send({
-                    success: false,
-                    message: error.message,
-                    error: error,
+                    after: {
+                        billing_plan: plan.plan_id,
+                        amount: price.amount,
+                        billing_date: now.toDate(),
+                        next_billing_date: next_billing_date.toDate(),
+                        next_billing_amount: price.amount,
+                    },
+                    proration: {
+                        credit: credit,
+                        charge: Math.max(net, 0),
+                        refund: Math.max(-net, 0),
+                    },
+                };
+                if (dry_run) { return change; }
+                // Upgrade: charge the difference on the upcoming schedule, paymentHook() starts the new period
+                if (net > 0) {
+                    return this.pay({
+                        business_id: business_id,
+                        merchant_uid: upcoming.merchant_uid,
+                        type: payment_type.plan_change,
+                        billing_plan: plan.plan_id,
+                        billing_weeks: plan.weeks,
+                        pay_date: now.toDate(),
+                        amount: net,
+                        vat: Math.round(price.vat * (net / price.amount)),
+                        renewal_amount: price.amount,
+                        renewal_vat: price.vat,
+                    })
+                        .then(() => change);
+                }
+                // Downgrade: the credit pays for the new period, and the rest is refunded on the last payment
+                return this._startCreditedPeriod(upcoming, last_paid, plan, now, next_billing_date)
+                    .then(() => {
+                        if (net === 0) { return null; }
+                        return this.iamport.payment.cancel({
+                            merchant_uid: last_paid.paid_merchant_uid || last_paid.merchant_uid,
+                            amount: -net,
+                            reason: `Plan change ${last_paid.billing_plan} => ${plan.plan_id}`,
+                        })
+                            .then((iamport_result) => {
+                                this._hookInBackground(this.paymentHook, iamport_result);
+                            });
+                    })
+                    .then(() => change);
+            });
+    }
+
+    /**
+     * Marks the upcoming schedule as the new plan's period paid by credit from the last payment,
+     * and schedules the next payment at full price.
+     *
+     * Returns a promise.
+     * @param {*} upcoming SCHEDULED schedule
+     * @param {*} last_paid PAID schedule
+     * @param {*} plan
+     * @param {*} now Start of the new period
+     * @param {*} next_billing_date
+     */
+    _startCreditedPeriod(upcoming, last_paid, plan, now, next_billing_date) {
+        const price = planService.price(plan);
+        const next_charge_num = parseInt(upcoming.merchant_uid.match(/\d+$/)[0]) + 1;
+        return mongoDB.getDB().collection('payment-schedule').updateOne(
+            { merchant_uid: upcoming.merchant_uid, status: status_type.scheduled },
+            {
+                $set: {
+                    schedule: now.toDate(),
+                    status: status_type.paid,
+                    billing_plan: plan.plan_id,
+                    billing_weeks: plan.weeks,
+                    amount: price.amount,
+                    vat: price.vat,
+                    // The period was paid by the last payment, so refunds are made against it
+                    paid_merchant_uid: last_paid.paid_merchant_uid || last_paid.merchant_uid,
+                    time_processed: new Date(),
+                },
+            }
+        )
+            .then((write_result) => {
+                if (write_result.modifiedCount === 0) { throw errors.conflict(`Payment schedule (#${upcoming.merchant_uid}) is no longer scheduled.`); }
+                return mongoDB.getDB().collection('payment-schedule').insertOne({
+                    schedule: next_billing_date.toDate(),
+                    merchant_uid: `${upcoming.business_id}_ch${next_charge_num}`,
+                    business_id: upcoming.business_id,
+                    billing_plan: plan.plan_id,
+                    billing_weeks: plan.weeks,
+                    amount: price.amount,
+                    vat: price.vat,
+                    status: status_type.scheduled,
+                    time_scheduled: new Date(),
                 });
             });
     }
 
+    /**
+     * Calculates how much of a paid period has been served, counting today as served.
+     * @param {*} last_paid PAID schedule
+     */
+    _prorate(last_paid) {
+        const plan_value = last_paid.amount;
+        const tmr = moment.tz(timezone.kr).add(1, 'day').hour(0).minute(0).second(0).millisecond(0);
+        const date_last_paid = moment(last_paid.schedule).tz(timezone.kr).hour(0).minute(0).second(0).millisecond(0);
+        const plan_time = planService.planWeeks(last_paid) * 7 * full_day;
+        const time_served = Math.min(tmr.diff(date_last_paid), plan_time);
+        const perc_served = time_served / plan_time;
+        return {
+            plan_value: plan_value,
+            time_served: time_served,
+            perc_served: perc_served,
+            value_unserved: (1 - perc_served) * plan_value,
+            in24hr: time_served <= full_day,
+        };
+    }
+
     /**
      * Processes a one-time payment using the default payment method set for the business (payment_params.business_id).
      * 
@@ -626,7 +971,7 @@ class IamportService {
                         const error = {
                             params: payment_params,
                             error: {
-                                code: 'castr_payment_error',
+                                code: error_code.payment,
                                 message: `Could not find a default payment method for the business (${payment_params.business_id}).`,
                             },
                         };
@@ -647,6 +992,9 @@ class IamportService {
                             name: name,
                             type: payment_params.type,
                             billing_plan: payment_params.billing_plan,
+                            billing_weeks: payment_params.billing_weeks,
+                            renewal_amount: payment_params.renewal_amount,
+                            renewal_vat: payment_params.renewal_vat,
                             pay_date: payment_params.pay_date,
                             amount: payment_params.amount,
                             vat: payment_params.vat,
@@ -655,7 +1003,7 @@ class IamportService {
                     // Request I'mport for payment
                     this.iamport.subscribe.again(params)
                         .then((iamport_result) => {
-                            setTimeout(this.paymentHook, 0, iamport_result);
+                            this._hookInBackground(this.paymentHook, iamport_result);
                             if (status_type[iamport_result.status] === status_type.failed) {
                                 const error = {
                                     params: JSON.parse(params.custom_data),
@@ -686,63 +1034,241 @@ class IamportService {
     }
 
     /**
-     * Sets the next occuring schedule's status to PAUSED 
-     * @param {*} req 
-     * @param {*} res 
+     * Stops auto-renewal: the next schedule is marked `cancel_at_period_end` and the service ends on its date.
+     * Nothing is refunded.
+     * @param {*} req
+     * @param {*} res
      */
-    pause(req, res) {
+    cancelAtPeriodEnd(req, res) {
+        const business_id = req.params.business_id;
         mongoDB.getDB().collection('payment-schedule').findOneAndUpdate(
             {
-                business_id: req.params.business_id,
+                business_id: business_id,
                 status: status_type.scheduled,
             },
-            { $set: { status: status_type.paused } },
-            { sort: { time_scheduled: -1 } }
+            {
+                $set: {
+                    cancel_at_period_end: true,
+                    cancel_reason: req.body.reason || null,
+                    time_cancel_requested: new Date(),
+                },
+            },
+            {
+                sort: { time_scheduled: -1 },
+                returnOriginal: false,
+            }
         )
-            .then(() => {
-                const msg = `Paused the next schedule for business (#${req.params.business_id})`;
+            .then((update_result) => {
+                const schedule = update_result.value;
+                if (!schedule) { throw errors.unprocessable(`Business (#${business_id}) has no upcoming payment to cancel.`); }
+                const msg = `Subscription for business (#${business_id}) cancelled at period end (${moment(schedule.schedule).tz(timezone.kr).format('LL')})`;
                 logger.debug(msg);
                 res.send({
                     success: true,
                     message: msg,
+                    data: {
+                        merchant_uid: schedule.merchant_uid,
+                        billing_plan: schedule.billing_plan,
+                        service_end_date: schedule.schedule,
+                    },
                 });
             })
-            .catch((db_error) => {
-                logger.error(db_error.message);
-                res.send({
-                    success: false,
-                    message: db_error.message,
-                });
+            .catch((err) => {
+                errors.sendError(res, err, { business_id: business_id });
             });
     }
 
     /**
-     * 
-     * @param {*} req 
-     * @param {*} res 
+     * Undoes a cancellation at period end, as long as the period has not ended.
+     * @param {*} req
+     * @param {*} res
      */
-    resume(req, res) {
+    undoCancellation(req, res) {
         const business_id = req.params.business_id;
-        mongoDB.getDB().collection('payment-schedule').findOne({
-            business_id: business_id,
-            status: status_type.paused,
-        })
-            .then((paused_schedule) => {
-                const update = { status: status_type.scheduled };
-                const schedule_id = paused_schedule.merchant_uid;
-                const schedule_date = moment(paused_schedule.schedule);
-                const now = moment();
-                if (schedule_date.diff(now) < 0) {
+        mongoDB.getDB().collection('payment-schedule').findOneAndUpdate(
+            {
+                business_id: business_id,
+                status: status_type.scheduled,
+                cancel_at_period_end: true,
+                schedule: { $gt: new Date() },
+            },
+            {
+                $unset: {
+                    cancel_at_period_end: '',
+                    cancel_reason: '',
+                    time_cancel_requested: '',
+                },
+            },
+            { returnOriginal: false }
+        )
+            .then((update_result) => {
+                const schedule = update_result.value;
+                if (!schedule) { throw errors.unprocessable(`Business (#${business_id}) has no cancellation to undo, or the period has already ended.`); }
+                const msg = `Cancellation undone for business (#${business_id}), next payment on ${moment(schedule.schedule).tz(timezone.kr).format('LL')}`;
+                logger.debug(msg);
+                res.send({
+                    success: true,
+                    message: msg,
+                    data: {
+                        merchant_uid: schedule.merchant_uid,
+                        billing_plan: schedule.billing_plan,
+                        next_billing_date: schedule.schedule,
+                        next_billing_amount: schedule.amount,
+                    },
+                });
+            })
+            .catch((err) => {
+                errors.sendError(res, err, { business_id: business_id });
+            });
+    }
+
+    /**
+     * Pauses the subscription from today until `resume_date`, or for `weeks`.
+     * The next schedule is PAUSED and its billing date pushed back by the paused time,
+     * and it is resumed automatically when the pause ends (see _resumeEndedPauses()).
+     * A business can pause up to `constants.max_pause_weeks` weeks within a year.
+     * @param {*} req
+     * @param {*} res
+     */
+    pause(req, res) {
+        const business_id = req.params.business_id;
+        const today = moment.tz(timezone.kr).hour(0).minute(0).second(0).millisecond(0);
+        let resume_date = null;
+        if (req.body.resume_date) {
+            resume_date = moment.tz(req.body.resume_date, timezone.kr).hour(0).minute(0).second(0).millisecond(0);
+        } else if (parseInt(req.body.weeks) > 0) {
+            resume_date = today.clone().add(parseInt(req.body.weeks), 'week');
+        }
+        let pause;
+        let next_billing_date;
+        Promise.resolve()
+            .then(() => {
+                if (!resume_date || !resume_date.isValid() || !resume_date.isAfter(today)) {
+                    throw errors.badRequest('Either a future \'resume_date\' or a positive number of \'weeks\' is required.');
+                }
+                pause = {
+                    start: today.toDate(),
+                    end: resume_date.toDate(),
+                    days: resume_date.diff(today, 'days'),
+                };
+                // Sum the pauses started within the last year
+                return mongoDB.getDB().collection('subscription-pauses').find({
+                    business_id: business_id,
+                    start: { $gt: today.clone().subtract(1, 'year').toDate() },
+                }).toArray();
+            })
+            .then((pauses) => {
+                const days_used = pauses.reduce((sum, previous) => sum + previous.days, 0);
+                const days_left = (max_pause_weeks * 7) - days_used;
+                if (pause.days > days_left) {
+                    throw errors.unprocessable(`Pause of ${pause.days} days exceeds the ${days_left} days left this year (${max_pause_weeks} weeks per year).`);
+                }
+                return mongoDB.getDB().collection('payment-schedule').find({
+                    business_id: business_id,
+                    status: status_type.scheduled,
+                    cancel_at_period_end: { $ne: true },
+                })
+                    .sort({ time_scheduled: -1 })
+                    .limit(1)
+                    .next();
+            })
+            .then((schedule) => {
+                if (!schedule) { throw errors.unprocessable(`Business (#${business_id}) has no upcoming payment to pause.`); }
+                pause.merchant_uid = schedule.merchant_uid;
+                pause.schedule_before = schedule.schedule;
+                next_billing_date = moment(schedule.schedule).add(pause.days, 'day').toDate();
+                return mongoDB.getDB().collection('payment-schedule').updateOne(
+                    {
+                        merchant_uid: schedule.merchant_uid,
+                        status: status_type.scheduled,
+                    },
+                    {
+                        $set: {
+                            status: status_type.paused,
+                            schedule: next_billing_date,
+                            pause: {
+                                start: pause.start,
+                                end: pause.end,
+                                schedule_before: pause.schedule_before,
+                            },
+                        },
+                    }
+                );
+            })
+            .then((write_result) => {
+                if (write_result.modifiedCount === 0) { throw errors.conflict(`Payment schedule (#${pause.merchant_uid}) is no longer scheduled.`); }
+                return mongoDB.getDB().collection('subscription-pauses').insertOne({
+                    business_id: business_id,
+                    merchant_uid: pause.merchant_uid,
+                    start: pause.start,
+                    end: pause.end,
+                    days: pause.days,
+                    time_created: new Date(),
+                });
+            })
+            .then(() => {
+                const msg = `Paused the next schedule for business (#${business_id}) until ${resume_date.format('LL')}`;
+                logger.debug(msg);
+                res.send({
+                    success: true,
+                    message: msg,
+                    data: {
+                        pause_start: pause.start,
+                        pause_end: pause.end,
+                        next_billing_date: next_billing_date,
+                    },
+                });
+            })
+            .catch((err) => {
+                errors.sendError(res, err, { business_id: business_id });
+            });
+    }
+
+    /**
+     * Resumes a PAUSED schedule before the pause ends. The billing date is only pushed back by the time actually paused.
+     * If that date has already passed, the payment is made right away.
+     * @param {*} req
+     * @param {*} res
+     */
+    resume(req, res) {
+        const business_id = req.params.business_id;
+        mongoDB.getDB().collection('payment-schedule').findOne({
+            business_id: business_id,
+            status: status_type.paused,
+        })
+            .then((paused_schedule) => {
+                if (!paused_schedule) { throw errors.unprocessable(`Business (#${business_id}) has no paused schedule.`); }
+                const update = {
+                    status: status_type.scheduled,
+                    time_resumed: new Date(),
+                };
+                const schedule_id = paused_schedule.merchant_uid;
+                const pause = paused_schedule.pause;
+                let pause_update = Promise.resolve();
+                if (pause) {
+                    // Only count the days actually paused
+                    const today = moment.tz(timezone.kr).hour(0).minute(0).second(0).millisecond(0);
+                    const days_paused = Math.max(Math.min(today.diff(moment(pause.start), 'days'), moment(pause.end).diff(moment(pause.start), 'days')), 0);
+                    update.schedule = moment(pause.schedule_before).add(days_paused, 'day').toDate();
+                    update['pause.end'] = today.toDate();
+                    pause_update = mongoDB.getDB().collection('subscription-pauses').updateOne(
+                        { merchant_uid: schedule_id, start: pause.start },
+                        { $set: { end: today.toDate(), days: days_paused } }
+                    );
+                }
+                const schedule_date = moment(update.schedule || paused_schedule.schedule);
+                const now = moment();
+                if (schedule_date.diff(now) < 0) {
                     // Handle expired schedule
                     update.schedule = new Date();
                     update.time_scheduled = new Date();
                     logger.debug(`Next schedule (#${schedule_id}) was EXPIRED (${schedule_date.format('LL')})`);
-                    return mongoDB.getDB().collection('payment-schedule').findOneAndUpdate(
+                    return pause_update.then(() => mongoDB.getDB().collection('payment-schedule').findOneAndUpdate(
                         { merchant_uid: schedule_id },
                         { $set: update }
-                    );
+                    ));
                 }
-                return mongoDB.getDB().collection('payment-schedule').updateOne({ merchant_uid: schedule_id }, { $set: update });
+                return pause_update.then(() => mongoDB.getDB().collection('payment-schedule').updateOne({ merchant_uid: schedule_id }, { $set: update }));
             })
             .then((promise_result) => {
                 if (!promise_result.value) { return null; }
@@ -753,6 +1279,7 @@ class IamportService {
                     merchant_uid: document.merchant_uid,
                     type: payment_type.scheduled,
                     billing_plan: document.billing_plan,
+                    billing_weeks: document.billing_weeks,
                     pay_date: new Date(),
                     amount: document.amount,
                     vat: document.vat,
@@ -761,7 +1288,7 @@ class IamportService {
             })
             .then((result) => {
                 const msg = `Resumed the next schedule for business (#${business_id})`;
-                if (result) { logger.debug(`Resubscribing payment sccuessful (${result.data.merchant_uid})`); }
+                if (result) { logger.debug(`Resubscribing payment successful (${result.data.merchant_uid})`); }
                 logger.debug(msg);
                 res.send({
                     success: true,
@@ -769,204 +1296,365 @@ class IamportService {
                 });
             })
             .catch((err) => {
-                logger.error(err.message);
+                errors.sendError(res, err, { business_id: business_id });
+            });
+    }
+
+    /**
+     * Calculates the prorated refund for the business' current billing period, without refunding.
+     *
+     * Returns a promise resolving with the schedule to cancel, the payment to refund and the breakdown.
+     * @param {string} business_id
+     */
+    _refundQuote(business_id) {
+        let last_scheduled;
+        let last_paid;
+        return mongoDB.getDB().collection('payment-schedule').find({ business_id: business_id })
+            .sort({ time_scheduled: -1 })
+            .limit(2)
+            .toArray()
+            .then((schedules) => {
+                last_scheduled = schedules[0];
+                last_paid = schedules[1];
+                // If never subscribed, abort
+                if (!last_scheduled) { throw errors.notFound('No subcription data found for the business.'); }
+                // If last payment failed or already refunded, abort
+                if ([status_type.failed, status_type.suspended, status_type.unscheduled].includes(last_scheduled.status)) {
+                    throw errors.unprocessable('Nothing to refund for the business.');
+                }
+                // This shouldn't happen, abort
+                if (!last_paid) { throw Error('Found a schedule but missing any payment.'); }
+                if (last_paid.status !== status_type.paid) { throw Error('[POSSIBLE DUPLICATE SCHEDULE] Second to last schedule obj was not processed.'); }
+                // Periods started by a downgrade were paid by an earlier payment
+                return mongoDB.getDB().collection('payment-transactions').findOne({
+                    merchant_uid: last_paid.paid_merchant_uid || last_paid.merchant_uid,
+                    status: status_type.paid,
+                });
+            })
+            .then((transaction) => {
+                if (!transaction) { throw Error('Found a schedule but missing any payment.'); }
+                // The refund fee is the one in effect when the payment was made
+                return feeService.scheduleAt(business_id, transaction.time_created)
+                    .then(schedule => ({ transaction: transaction, schedule: schedule }));
+            })
+            .then((result) => {
+                const transaction = result.transaction;
+                // Calculate how much time has passed since the last payment, and the prorated refund amount
+                const prorated = this._prorate(last_paid);
+                const plan_value = prorated.plan_value;
+                const time_served = prorated.time_served;
+                const perc_served = prorated.perc_served;
+                const value_unserved = prorated.value_unserved;
+                // If refunding within 24 hours, process full refund. Otherwise, the prorated value minus the refund fee
+                const in24hr = prorated.in24hr;
+                const refund_fee = feeService.refundFee(result.schedule, Math.round(value_unserved));
+                const refundable = transaction.amount - (transaction.refunded_amount || 0);
+                const rf_val = Math.min((in24hr) ? plan_value : Math.round(value_unserved) - refund_fee, refundable);
+                // Prepare msg
+                const plan_str = `\n - Plan: ${last_paid.billing_plan} (${plan_value})`;
+                const serv_str = `\n - Days served: ${(time_served / full_day).toFixed(0)} (${perc_served.toFixed(2)}%)`;
+                const unserv_str = `\n - Value unserved: ${value_unserved.toFixed(0)}`;
+                const fee_str = `\n - Cancellation fee: -${refund_fee}${(in24hr) ? ' [WAIVED]' : ''} (${result.schedule.schedule_id})`;
+                const rfval_str = `\n - Refund value: ${rf_val}`;
+                logger.debug(`Refund breakdown for business (#${business_id}):${plan_str}${serv_str}${unserv_str}${fee_str}${rfval_str}`);
+                return {
+                    schedule_id: last_scheduled.merchant_uid,
+                    merchant_uid: transaction.merchant_uid,
+                    breakdown: {
+                        billing_plan: last_paid.billing_plan,
+                        plan_value: plan_value,
+                        days_served: parseInt((time_served / full_day).toFixed(0)),
+                        value_unserved: parseInt(value_unserved.toFixed(0)),
+                        fee: refund_fee,
+                        fee_waived: in24hr,
+                        fee_schedule: feeService.summary(result.schedule),
+                        already_refunded: transaction.refunded_amount || 0,
+                        refund_value: rf_val,
+                    },
+                };
+            });
+    }
+
+    /**
+     * Returns the refund the business would get by cancelling now (days served, unserved value, fee and refund value).
+     * @param {*} req
+     * @param {*} res
+     */
+    getRefundQuote(req, res) {
+        const business_id = req.params.business_id;
+        this._refundQuote(business_id)
+            .then((quote) => {
                 res.send({
-                    success: false,
-                    message: err.message,
+                    success: true,
+                    message: `Refund quote for business (#${business_id})`,
+                    data: Object.assign({ merchant_uid: quote.merchant_uid }, quote.breakdown),
                 });
+            })
+            .catch((err) => {
+                errors.sendError(res, err, { business_id: business_id });
             });
     }
 
+    /**
+     * Cancels the subscription and refunds the prorated value of the current billing period.
+     * @param {*} req
+     * @param {*} res
+     */
     refund(req, res) {
         const business_id = req.params.business_id;
-        let schedule_id;
-        // Fetch the last paid subscription object (PAID)
-        mongoDB.getDB().collection('payment-schedule').find(
-            { business_id: business_id },
-            (db_error, cursor) => {
-                if (db_error) {
-                    logger.error(db_error);
+        let breakdown;
+        this._refundQuote(business_id)
+            .then((quote) => {
+                breakdown = quote.breakdown;
+                // Cancel the latest schedule
+                mongoDB.getDB().collection('payment-schedule').updateOne(
+                    { merchant_uid: quote.schedule_id },
+                    { $set: { status: status_type.unscheduled } },
+                    (err, write_result) => {
+                        logger.debug(`Cancelled payment schedule (#${quote.schedule_id})`);
+                    }
+                );
+                // Refund the prorated amount
+                const params = {
+                    merchant_uid: quote.merchant_uid,
+                    amount: breakdown.refund_value,
+                    reason: req.body.reason || 'Castr user refund request',
+                };
+                return this.iamport.payment.cancel(params);
+            })
+            .then((iamport_result) => {
+                this._hookInBackground(this.paymentHook, iamport_result);
+                if (status_type[iamport_result.status] === status_type.failed) {
+                    errors.sendError(res, errors.unprocessable(iamport_result.fail_reason), { business_id: business_id });
                     return;
                 }
-                cursor.sort({ time_scheduled: -1 }).limit(2).next()
-                    // Fetch latest schedule
-                    .then((last_scheduled) => {
-                        // If never subscribed, abort
-                        if (last_scheduled === null) { throw Error('No subcription data found for the business.'); }
-                        const last_status = last_scheduled.status;
-                        // If last payment failed or already refunded, abort
-                        if ([status_type.failed, status_type.unscheduled].includes(last_status)) {
-                            throw Error('Nothing to refund for the business.');
-                        }
-                        // This shouldn't happen, abort
-                        if (!cursor.hasNext()) { throw Error('Found a schedule but missing any payment.'); }
-                        schedule_id = last_scheduled.merchant_uid;
-                        return cursor.next();
-                    })
-                    // Fetch last payment
-                    .then((last_paid) => {
-                        // This shouldn't happen, abort
-                        if (last_paid.status !== status_type.paid) { throw Error('[POSSIBLE DUPLICATE SCHEDULE] Second to last schedule obj was not processed.'); }
-                        // Calculate how much time has passed since the last payment
-                        const plan_value = last_paid.amount;
-                        const tmr = moment.tz(timezone.kr).add(1, 'day').hour(0).minute(0).second(0).millisecond(0);
-                        const date_last_paid = moment(last_paid.schedule).tz(timezone.kr).hour(0).minute(0).second(0).millisecond(0);
-                        const plan_time = billing_plan_type[last_paid.billing_plan] * 7 * full_day;
-                        const time_served = tmr.diff(date_last_paid);
-                        // Calculate prorated refund amount
-                        const perc_served = time_served / plan_time;
-                        const value_unserved = (1 - perc_served) * plan_value;
-                        // If refunding within 24 hours, process full refund. Otherwise, 80% of prorated value
-                        const in24hr = time_served <= full_day;
-                        const rf_val = (in24hr) ? plan_value : (value_unserved * (1 - refund_fee_perc)).toFixed(0);
-                        // Prepare msg
-                        const plan_str = `\n - Plan: ${last_paid.billing_plan} (${plan_value})`;
-                        const serv_str = `\n - Days served: ${(time_served / full_day).toFixed(0)} (${perc_served.toFixed(2)}%)`;
-                        const unserv_str = `\n - Value unserved: ${value_unserved.toFixed(0)}`;
-                        const fee_str = `\n - Cancellation fee: -${(value_unserved * refund_fee_perc).toFixed(0)}${(in24hr) ? ' [WAIVED]' : ''}`;
-                        const rfval_str = `\n - Refund value: ${rf_val}`;
-                        logger.debug(`Refund request from business (#${business_id}):${plan_str}${serv_str}${unserv_str}${fee_str}${rfval_str}`);
-                        return {
-                            merchant_uid: last_paid.merchant_uid,
-                            amount: rf_val,
-                        };
-                    })
-                    .then((refund) => {
-                        // Cancel the latest schedule
-                        mongoDB.getDB().collection('payment-schedule').updateOne(
-                            { merchant_uid: schedule_id },
-                            { $set: { status: status_type.unscheduled } },
-                            (err, write_result) => {
-                                logger.debug(`Cancelled payment schedule (#${schedule_id})`);
-                            }
-                        );
-                        return refund;
-                    })
-                    .then((refund) => {
-                        // Refund the prorated amount
-                        const params = {
-                            merchant_uid: refund.merchant_uid,
-                            amount: refund.amount,
-                            reason: req.body.reason || 'Castr user refund request',
-                        };
-                        return this.iamport.payment.cancel(params);
-                    })
-                    .then((iamport_result) => {
-                        setTimeout(this.paymentHook.bind(this), 0, iamport_result);
-                        if (status_type[iamport_result.status] === status_type.failed) {
-                            const error = {
-                                success: false,
-                                message: iamport_result.fail_reason,
-                                error: {
-                                    code: null,
-                                    message: iamport_result.fail_reason,
-                                },
-                            };
-                            res.send(error);
-                        }
-                        res.send({
-                            success: true,
-                            message: `Refund for previous payment (#${iamport_result.merchant_uid}) successful.`,
-                            data: {
-                                refund_amount: iamport_result.cancel_amount,
-                                refund_reason: iamport_result.cancel_history.reason,
-                            },
-                        });
-                    })
-                    .catch((err) => {
-                        const error = {
-                            message: err.message,
-                            params: { business_id: business_id },
-                            error: {
-                                code: err.code || 'castr_payment_error',
-                                message: err.message,
-                            },
-                        };
-                        logger.error(error);
-                        error.success = false;
-                        res.send(error);
-                    });
-            }
-        );
+                mailerService.send(email_type.refund_confirmation, business_id, breakdown);
+                res.send({
+                    success: true,
+                    message: `Refund for previous payment (#${iamport_result.merchant_uid}) successful.`,
+                    data: {
+                        refund_amount: breakdown.refund_value,
+                        refund_reason: req.body.reason || 'Castr user refund request',
+                        breakdown: breakdown,
+                    },
+                });
+            })
+            .catch((err) => {
+                errors.sendError(res, err, { business_id: business_id });
+            });
     }
 
     /**
-     * Fetches all payment transactions from the business ('business_id').
-     * @param {*} req 
-     * @param {*} res 
+     * Refunds part of a payment (ops). A payment can be refunded several times until nothing is left;
+     * every refund is recorded in 'payment-transactions' by paymentHook().
+     * The subscription schedule is not changed.
+     * @param {*} req
+     * @param {*} res
      */
-    getHistory(req, res) {
-        // Find all payment transactions from the business
-        mongoDB.getDB().collection('payment-transactions').find(
-            { business_id: req.params.business_id },
-            (db_error, cursor) => {
-                const methods = [];
-                cursor.sort({ time_created: -1 }).forEach(
-                    // Iteration callback
-                    (document) => {
-                        document.pay_date = {
-                            date: document.pay_date,
-                            string: moment(document.pay_date).tz(timezone.kr).format('LL'),
-                            string_kr: moment(document.pay_date).locale('kr').tz(timezone.kr).format('LL'),
-                        };
-                        document.time_paid = {
-                            date: document.time_paid,
-                            string: moment(document.time_paid).tz(timezone.kr).format('LL'),
-                            string_kr: moment(document.time_paid).locale('kr').tz(timezone.kr).format('LL'),
-                        };
-                        methods.push(document);
+    partialRefund(req, res) {
+        const business_id = req.params.business_id;
+        const merchant_uid = req.body.merchant_uid;
+        const amount = parseInt(req.body.amount);
+        let refundable;
+        mongoDB.getDB().collection('payment-transactions').findOne({
+            business_id: business_id,
+            merchant_uid: merchant_uid,
+            status: status_type.paid,
+        })
+            .then((transaction) => {
+                if (!transaction) { throw errors.notFound(`Payment (${merchant_uid}) not found for business (#${business_id}).`); }
+                refundable = transaction.amount - (transaction.refunded_amount || 0);
+                if (!(amount > 0)) { throw errors.badRequest('\'amount\' must be a positive integer.'); }
+                if (amount > refundable) { throw errors.unprocessable(`'amount' (${amount}) exceeds the refundable amount (${refundable}).`); }
+                // `checksum` makes I'mport reject the refund if another refund was made in the meantime
+                return this.iamport.payment.cancel({
+                    merchant_uid: merchant_uid,
+                    amount: amount,
+                    checksum: refundable,
+                    reason: req.body.reason || 'Castr partial refund',
+                });
+            })
+            .then((iamport_result) => {
+                this._hookInBackground(this.paymentHook, iamport_result);
+                const msg = `Refunded ${amount} of payment (#${merchant_uid})`;
+                logger.debug(msg);
+                res.send({
+                    success: true,
+                    message: msg,
+                    data: {
+                        merchant_uid: merchant_uid,
+                        refund_amount: amount,
+                        total_refunded: iamport_result.cancel_amount,
+                        refundable: refundable - amount,
+                        refunds: iamport_result.cancel_history,
                     },
-                    // End callback
-                    (end) => {
-                        const msg = `Transaction history fetched for business (${req.params.business_id})`;
-                        logger.debug(msg);
-                        res.send({
-                            sucecss: true,
-                            message: msg,
-                            data: methods,
-                        });
-                    }
-                );
-                // TODO: (FOR UPDATE) Use .limit() & .skip() to implement paging
-            }
-        );
+                });
+            })
+            .catch((err) => {
+                errors.sendError(res, err, { business_id: business_id, merchant_uid: merchant_uid });
+            });
+    }
+
+    /**
+     * Fetches the payment transactions from the business ('business_id'), newest first.
+     * Query: `limit`, `cursor` (`paging.next_cursor` of the previous page), `from`, `to`, `type` and `status`.
+     * `totals` covers every transaction matching the filters, not only the page.
+     * @param {*} req
+     * @param {*} res
+     */
+    getHistory(req, res) {
+        const business_id = req.params.business_id;
+        const filter = { business_id: business_id };
+        const date_range = pagination.dateRange(req.query);
+        if (date_range) { filter.time_created = date_range; }
+        if (req.query.type) { filter.type = req.query.type; }
+        if (req.query.status) { filter.status = req.query.status; }
+        Promise.all([
+            pagination.findPage('payment-transactions', filter, req.query),
+            pagination.totals('payment-transactions', filter, ['amount'], 'status')
+        ])
+            .then((results) => {
+                const page = results[0];
+                const transactions = page.documents.map((document) => {
+                    document.pay_date = {
+                        date: document.pay_date,
+                        string: moment(document.pay_date).tz(timezone.kr).format('LL'),
+                        string_kr: moment(document.pay_date).locale('kr').tz(timezone.kr).format('LL'),
+                    };
+                    document.time_paid = {
+                        date: document.time_paid,
+                        string: moment(document.time_paid).tz(timezone.kr).format('LL'),
+                        string_kr: moment(document.time_paid).locale('kr').tz(timezone.kr).format('LL'),
+                    };
+                    return document;
+                });
+                const msg = `Transaction history fetched for business (${business_id})`;
+                logger.debug(msg);
+                res.send({
+                    success: true,
+                    message: msg,
+                    data: transactions,
+                    paging: page.paging,
+                    totals: results[1],
+                });
+            })
+            .catch((err) => {
+                errors.sendError(res, err, { business_id: business_id });
+            });
+    }
+
+    /**
+     * Handles I'mport notifications (POST /payment/webhook).
+     * The payment is re-fetched from I'mport and processed by the same hooks used in-process,
+     * which ignore results that were already processed.
+     * @param {*} req
+     * @param {*} res
+     */
+    webhook(req, res) {
+        const imp_uid = req.body.imp_uid;
+        const merchant_uid = req.body.merchant_uid;
+        if (!imp_uid) {
+            errors.sendError(res, errors.badRequest('Missing \'imp_uid\' in I\'mport notification.'));
+            return;
+        }
+        logger.debug(`I'mport notification received (${merchant_uid}: ${req.body.status})`);
+        this.iamport.payment.getByImpUid({ imp_uid: imp_uid })
+            .then((iamport_result) => {
+                if (iamport_result.merchant_uid.substring(0, 3) === 'mc_') {
+                    return this.mcPaymentHook(iamport_result);
+                }
+                return this.paymentHook(iamport_result);
+            })
+            .then(() => {
+                res.send({
+                    success: true,
+                    message: `I'mport notification processed (${merchant_uid})`,
+                });
+            })
+            .catch((err) => {
+                // Non-2xx makes I'mport retry the notification
+                errors.sendError(res, err);
+            });
     }
 
+    /**
+     * Applies an I'mport payment result to 'payment-transactions' and 'payment-schedule'.
+     * Safe to call more than once with the same result (in-process hook and webhook).
+     *
+     * Returns a promise.
+     * @param {*} iamport_result
+     */
     paymentHook(iamport_result) {
         const status = status_type[iamport_result.status];
         switch (status) {
             case status_type.paid: {
                 const custom_data = JSON.parse(iamport_result.custom_data);
+                const hook_id = `${iamport_result.imp_uid}_${status}`;
                 let log_string = `approved & processed (${custom_data.merchant_uid})`;
-                // Insert payment result to db
-                mongoDB.getDB().collection('payment-transactions').insertOne({
-                    business_id: custom_data.business_id,
-                    imp_uid: iamport_result.imp_uid,
-                    merchant_uid: custom_data.merchant_uid,
-                    type: custom_data.type,
-                    name: custom_data.name,
-                    currency: iamport_result.currency,
-                    amount: custom_data.amount,
-                    vat: custom_data.vat,
-                    customer_uid: custom_data.customer_uid,
-                    pay_method: iamport_result.pay_method,
-                    card_name: iamport_result.card_name,
-                    status: status,
-                    receipt_url: iamport_result.receipt_url,
-                    pay_date: custom_data.pay_date,
-                    time_paid: moment(iamport_result.paid_at * 1000).toDate(),
-                    time_created: new Date(),
-                })
+                let activation_reason = null;
+                // Insert payment result to db (once per imp_uid). Every step below can be repeated if a run fails.
+                const paid_promise = this._runHook(hook_id, custom_data.merchant_uid, () => mongoDB.getDB().collection('payment-transactions').updateOne(
+                    { hook_key: hook_id },
+                    {
+                        $setOnInsert: {
+                            business_id: custom_data.business_id,
+                            imp_uid: iamport_result.imp_uid,
+                            merchant_uid: custom_data.merchant_uid,
+                            type: custom_data.type,
+                            name: custom_data.name,
+                            currency: iamport_result.currency,
+                            amount: custom_data.amount,
+                            vat: custom_data.vat,
+                            customer_uid: custom_data.customer_uid,
+                            pay_method: iamport_result.pay_method,
+                            card_name: iamport_result.card_name,
+                            status: status,
+                            receipt_url: iamport_result.receipt_url,
+                            pay_date: custom_data.pay_date,
+                            time_paid: moment(iamport_result.paid_at * 1000).toDate(),
+                            time_created: new Date(),
+                        },
+                    },
+                    { upsert: true }
+                )
                     // Update payment-schedule with processed payment
-                    .then((tx_insert_result) => {
+                    .then(() => {
                         // If payment was a scheduled payment, update the payment's scheduled status to PAID
                         if (custom_data.type === payment_type.scheduled) {
                             log_string = `Scheduled payment ${log_string}`;
+                            return mongoDB.getDB().collection('payment-schedule').findOneAndUpdate(
+                                { merchant_uid: custom_data.merchant_uid },
+                                {
+                                    $set: {
+                                        status: status,
+                                        next_retry: null,
+                                        time_processed: new Date(),
+                                    },
+                                },
+                                { returnOriginal: false }
+                            )
+                                .then((update_result) => {
+                                    // A retried payment turns the service back on (failures are only recorded while FAILED)
+                                    const schedule = update_result.value;
+                                    if (schedule && (schedule.failures || []).length > 0) {
+                                        activation_reason = 'payment_recovered';
+                                    }
+                                });
+                        }
+                        // If payment was a prorated plan change, the upcoming schedule becomes the new plan's first period
+                        if (custom_data.type === payment_type.plan_change) {
+                            log_string = `Plan change payment ${log_string}`;
                             return mongoDB.getDB().collection('payment-schedule').updateOne(
                                 { merchant_uid: custom_data.merchant_uid },
                                 {
                                     $set: {
+                                        schedule: moment(custom_data.pay_date).toDate(),
                                         status: status,
+                                        billing_plan: custom_data.billing_plan,
+                                        billing_weeks: custom_data.billing_weeks,
+                                        amount: custom_data.amount,
+                                        vat: custom_data.vat,
+                                        next_retry: null,
                                         time_processed: new Date(),
                                     },
                                 }
@@ -975,17 +1663,24 @@ class IamportService {
                         // If payment was an initial payment, insert the payment schedule with PAID status
                         if (custom_data.type === payment_type.initial) {
                             log_string = `Initial payment ${log_string}`;
-                            return mongoDB.getDB().collection('payment-schedule').insertOne({
-                                schedule: moment(custom_data.pay_date).toDate(),
-                                business_id: custom_data.business_id,
-                                merchant_uid: custom_data.merchant_uid,
-                                status: status_type.paid,
-                                billing_plan: custom_data.billing_plan,
-                                amount: custom_data.amount,
-                                vat: custom_data.vat,
-                                time_scheduled: new Date(),
-                                time_processed: new Date(),
-                            });
+                            activation_reason = 'subscribed';
+                            return mongoDB.getDB().collection('payment-schedule').updateOne(
+                                { merchant_uid: custom_data.merchant_uid },
+                                {
+                                    $setOnInsert: {
+                                        schedule: moment(custom_data.pay_date).toDate(),
+                                        business_id: custom_data.business_id,
+                                        status: status_type.paid,
+                                        billing_plan: custom_data.billing_plan,
+                                        billing_weeks: custom_data.billing_weeks,
+                                        amount: custom_data.amount,
+                                        vat: custom_data.vat,
+                                        time_scheduled: new Date(),
+                                        time_processed: new Date(),
+                                    },
+                                },
+                                { upsert: true }
+                            );
                         }
                         // Shouldn't happen
                         throw new Error(`Unhandled payment type ${custom_data.type}`);
@@ -995,131 +1690,246 @@ class IamportService {
                         logger.debug(log_string);
                         // Calculate next pay date
                         const next_pay_date = moment(custom_data.pay_date).tz(timezone.kr)
-                            .add(billing_plan_type[custom_data.billing_plan], 'week')
+                            .add(planService.planWeeks(custom_data), 'week')
                             .hour(0)
                             .minute(0)
                             .second(0)
                             .millisecond(0);
-                        // Insert next schedule to DB
+                        // Insert next schedule to DB (prorated charges renew at the full plan price)
                         const next_charge_num = parseInt(custom_data.merchant_uid.match(/\d+$/)[0]) + 1;
                         const next_merchant_uid = `${custom_data.business_id}_ch${next_charge_num}`;
-                        mongoDB.getDB().collection('payment-schedule').insertOne(
+                        return mongoDB.getDB().collection('payment-schedule').updateOne(
+                            { merchant_uid: next_merchant_uid },
                             {
-                                schedule: next_pay_date.toDate(),
-                                merchant_uid: next_merchant_uid,
-                                business_id: custom_data.business_id,
-                                billing_plan: custom_data.billing_plan,
-                                amount: custom_data.amount,
-                                vat: custom_data.vat,
-                                status: status_type.scheduled,
-                                time_scheduled: new Date(),
+                                $setOnInsert: {
+                                    schedule: next_pay_date.toDate(),
+                                    business_id: custom_data.business_id,
+                                    billing_plan: custom_data.billing_plan,
+                                    billing_weeks: custom_data.billing_weeks,
+                                    amount: custom_data.renewal_amount || custom_data.amount,
+                                    vat: (custom_data.renewal_amount) ? custom_data.renewal_vat : custom_data.vat,
+                                    status: status_type.scheduled,
+                                    time_scheduled: new Date(),
+                                },
                             },
-                            (db_error) => {
-                                if (db_error) { logger.error(db_error); }
+                            { upsert: true }
+                        )
+                            .then(() => {
                                 logger.debug(`Next payment (${next_merchant_uid}) scheduled for ${next_pay_date.format('LL')}`);
-                            }
-                        );
-                    })
-                    .catch((error) => {
-                        logger.error({
-                            error: {
-                                code: error.code,
-                                message: error.message,
-                            },
-                        });
-                    });
-                break;
+                                const notifications = [mailerService.send(email_type.payment_receipt, custom_data.business_id, {
+                                    merchant_uid: custom_data.merchant_uid,
+                                    name: custom_data.name,
+                                    amount: custom_data.amount,
+                                    vat: custom_data.vat,
+                                    card_name: iamport_result.card_name,
+                                    receipt_url: iamport_result.receipt_url,
+                                    time_paid: moment(iamport_result.paid_at * 1000).toDate(),
+                                })];
+                                if (activation_reason) {
+                                    notifications.push(eventsService.publish(event_type.subscription_activated, custom_data.business_id, {
+                                        reason: activation_reason,
+                                        merchant_uid: custom_data.merchant_uid,
+                                        billing_plan: custom_data.billing_plan,
+                                        amount: custom_data.amount,
+                                        next_billing_date: next_pay_date.toDate(),
+                                    }, hook_id));
+                                }
+                                return Promise.all(notifications);
+                            });
+                    }));
+                // Partial refunds keep the payment PAID
+                if (iamport_result.cancel_amount > 0) {
+                    return paid_promise.then(() => this._refundHook(iamport_result));
+                }
+                return paid_promise;
             }
             case status_type.cancelled: {
-                const custom_data = JSON.parse(iamport_result.custom_data);
-                // Insert payment result to db
-                mongoDB.getDB().collection('payment-transactions').insertOne({
-                    business_id: custom_data.business_id,
-                    imp_uid: iamport_result.imp_uid,
-                    merchant_uid: custom_data.merchant_uid,
-                    type: custom_data.type,
-                    name: this._generateName(custom_data.name, true),
-                    currency: iamport_result.currency,
-                    amount: -iamport_result.cancel_amount,
-                    customer_uid: custom_data.customer_uid,
-                    pay_method: iamport_result.pay_method,
-                    card_name: iamport_result.card_name,
-                    status: status,
-                    receipt_url: iamport_result.cancel_history[0].receipt_url,
-                    pay_date: custom_data.pay_date,
-                    ref_reason: iamport_result.cancel_history[0].reason,
-                    time_refunded: moment(iamport_result.cancelled_at * 1000).toDate(),
-                    time_created: new Date(),
-                })
-                    // Update the payment schedule as refunded
-                    .then(() => mongoDB.getDB().collection('payment-schedule').updateOne(
-                        { merchant_uid: custom_data.merchant_uid },
-                        { $set: { status: status } }
-                    ))
-                    .then(() => { logger.debug(`Refund processed (${custom_data.merchant_uid})`); })
-                    .catch((error) => {
-                        logger.error({
-                            error: {
-                                code: error.code,
-                                message: error.message,
-                            },
-                        });
-                    });
-                break;
+                return this._refundHook(iamport_result);
             }
             case status_type.failed: {
                 const custom_data = JSON.parse(iamport_result.custom_data);
                 // If payment was a scheduled payment, update the scheduled payments status to FAILED
-                if (custom_data.type === payment_type.scheduled) {
-                    const failure = {
-                        imp_uid: iamport_result.imp_uid,
-                        params: custom_data,
-                        reason: iamport_result.fail_reason,
-                        time_failed: moment(iamport_result.failed_at * 1000).toDate(),
-                    };
-                    mongoDB.getDB().collection('payment-schedule').updateOne(
-                        { merchant_uid: custom_data.merchant_uid },
-                        {
-                            $set: { status: status },
-                            $push: {
-                                failures: {
-                                    $each: [failure],
-                                    $sort: { time_failed: -1 },
-                                },
+                if (custom_data.type !== payment_type.scheduled) { return Promise.resolve(); }
+                const failure = {
+                    imp_uid: iamport_result.imp_uid,
+                    params: custom_data,
+                    reason: iamport_result.fail_reason,
+                    time_failed: moment(iamport_result.failed_at * 1000).toDate(),
+                };
+                const hook_id = `${iamport_result.imp_uid}_${status}`;
+                return this._runHook(hook_id, custom_data.merchant_uid, () => mongoDB.getDB().collection('payment-schedule').updateOne(
+                    // Each attempt has its own imp_uid, so a failure is only recorded once
+                    {
+                        merchant_uid: custom_data.merchant_uid,
+                        'failures.imp_uid': { $ne: iamport_result.imp_uid },
+                    },
+                    {
+                        $push: {
+                            failures: {
+                                $each: [failure],
+                                $sort: { time_failed: -1 },
                             },
-                        }
-                    )
-                        .then(() => {
-                            logger.debug(`Scheduled payment (${custom_data.merchant_uid}) rejected`);
-                            /*
-                             * TODO: Disable castr service until failed payment is resolved 
-                             * - Todo: Should implement a webhook to call Castr server to stop service
-                             * - Note: Setting a different payment method will retry the failed payment
-                             */
-                            logger.debug(`Disabling Castr service for business (${custom_data.business_id})`);
-                        })
-                        .catch((db_error) => {
-                            logger.error(db_error);
-                        });
-                }
-                break;
+                        },
+                    }
+                )
+                    .then(() => mongoDB.getDB().collection('payment-schedule').findOne({ merchant_uid: custom_data.merchant_uid }))
+                    .then((schedule) => {
+                        if (!schedule) { throw new Error(`Payment schedule (${custom_data.merchant_uid}) not found.`); }
+                        // Schedule the next retry, or suspend the subscription when no retries are left
+                        const dunning = this._dunningState(schedule);
+                        const next_status = (dunning.next_retry) ? status : status_type.suspended;
+                        return mongoDB.getDB().collection('payment-schedule').updateOne(
+                            { merchant_uid: custom_data.merchant_uid },
+                            {
+                                $set: {
+                                    status: next_status,
+                                    next_retry: dunning.next_retry,
+                                },
+                            }
+                        )
+                            .then(() => {
+                                logger.debug(`Scheduled payment (${custom_data.merchant_uid}) rejected`);
+                                if (next_status === status_type.suspended) {
+                                    logger.debug(`No retries left, subscription suspended for business (${custom_data.business_id})`);
+                                } else {
+                                    logger.debug(`Retry (${dunning.retries_left} left) scheduled for ${moment(dunning.next_retry).tz(timezone.kr).format('LL')}`);
+                                }
+                                // Castr server disables the service on 'subscription.suspended'
+                                // Note: Setting a different payment method will retry the failed payment
+                                const notifications = [eventsService.publish(event_type.payment_failed, custom_data.business_id, {
+                                    merchant_uid: custom_data.merchant_uid,
+                                    fail_reason: iamport_result.fail_reason,
+                                    retries_left: dunning.retries_left,
+                                    next_retry_date: dunning.next_retry,
+                                }, hook_id)];
+                                notifications.push(mailerService.send(email_type.payment_failed, custom_data.business_id, {
+                                    merchant_uid: custom_data.merchant_uid,
+                                    amount: custom_data.amount,
+                                    fail_reason: iamport_result.fail_reason,
+                                    next_retry: dunning.next_retry,
+                                }));
+                                if (next_status === status_type.suspended) {
+                                    notifications.push(eventsService.publish(event_type.subscription_suspended, custom_data.business_id, {
+                                        merchant_uid: custom_data.merchant_uid,
+                                        fail_reason: iamport_result.fail_reason,
+                                    }, hook_id));
+                                }
+                                return Promise.all(notifications);
+                            });
+                    }));
             }
             default: {
                 logger.debug(`Default block reached with:\n${iamport_result}`);
+                return Promise.resolve();
             }
         }
     }
 
+    /**
+     * Records every refund (full or partial) in the I'mport result's `cancel_history` to 'payment-transactions'.
+     * Each refund is keyed by its position in `cancel_history` (I'mport appends refunds, and two refunds can share
+     * the same `cancelled_at` second) and processed once (see _runHook()), one at a time.
+     *
+     * Returns a promise.
+     * @param {*} iamport_result
+     */
+    _refundHook(iamport_result) {
+        const custom_data = JSON.parse(iamport_result.custom_data);
+        const status = status_type.cancelled;
+        const fully_refunded = status_type[iamport_result.status] === status_type.cancelled;
+        const refunds = iamport_result.cancel_history || [];
+        return refunds.reduce((promise, refund, index) => promise.then(() => {
+            const hook_id = `${iamport_result.imp_uid}_${status}_${index}`;
+            return this._runHook(hook_id, custom_data.merchant_uid, () => mongoDB.getDB().collection('payment-transactions').updateOne(
+                { hook_key: hook_id },
+                {
+                    $setOnInsert: {
+                        business_id: custom_data.business_id,
+                        imp_uid: iamport_result.imp_uid,
+                        merchant_uid: custom_data.merchant_uid,
+                        type: custom_data.type,
+                        name: this._generateName(custom_data.name, true),
+                        currency: iamport_result.currency,
+                        amount: -refund.amount,
+                        customer_uid: custom_data.customer_uid,
+                        pay_method: iamport_result.pay_method,
+                        card_name: iamport_result.card_name,
+                        status: status,
+                        receipt_url: refund.receipt_url,
+                        pay_date: custom_data.pay_date,
+                        ref_reason: refund.reason,
+                        time_refunded: moment(refund.cancelled_at * 1000).toDate(),
+                        time_created: new Date(),
+                    },
+                },
+                { upsert: true }
+            )
+                .then(() => {
+                    // Keep the total refunded on the original payment, and mark the schedule refunded once fully refunded
+                    const updates = [mongoDB.getDB().collection('payment-transactions').updateOne(
+                        { hook_key: `${iamport_result.imp_uid}_${status_type.paid}` },
+                        { $set: { refunded_amount: iamport_result.cancel_amount } }
+                    )];
+                    if (fully_refunded) {
+                        updates.push(mongoDB.getDB().collection('payment-schedule').updateOne(
+                            { merchant_uid: custom_data.merchant_uid },
+                            { $set: { status: status } }
+                        ));
+                    }
+                    return Promise.all(updates);
+                })
+                .then(() => {
+                    logger.debug(`Refund processed (${custom_data.merchant_uid}: ${refund.amount}${fully_refunded ? '' : ' [PARTIAL]'})`);
+                    return eventsService.publish(event_type.subscription_refunded, custom_data.business_id, {
+                        merchant_uid: custom_data.merchant_uid,
+                        refund_amount: refund.amount,
+                        total_refunded: iamport_result.cancel_amount,
+                        partial: !fully_refunded,
+                        reason: refund.reason,
+                    }, hook_id);
+                }));
+        }), Promise.resolve());
+    }
+
+    /**
+     * Charges a one-time Menucast purchase of `qty` vouchers of ':promotable_id' and answers with the vouchers.
+     * With an `Idempotency-Key` the order's `merchant_uid` is derived from the key (see _mcMerchantUid()), so I'mport
+     * rejects a second charge of the same order.
+     * @param {*} req
+     * @param {*} res
+     */
     mcPay(req, res) {
         const business_id = req.params.business_id;
         const promotable_id = req.params.promotable_id;
         const mc_customer_id = req.body.mc_customer_id;
+        const merchant_uid = this._mcMerchantUid(business_id, req.get('Idempotency-Key'));
         const custom_data = {};
         const user_data = {};
+        // Stock and customer quota taken for this purchase, given back if the payment fails
+        let stock_reserved = false;
+        let quota_reserved = false;
+        const releaseStock = () => {
+            if (stock_reserved) {
+                stock_reserved = false;
+                mcService.releaseStock(promotable_id, custom_data.quantity)
+                    .catch((err) => {
+                        logger.error(`Stock of promotable (#${promotable_id}) could not be released: ${err.message}`);
+                    });
+            }
+            if (quota_reserved) {
+                quota_reserved = false;
+                mcService.releaseQuota(promotable_id, mc_customer_id, custom_data.quantity)
+                    .catch((err) => {
+                        logger.error(`Quota of customer (${mc_customer_id}) could not be released: ${err.message}`);
+                    });
+            }
+        };
         this._rsaDecryptArray(req.body.payload)
-            .then((payload) => {
-                const body = JSON.parse(payload);
-                custom_data.quantity = body.qty;
+            .then(payload => JSON.parse(payload))
+            .catch(() => { throw errors.badRequest('\'payload\' could not be decrypted.'); })
+            .then((body) => {
+                custom_data.quantity = parseInt(body.qty);
+                if (!(custom_data.quantity > 0)) { throw errors.badRequest('\'qty\' must be a positive integer.'); }
                 // User payment method
                 user_data.card_number = body.card_number;
                 user_data.pwd_2digit = body.pwd_2digit;
@@ -1131,17 +1941,27 @@ class IamportService {
                 user_data.buyer_email = body.email;
                 user_data.buyer_addr = body.address;
                 user_data.buyer_postcode = body.zip;
-                return mongoDB.getDB().collection('promotions').findOne({ promoTable: { $elemMatch: { _id: mongoDB.ObjectId(promotable_id) } } });
+                return mcService.findPromotable(promotable_id);
             })
-            .then((promotion) => {
-                promotion.promoTable.forEach((promotable) => {
-                    if (promotable._id.toString() === promotable_id) {
-                        custom_data.promotable_id = promotable_id;
-                        custom_data.promotable_name = promotable.nameOne;
-                        custom_data.perc_disc_applied = promotable.discount;
-                        custom_data.amount = parseInt(promotable.price * (1 - (promotable.discount / 100)));
-                    }
-                });
+            .then((found) => {
+                const promotable = found.promotable;
+                mcService.checkPromotable(found.promotion, promotable, new Date());
+                custom_data.promotable_id = promotable_id;
+                custom_data.promotable_name = promotable.nameOne;
+                custom_data.perc_disc_applied = promotable.discount;
+                custom_data.amount = parseInt(promotable.price * (1 - (promotable.discount / 100)));
+                // Vouchers expire with the promotion at the latest
+                const end_date = mcService.promotableRules(found.promotion, promotable).end_date;
+                if (end_date) { custom_data.valid_until = end_date; }
+                return mcService.checkCaps(promotable, custom_data.quantity)
+                    .then(() => mcService.reserveQuota(promotable, mc_customer_id, custom_data.quantity))
+                    .then(() => {
+                        quota_reserved = true;
+                        return mcService.reserveStock(promotable_id, custom_data.quantity);
+                    });
+            })
+            .then((reserved) => {
+                stock_reserved = reserved;
                 // Custom data for I'mport
                 custom_data.business_id = business_id;
                 custom_data.mc_customer_id = mc_customer_id;
@@ -1153,7 +1973,7 @@ class IamportService {
                 custom_data.type = payment_type.mc_purchase;
                 return this.iamport.subscribe.onetime({
                     name: custom_data.name.short,
-                    merchant_uid: `mc_${shortid.generate()}`,
+                    merchant_uid: merchant_uid,
                     amount: custom_data.amount * custom_data.quantity,
                     card_number: user_data.card_number,
                     pwd_2digit: user_data.pwd_2digit,
@@ -1170,72 +1990,524 @@ class IamportService {
             // Process response
             .then((iamport_result) => {
                 if (status_type[iamport_result.status] === status_type.failed) {
-                    res.send({
-                        success: false,
-                        message: iamport_result.fail_reason,
-                        params: JSON.parse(iamport_result.custom_data),
-                        error: {
-                            code: null,
-                            message: iamport_result.fail_reason,
-                        },
-                    });
-                    return;
+                    releaseStock();
+                    const error = new errors.CastrError(402, error_code.mc_pay, iamport_result.fail_reason);
+                    errors.sendError(res, error, JSON.parse(iamport_result.custom_data));
+                    return null;
+                }
+                return this._sendMcPurchase(res, iamport_result);
+            })
+            .catch((err) => {
+                releaseStock();
+                // Promotion rule rejections keep their own codes
+                const promotion_error = err instanceof errors.CastrError && err.code.indexOf('mc_promotion') === 0;
+                errors.sendError(res, (promotion_error) ? err : errors.withCode(err, error_code.mc_pay), custom_data);
+            });
+    }
+
+    /**
+     * Reconciles a Menucast purchase retried with an `Idempotency-Key` whose outcome is unknown (the first request
+     * failed with a server error or was lost, see IdempotencyService.guardWith()). The order is looked up at I'mport:
+     * - Paid (or refunded since): its vouchers are saved and returned, nothing is charged again.
+     * - Not found, or not paid: the purchase is processed again (`next`), with the same `merchant_uid`.
+     * @param {*} req
+     * @param {*} res
+     * @param {*} next
+     */
+    mcReconcile(req, res, next) {
+        const merchant_uid = this._mcMerchantUid(req.params.business_id, req.get('Idempotency-Key'));
+        this.iamport.payment.getByMerchant({ merchant_uid: merchant_uid })
+            .catch((err) => {
+                // Never charged
+                if (err.code === 'HTTP_404') { return null; }
+                throw err;
+            })
+            .then((iamport_result) => {
+                const status = iamport_result && status_type[iamport_result.status];
+                if (status !== status_type.paid && status !== status_type.cancelled) {
+                    logger.debug(`Menucast order (${merchant_uid}) was not paid, charging again`);
+                    next();
+                    return null;
                 }
+                logger.debug(`Menucast order (${merchant_uid}) was already paid`);
+                return this._sendMcPurchase(res, iamport_result);
+            })
+            .catch((err) => {
+                errors.sendError(res, errors.withCode(err, error_code.mc_pay));
+            });
+    }
+
+    /**
+     * Saves the vouchers of a paid Menucast order, then answers with them.
+     *
+     * Returns a promise.
+     * @param {*} res
+     * @param {*} iamport_result
+     */
+    _sendMcPurchase(res, iamport_result) {
+        // Save the vouchers before responding so their codes can be returned
+        return this.mcPaymentHook(iamport_result)
+            .then(() => this._findVouchers(iamport_result.merchant_uid))
+            .catch(() => [])
+            .then((vouchers) => {
                 res.send({
                     success: true,
                     message: 'Payment successful',
+                    data: {
+                        merchant_uid: iamport_result.merchant_uid,
+                        vouchers: vouchers,
+                    },
                 });
-                setTimeout(this.mcPaymentHook, 0, iamport_result);
+            });
+    }
+
+    /**
+     * Returns the `merchant_uid` of a new Menucast order. Orders placed with an `Idempotency-Key` get one derived from
+     * the business and the key, so retries of the same purchase charge the same order.
+     * @param {string} business_id
+     * @param {string} idempotency_key (optional)
+     */
+    _mcMerchantUid(business_id, idempotency_key) {
+        if (!idempotency_key) { return `mc_${shortid.generate()}`; }
+        const hash = crypto.createHash('sha256').update(`${business_id}\n${idempotency_key}`).digest('hex');
+        return `mc_${hash.substring(0, 32)}`;
+    }
+
+    /**
+     * Refunds a whole Menucast order ('merchant_uid') or `quantity` of its vouchers.
+     * Only issued vouchers (not redeemed, expired or refunded) can be refunded. The vouchers are reserved (REFUNDING)
+     * before I'mport is called, so they cannot be redeemed or refunded twice meanwhile: they become REFUNDED (and
+     * go back into stock) once I'mport confirms, or ISSUED again if it fails.
+     * The refund is recorded in 'mc-transactions' by mcPaymentHook().
+     * @param {*} req
+     * @param {*} res
+     */
+    mcRefund(req, res) {
+        const business_id = req.params.business_id;
+        const merchant_uid = req.params.merchant_uid;
+        const reservation = shortid.generate();
+        let refund;
+        let unit;
+        let reserved = false;
+        mongoDB.getDB().collection('mc-transactions').find({
+            business_id: business_id,
+            merchant_uid: merchant_uid,
+            type: payment_type.mc_purchase,
+            status: status_type.paid,
+        }).toArray()
+            .then((units) => {
+                if (units.length === 0) { throw errors.notFound(`Menucast order (${merchant_uid}) not found for business (#${business_id}).`); }
+                unit = units[0];
+                const statuses = units.map(voucher => voucher.voucher_status);
+                const not_refunded = statuses.filter(status => status !== voucher_status_type.refunded).length;
+                const refundable = statuses.filter(status => status === voucher_status_type.issued).length;
+                const quantity = (req.body.quantity) ? parseInt(req.body.quantity) : refundable;
+                if (refundable === 0) {
+                    throw errors.unprocessable(`Menucast order (${merchant_uid}) has no refundable vouchers.`, error_code.mc_voucher);
+                }
+                if (quantity > refundable) {
+                    throw errors.unprocessable(`'quantity' (${quantity}) exceeds the refundable vouchers (${refundable}).`, error_code.mc_voucher);
+                }
+                refund = {
+                    quantity: quantity,
+                    amount: quantity * unit.amount,
+                    refundable: refundable - quantity,
+                    checksum: not_refunded * unit.amount,
+                };
+                // Latest vouchers first, like refunds made from the I'mport console (see _markRefundedVouchers())
+                const voucher_ids = units.filter(voucher => voucher.voucher_status === voucher_status_type.issued)
+                    .map(voucher => voucher._id)
+                    .reverse()
+                    .slice(0, quantity);
+                return mongoDB.getDB().collection('mc-transactions').updateMany(
+                    { _id: { $in: voucher_ids }, voucher_status: voucher_status_type.issued },
+                    {
+                        $set: {
+                            voucher_status: voucher_status_type.refunding,
+                            refund_reservation: reservation,
+                            time_reserved: new Date(),
+                        },
+                    }
+                );
             })
-            .catch((err) => {
-                logger.error(err.message);
-                const error = {
-                    success: false,
-                    params: custom_data,
-                    error: {
-                        code: err.code || 'mc_pay_error',
-                        message: err.message,
+            .then((write_result) => {
+                reserved = true;
+                // Redeemed or refunded by another request since they were read
+                if (write_result.modifiedCount < refund.quantity) {
+                    throw errors.conflict(`Vouchers of Menucast order (${merchant_uid}) changed during the refund, try again.`);
+                }
+                // `checksum` makes I'mport reject the refund if another refund was made in the meantime
+                return this.iamport.payment.cancel({
+                    merchant_uid: merchant_uid,
+                    amount: refund.amount,
+                    checksum: refund.checksum,
+                    reason: req.body.reason || 'Menucast voucher refund',
+                });
+            })
+            .then((iamport_result) => {
+                // I'mport appends the refund to `cancel_history` (see _mcRefundHook())
+                const refund_index = iamport_result.cancel_history.length - 1;
+                const hook_id = `${iamport_result.imp_uid}_${status_type.cancelled}_${refund_index}`;
+                const cancelled_at = iamport_result.cancel_history[refund_index].cancelled_at;
+                return mongoDB.getDB().collection('mc-transactions').updateMany(
+                    { refund_reservation: reservation, voucher_status: voucher_status_type.refunding },
+                    {
+                        $set: {
+                            voucher_status: voucher_status_type.refunded,
+                            refund_key: hook_id,
+                            time_refunded: moment(cancelled_at * 1000).toDate(),
+                        },
+                        $unset: { refund_reservation: '', time_reserved: '' },
+                    }
+                )
+                    // Refunded vouchers go back into the promotable's stock and the customer's quota
+                    .then(write_result => ((write_result.modifiedCount > 0)
+                        ? this._releaseRefunded(unit.promotable_id, unit.mc_customer_id, write_result.modifiedCount) : null))
+                    // The refund is done: the hook finishes the vouchers left REFUNDING (see _markRefundedVouchers())
+                    .catch((finalize_err) => {
+                        logger.error(`Vouchers of refund (${hook_id}) could not be marked refunded: ${finalize_err.message}`);
+                    })
+                    .then(() => iamport_result);
+            }, (err) => {
+                if (!reserved) { throw err; }
+                // The refund did not happen: the vouchers can be redeemed or refunded again
+                return mongoDB.getDB().collection('mc-transactions').updateMany(
+                    { refund_reservation: reservation, voucher_status: voucher_status_type.refunding },
+                    {
+                        $set: { voucher_status: voucher_status_type.issued },
+                        $unset: { refund_reservation: '', time_reserved: '' },
+                    }
+                )
+                    .then(() => { throw err; }, (release_err) => {
+                        logger.error(`Vouchers reserved by refund (${reservation}) could not be released: ${release_err.message}`);
+                        throw err;
+                    });
+            })
+            .then((iamport_result) => {
+                this._hookInBackground(this.mcPaymentHook, iamport_result);
+                const msg = `Refunded ${refund.quantity} vouchers of Menucast order (#${merchant_uid})`;
+                logger.debug(msg);
+                res.send({
+                    success: true,
+                    message: msg,
+                    data: {
+                        merchant_uid: merchant_uid,
+                        quantity: refund.quantity,
+                        refund_amount: refund.amount,
+                        total_refunded: iamport_result.cancel_amount,
+                        refundable_vouchers: refund.refundable,
                     },
-                };
-                res.send(error);
+                });
+            })
+            .catch((err) => {
+                errors.sendError(res, err, { business_id: business_id, merchant_uid: merchant_uid });
             });
     }
 
+    /**
+     * Applies an I'mport Menucast payment result to 'mc-transactions': one PURCHASE per voucher (with its
+     * voucher code), then the refunds.
+     * Safe to call more than once with the same result (in-process hook and webhook).
+     *
+     * Returns a promise.
+     * @param {*} mc_iamport_result
+     */
     mcPaymentHook(mc_iamport_result) {
         // Ditch non-MC notifications
-        if (mc_iamport_result.merchant_uid.substring(0, 3) !== 'mc_') { return; }
+        if (mc_iamport_result.merchant_uid.substring(0, 3) !== 'mc_') { return Promise.resolve(); }
         const custom_data = JSON.parse(mc_iamport_result.custom_data);
         const status = status_type[mc_iamport_result.status];
-        if (status === status_type.paid) {
-            const transactions = [];
-            for (let i = 0; i < custom_data.quantity; i += 1) {
-                transactions.push({
-                    business_id: custom_data.business_id,
-                    mc_customer_id: custom_data.mc_customer_id,
-                    promotable_id: custom_data.promotable_id,
-                    promotable_name: custom_data.promotable_name,
-                    merchant_uid: mc_iamport_result.merchant_uid,
-                    type: custom_data.type,
-                    name: custom_data.name,
-                    currency: mc_iamport_result.currency,
-                    amount: custom_data.amount,
-                    perc_disc_applied: custom_data.perc_disc_applied,
-                    pay_method: mc_iamport_result.pay_method,
-                    card_name: mc_iamport_result.card_name,
-                    status: status,
-                    receipt_url: mc_iamport_result.receipt_url,
-                    time_created: new Date(),
-                });
-            }
-            // Insert payment result to db
-            mongoDB.getDB().collection('mc-transactions').insertMany(transactions)
-                .then((insert_result) => {
-                    logger.debug(`Menucast purchase (${transactions.length} transactions) successfully saved to DB`);
-                })
+        // Refunded orders were paid first, so their vouchers are saved too
+        if (status !== status_type.paid && status !== status_type.cancelled) { return Promise.resolve(); }
+        // One transaction per unit purchased, keyed by unit so re-deliveries upsert the same documents
+        const now = new Date();
+        const valid_until = (custom_data.valid_until) ? new Date(custom_data.valid_until) : null;
+        const operations = [];
+        for (let i = 0; i < custom_data.quantity; i += 1) {
+            operations.push({
+                updateOne: {
+                    filter: { hook_key: `${mc_iamport_result.imp_uid}_${status_type.paid}_${i}` },
+                    update: {
+                        $setOnInsert: Object.assign({
+                            business_id: custom_data.business_id,
+                            mc_customer_id: custom_data.mc_customer_id,
+                            promotable_id: custom_data.promotable_id,
+                            promotable_name: custom_data.promotable_name,
+                            merchant_uid: mc_iamport_result.merchant_uid,
+                            type: custom_data.type,
+                            name: custom_data.name,
+                            currency: mc_iamport_result.currency,
+                            amount: custom_data.amount,
+                            perc_disc_applied: custom_data.perc_disc_applied,
+                            pay_method: mc_iamport_result.pay_method,
+                            card_name: mc_iamport_result.card_name,
+                            status: status_type.paid,
+                            receipt_url: mc_iamport_result.receipt_url,
+                            time_created: now,
+                        }, mcService.issueVoucher(now, valid_until)),
+                    },
+                    upsert: true,
+                },
+            });
+        }
+        // Insert payment result to db (once per imp_uid, see _runHook())
+        const hook_id = `${mc_iamport_result.imp_uid}_${status_type.paid}`;
+        return this._runHook(hook_id, mc_iamport_result.merchant_uid, () => mongoDB.getDB().collection('mc-transactions')
+            .bulkWrite(operations, { ordered: false })
+            .then((write_result) => {
+                logger.debug(`Menucast purchase (${write_result.upsertedCount} transactions) successfully saved to DB`);
+                return this._findVouchers(mc_iamport_result.merchant_uid);
+            })
+            .then(vouchers => eventsService.publish(event_type.mc_voucher_purchased, custom_data.business_id, {
+                merchant_uid: mc_iamport_result.merchant_uid,
+                mc_customer_id: custom_data.mc_customer_id,
+                promotable_id: custom_data.promotable_id,
+                promotable_name: custom_data.promotable_name,
+                quantity: custom_data.quantity,
+                amount: custom_data.amount,
+                vouchers: vouchers,
+            }, hook_id)))
+            .then(() => {
+                if ((mc_iamport_result.cancel_history || []).length === 0) { return null; }
+                return this._mcRefundHook(mc_iamport_result);
+            });
+    }
+
+    /**
+     * Records each refund of a Menucast order in 'mc-transactions' (once per `cancel_history` position, see _refundHook())
+     * and marks the refunded vouchers, latest first. Refund entries are dated when processed, so payouts net them out
+     * of the period the refund happened in.
+     *
+     * Returns a promise.
+     * @param {*} mc_iamport_result
+     */
+    _mcRefundHook(mc_iamport_result) {
+        const custom_data = JSON.parse(mc_iamport_result.custom_data);
+        // One refund at a time, so two refunds never mark the same vouchers
+        return mc_iamport_result.cancel_history.reduce((promise, refund, index) => promise.then(() => {
+            const hook_id = `${mc_iamport_result.imp_uid}_${status_type.cancelled}_${index}`;
+            const quantity = Math.round(refund.amount / custom_data.amount);
+            return this._runHook(hook_id, mc_iamport_result.merchant_uid, () => mongoDB.getDB().collection('mc-transactions')
+                .updateOne(
+                    { hook_key: hook_id },
+                    {
+                        $setOnInsert: {
+                            business_id: custom_data.business_id,
+                            mc_customer_id: custom_data.mc_customer_id,
+                            promotable_id: custom_data.promotable_id,
+                            promotable_name: custom_data.promotable_name,
+                            merchant_uid: mc_iamport_result.merchant_uid,
+                            type: payment_type.refund,
+                            name: this._generateName(custom_data.name, true),
+                            currency: mc_iamport_result.currency,
+                            amount: -refund.amount,
+                            quantity: quantity,
+                            perc_disc_applied: custom_data.perc_disc_applied,
+                            pay_method: mc_iamport_result.pay_method,
+                            card_name: mc_iamport_result.card_name,
+                            status: status_type.cancelled,
+                            receipt_url: refund.receipt_url,
+                            ref_reason: refund.reason,
+                            time_refunded: moment(refund.cancelled_at * 1000).toDate(),
+                            time_created: new Date(),
+                        },
+                    },
+                    { upsert: true }
+                )
+                .then(() => this._markRefundedVouchers(mc_iamport_result, refund, hook_id))
+                // Refunded vouchers go back into the promotable's stock and the customer's quota
+                .then(marked => ((marked > 0) ? this._releaseRefunded(custom_data.promotable_id, custom_data.mc_customer_id, marked) : null))
+                .then(() => {
+                    logger.debug(`Menucast refund processed (${mc_iamport_result.merchant_uid}: ${refund.amount})`);
+                    return eventsService.publish(event_type.mc_voucher_refunded, custom_data.business_id, {
+                        merchant_uid: mc_iamport_result.merchant_uid,
+                        mc_customer_id: custom_data.mc_customer_id,
+                        promotable_id: custom_data.promotable_id,
+                        quantity: quantity,
+                        refund_amount: refund.amount,
+                        total_refunded: mc_iamport_result.cancel_amount,
+                    }, hook_id);
+                }));
+        }), Promise.resolve());
+    }
+
+    /**
+     * Puts refunded vouchers back into the promotable's stock and the customer's quota.
+     *
+     * Returns a promise.
+     * @param {string} promotable_id
+     * @param {string} mc_customer_id
+     * @param {number} quantity
+     */
+    _releaseRefunded(promotable_id, mc_customer_id, quantity) {
+        return mcService.releaseStock(promotable_id, quantity)
+            .then(() => mcService.releaseQuota(promotable_id, mc_customer_id, quantity));
+    }
+
+    /**
+     * Returns a promise resolving with the vouchers of a Menucast order: [{ code, status, expires_at }].
+     * @param {string} merchant_uid
+     */
+    _findVouchers(merchant_uid) {
+        return mongoDB.getDB().collection('mc-transactions').find(
+            { merchant_uid: merchant_uid, type: payment_type.mc_purchase },
+            { voucher_code: 1, voucher_status: 1, expires_at: 1 }
+        ).sort({ _id: 1 }).toArray()
+            .then(units => units.map(unit => ({
+                code: unit.voucher_code,
+                status: unit.voucher_status,
+                expires_at: unit.expires_at,
+            })));
+    }
+
+    /**
+     * Marks as many vouchers of the order as the refund covers as refunded, tagged with the refund's hook so a
+     * repeated run only marks the ones still missing. Vouchers left reserved (REFUNDING) by a refund request that did
+     * not finish are marked first. While a refund request is in progress (reserved less than `hook_lease` ago), the
+     * hook is retried later (409), since mcRefund() marks the vouchers it reserved itself.
+     *
+     * Returns a promise resolving with the number of vouchers marked.
+     * @param {*} mc_iamport_result
+     * @param {*} refund `cancel_history` entry
+     * @param {string} hook_id The refund's hook (see _runHook())
+     */
+    _markRefundedVouchers(mc_iamport_result, refund, hook_id) {
+        const custom_data = JSON.parse(mc_iamport_result.custom_data);
+        const quantity = Math.round(refund.amount / custom_data.amount);
+        const order = {
+            merchant_uid: mc_iamport_result.merchant_uid,
+            type: payment_type.mc_purchase,
+        };
+        const markable = [voucher_status_type.refunding, voucher_status_type.issued];
+        return mongoDB.getDB().collection('mc-transactions').count(Object.assign({ refund_key: hook_id }, order))
+            .then((marked) => {
+                if (marked >= quantity) { return []; }
+                return mongoDB.getDB().collection('mc-transactions').count(Object.assign({
+                    voucher_status: voucher_status_type.refunding,
+                    time_reserved: { $gt: new Date(Date.now() - hook_lease) },
+                }, order))
+                    .then((in_progress) => {
+                        if (in_progress > 0) {
+                            throw errors.conflict(`A refund of Menucast order (${mc_iamport_result.merchant_uid}) is in progress.`);
+                        }
+                        // REFUNDING sorts after ISSUED
+                        return mongoDB.getDB().collection('mc-transactions')
+                            .find(Object.assign({ voucher_status: { $in: markable } }, order), { _id: 1 })
+                            .sort({ voucher_status: -1, _id: -1 })
+                            .limit(quantity - marked)
+                            .toArray();
+                    });
+            })
+            .then((units) => {
+                if (units.length === 0) { return 0; }
+                return mongoDB.getDB().collection('mc-transactions').updateMany(
+                    { _id: { $in: units.map(unit => unit._id) }, voucher_status: { $in: markable } },
+                    {
+                        $set: {
+                            voucher_status: voucher_status_type.refunded,
+                            refund_key: hook_id,
+                            time_refunded: moment(refund.cancelled_at * 1000).toDate(),
+                        },
+                        $unset: { refund_reservation: '', time_reserved: '' },
+                    }
+                )
+                    .then(write_result => write_result.modifiedCount);
+            });
+    }
+
+    /**
+     * Runs the side effects of a payment notification once.
+     * The hook is claimed in 'payment-hooks' (PROCESSING, with a lease) and only marked DONE once `work` resolves, so a
+     * failed run is picked up again by the next delivery: every step of `work` must be safe to repeat. A delivery
+     * arriving while another one holds the lease is rejected with 409, which makes I'mport retry it later.
+     *
+     * Returns a promise resolving with the outcome of `work`, or null if the hook was already processed.
+     * @param {string} hook_id
+     * @param {string} merchant_uid
+     * @param {function} work Returns a promise
+     */
+    _runHook(hook_id, merchant_uid, work) {
+        const hooks = mongoDB.getDB().collection('payment-hooks');
+        const now = new Date();
+        return hooks.findOneAndUpdate(
+            {
+                _id: hook_id,
+                status: hook_status_type.processing,
+                $or: [{ lease_expires: null }, { lease_expires: { $lt: now } }],
+            },
+            {
+                $set: { lease_expires: new Date(now.getTime() + hook_lease) },
+                $setOnInsert: { merchant_uid: merchant_uid, time_created: now },
+            },
+            { upsert: true, returnOriginal: false }
+        )
+            .then(() => true)
+            .catch((err) => {
+                // The hook exists but is not claimable: done, or leased by another delivery
+                if (err.code !== 11000) { throw err; }
+                return hooks.findOne({ _id: hook_id })
+                    .then((hook) => {
+                        if (hook && hook.status === hook_status_type.done) { return false; }
+                        throw errors.conflict(`Payment (${merchant_uid}) is being processed by another notification.`);
+                    });
+            })
+            .then((claimed) => {
+                if (!claimed) {
+                    logger.debug(`Payment (${merchant_uid}) already processed (${hook_id}), skipping`);
+                    return null;
+                }
+                return work()
+                    .then(outcome => hooks.updateOne(
+                        { _id: hook_id },
+                        { $set: { status: hook_status_type.done, lease_expires: null, time_done: new Date() } }
+                    )
+                        .then(() => outcome), (err) => {
+                        // Let the next delivery retry right away
+                        const release = hooks.updateOne({ _id: hook_id }, { $set: { lease_expires: null } });
+                        return release.then(() => { throw err; }, () => { throw err; });
+                    });
+            })
+            .catch(this._hookErrorHandler(merchant_uid));
+    }
+
+    /**
+     * Applies an I'mport result with `hook` (paymentHook() or mcPaymentHook()) after the current request is answered.
+     * A failure is only logged: the I'mport notification for the same result retries it (see _runHook()).
+     * @param {function} hook
+     * @param {*} iamport_result
+     */
+    _hookInBackground(hook, iamport_result) {
+        setTimeout(() => {
+            Promise.resolve()
+                .then(() => hook.call(this, iamport_result))
                 .catch((err) => {
-                    logger.error(err.message);
+                    logger.error({
+                        message: 'Payment hook failed, left to the I\'mport notification',
+                        merchant_uid: iamport_result.merchant_uid,
+                        error: {
+                            code: err.code,
+                            message: err.message,
+                        },
+                    });
                 });
-        }
+        }, 0);
+    }
+
+    /**
+     * Returns a catch handler for the payment hooks, logging the error before passing it on.
+     * @param {string} merchant_uid
+     */
+    _hookErrorHandler(merchant_uid) {
+        return (error) => {
+            logger.error({
+                merchant_uid: merchant_uid,
+                error: {
+                    code: error.code,
+                    message: error.message,
+                },
+            });
+            throw error;
+        };
     }
 
     /**
@@ -1261,13 +2533,14 @@ class IamportService {
             };
         }
         const billing_plan = params.billing_plan;
+        const billing_weeks = planService.planWeeks(params);
         const pay_date = params.pay_date;
         const start = moment(pay_date).tz(timezone.kr);
-        const end = moment(start).add(billing_plan_type[billing_plan], 'week').subtract(1, 'day');
+        const end = moment(start).add(billing_weeks, 'week').subtract(1, 'day');
         return {
-            short: `CAS#${business_id}=${start.format('M/D')}-${end.format('M/D')}(${billing_plan_type[billing_plan]}WK)`,
+            short: `CAS#${business_id}=${start.format('M/D')}-${end.format('M/D')}(${billing_weeks}WK)`,
             long: `Castr subscription #${business_id} ${start.format('M/D')}-${end.format('M/D')} (${billing_plan})`,
-            long_kr: `캐스터 정기구독 #${business_id} ${start.format('M/D')}-${end.format('M/D')} (${billing_plan_type[billing_plan]}주)`,
+            long_kr: `캐스터 정기구독 #${business_id} ${start.format('M/D')}-${end.format('M/D')} (${billing_weeks}주)`,
         };
     }
 
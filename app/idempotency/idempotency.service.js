@@ -0,0 +1,195 @@
+// app/idempotency/idempotency.service.js
+
+'use strict';
+
+const crypto = require('crypto');
+const mongoDB = require('../db');
+const constants = require('../constants');
+const logger = require('../utils').logger();
+const errors = require('../errors');
+
+const error_code = constants.error_code;
+
+const hour = 60 * 60 * 1000;
+// Stored responses are replayed for this long (IDEMPOTENCY_RETENTION_HOURS, default 24)
+const retention = parseInt(process.env.IDEMPOTENCY_RETENTION_HOURS || 24) * hour;
+
+const request_status_type = {
+    processing: 'PROCESSING',
+    completed: 'COMPLETED',
+    // Failed with a server error (5xx) or never answered: the money may have moved or not
+    unknown: 'UNKNOWN',
+};
+
+// A request still processing after this long is considered lost (crash, timeout): its outcome is unknown
+const processing_lease = 5 * 60 * 1000;
+
+class IdempotencyService {
+    /**
+     * Idempotency service class constructor.
+     *
+     * Money-moving routes accept an `Idempotency-Key` header. The first request with a key is processed and its
+     * response stored in 'idempotency-keys'; retries with the same key get the stored response back.
+     */
+    constructor() {
+        this.guard = this.guardWith(null);
+    }
+
+    initialize() {
+        mongoDB.getDB().collection('idempotency-keys').createIndex({ business_id: 1, key: 1 }, { unique: true });
+        mongoDB.getDB().collection('idempotency-keys').createIndex({ time_created: 1 }, { expireAfterSeconds: retention / 1000 });
+    }
+
+    /**
+     * Returns the idempotency middleware of a money-moving route. Requests without an `Idempotency-Key` header are
+     * processed as usual.
+     * - New key: the request is processed and the response stored.
+     * - Known key, same request: the stored response is returned (with an `Idempotent-Replayed` header).
+     * - Known key, different method, path or body: rejected (422).
+     * - Known key, first request still processing: rejected (409).
+     * - Known key, outcome unknown (the first request failed with a server error or was lost): the key is claimed
+     *   again and the request handed to `reconcile(req, res, next)`, which must find out from I'mport whether the
+     *   money moved before processing it again. Without `reconcile` the retry is rejected (409).
+     *
+     * `guard` is the middleware without `reconcile`.
+     * @param {function} reconcile (optional)
+     */
+    guardWith(reconcile) {
+        return (req, res, next) => {
+            const key = req.get('Idempotency-Key');
+            if (!key) {
+                next();
+                return;
+            }
+            const business_id = req.params.business_id;
+            const fingerprint = this._fingerprint(req);
+            const now = new Date();
+            mongoDB.getDB().collection('idempotency-keys').insertOne({
+                business_id: business_id,
+                key: key,
+                fingerprint: fingerprint,
+                method: req.method,
+                path: req.originalUrl,
+                status: request_status_type.processing,
+                time_claimed: now,
+                time_created: now,
+            })
+                .then(() => {
+                    this._storeResponse(res, business_id, key);
+                    next();
+                })
+                .catch((err) => {
+                    if (err.code !== 11000) { throw err; }
+                    return mongoDB.getDB().collection('idempotency-keys').findOne({ business_id: business_id, key: key })
+                        .then((stored) => {
+                            if (!stored) { throw Error(`Idempotency key (${key}) could not be read.`); }
+                            if (stored.fingerprint !== fingerprint) {
+                                throw new errors.CastrError(422, error_code.idempotency_key_reused, `Idempotency key (${key}) was already used for a different request.`);
+                            }
+                            if (stored.status === request_status_type.completed) {
+                                logger.debug(`Replaying stored response for idempotency key (${key})`);
+                                res.set('Idempotent-Replayed', 'true');
+                                res.status(stored.status_code).send(stored.response);
+                                return null;
+                            }
+                            if (stored.status === request_status_type.processing && !this._lost(stored, now)) {
+                                throw new errors.CastrError(409, error_code.idempotency_in_progress, `A request with idempotency key (${key}) is still being processed.`);
+                            }
+                            if (!reconcile) {
+                                throw new errors.CastrError(409, error_code.idempotency_outcome_unknown, `The outcome of the request with idempotency key (${key}) is unknown: check it before retrying with a new key.`);
+                            }
+                            return this._claim(business_id, key, now)
+                                .then((claimed) => {
+                                    if (!claimed) {
+                                        throw new errors.CastrError(409, error_code.idempotency_in_progress, `A request with idempotency key (${key}) is still being processed.`);
+                                    }
+                                    logger.debug(`Reconciling request with idempotency key (${key})`);
+                                    this._storeResponse(res, business_id, key);
+                                    reconcile(req, res, next);
+                                });
+                        });
+                })
+                .catch((err) => {
+                    errors.sendError(res, err);
+                });
+        };
+    }
+
+    /**
+     * Whether a request still processing was lost (no response stored within the lease).
+     * @param {*} stored
+     * @param {Date} now
+     */
+    _lost(stored, now) {
+        return (stored.time_claimed || stored.time_created) < new Date(now.getTime() - processing_lease);
+    }
+
+    /**
+     * Claims a key whose outcome is unknown for a retry, atomically, so only one retry reconciles it.
+     *
+     * Returns a promise resolving with true if claimed.
+     * @param {string} business_id
+     * @param {string} key
+     * @param {Date} now
+     */
+    _claim(business_id, key, now) {
+        return mongoDB.getDB().collection('idempotency-keys').findOneAndUpdate(
+            {
+                business_id: business_id,
+                key: key,
+                $or: [
+                    { status: request_status_type.unknown },
+                    { status: request_status_type.processing, time_claimed: { $lt: new Date(now.getTime() - processing_lease) } },
+                ],
+            },
+            { $set: { status: request_status_type.processing, time_claimed: now } },
+            { returnOriginal: false }
+        )
+            .then(result => !!result.value);
+    }
+
+    /**
+     * Hashes what makes two requests the same: method, path and body.
+     * @param {*} req
+     */
+    _fingerprint(req) {
+        return crypto.createHash('sha256')
+            .update(`${req.method} ${req.baseUrl}${req.path}\n${JSON.stringify(req.body || {})}`)
+            .digest('hex');
+    }
+
+    /**
+     * Stores the first response sent for the key. Server errors (5xx) leave the outcome unknown (an I'mport call may
+     * have timed out after moving the money): the key is kept as UNKNOWN, for a retry to reconcile.
+     * @param {*} res
+     * @param {string} business_id
+     * @param {string} key
+     */
+    _storeResponse(res, business_id, key) {
+        const send = res.send.bind(res);
+        let stored = false;
+        res.send = (body) => {
+            // res.send(object) calls res.send again with the JSON string
+            if (!stored) {
+                stored = true;
+                mongoDB.getDB().collection('idempotency-keys').updateOne(
+                    { business_id: business_id, key: key },
+                    {
+                        $set: {
+                            status: (res.statusCode >= 500) ? request_status_type.unknown : request_status_type.completed,
+                            status_code: res.statusCode,
+                            response: body,
+                            time_completed: new Date(),
+                        },
+                    }
+                )
+                    .catch((err) => {
+                        logger.error(`Response for idempotency key (${key}) could not be stored: ${err.message}`);
+                    });
+            }
+            return send(body);
+        };
+    }
+}
+
+module.exports = new IdempotencyService();
@@ -0,0 +1,264 @@
+// app/mailer/mailer.service.js
+
+'use strict';
+
+const mongoDB = require('../db');
+const constants = require('../constants');
+const logger = require('../utils').logger();
+const moment = require('../utils').moment();
+const transporter = require('../utils').nodemailer();
+const scheduler = require('../scheduler/scheduler.service');
+const planService = require('../plans/plan.service');
+const templates = require('./templates');
+const errors = require('../errors');
+
+const timezone = constants.timezone;
+const status_type = constants.status_type;
+const email_type = constants.email_type;
+const email_status_type = constants.email_status_type;
+const renewal_reminder_days = constants.renewal_reminder_days;
+
+class MailerService {
+    /**
+     * Mailer service class constructor.
+     *
+     * Emails are sent to the business' billing contact ('billing-contacts') and every send is logged in 'email-log'.
+     */
+    constructor() {
+        return null;
+    }
+
+    initialize() {
+        mongoDB.getDB().collection('billing-contacts').createIndex({ business_id: 1 }, { unique: true });
+        mongoDB.getDB().collection('email-log').createIndex({ business_id: 1, time_created: -1 });
+        // Send renewal reminders daily at 9 am (local time)
+        scheduler.define('renewal-reminders', {
+            next: (from) => {
+                const local_nine_am = moment(from).tz(timezone.kr).hour(9).minute(0).second(0).millisecond(0);
+                if (!local_nine_am.isAfter(from)) { local_nine_am.add(1, 'day'); }
+                return local_nine_am.toDate();
+            },
+            handler: this._sendRenewalReminders.bind(this),
+            coalesce: true,
+        });
+        logger.debug('Billing emails initialized.');
+    }
+
+    /**
+     * Renders and sends a billing email to the business, and logs it.
+     * Never rejects, so it can be chained after payment processing.
+     *
+     * Returns a promise resolving with the 'email-log' document.
+     * @param {string} template One of `constants.email_type`
+     * @param {string} business_id
+     * @param {*} data Template data
+     */
+    send(template, business_id, data) {
+        return mongoDB.getDB().collection('billing-contacts').findOne({ business_id: business_id })
+            .then((contact) => {
+                const locale = (contact && contact.locale === 'en') ? 'en' : 'kr';
+                const rendered = templates[template][locale](data);
+                const log = {
+                    business_id: business_id,
+                    template: template,
+                    locale: locale,
+                    to: (contact) ? contact.email : null,
+                    subject: rendered.subject,
+                    html: rendered.html,
+                    data: data,
+                    resends: [],
+                    time_created: new Date(),
+                };
+                if (!log.to) {
+                    log.status = email_status_type.skipped;
+                    log.error = 'No billing contact for the business.';
+                    return log;
+                }
+                return this._deliver(log.to, log.subject, log.html)
+                    .then(() => {
+                        log.status = email_status_type.sent;
+                        log.time_sent = new Date();
+                        return log;
+                    })
+                    .catch((err) => {
+                        log.status = email_status_type.failed;
+                        log.error = err.message;
+                        return log;
+                    });
+            })
+            .then(log => mongoDB.getDB().collection('email-log').insertOne(log)
+                .then(() => {
+                    logger.debug(`Email ${template} to business (${business_id}): ${log.status}`);
+                    return log;
+                }))
+            .catch((err) => {
+                logger.error(`Email ${template} to business (${business_id}) could not be logged: ${err.message}`);
+                return null;
+            });
+    }
+
+    _deliver(to, subject, html) {
+        return transporter.sendMail({
+            from: process.env.FROM_EMAIL_ID,
+            to: to,
+            subject: subject,
+            html: html,
+        });
+    }
+
+    /**
+     * Sends a renewal reminder for every SCHEDULED payment due in `constants.renewal_reminder_days` days.
+     *
+     * Returns a promise resolving with the run outcome.
+     */
+    _sendRenewalReminders() {
+        const until = moment.tz(timezone.kr).add(renewal_reminder_days + 1, 'day').hour(0).minute(0).second(0).millisecond(0);
+        let reminded = 0;
+        const next = () => mongoDB.getDB().collection('payment-schedule').findOneAndUpdate(
+            {
+                status: status_type.scheduled,
+                cancel_at_period_end: { $ne: true },
+                schedule: { $gt: new Date(), $lt: until.toDate() },
+                time_reminded: null,
+            },
+            { $set: { time_reminded: new Date() } }
+        )
+            .then((claim_result) => {
+                const schedule = claim_result.value;
+                if (!schedule) { return { reminded: reminded }; }
+                reminded += 1;
+                return this.send(email_type.renewal_reminder, schedule.business_id, {
+                    merchant_uid: schedule.merchant_uid,
+                    billing_plan: schedule.billing_plan,
+                    billing_weeks: planService.planWeeks(schedule),
+                    schedule: schedule.schedule,
+                    amount: schedule.amount,
+                })
+                    .then(next);
+            });
+        return next();
+    }
+
+    /**
+     * Saves the billing contact (email and locale) for the business.
+     * @param {*} req
+     * @param {*} res
+     */
+    setContact(req, res) {
+        const business_id = req.params.business_id;
+        mongoDB.getDB().collection('billing-contacts').updateOne(
+            { business_id: business_id },
+            {
+                $setOnInsert: {
+                    business_id: business_id,
+                    time_created: new Date(),
+                },
+                $set: {
+                    email: req.body.email,
+                    locale: (req.body.locale === 'en') ? 'en' : 'kr',
+                    time_updated: new Date(),
+                },
+            },
+            { upsert: true }
+        )
+            .then(() => {
+                const msg = `Billing contact saved for business (#${business_id})`;
+                logger.debug(msg);
+                res.send({
+                    success: true,
+                    message: msg,
+                });
+            })
+            .catch((err) => {
+                errors.sendError(res, err, { business_id: business_id });
+            });
+    }
+
+    /**
+     * Saves the email used to register a payment method as the billing contact, unless one is already set.
+     * @param {string} business_id
+     * @param {string} email
+     */
+    saveDefaultContact(business_id, email) {
+        if (!email) { return Promise.resolve(); }
+        return mongoDB.getDB().collection('billing-contacts').updateOne(
+            { business_id: business_id },
+            {
+                $setOnInsert: {
+                    business_id: business_id,
+                    email: email,
+                    locale: 'kr',
+                    time_created: new Date(),
+                },
+            },
+            { upsert: true }
+        )
+            .catch((err) => {
+                logger.error(err.message);
+            });
+    }
+
+    /**
+     * Fetches the emails sent to the business.
+     * @param {*} req
+     * @param {*} res
+     */
+    getEmails(req, res) {
+        const business_id = req.params.business_id;
+        mongoDB.getDB().collection('email-log').find({ business_id: business_id }, { html: 0 })
+            .sort({ time_created: -1 })
+            .toArray()
+            .then((emails) => {
+                const msg = `Emails fetched for business (#${business_id})`;
+                logger.debug(msg);
+                res.send({
+                    success: true,
+                    message: msg,
+                    data: emails,
+                });
+            })
+            .catch((err) => {
+                errors.sendError(res, err, { business_id: business_id });
+            });
+    }
+
+    /**
+     * Sends a logged email again to the business' current billing contact.
+     * @param {*} req
+     * @param {*} res
+     */
+    resend(req, res) {
+        const business_id = req.params.business_id;
+        const email_id = req.params.email_id;
+        let to;
+        Promise.all([
+            mongoDB.getDB().collection('email-log').findOne({ _id: mongoDB.ObjectId(email_id), business_id: business_id }),
+            mongoDB.getDB().collection('billing-contacts').findOne({ business_id: business_id })
+        ])
+            .then((results) => {
+                const log = results[0];
+                const contact = results[1];
+                if (!log) { throw errors.notFound(`Email (#${email_id}) not found for business (#${business_id})`); }
+                to = (contact) ? contact.email : log.to;
+                if (!to) { throw errors.unprocessable(`No billing contact for business (#${business_id})`); }
+                return this._deliver(to, log.subject, log.html);
+            })
+            .then(() => mongoDB.getDB().collection('email-log').updateOne(
+                { _id: mongoDB.ObjectId(email_id) },
+                { $push: { resends: { to: to, time_sent: new Date() } } }
+            ))
+            .then(() => {
+                const msg = `Email (#${email_id}) resent to ${to}`;
+                logger.debug(msg);
+                res.send({
+                    success: true,
+                    message: msg,
+                });
+            })
+            .catch((err) => {
+                errors.sendError(res, err, { business_id: business_id });
+            });
+    }
+}
+
+module.exports = new MailerService();
@@ -0,0 +1,171 @@
+// app/mailer/templates.js
+
+'use strict';
+
+const constants = require('../constants');
+const moment = require('../utils').moment();
+
+const timezone = constants.timezone;
+
+function won(amount) {
+    return `${Math.round(amount).toString().replace(/\B(?=(\d{3})+(?!\d))/g, ',')}원`;
+}
+
+function date(value, locale) {
+    return moment(value).tz(timezone.kr).locale(locale).format('LL');
+}
+
+/**
+ * Escapes a value for HTML text and attributes. Template data (card and plan names, I'mport failure reasons) comes
+ * from outside and must not be able to inject markup.
+ * @param {*} value
+ */
+function escape(value) {
+    return String(value)
+        .replace(/&/g, '&amp;')
+        .replace(/</g, '&lt;')
+        .replace(/>/g, '&gt;')
+        .replace(/"/g, '&quot;')
+        .replace(/'/g, '&#39;');
+}
+
+/**
+ * Renders a link, or only its text if the URL is not http(s).
+ * @param {string} url
+ * @param {string} text
+ */
+function link(url, text) {
+    if (!/^https?:\/\//i.test(url)) { return escape(text); }
+    return `<a href="${escape(url)}">${escape(text)}</a>`;
+}
+
+/**
+ * Renders the email body. The title and every cell are escaped; `footer` is HTML (see link()).
+ * @param {string} title
+ * @param {Array[]} rows [label, value] pairs
+ * @param {string} footer HTML (optional)
+ */
+function layout(title, rows, footer) {
+    const table_rows = rows.map(row => `<tr><td style="padding:4px 12px 4px 0;color:#666">${escape(row[0])}</td><td style="padding:4px 0">${escape(row[1])}</td></tr>`).join('');
+    return `<div style="font-family:sans-serif;font-size:14px"><h2>${escape(title)}</h2><table>${table_rows}</table>${footer ? `<p>${footer}</p>` : ''}<p style="color:#999">Castr</p></div>`;
+}
+
+/**
+ * Billing email templates. Each template has a 'kr' and 'en' renderer returning { subject, html }.
+ */
+module.exports = {
+    payment_receipt: {
+        kr: data => ({
+            subject: `[캐스터] 결제 영수증 - ${data.name.long_kr}`,
+            html: layout('결제가 완료되었습니다', [
+                ['상품', data.name.long_kr],
+                ['결제일', date(data.time_paid, 'kr')],
+                ['결제금액', won(data.amount)],
+                ['부가세', won(data.vat || 0)],
+                ['카드', data.card_name || '-']
+            ], data.receipt_url ? link(data.receipt_url, '영수증 보기') : null),
+        }),
+        en: data => ({
+            subject: `[Castr] Payment receipt - ${data.name.long}`,
+            html: layout('Your payment was successful', [
+                ['Item', data.name.long],
+                ['Date', date(data.time_paid, 'en')],
+                ['Amount', won(data.amount)],
+                ['VAT', won(data.vat || 0)],
+                ['Card', data.card_name || '-']
+            ], data.receipt_url ? link(data.receipt_url, 'View receipt') : null),
+        }),
+    },
+    renewal_reminder: {
+        kr: data => ({
+            subject: `[캐스터] ${date(data.schedule, 'kr')}에 정기결제가 진행됩니다`,
+            html: layout('정기결제 예정 안내', [
+                ['플랜', `${data.billing_weeks}주 (${data.billing_plan})`],
+                ['결제 예정일', date(data.schedule, 'kr')],
+                ['결제 예정금액', won(data.amount)]
+            ], '결제수단 변경 또는 구독 해지는 캐스터 관리자 페이지에서 하실 수 있습니다.'),
+        }),
+        en: data => ({
+            subject: `[Castr] Your subscription renews on ${date(data.schedule, 'en')}`,
+            html: layout('Upcoming renewal', [
+                ['Plan', data.billing_plan],
+                ['Billing date', date(data.schedule, 'en')],
+                ['Amount', won(data.amount)]
+            ], 'You can change your payment method or cancel from the Castr dashboard.'),
+        }),
+    },
+    payment_failed: {
+        kr: data => ({
+            subject: '[캐스터] 정기결제에 실패했습니다',
+            html: layout('정기결제 실패 안내', [
+                ['결제금액', won(data.amount)],
+                ['실패 사유', data.fail_reason || '-'],
+                ['다음 재시도', data.next_retry ? date(data.next_retry, 'kr') : '없음']
+            ], (data.next_retry)
+                ? '결제수단을 변경하시면 즉시 다시 결제를 시도합니다.'
+                : '재시도 횟수를 모두 사용하여 구독이 일시 정지되었습니다. 결제수단을 변경하시면 구독이 재개됩니다.'),
+        }),
+        en: data => ({
+            subject: '[Castr] Your scheduled payment failed',
+            html: layout('Payment failed', [
+                ['Amount', won(data.amount)],
+                ['Reason', data.fail_reason || '-'],
+                ['Next retry', data.next_retry ? date(data.next_retry, 'en') : 'None']
+            ], (data.next_retry)
+                ? 'Setting a new payment method retries the payment right away.'
+                : 'No retries are left and your subscription has been suspended. Setting a new payment method resumes it.'),
+        }),
+    },
+    refund_confirmation: {
+        kr: data => ({
+            subject: '[캐스터] 환불이 완료되었습니다',
+            html: layout('환불 완료 안내', [
+                ['플랜', `${data.billing_plan} (${won(data.plan_value)})`],
+                ['이용 일수', `${data.days_served}일`],
+                ['미사용 금액', won(data.value_unserved)],
+                ['해지 수수료', `-${won(data.fee)}${data.fee_waived ? ' (면제)' : ''}`],
+                ['환불금액', won(data.refund_value)]
+            ]),
+        }),
+        en: data => ({
+            subject: '[Castr] Your refund has been processed',
+            html: layout('Refund processed', [
+                ['Plan', `${data.billing_plan} (${won(data.plan_value)})`],
+                ['Days served', data.days_served],
+                ['Value unserved', won(data.value_unserved)],
+                ['Cancellation fee', `-${won(data.fee)}${data.fee_waived ? ' (waived)' : ''}`],
+                ['Refund', won(data.refund_value)]
+            ]),
+        }),
+    },
+    payout_statement: {
+        kr: data => ({
+            subject: `[메뉴캐스트] 정산서 (${date(data.date_range.start, 'kr')} - ${date(data.date_range.end, 'kr')})`,
+            html: layout('새 정산서가 발행되었습니다', [
+                ['정산 기간', `${date(data.date_range.start, 'kr')} - ${date(data.date_range.end, 'kr')}`],
+                ['판매액', won(data.raw_sales)],
+                ['바우처 판매', `${data.num_voucher_purchases}건`],
+                ['쿠폰 사용', `${data.num_coupon_redeems}건`],
+                ['기초 잔액', won(data.opening_balance || 0)],
+                ['수수료 차감 판매액', won(data.sales_amount)],
+                ['조정', won(data.adjustment_amount || 0)],
+                ['정산금액', won(data.payout_amount)],
+                ['이월 잔액', won(data.closing_balance || 0)]
+            ]),
+        }),
+        en: data => ({
+            subject: `[Menucast] Payout statement (${date(data.date_range.start, 'en')} - ${date(data.date_range.end, 'en')})`,
+            html: layout('A new payout statement is available', [
+                ['Period', `${date(data.date_range.start, 'en')} - ${date(data.date_range.end, 'en')}`],
+                ['Sales', won(data.raw_sales)],
+                ['Vouchers sold', data.num_voucher_purchases],
+                ['Coupons redeemed', data.num_coupon_redeems],
+                ['Opening balance', won(data.opening_balance || 0)],
+                ['Sales after fees', won(data.sales_amount)],
+                ['Adjustments', won(data.adjustment_amount || 0)],
+                ['Payout', won(data.payout_amount)],
+                ['Closing balance', won(data.closing_balance || 0)]
+            ]),
+        }),
+    },
+};
@@ -3,24 +3,37 @@
 'use strict';
 
 const express = require('express');
+const validate = require('../validate');
+const auth = require('../auth/auth.service');
 const mcService = require('./mc.service');
+const schema = require('./mc.schema');
 const iamportService = require('../iamport/iamport.service');
+const idempotency = require('../idempotency/idempotency.service');
 
 const router = express.Router();
 
 /**
- * Get all payout transactions for ':business_id'
+ * Redeem a voucher of ':promotable_id'
  */
-router.post('/:business_id/coupon-redeem/:promotable_id', (req, res) => {
+router.post('/:business_id/coupon-redeem/:promotable_id', auth.service, validate(schema.couponRedeem), (req, res) => {
     mcService.couponRedeemHook(req, res);
 });
 
 /**
- * Process one-time Menucast purchases
+ * Process one-time Menucast purchases. Retries whose outcome is unknown are reconciled with I'mport first
  */
-router.post('/:business_id/purchase/:promotable_id', (req, res) => {
+router.post('/:business_id/purchase/:promotable_id', auth.service, validate(schema.purchase), idempotency.guardWith((req, res, next) => {
+    iamportService.mcReconcile(req, res, next);
+}), (req, res) => {
     // Retrieve all transaction hisotry for the provided `merchant_uid`
     iamportService.mcPay(req, res);
 });
 
+/**
+ * Refund a Menucast order (':merchant_uid'), or `quantity` of its vouchers
+ */
+router.post('/:business_id/orders/:merchant_uid/refunds', auth.service, validate(schema.refund), idempotency.guard, (req, res) => {
+    iamportService.mcRefund(req, res);
+});
+
 module.exports = router;
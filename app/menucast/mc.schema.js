@@ -0,0 +1,43 @@
+// app/menucast/mc.schema.js
+
+'use strict';
+
+const object_id = /^[0-9a-fA-F]{24}$/;
+
+const promotable = {
+    business_id: { type: 'string', required: true },
+    promotable_id: { type: 'string', required: true, pattern: object_id },
+};
+
+/**
+ * Request schemas for app/menucast/mc.route.js (see app/validate.js)
+ */
+module.exports = {
+    couponRedeem: {
+        params: promotable,
+        body: {
+            mc_customer_id: { type: 'string', required: true },
+            // Default: the customer's voucher expiring first
+            voucher_code: { type: 'string', pattern: /^[A-Z2-9]{4}-[A-Z2-9]{4}-[A-Z2-9]{4}$/ },
+        },
+    },
+    refund: {
+        params: {
+            business_id: { type: 'string', required: true },
+            merchant_uid: { type: 'string', required: true, pattern: /^mc_/ },
+        },
+        body: {
+            // Default: every refundable voucher of the order
+            quantity: { type: 'integer', min: 1 },
+            reason: { type: 'string', max: 200 },
+        },
+    },
+    purchase: {
+        params: promotable,
+        body: {
+            mc_customer_id: { type: 'string', required: true },
+            // RSA encrypted chunks of the card and buyer details
+            payload: { type: 'array', required: true, min: 1 },
+        },
+    },
+};
@@ -2,13 +2,22 @@
 
 'use strict';
 
+const crypto = require('crypto');
 const mongoDB = require('../db');
 const constants = require('../constants');
 const logger = require('../utils').logger();
 const moment = require('../utils').moment();
+const scheduler = require('../scheduler/scheduler.service');
+const errors = require('../errors');
 
+const timezone = constants.timezone;
 const payment_type = constants.payment_type;
 const status_type = constants.status_type;
+const voucher_status_type = constants.voucher_status_type;
+const error_code = constants.error_code;
+
+// Voucher codes avoid characters that are easily confused (0/O, 1/I)
+const code_alphabet = 'ABCDEFGHJKLMNPQRSTUVWXYZ23456789';
 
 class MenucastService {
     /**
@@ -18,55 +27,403 @@ class MenucastService {
         return null;
     }
 
+    initialize() {
+        mongoDB.getDB().collection('mc-transactions').createIndex({ voucher_code: 1 }, { unique: true, sparse: true });
+        mongoDB.getDB().collection('mc-transactions').createIndex({
+            business_id: 1,
+            mc_customer_id: 1,
+            promotable_id: 1,
+            voucher_status: 1,
+        });
+        // Expire vouchers at midnight (local time)
+        scheduler.define('voucher-expiry', {
+            next: (from) => {
+                const local_midnight = moment(from).tz(timezone.kr).startOf('day').add(1, 'day');
+                return local_midnight.toDate();
+            },
+            handler: this._expireVouchers.bind(this),
+            coalesce: true,
+        });
+        logger.debug('Voucher expiry initialized.');
+    }
+
+    /**
+     * Finds a promotable ('promotions.promoTable' entry) and its promotion.
+     *
+     * Returns a promise resolving with { promotion, promotable }, rejecting with 404 if not found.
+     * @param {string} promotable_id
+     */
+    findPromotable(promotable_id) {
+        return mongoDB.getDB().collection('promotions').findOne({ promoTable: { $elemMatch: { _id: mongoDB.ObjectId(promotable_id) } } })
+            .then((promotion) => {
+                if (!promotion) { throw errors.notFound(`Promotable (#${promotable_id}) not found.`); }
+                return {
+                    promotion: promotion,
+                    promotable: promotion.promoTable.find(promotable => promotable._id.toString() === promotable_id),
+                };
+            });
+    }
+
+    /**
+     * Returns the validity rules of a promotable. Each rule is read from the promotable, or else its promotion:
+     * - start_date, end_date: when the offer runs
+     * - valid_days: days of the week (0 = Sunday, KST) the offer is valid on
+     * - valid_hours: { start, end } ('HH:mm', KST) the offer is valid between, may span midnight
+     * @param {*} promotion
+     * @param {*} promotable
+     */
+    promotableRules(promotion, promotable) {
+        const rule = (name) => {
+            const value = promotable[name];
+            return (value === undefined || value === null) ? promotion[name] : value;
+        };
+        const date = name => ((rule(name)) ? new Date(rule(name)) : null);
+        return {
+            start_date: date('start_date'),
+            end_date: date('end_date'),
+            valid_days: rule('valid_days'),
+            valid_hours: rule('valid_hours'),
+        };
+    }
+
+    /**
+     * Checks that the offer is running and valid at `now`.
+     *
+     * Throws a 422 error with a specific `error.code` otherwise.
+     * @param {*} promotion
+     * @param {*} promotable
+     * @param {Date} now
+     */
+    checkPromotable(promotion, promotable, now) {
+        const rules = this.promotableRules(promotion, promotable);
+        const local_now = moment(now).tz(timezone.kr);
+        if (rules.start_date && now < rules.start_date) {
+            throw errors.unprocessable(`Promotion for promotable (#${promotable._id}) starts on ${moment(rules.start_date).tz(timezone.kr).format('LLL')}.`, error_code.mc_promotion_not_started);
+        }
+        if (rules.end_date && now >= rules.end_date) {
+            throw errors.unprocessable(`Promotion for promotable (#${promotable._id}) ended on ${moment(rules.end_date).tz(timezone.kr).format('LLL')}.`, error_code.mc_promotion_ended);
+        }
+        const valid_days = (Array.isArray(rules.valid_days) && rules.valid_days.length > 0) ? rules.valid_days : null;
+        if (valid_days && !valid_days.includes(local_now.day())) {
+            throw errors.unprocessable(`Promotable (#${promotable._id}) is not available on ${local_now.format('dddd')}s.`, error_code.mc_promotion_unavailable);
+        }
+        if (rules.valid_hours && rules.valid_hours.start && rules.valid_hours.end) {
+            const time = local_now.format('HH:mm');
+            const start = rules.valid_hours.start;
+            const end = rules.valid_hours.end;
+            const valid = (start <= end) ? (time >= start && time < end) : (time >= start || time < end);
+            if (!valid) {
+                throw errors.unprocessable(`Promotable (#${promotable._id}) is only available between ${start} and ${end}.`, error_code.mc_promotion_unavailable);
+            }
+        }
+    }
+
+    /**
+     * Checks the remaining `stock` of a promotable (not capped when not set). The stock is only taken by
+     * reserveStock().
+     *
+     * Returns a promise rejecting with a 422 error with a specific `error.code`.
+     * @param {*} promotable
+     * @param {number} quantity
+     */
+    checkCaps(promotable, quantity) {
+        if (typeof promotable.stock === 'number' && promotable.stock < quantity) {
+            return Promise.reject(errors.unprocessable(`Only ${promotable.stock} vouchers of promotable (#${promotable._id}) are left.`, error_code.mc_promotion_sold_out));
+        }
+        return Promise.resolve();
+    }
+
+    /**
+     * Counts `quantity` vouchers of a promotable against the customer's `max_per_customer`, atomically, so
+     * concurrent purchases cannot exceed it. The customer's vouchers (refunded ones excluded) are counted in
+     * 'mc-customer-quotas', for every promotable so that a cap set later applies to earlier purchases.
+     *
+     * Returns a promise rejecting with 422 if the customer cannot buy that many more.
+     * @param {*} promotable
+     * @param {string} mc_customer_id
+     * @param {number} quantity
+     */
+    reserveQuota(promotable, mc_customer_id, quantity) {
+        const promotable_id = promotable._id.toString();
+        const max = promotable.max_per_customer;
+        const quotas = mongoDB.getDB().collection('mc-customer-quotas');
+        const quota_id = this._quotaId(promotable_id, mc_customer_id);
+        return this._seedQuota(promotable_id, mc_customer_id)
+            .then(() => quotas.updateOne(
+                (typeof max === 'number') ? { _id: quota_id, bought: { $lte: max - quantity } } : { _id: quota_id },
+                { $inc: { bought: quantity } }
+            ))
+            .then((write_result) => {
+                if (write_result.modifiedCount === 1) { return null; }
+                return quotas.findOne({ _id: quota_id })
+                    .then((quota) => {
+                        const left = Math.max(max - ((quota) ? quota.bought : 0), 0);
+                        throw errors.unprocessable(`Customer (${mc_customer_id}) can buy ${left} more vouchers of promotable (#${promotable_id}).`, error_code.mc_promotion_customer_limit);
+                    });
+            });
+    }
+
+    /**
+     * Gives `quantity` vouchers back to the customer's quota of a promotable (failed payment or refund).
+     *
+     * Returns a promise.
+     * @param {string} promotable_id
+     * @param {string} mc_customer_id
+     * @param {number} quantity
+     */
+    releaseQuota(promotable_id, mc_customer_id, quantity) {
+        return mongoDB.getDB().collection('mc-customer-quotas').updateOne(
+            { _id: this._quotaId(promotable_id, mc_customer_id), bought: { $gte: quantity } },
+            { $inc: { bought: -quantity } }
+        );
+    }
+
+    /**
+     * `_id` of the customer's quota of a promotable in 'mc-customer-quotas'.
+     * @param {string} promotable_id
+     * @param {string} mc_customer_id
+     */
+    _quotaId(promotable_id, mc_customer_id) {
+        return `${promotable_id}_${mc_customer_id}`;
+    }
+
+    /**
+     * Creates the customer's quota of a promotable if missing, from the vouchers bought before it was counted.
+     * Concurrent purchases create it once (the first insert wins).
+     *
+     * Returns a promise.
+     * @param {string} promotable_id
+     * @param {string} mc_customer_id
+     */
+    _seedQuota(promotable_id, mc_customer_id) {
+        const quotas = mongoDB.getDB().collection('mc-customer-quotas');
+        const quota_id = this._quotaId(promotable_id, mc_customer_id);
+        return quotas.findOne({ _id: quota_id })
+            .then((quota) => {
+                if (quota) { return null; }
+                return mongoDB.getDB().collection('mc-transactions').count({
+                    promotable_id: promotable_id,
+                    mc_customer_id: mc_customer_id,
+                    type: payment_type.mc_purchase,
+                    voucher_status: { $ne: voucher_status_type.refunded },
+                })
+                    .then(bought => quotas.updateOne(
+                        { _id: quota_id },
+                        { $setOnInsert: { promotable_id: promotable_id, mc_customer_id: mc_customer_id, bought: bought } },
+                        { upsert: true }
+                    ))
+                    .catch((err) => {
+                        if (err.code !== 11000) { throw err; }
+                    });
+            });
+    }
+
+    /**
+     * Takes `quantity` vouchers from the promotable's `stock`, atomically, so it cannot be oversold.
+     * Promotables without `stock` are not limited.
+     *
+     * Returns a promise resolving with true if stock was taken, rejecting with 422 if sold out.
+     * @param {string} promotable_id
+     * @param {number} quantity
+     */
+    reserveStock(promotable_id, quantity) {
+        return mongoDB.getDB().collection('promotions').updateOne(
+            { promoTable: { $elemMatch: { _id: mongoDB.ObjectId(promotable_id), stock: { $gte: quantity } } } },
+            { $inc: { 'promoTable.$.stock': -quantity, 'promoTable.$.sold': quantity } }
+        )
+            .then((write_result) => {
+                if (write_result.modifiedCount === 1) { return true; }
+                return mongoDB.getDB().collection('promotions').findOne(this._limitedStock(promotable_id), { _id: 1 })
+                    .then((limited) => {
+                        if (limited) {
+                            throw errors.unprocessable(`Promotable (#${promotable_id}) is sold out.`, error_code.mc_promotion_sold_out);
+                        }
+                        return false;
+                    });
+            });
+    }
+
+    /**
+     * Puts `quantity` vouchers back into the promotable's `stock` (failed payment or refund).
+     *
+     * Returns a promise.
+     * @param {string} promotable_id
+     * @param {number} quantity
+     */
+    releaseStock(promotable_id, quantity) {
+        return mongoDB.getDB().collection('promotions').updateOne(
+            this._limitedStock(promotable_id),
+            { $inc: { 'promoTable.$.stock': quantity, 'promoTable.$.sold': -quantity } }
+        );
+    }
+
+    /**
+     * Filter matching the promotion of a promotable that has a `stock`.
+     * @param {string} promotable_id
+     */
+    _limitedStock(promotable_id) {
+        return {
+            promoTable: { $elemMatch: { _id: mongoDB.ObjectId(promotable_id), stock: { $exists: true, $ne: null } } },
+        };
+    }
+
+    /**
+     * Returns a new voucher code (XXXX-XXXX-XXXX). Codes are unique in 'mc-transactions' (index on `voucher_code`).
+     */
+    voucherCode() {
+        const characters = Array.from(crypto.randomBytes(12)).map(byte => code_alphabet[byte % code_alphabet.length]);
+        return [0, 4, 8].map(start => characters.slice(start, start + 4).join('')).join('-');
+    }
+
+    /**
+     * Returns the voucher fields of a new PURCHASE unit. Vouchers expire with the promotion at the latest.
+     * @param {Date} time_issued
+     * @param {Date} end_date Promotion end (optional)
+     */
+    issueVoucher(time_issued, end_date) {
+        const expires_at = moment(time_issued).add(constants.voucher_validity_days, 'day').toDate();
+        return {
+            voucher_code: this.voucherCode(),
+            voucher_status: voucher_status_type.issued,
+            expires_at: (end_date && end_date < expires_at) ? end_date : expires_at,
+        };
+    }
+
+    /**
+     * Redeems one voucher of a promotable ('promotable_id'): the voucher with `voucher_code`, or else the
+     * customer's (`mc_customer_id`) issued voucher expiring first.
+     * The voucher is consumed atomically, so it can only be redeemed once. The REDEEM transaction links to
+     * the purchase (`purchase_id`, `purchase_merchant_uid`).
+     * The promotion must be running and valid at the time (dates, days and hours, see checkPromotable()).
+     * @param {*} req
+     * @param {*} res
+     */
     couponRedeemHook(req, res) {
-        // Find promotable from 'promotions.promoTable'
         const business_id = req.params.business_id;
         const promotable_id = req.params.promotable_id;
-        mongoDB.getDB().collection('promotions').findOne({ promoTable: { $elemMatch: { _id: mongoDB.ObjectId(promotable_id) } } })
-            .then((promotion) => {
-                let promotable_name;
-                let amount;
-                let perc_disc_applied;
-                promotion.promoTable.forEach((promotable) => {
-                    if (promotable._id.toString() === promotable_id) {
-                        promotable_name = promotable.nameOne;
-                        amount = (promotable.price * (1 - (promotable.discount / 100))).toFixed(0);
-                        perc_disc_applied = promotable.discount;
-                    }
-                });
+        const mc_customer_id = req.body.mc_customer_id;
+        const voucher_code = req.body.voucher_code;
+        const now = new Date();
+        const redeem_id = mongoDB.ObjectId();
+        const filter = {
+            business_id: business_id,
+            promotable_id: promotable_id,
+            type: payment_type.mc_purchase,
+            voucher_status: voucher_status_type.issued,
+            expires_at: { $gt: now },
+        };
+        if (voucher_code) {
+            filter.voucher_code = voucher_code;
+        } else {
+            filter.mc_customer_id = mc_customer_id;
+        }
+        let voucher;
+        this.findPromotable(promotable_id)
+            .then((found) => {
+                this.checkPromotable(found.promotion, found.promotable, now);
+                return mongoDB.getDB().collection('mc-transactions').findOneAndUpdate(
+                    filter,
+                    {
+                        $set: {
+                            voucher_status: voucher_status_type.redeemed,
+                            redeem_id: redeem_id,
+                            time_redeemed: now,
+                        },
+                    },
+                    { sort: { expires_at: 1 }, returnOriginal: false }
+                );
+            })
+            .then((result) => {
+                voucher = result.value;
+                if (!voucher) {
+                    return this._redeemError(business_id, promotable_id, mc_customer_id, voucher_code, now);
+                }
                 const name = {
                     short: null,
-                    long: `Menucast coupon redeem [#${business_id}] - ${promotable_name}`,
-                    long_kr: `메뉴캐스트 쿠폰 사용 [#${business_id}] - ${promotable_name}`,
+                    long: `Menucast coupon redeem [#${business_id}] - ${voucher.promotable_name}`,
+                    long_kr: `메뉴캐스트 쿠폰 사용 [#${business_id}] - ${voucher.promotable_name}`,
                 };
                 return mongoDB.getDB().collection('mc-transactions').insertOne({
+                    _id: redeem_id,
                     business_id: business_id,
                     promotable_id: promotable_id,
-                    promotable_name: promotable_name,
-                    mc_customer_id: req.body.mc_customer_id,
+                    promotable_name: voucher.promotable_name,
+                    mc_customer_id: mc_customer_id,
                     type: payment_type.mc_redeem,
                     name: name,
                     currency: 'KRW',
-                    amount: amount,
-                    perc_disc_applied: perc_disc_applied,
+                    amount: voucher.amount,
+                    perc_disc_applied: voucher.perc_disc_applied,
                     status: status_type.redeemed,
-                    time_created: new Date(),
-                });
+                    voucher_code: voucher.voucher_code,
+                    purchase_id: voucher._id,
+                    purchase_merchant_uid: voucher.merchant_uid,
+                    time_purchased: voucher.time_created,
+                    time_created: now,
+                })
+                    // Give the voucher back if the redeem could not be recorded
+                    .catch(err => mongoDB.getDB().collection('mc-transactions').updateOne(
+                        { _id: voucher._id, redeem_id: redeem_id },
+                        { $set: { voucher_status: voucher_status_type.issued, redeem_id: null, time_redeemed: null } }
+                    )
+                        .then(() => { throw err; }));
             })
             .then(() => {
-                const msg = `Coupon redeem for promotable (#${promotable_id}) successfully saved to DB`;
+                const msg = `Voucher (${voucher.voucher_code}) of promotable (#${promotable_id}) redeemed`;
                 logger.debug(msg);
                 res.send({
                     success: true,
                     message: msg,
+                    data: {
+                        voucher_code: voucher.voucher_code,
+                        purchase_merchant_uid: voucher.merchant_uid,
+                    },
                 });
             })
             .catch((err) => {
-                logger.error(err.message);
-                res.send({
-                    success: false,
-                    message: err.message,
-                });
+                errors.sendError(res, err, { business_id: business_id, promotable_id: promotable_id });
+            });
+    }
+
+    /**
+     * Explains why no voucher could be redeemed.
+     *
+     * Returns a promise rejecting with the error.
+     */
+    _redeemError(business_id, promotable_id, mc_customer_id, voucher_code, now) {
+        if (!voucher_code) {
+            return Promise.reject(errors.unprocessable(`Customer (${mc_customer_id}) has no redeemable voucher for promotable (#${promotable_id}).`, error_code.mc_voucher));
+        }
+        return mongoDB.getDB().collection('mc-transactions').findOne({ voucher_code: voucher_code })
+            .then((voucher) => {
+                if (!voucher || voucher.business_id !== business_id || voucher.promotable_id !== promotable_id) {
+                    throw errors.notFound(`Voucher (${voucher_code}) not found for promotable (#${promotable_id}).`);
+                }
+                // Expired vouchers may not have been marked by the expiry job yet
+                const expired = voucher.voucher_status === voucher_status_type.issued && voucher.expires_at <= now;
+                const voucher_status = (expired) ? voucher_status_type.expired : voucher.voucher_status;
+                throw errors.unprocessable(`Voucher (${voucher_code}) is ${voucher_status}.`, error_code.mc_voucher);
+            });
+    }
+
+    /**
+     * Marks the issued vouchers past `expires_at` as expired.
+     *
+     * Returns a promise resolving with the run outcome.
+     * @param {Date} run_time
+     */
+    _expireVouchers(run_time) {
+        return mongoDB.getDB().collection('mc-transactions').updateMany(
+            {
+                type: payment_type.mc_purchase,
+                voucher_status: voucher_status_type.issued,
+                expires_at: { $lte: run_time },
+            },
+            { $set: { voucher_status: voucher_status_type.expired, time_expired: new Date() } }
+        )
+            .then((write_result) => {
+                logger.debug(`Expired ${write_result.modifiedCount} vouchers.`);
+                return { expired: write_result.modifiedCount };
             });
     }
 }
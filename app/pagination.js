@@ -0,0 +1,146 @@
+// app/pagination.js
+
+'use strict';
+
+const mongoDB = require('./db');
+const constants = require('./constants');
+const moment = require('./utils').moment();
+const errors = require('./errors');
+
+const timezone = constants.timezone;
+
+const default_limit = 20;
+const max_limit = 100;
+
+/**
+ * Encodes the position of a document in a list sorted by `time_created` then `_id` (both descending).
+ * @param {*} document
+ */
+function encodeCursor(document) {
+    return Buffer.from(`${document.time_created.toISOString()}_${document._id}`).toString('base64');
+}
+
+/**
+ * Decodes a cursor from encodeCursor().
+ *
+ * Throws a 400 error if the cursor is invalid.
+ * @param {string} cursor
+ */
+function decodeCursor(cursor) {
+    const parts = Buffer.from(cursor, 'base64').toString().split('_');
+    const time_created = moment(parts[0], moment.ISO_8601, true);
+    if (parts.length !== 2 || !time_created.isValid() || !/^[0-9a-fA-F]{24}$/.test(parts[1])) {
+        throw errors.badRequest('\'cursor\' is invalid.');
+    }
+    return {
+        time_created: time_created.toDate(),
+        _id: mongoDB.ObjectId(parts[1]),
+    };
+}
+
+/**
+ * Returns the `{ $gte, $lt }` filter for the `from` and `to` query dates (local time, `to` inclusive), or null.
+ * @param {*} query
+ */
+function dateRange(query) {
+    const range = {};
+    if (query.from) { range.$gte = moment.tz(query.from, timezone.kr).toDate(); }
+    if (query.to) {
+        const to = moment.tz(query.to, timezone.kr);
+        // A date without time includes the whole day
+        if (query.to.length <= 10) { to.add(1, 'day'); }
+        range.$lt = to.toDate();
+    }
+    return (Object.keys(range).length > 0) ? range : null;
+}
+
+/**
+ * Fetches one page of documents matching the filter, newest first.
+ *
+ * Returns a promise resolving with { documents, paging: { limit, next_cursor, has_more } }, rejecting with 400 if the
+ * cursor is invalid.
+ * @param {string} collection
+ * @param {*} filter
+ * @param {*} query Request query with optional `limit` and `cursor`
+ */
+function findPage(collection, filter, query) {
+    const limit = Math.min(parseInt(query.limit) || default_limit, max_limit);
+    // Decoded in the chain so an invalid cursor rejects instead of throwing at the caller
+    return Promise.resolve()
+        .then(() => {
+            if (!query.cursor) { return filter; }
+            const position = decodeCursor(query.cursor);
+            return {
+                $and: [filter, {
+                    $or: [
+                        { time_created: { $lt: position.time_created } },
+                        { time_created: position.time_created, _id: { $lt: position._id } }
+                    ],
+                }],
+            };
+        })
+        .then(page_filter => mongoDB.getDB().collection(collection).find(page_filter)
+            .sort({ time_created: -1, _id: -1 })
+            .limit(limit + 1)
+            .toArray())
+        .then((documents) => {
+            const has_more = documents.length > limit;
+            const page = documents.slice(0, limit);
+            return {
+                documents: page,
+                paging: {
+                    limit: limit,
+                    next_cursor: (has_more) ? encodeCursor(page[page.length - 1]) : null,
+                    has_more: has_more,
+                },
+            };
+        });
+}
+
+/**
+ * Sums fields over every document matching the filter (not only the current page), grouped by a field.
+ *
+ * Returns a promise resolving with { count, [field]: sum, by_{group}: { [value]: { count, [field]: sum } } }.
+ * @param {string} collection
+ * @param {*} filter
+ * @param {string[]} fields Numeric fields to sum
+ * @param {string} group Field to group by (optional)
+ */
+function totals(collection, filter, fields, group) {
+    const group_stage = { _id: (group) ? `$${group}` : null, count: { $sum: 1 } };
+    fields.forEach((field) => { group_stage[field] = { $sum: `$${field}` }; });
+    return mongoDB.getDB().collection(collection).aggregate([
+        { $match: filter },
+        { $group: group_stage }
+    ]).toArray()
+        .then((groups) => {
+            const result = { count: 0 };
+            fields.forEach((field) => { result[field] = 0; });
+            if (group) { result[`by_${group}`] = {}; }
+            groups.forEach((entry) => {
+                result.count += entry.count;
+                fields.forEach((field) => { result[field] += entry[field]; });
+                if (group) {
+                    const sums = { count: entry.count };
+                    fields.forEach((field) => { sums[field] = entry[field]; });
+                    result[`by_${group}`][entry._id] = sums;
+                }
+            });
+            return result;
+        });
+}
+
+module.exports = {
+    // Query schema shared by paginated routes (see app/validate.js)
+    schema: {
+        limit: { type: 'integer', min: 1, max: max_limit },
+        cursor: { type: 'string' },
+        from: { type: 'date' },
+        to: { type: 'date' },
+    },
+    default_limit: default_limit,
+    max_limit: max_limit,
+    dateRange: dateRange,
+    findPage: findPage,
+    totals: totals,
+};
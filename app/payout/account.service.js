@@ -0,0 +1,384 @@
+// app/payout/account.service.js
+
+'use strict';
+
+const crypto = require('crypto');
+const mongoDB = require('../db');
+const constants = require('../constants');
+const logger = require('../utils').logger();
+const moment = require('../utils').moment();
+const encrypt = require('../utils').encrypt;
+const errors = require('../errors');
+const pagination = require('../pagination');
+const opService = require('./op.service');
+
+const error_code = constants.error_code;
+const timezone = constants.timezone;
+
+const minute = 60 * 1000;
+// A 1-won deposit code can be entered this many times within its validity
+const max_code_attempts = 5;
+const code_validity = 10 * minute;
+// Deposit codes that can be tried for the same account a day, over all of its registrations
+const max_account_code_attempts = 10;
+// Registrations allowed per business a day; each one sends a 1-won deposit or a real name inquiry
+const max_registrations = parseInt(process.env.PAYOUT_ACCOUNT_MAX_REGISTRATIONS || 5);
+
+const method_type = {
+    name_check: 'name_check',
+    deposit_code: 'deposit_code',
+};
+const audit_action = {
+    requested: 'requested',
+    verified: 'verified',
+    verification_failed: 'verification_failed',
+};
+
+function mask(account_num) {
+    return `${'*'.repeat(Math.max(account_num.length - 4, 0))}${account_num.slice(-4)}`;
+}
+
+// Bank real name results may differ in spacing and case
+function sameName(a, b) {
+    const normalize = name => `${name || ''}`.replace(/\s/g, '').toUpperCase();
+    return normalize(a) !== '' && normalize(a) === normalize(b);
+}
+
+function hashCode(business_id, code) {
+    return crypto.createHash('sha256').update(`${business_id}:${code}`).digest('hex');
+}
+
+// Identifies an account of a business in 'payout-account-limits' without storing its number
+function accountKey(business_id, bank_code, account_num) {
+    return crypto.createHash('sha256').update(`${business_id}:${bank_code}:${account_num}`).digest('hex');
+}
+
+class AccountService {
+    /**
+     * Payout account service class constructor.
+     *
+     * Each business has one document in 'payout-accounts': the verified `account` payouts are sent to, and the `pending`
+     * account being verified (registration or change). Account numbers are stored encrypted (`utils.encrypt`) and only
+     * returned masked. Every request and verification outcome is logged in 'payout-account-audit'.
+     * Registrations and deposit code attempts are counted per day (KST) in 'payout-account-limits'.
+     */
+    constructor() {
+        return null;
+    }
+
+    initialize() {
+        mongoDB.getDB().collection('payout-account-limits').createIndex({ time_created: 1 }, { expireAfterSeconds: 2 * 24 * 60 * 60 });
+    }
+
+    /**
+     * Fetches the business' payout account and the account being verified.
+     * @param {*} req
+     * @param {*} res
+     */
+    getAccount(req, res) {
+        const business_id = req.params.business_id;
+        mongoDB.getDB().collection('payout-accounts').findOne({ business_id: business_id })
+            .then((document) => {
+                const msg = `Payout account fetched for business (#${business_id})`;
+                logger.debug(msg);
+                res.send({
+                    success: true,
+                    message: msg,
+                    data: this._view(document),
+                });
+            })
+            .catch((err) => {
+                errors.sendError(res, err, { business_id: business_id });
+            });
+    }
+
+    /**
+     * Registers a payout account, or starts changing it. The current account keeps receiving payouts until the new one
+     * is verified.
+     * Body: `bank_code`, `account_num`, `account_holder_name`, `method` and `holder_info` (birth date or business
+     * registration number, for `name_check`).
+     * - name_check: the holder name from the bank must match `account_holder_name`; the account is verified right away.
+     * - deposit_code: 1 won is sent with a 4 digit code in the deposit description, to be entered with verifyAccount().
+     * At most PAYOUT_ACCOUNT_MAX_REGISTRATIONS (default 5) registrations a day, then 429.
+     * @param {*} req
+     * @param {*} res
+     */
+    registerAccount(req, res) {
+        const business_id = req.params.business_id;
+        const account_num = req.body.account_num.replace(/-/g, '');
+        const pending = {
+            bank_code: req.body.bank_code,
+            account_num: encrypt(account_num),
+            account_num_masked: mask(account_num),
+            account_holder_name: req.body.account_holder_name.trim(),
+            method: req.body.method,
+            account_key: accountKey(business_id, req.body.bank_code, account_num),
+            time_created: new Date(),
+        };
+        this._limit(`register:${business_id}`, max_registrations, 'Too many payout account registrations today.')
+            .then(() => this._audit(req, audit_action.requested, pending))
+            .then(() => {
+                if (pending.method === method_type.name_check) {
+                    return opService.realName(pending.bank_code, account_num, req.body.holder_info)
+                        .then((outcome) => {
+                            if (outcome.result !== 'found') { return this._reject(req, pending, outcome.message); }
+                            if (!sameName(outcome.account_holder_name, pending.account_holder_name)) {
+                                return this._reject(req, pending, 'The account holder name does not match.');
+                            }
+                            return this._activate(req, pending);
+                        });
+                }
+                const code = `${crypto.randomBytes(2).readUInt16BE(0) % 10000}`.padStart(4, '0');
+                const account = Object.assign({}, pending, { account_num: account_num });
+                const bank_tran_id = opService.bankTranId();
+                return opService.deposit(bank_tran_id, account, 1, `${opService.client_name} ${code}`, business_id)
+                    .catch(err => ({ result: 'failed', message: err.message }))
+                    .then((outcome) => {
+                        // A deposit still being processed may arrive later, so the code is kept
+                        if (outcome.result === 'failed') { return this._reject(req, pending, outcome.message); }
+                        Object.assign(pending, {
+                            code_hash: hashCode(business_id, code),
+                            code_expires: new Date(Date.now() + code_validity),
+                            attempts: 0,
+                            bank_tran_id: bank_tran_id,
+                        });
+                        return this._save(business_id, { pending: pending });
+                    });
+            })
+            .then((document) => {
+                const msg = (document.pending) ? `Verification deposit sent for business (#${business_id})`
+                    : `Payout account verified for business (#${business_id})`;
+                logger.debug(msg);
+                res.send({
+                    success: true,
+                    message: msg,
+                    data: this._view(document),
+                });
+            })
+            .catch((err) => {
+                errors.sendError(res, err, { business_id: business_id });
+            });
+    }
+
+    /**
+     * Verifies the pending account with the code of its 1-won deposit (body: `code`).
+     * Each registration allows 5 attempts, and each account 10 a day over all of its registrations, then 429.
+     * @param {*} req
+     * @param {*} res
+     */
+    verifyAccount(req, res) {
+        const business_id = req.params.business_id;
+        // Attempts are counted before the code is compared, so concurrent guesses cannot exceed the limit
+        mongoDB.getDB().collection('payout-accounts').findOneAndUpdate(
+            {
+                business_id: business_id,
+                'pending.method': method_type.deposit_code,
+                'pending.attempts': { $lt: max_code_attempts },
+            },
+            { $inc: { 'pending.attempts': 1 } },
+            { returnOriginal: false }
+        )
+            .then((result) => {
+                const document = result.value;
+                if (!document) {
+                    throw errors.conflict(`No account of business (#${business_id}) is waiting for a deposit code, or too many codes were tried.`);
+                }
+                const pending = document.pending;
+                if (pending.code_expires < new Date()) {
+                    return this._reject(req, pending, 'The deposit code has expired. Register the account again.');
+                }
+                return this._limit(`code:${pending.account_key}`, max_account_code_attempts, 'Too many deposit codes tried for this account today.')
+                    .then(() => pending);
+            })
+            .then((pending) => {
+                const expected = Buffer.from(pending.code_hash);
+                const given = Buffer.from(hashCode(business_id, req.body.code));
+                if (!crypto.timingSafeEqual(expected, given)) {
+                    const left = max_code_attempts - pending.attempts;
+                    return this._reject(req, pending, `The deposit code does not match (${left} attempts left).`, left > 0);
+                }
+                return this._activate(req, pending);
+            })
+            .then((document) => {
+                const msg = `Payout account verified for business (#${business_id})`;
+                logger.debug(msg);
+                res.send({
+                    success: true,
+                    message: msg,
+                    data: this._view(document),
+                });
+            })
+            .catch((err) => {
+                errors.sendError(res, err, { business_id: business_id });
+            });
+    }
+
+    /**
+     * Fetches the audit trail of the business' payout account, newest first.
+     * Query: `limit`, `cursor`, `from` and `to`.
+     * @param {*} req
+     * @param {*} res
+     */
+    getAudit(req, res) {
+        const business_id = req.params.business_id;
+        const filter = { business_id: business_id };
+        const date_range = pagination.dateRange(req.query);
+        if (date_range) { filter.time_created = date_range; }
+        pagination.findPage('payout-account-audit', filter, req.query)
+            .then((page) => {
+                const msg = `Payout account audit fetched for business (#${business_id})`;
+                logger.debug(msg);
+                res.send({
+                    success: true,
+                    message: msg,
+                    data: page.documents,
+                    paging: page.paging,
+                });
+            })
+            .catch((err) => {
+                errors.sendError(res, err, { business_id: business_id });
+            });
+    }
+
+    /**
+     * Returns the IDs of the given businesses that have a verified payout account.
+     * @param {string[]} business_ids
+     */
+    verifiedBusinesses(business_ids) {
+        return mongoDB.getDB().collection('payout-accounts')
+            .find({ business_id: { $in: business_ids }, account: { $ne: null } }, { business_id: 1 })
+            .toArray()
+            .then(documents => documents.map(document => document.business_id));
+    }
+
+    /**
+     * Makes the account the verified payout account and releases the statements held for lack of one.
+     * Resolves with the 'payout-accounts' document.
+     * @param {*} req
+     * @param {*} pending
+     */
+    _activate(req, pending) {
+        const business_id = req.params.business_id;
+        const account = {
+            bank_code: pending.bank_code,
+            account_num: pending.account_num,
+            account_num_masked: pending.account_num_masked,
+            account_holder_name: pending.account_holder_name,
+            method: pending.method,
+            time_verified: new Date(),
+        };
+        return this._save(business_id, { account: account, pending: null })
+            .then(document => this._audit(req, audit_action.verified, account)
+                .then(() => opService.releaseHeld(business_id))
+                .then((released) => {
+                    if (released > 0) { logger.debug(`[#${business_id}] ${released} held payouts released`); }
+                    return document;
+                }));
+    }
+
+    /**
+     * Logs the failed verification and rejects with 422. The pending account is dropped unless `keep` is set.
+     * @param {*} req
+     * @param {*} pending
+     * @param {string} reason
+     * @param {boolean} keep
+     */
+    _reject(req, pending, reason, keep) {
+        const business_id = req.params.business_id;
+        const cleared = (keep) ? Promise.resolve() : mongoDB.getDB().collection('payout-accounts').updateOne(
+            { business_id: business_id, 'pending.account_num': pending.account_num },
+            { $set: { pending: null, time_updated: new Date() } }
+        );
+        return cleared
+            .then(() => this._audit(req, audit_action.verification_failed, pending, reason))
+            .then(() => {
+                throw errors.unprocessable(`Payout account verification failed: ${reason}`, error_code.payout_account_verification);
+            });
+    }
+
+    /**
+     * Counts a request towards today's limit for `key`, and rejects with 429 once `limit` is exceeded.
+     * @param {string} key
+     * @param {number} limit
+     * @param {string} message
+     */
+    _limit(key, limit, message) {
+        const now = new Date();
+        const day = moment(now).tz(timezone.kr).format('YYYYMMDD');
+        return mongoDB.getDB().collection('payout-account-limits').findOneAndUpdate(
+            { _id: `${key}_${day}` },
+            { $inc: { count: 1 }, $setOnInsert: { time_created: now } },
+            { upsert: true, returnOriginal: false }
+        )
+            .then((result) => {
+                if (result.value.count > limit) { throw errors.tooManyRequests(`${message} Try again tomorrow.`); }
+            });
+    }
+
+    /**
+     * Updates the business' 'payout-accounts' document. Resolves with the updated document.
+     * @param {string} business_id
+     * @param {*} fields
+     */
+    _save(business_id, fields) {
+        const now = new Date();
+        return mongoDB.getDB().collection('payout-accounts').findOneAndUpdate(
+            { business_id: business_id },
+            {
+                $setOnInsert: { business_id: business_id, time_created: now },
+                $set: Object.assign({ time_updated: now }, fields),
+            },
+            { upsert: true, returnOriginal: false }
+        )
+            .then(result => result.value);
+    }
+
+    /**
+     * Inserts to 'payout-account-audit'. Only the masked account number is logged.
+     * @param {*} req
+     * @param {string} action One of `audit_action`
+     * @param {*} account
+     * @param {string} reason
+     */
+    _audit(req, action, account, reason) {
+        return mongoDB.getDB().collection('payout-account-audit').insertOne({
+            business_id: req.params.business_id,
+            action: action,
+            method: account.method,
+            account: {
+                bank_code: account.bank_code,
+                account_num: account.account_num_masked,
+                account_holder_name: account.account_holder_name,
+            },
+            reason: reason || null,
+            actor: (req.auth) ? { type: req.auth.type, subject: req.auth.subject } : null,
+            ip: req.ip,
+            time_created: new Date(),
+        });
+    }
+
+    /**
+     * The payout account as shown to businesses: masked account numbers, no codes.
+     * @param {*} document 'payout-accounts' document (or null)
+     */
+    _view(document) {
+        const view = account => ((account) ? {
+            bank_code: account.bank_code,
+            account_num: account.account_num_masked,
+            account_holder_name: account.account_holder_name,
+            method: account.method,
+        } : null);
+        if (!document) { return { account: null, pending: null }; }
+        return {
+            account: (document.account) ? Object.assign(view(document.account), {
+                time_verified: document.account.time_verified,
+            }) : null,
+            pending: (document.pending) ? Object.assign(view(document.pending), {
+                code_expires: document.pending.code_expires || null,
+                attempts_left: (document.pending.code_hash) ? max_code_attempts - document.pending.attempts : null,
+            }) : null,
+        };
+    }
+}
+
+module.exports = new AccountService();
@@ -0,0 +1,201 @@
+// app/payout/cadence.service.js
+
+'use strict';
+
+const mongoDB = require('../db');
+const constants = require('../constants');
+const logger = require('../utils').logger();
+const moment = require('../utils').moment();
+const errors = require('../errors');
+
+const timezone = constants.timezone;
+const week = constants.week;
+const payout_frequency_type = constants.payout_frequency_type;
+
+// Businesses without a 'payout-cadences' document are paid every second Friday
+const default_cadence = {
+    frequency: payout_frequency_type.biweekly,
+    payout_day: 5,
+    threshold: null,
+};
+
+// Length of the first statement window of a business, counted back from its payout date
+const first_window = {
+    [payout_frequency_type.weekly]: [1, 'week'],
+    [payout_frequency_type.biweekly]: [2, 'week'],
+    [payout_frequency_type.monthly]: [1, 'month'],
+    [payout_frequency_type.on_demand]: [1, 'month'],
+};
+
+class CadenceService {
+    /**
+     * Payout cadence service class constructor.
+     *
+     * 'payout-cadences' has one document per business that chose its payout cadence:
+     * - weekly, biweekly: on `payout_day` (0 = Sunday ... 6 = Saturday); biweekly payouts fall on odd weeks since epoch
+     * - monthly: on `payout_day` (1 to 28) of every month
+     * - on_demand: on the first day the balance due reaches `threshold`
+     * Payout dates are at midnight, local time, and close the statement window ending on them.
+     */
+    constructor() {
+        this.default = default_cadence;
+    }
+
+    initialize() {
+        mongoDB.getDB().collection('payout-cadences').createIndex({ business_id: 1 }, { unique: true });
+    }
+
+    /**
+     * Fetches the payout cadence of the business ('business_id') and its next payout date.
+     * @param {*} req
+     * @param {*} res
+     */
+    getCadence(req, res) {
+        const business_id = req.params.business_id;
+        this.cadence(business_id)
+            .then((cadence) => {
+                const msg = `Payout cadence fetched for business (#${business_id})`;
+                logger.debug(msg);
+                res.send({
+                    success: true,
+                    message: msg,
+                    data: this.view(cadence, new Date()),
+                });
+            })
+            .catch((err) => {
+                errors.sendError(res, err, { business_id: business_id });
+            });
+    }
+
+    /**
+     * Sets the payout cadence of the business ('business_id').
+     * The next statement starts where the last one ended, whatever the cadence was, so switching leaves no gap.
+     * Body: `frequency`, `payout_day` (weekly, biweekly and monthly) and `threshold` (on_demand).
+     * @param {*} req
+     * @param {*} res
+     */
+    setCadence(req, res) {
+        const business_id = req.params.business_id;
+        const frequency = req.body.frequency;
+        const on_demand = frequency === payout_frequency_type.on_demand;
+        const now = new Date();
+        mongoDB.getDB().collection('payout-cadences').findOneAndUpdate(
+            { business_id: business_id },
+            {
+                $setOnInsert: { business_id: business_id, time_created: now },
+                $set: {
+                    frequency: frequency,
+                    payout_day: (on_demand) ? null : parseInt(req.body.payout_day),
+                    threshold: (on_demand) ? parseInt(req.body.threshold) : null,
+                    changed_by: { type: req.auth.type, subject: req.auth.subject },
+                    time_updated: now,
+                },
+            },
+            { upsert: true, returnOriginal: false }
+        )
+            .then((result) => {
+                const msg = `Payout cadence of business (#${business_id}) set to ${frequency}`;
+                logger.debug(msg);
+                res.send({
+                    success: true,
+                    message: msg,
+                    data: this.view(result.value, now),
+                });
+            })
+            .catch((err) => {
+                errors.sendError(res, err, { business_id: business_id });
+            });
+    }
+
+    /**
+     * Returns a promise resolving with the cadence of the business (the default one if it has none).
+     * @param {string} business_id
+     */
+    cadence(business_id) {
+        return mongoDB.getDB().collection('payout-cadences').findOne({ business_id: business_id })
+            .then(document => document || this.default);
+    }
+
+    /**
+     * Returns a promise resolving with { [business_id]: cadence } for every business that chose a cadence.
+     */
+    cadences() {
+        return mongoDB.getDB().collection('payout-cadences').find({}).toArray()
+            .then(documents => documents.reduce((cadences, document) => Object.assign(cadences, {
+                [document.business_id]: document,
+            }), {}));
+    }
+
+    /**
+     * Returns the first payout date of the cadence after the given date. For on_demand cadences, the next daily check.
+     * @param {*} cadence
+     * @param {Date} from
+     */
+    nextPayoutDate(cadence, from) {
+        const local_day = moment(from).tz(timezone.kr).startOf('day');
+        switch (cadence.frequency) {
+            case payout_frequency_type.weekly:
+            case payout_frequency_type.biweekly: {
+                const epoch = moment.unix(0);
+                local_day.day(cadence.payout_day);
+                if (!local_day.isAfter(from)) { local_day.add(1, 'week'); }
+                // Biweekly payouts happen on odd weeks since epoch
+                if (cadence.frequency === payout_frequency_type.biweekly
+                    && Math.floor(local_day.diff(epoch) / week) % 2 === 0) { local_day.add(1, 'week'); }
+                break;
+            }
+            case payout_frequency_type.monthly:
+                local_day.date(cadence.payout_day);
+                if (!local_day.isAfter(from)) { local_day.add(1, 'month'); }
+                break;
+            default:
+                local_day.add(1, 'day');
+        }
+        return local_day.toDate();
+    }
+
+    /**
+     * Returns whether `date` is a payout date of the cadence (every day is, for on_demand cadences).
+     * @param {*} cadence
+     * @param {Date} date
+     */
+    isPayoutDate(cadence, date) {
+        return this.nextPayoutDate(cadence, new Date(date.getTime() - 1)).getTime() === date.getTime();
+    }
+
+    /**
+     * Returns the start of the first statement window of a business, which has no previous statement to start from:
+     * one cadence period before the payout date, or the day of the business' first transaction if it is older, so
+     * transactions are not left out while an on_demand balance stays under its threshold.
+     * @param {*} cadence
+     * @param {Date} payout_date
+     * @param {Date} first_transaction Time of the business' first transaction (optional)
+     */
+    firstWindowStart(cadence, payout_date, first_transaction) {
+        const length = first_window[cadence.frequency];
+        const start = moment(payout_date).tz(timezone.kr).subtract(length[0], length[1]).toDate();
+        if (first_transaction && first_transaction < start) {
+            return moment(first_transaction).tz(timezone.kr).startOf('day').toDate();
+        }
+        return start;
+    }
+
+    /**
+     * The cadence as shown to businesses.
+     * @param {*} cadence
+     * @param {Date} now
+     */
+    view(cadence, now) {
+        const on_demand = cadence.frequency === payout_frequency_type.on_demand;
+        return {
+            frequency: cadence.frequency,
+            payout_day: cadence.payout_day,
+            threshold: cadence.threshold,
+            is_default: cadence === this.default,
+            next_payout_date: (on_demand) ? null : this.nextPayoutDate(cadence, now),
+            time_updated: cadence.time_updated || null,
+        };
+    }
+}
+
+module.exports = new CadenceService();
@@ -0,0 +1,246 @@
+// app/payout/ledger.service.js
+
+'use strict';
+
+const mongoDB = require('../db');
+const constants = require('../constants');
+const logger = require('../utils').logger();
+const errors = require('../errors');
+const pagination = require('../pagination');
+
+const ledger_entry_type = constants.ledger_entry_type;
+
+class LedgerService {
+    /**
+     * Payout ledger service class constructor.
+     *
+     * 'payout-ledger' has one entry per balance change of a business: the net sales of each statement (SALES), the
+     * amount paid out (PAYOUT) and manual ADJUSTMENT credits (positive) and debits (negative) by ops.
+     * A statement's `closing_balance` is carried into the business' next statement as its `opening_balance`.
+     * Adjustments are unsettled (`statement_id: null`) until a statement includes them. A payout transfer that fails for
+     * good or is returned is credited back with an ADJUSTMENT (see OpService._compensate()), and debited again when
+     * the transfer is retried.
+     */
+    constructor() {
+        return null;
+    }
+
+    initialize() {
+        mongoDB.getDB().collection('payout-ledger').createIndex({ business_id: 1, time_created: -1 });
+        mongoDB.getDB().collection('payout-ledger').createIndex({ type: 1, statement_id: 1 });
+        mongoDB.getDB().collection('payout-ledger').createIndex({ payout_key: 1 }, { unique: true, sparse: true });
+        mongoDB.getDB().collection('payout-ledger').createIndex({ entry_key: 1 }, { unique: true, sparse: true });
+        mongoDB.getDB().collection('mc-statements').createIndex({ settled: 1 }, { sparse: true });
+    }
+
+    /**
+     * Fetches the business' ledger entries, newest first, with its current balance (the last statement's closing
+     * balance plus unsettled adjustments).
+     * Query: `limit`, `cursor`, `from`, `to` and `type`.
+     * @param {*} req
+     * @param {*} res
+     */
+    getLedger(req, res) {
+        const business_id = req.params.business_id;
+        const filter = { business_id: business_id };
+        if (req.query.type) { filter.type = req.query.type; }
+        const date_range = pagination.dateRange(req.query);
+        if (date_range) { filter.time_created = date_range; }
+        Promise.all([
+            pagination.findPage('payout-ledger', filter, req.query),
+            this.balances(new Date(), [business_id])
+        ])
+            .then((results) => {
+                const page = results[0];
+                const balance = results[1][business_id] || { opening_balance: 0, adjustments: [] };
+                const unsettled = balance.adjustments.reduce((sum, adjustment) => sum + adjustment.amount, 0);
+                const msg = `Payout ledger fetched for business (#${business_id})`;
+                logger.debug(msg);
+                res.send({
+                    success: true,
+                    message: msg,
+                    data: {
+                        settled_balance: balance.opening_balance,
+                        unsettled_adjustments: unsettled,
+                        balance: balance.opening_balance + unsettled,
+                        entries: page.documents,
+                    },
+                    paging: page.paging,
+                });
+            })
+            .catch((err) => {
+                errors.sendError(res, err, { business_id: business_id });
+            });
+    }
+
+    /**
+     * Adds a manual adjustment to the business' balance (ops). It is settled by the business' next statement.
+     * Body: `type` (credit or debit), `amount` (positive) and `reason`.
+     * @param {*} req
+     * @param {*} res
+     */
+    adjust(req, res) {
+        const business_id = req.params.business_id;
+        const amount = parseInt(req.body.amount) * ((req.body.type === 'debit') ? -1 : 1);
+        const entry = {
+            business_id: business_id,
+            type: ledger_entry_type.adjustment,
+            amount: amount,
+            reason: req.body.reason,
+            statement_id: null,
+            actor: { type: req.auth.type, subject: req.auth.subject },
+            time_created: new Date(),
+        };
+        mongoDB.getDB().collection('payout-ledger').insertOne(entry)
+            .then(() => {
+                const msg = `Payout adjustment of ${amount} added for business (#${business_id})`;
+                logger.debug(msg);
+                res.send({
+                    success: true,
+                    message: msg,
+                    data: entry,
+                });
+            })
+            .catch((err) => {
+                errors.sendError(res, err, { business_id: business_id });
+            });
+    }
+
+    /**
+     * Adds an adjustment for the payout of a statement, once per `payout_key`.
+     * @param {*} statement The 'mc-statements' document whose payout is adjusted
+     * @param {number} amount Positive to credit the payout back, negative to debit it again
+     * @param {string} payout_key Unique key of the adjustment
+     * @param {string} reason
+     */
+    adjustPayout(statement, amount, payout_key, reason) {
+        return mongoDB.getDB().collection('payout-ledger').updateOne(
+            { payout_key: payout_key },
+            {
+                $setOnInsert: {
+                    business_id: statement.business_id,
+                    type: ledger_entry_type.adjustment,
+                    amount: amount,
+                    reason: reason,
+                    statement_id: null,
+                    payout_statement_id: statement._id,
+                    payout_key: payout_key,
+                    actor: null,
+                    time_created: new Date(),
+                },
+            },
+            { upsert: true }
+        )
+            .catch((err) => {
+                // Added by a concurrent call
+                if (err.code !== 11000) { throw err; }
+            });
+    }
+
+    /**
+     * Returns the balances carried into statements ending at `before`: for every business with a non-zero closing
+     * balance (of its last statement ending before `before`) or unsettled adjustments made before `before`,
+     * { opening_balance, adjustments }.
+     * @param {Date} before
+     * @param {string[]} business_ids Only these businesses (optional)
+     */
+    balances(before, business_ids) {
+        const business_filter = (business_ids) ? { business_id: { $in: business_ids } } : {};
+        return Promise.all([
+            mongoDB.getDB().collection('mc-statements').aggregate([
+                { $match: Object.assign({ 'date_range.end': { $lt: before } }, business_filter) },
+                { $sort: { 'date_range.end': -1 } },
+                { $group: { _id: '$business_id', closing_balance: { $first: '$closing_balance' } } },
+                { $match: { closing_balance: { $nin: [0, null] } } }
+            ]).toArray(),
+            mongoDB.getDB().collection('payout-ledger').find(Object.assign({
+                type: ledger_entry_type.adjustment,
+                statement_id: null,
+                time_created: { $lt: before },
+            }, business_filter)).sort({ time_created: 1 }).toArray()
+        ])
+            .then((results) => {
+                const balances = {};
+                const balance = (id) => {
+                    if (!balances[id]) { balances[id] = { opening_balance: 0, adjustments: [] }; }
+                    return balances[id];
+                };
+                results[0].forEach((closing) => {
+                    balance(closing._id).opening_balance = closing.closing_balance;
+                });
+                results[1].forEach((adjustment) => {
+                    balance(adjustment.business_id).adjustments.push(adjustment);
+                });
+                return balances;
+            });
+    }
+
+    /**
+     * Records inserted statements in the ledger: their net sales and payout, and settles the adjustments they include,
+     * then flags the statements `settled`. Entries are keyed by statement, so settling a statement again (e.g. after a
+     * crash, see settlePending()) adds nothing.
+     * @param {*} statements Inserted 'mc-statements' documents (with `adjustments`)
+     */
+    settle(statements) {
+        const entries = [];
+        const adjustment_ids = [];
+        statements.forEach((statement) => {
+            const entry = (type, amount) => ({
+                updateOne: {
+                    filter: { entry_key: `${statement._id}_${type}` },
+                    update: {
+                        $setOnInsert: {
+                            business_id: statement.business_id,
+                            type: type,
+                            amount: amount,
+                            reason: null,
+                            statement_id: statement._id,
+                            entry_key: `${statement._id}_${type}`,
+                            actor: null,
+                            time_created: statement.time_created,
+                        },
+                    },
+                    upsert: true,
+                },
+            });
+            if (statement.sales_amount !== 0) {
+                entries.push(entry(ledger_entry_type.sales, statement.sales_amount));
+            }
+            if (statement.payout_amount > 0) {
+                entries.push(entry(ledger_entry_type.payout, -statement.payout_amount));
+            }
+            statement.adjustments.forEach((adjustment) => {
+                adjustment_ids.push({ _id: adjustment.adjustment_id, statement_id: statement._id });
+            });
+        });
+        return Promise.all([
+            (entries.length > 0) ? mongoDB.getDB().collection('payout-ledger').bulkWrite(entries) : null,
+            (adjustment_ids.length > 0) ? mongoDB.getDB().collection('payout-ledger').bulkWrite(adjustment_ids.map(ids => ({
+                updateOne: {
+                    filter: { _id: ids._id, statement_id: null },
+                    update: { $set: { statement_id: ids.statement_id } },
+                },
+            }))) : null
+        ])
+            .then(() => mongoDB.getDB().collection('mc-statements').updateMany(
+                { _id: { $in: statements.map(statement => statement._id) } },
+                { $set: { settled: true } }
+            ));
+    }
+
+    /**
+     * Settles the statements inserted by a payout run that stopped before settling them.
+     *
+     * Returns a promise resolving with the number of statements settled.
+     */
+    settlePending() {
+        return mongoDB.getDB().collection('mc-statements').find({ settled: false }).toArray()
+            .then((statements) => {
+                if (statements.length === 0) { return 0; }
+                logger.error(`Settling ${statements.length} statements left unsettled by a previous payout run.`);
+                return this.settle(statements).then(() => statements.length);
+            });
+    }
+}
+
+module.exports = new LedgerService();
@@ -0,0 +1,675 @@
+// app/payout/op.service.js
+
+'use strict';
+
+const crypto = require('crypto');
+const querystring = require('querystring');
+const mongoDB = require('../db');
+const constants = require('../constants');
+const logger = require('../utils').logger();
+const moment = require('../utils').moment();
+const httpRequest = require('../utils').httpRequest;
+const decrypt = require('../utils').decrypt;
+const scheduler = require('../scheduler/scheduler.service');
+const eventsService = require('../events/events.service');
+const errors = require('../errors');
+const ledgerService = require('./ledger.service');
+
+const timezone = constants.timezone;
+const payout_status_type = constants.payout_status_type;
+const event_type = constants.event_type;
+
+const minute = 60 * 1000;
+const max_attempts = parseInt(process.env.OP_MAX_ATTEMPTS || 5);
+const retry_delay = 30 * minute;
+const max_retry_delay = 24 * 60 * minute;
+// A claimed statement is not picked up by another instance for this long
+const transfer_lease = 5 * minute;
+// Sent transfers are checked for returns once a day for this many days
+const return_check_days = 7;
+const tran_id_chars = '0123456789ABCDEFGHIJKLMNOPQRSTUVWXYZ';
+
+// Bank response codes: '000' deposited, '400' still being processed (outcome unknown)
+const bank_rsp_ok = '000';
+const bank_rsp_processing = '400';
+// Bank response codes of a deposited transfer that was returned to Castr's account
+const bank_rsp_returned = ['551'];
+
+class OpService {
+    /**
+     * Open Platform service class constructor.
+     *
+     * Transfers the `payout_amount` of 'mc-statements' to the business' verified account in 'payout-accounts' through the
+     * KFTC Open Platform (deposit transfer by account number), using a client credentials (`oob`) token.
+     * OP_API_URL defaults to the local stand-in (app/payout/op.standin.js).
+     */
+    constructor() {
+        this.api_url = process.env.OP_API_URL || 'http://localhost:4010';
+        this.client_id = process.env.OP_CLIENT_ID;
+        this.client_secret = process.env.OP_CLIENT_SECRET;
+        // Institution code (10 characters), the prefix of every `bank_tran_id`
+        this.org_code = process.env.OP_ORG_CODE || 'M000000000';
+        // Castr's contract (withdrawal) account
+        this.cntr_account_num = process.env.OP_CNTR_ACCOUNT_NUM;
+        this.wd_pass_phrase = process.env.OP_WD_PASS_PHRASE || 'NONE';
+        this.client_name = process.env.OP_CLIENT_NAME || 'Castr';
+        this.token = null;
+    }
+
+    initialize() {
+        mongoDB.getDB().collection('mc-statements').createIndex({ 'payout.status': 1, 'payout.next_attempt': 1 });
+        // Send pending transfers and retry failed ones every 10 minutes
+        scheduler.define('payout-transfers', {
+            next: from => new Date((Math.floor(from.getTime() / (10 * minute)) + 1) * (10 * minute)),
+            handler: this.processTransfers.bind(this),
+            coalesce: true,
+        });
+        logger.debug(`Open Platform transfers initialized (${this.api_url}).`);
+    }
+
+    /**
+     * Returns the initial `payout` of a statement paying out `amount`. Nothing is transferred for zero or negative amounts,
+     * and the payout is held until the business has a verified account.
+     * @param {number} amount
+     * @param {boolean} verified Whether the business has a verified payout account
+     */
+    newPayout(amount, verified) {
+        let status = payout_status_type.pending;
+        if (amount <= 0) {
+            status = payout_status_type.skipped;
+        } else if (!verified) {
+            status = payout_status_type.held;
+        }
+        return {
+            status: status,
+            amount: amount,
+            attempts: 0,
+            retries: 0,
+            next_attempt: (status === payout_status_type.pending) ? new Date() : null,
+            bank_tran_id: null,
+            bank_tran_date: null,
+            unconfirmed: false,
+            last_error: null,
+            history: [],
+        };
+    }
+
+    /**
+     * Transfers every due statement (pending, or failed with a retry left), one at a time, then checks recent
+     * transfers for returns.
+     *
+     * Returns a promise resolving with the run outcome.
+     */
+    processTransfers() {
+        const outcome = {
+            [payout_status_type.sent]: 0,
+            [payout_status_type.failed]: 0,
+            [payout_status_type.pending]: 0,
+            [payout_status_type.returned]: 0,
+        };
+        const next = () => this._claim()
+            .then((statement) => {
+                if (!statement) { return outcome; }
+                return this._transfer(statement)
+                    .then((status) => {
+                        outcome[status] += 1;
+                        return next();
+                    });
+            });
+        return next()
+            .then(() => this._checkReturns())
+            .then((returned) => {
+                outcome[payout_status_type.returned] += returned;
+                return this._compensatePending();
+            })
+            .then(() => outcome);
+    }
+
+    /**
+     * Runs processTransfers() in the background, e.g. right after statements are created.
+     */
+    kick() {
+        setTimeout(() => {
+            this.processTransfers()
+                .catch((err) => {
+                    logger.error(`Payout transfers failed: ${err.message}`);
+                });
+        }, 0);
+    }
+
+    /**
+     * Puts a statement whose transfer failed for good, or was returned, back in the queue (ops).
+     * The amount credited back to the business' balance when the transfer failed is debited again first, once per retry.
+     * @param {*} req
+     * @param {*} res
+     */
+    retryTransfer(req, res) {
+        const statement_id = req.params.statement_id;
+        const now = new Date();
+        mongoDB.getDB().collection('mc-statements').findOne({ _id: mongoDB.ObjectId(statement_id) })
+            .then((statement) => {
+                if (!statement) { throw errors.notFound(`Payout statement (#${statement_id}) not found.`); }
+                if (!this._retryable(statement.payout)) {
+                    const status = (statement.payout) ? statement.payout.status : 'not scheduled';
+                    throw errors.conflict(`Payout of statement (#${statement_id}) is ${status} and cannot be retried.`);
+                }
+                const payout = statement.payout;
+                // Keyed by the retry, so a repeated or concurrent request adds nothing
+                return this._compensate(statement)
+                    .then(() => ledgerService.adjustPayout(
+                        statement,
+                        -payout.amount,
+                        `${statement._id}_${payout.retries}_RETRY`,
+                        `Payout of statement (#${statement._id}) retried`
+                    ))
+                    .then(() => mongoDB.getDB().collection('mc-statements').findOneAndUpdate(
+                        {
+                            _id: statement._id,
+                            'payout.status': payout.status,
+                            'payout.next_attempt': null,
+                            'payout.retries': payout.retries,
+                        },
+                        {
+                            $set: {
+                                'payout.status': payout_status_type.pending,
+                                'payout.attempts': 0,
+                                'payout.next_attempt': now,
+                                'payout.unconfirmed': false,
+                                'payout.next_check': null,
+                                'payout.compensated': null,
+                            },
+                            $inc: { 'payout.retries': 1 },
+                            $push: { 'payout.history': this._history(now, 'retry', null, 'Retry requested') },
+                        },
+                        { returnOriginal: false }
+                    ));
+            })
+            .then((result) => {
+                if (!result.value) { throw errors.conflict(`Payout of statement (#${statement_id}) is already being retried.`); }
+                const msg = `Payout of statement (#${statement_id}) queued for retry`;
+                logger.debug(msg);
+                this.kick();
+                res.send({
+                    success: true,
+                    message: msg,
+                    data: { statement_id: statement_id, payout: this.view(result.value.payout) },
+                });
+            })
+            .catch((err) => {
+                errors.sendError(res, err, { statement_id: statement_id });
+            });
+    }
+
+    /**
+     * Whether the payout failed for good or was returned.
+     * @param {*} payout
+     */
+    _retryable(payout) {
+        if (!payout) { return false; }
+        return (payout.status === payout_status_type.failed && !payout.next_attempt) || payout.status === payout_status_type.returned;
+    }
+
+    /**
+     * Claims the statement due first by pushing its `payout.next_attempt` past the transfer lease.
+     */
+    _claim() {
+        const now = new Date();
+        return mongoDB.getDB().collection('mc-statements').findOneAndUpdate(
+            {
+                'payout.status': { $in: [payout_status_type.pending, payout_status_type.failed] },
+                'payout.next_attempt': { $lte: now },
+            },
+            { $set: { 'payout.next_attempt': new Date(now.getTime() + transfer_lease) } },
+            { sort: { 'payout.next_attempt': 1 }, returnOriginal: false }
+        )
+            .then(claim_result => claim_result.value);
+    }
+
+    /**
+     * Transfers the statement's payout, or looks up the outcome of a transfer that was left unconfirmed, and records it.
+     * Resolves with the new payout status.
+     * @param {*} statement Claimed 'mc-statements' document
+     */
+    _transfer(statement) {
+        const attempt = (statement.payout.unconfirmed) ? this._inquire(statement.payout) : this._deposit(statement);
+        return attempt
+            .then(result => this._record(statement, result));
+    }
+
+    /**
+     * Sends the statement's deposit transfer to the business' verified account.
+     * Resolves with { result: 'sent' | 'failed' | 'unknown', message, bank_tran_id }.
+     * The `bank_tran_id` is saved before the call, so a transfer interrupted by a crash is looked up instead of sent twice.
+     * @param {*} statement
+     */
+    _deposit(statement) {
+        const business_id = statement.business_id;
+        const bank_tran_id = this.bankTranId();
+        let account;
+        return this._account(business_id)
+            .then((result) => {
+                account = result;
+                if (!account) { throw new Error('No verified payout account'); }
+                return mongoDB.getDB().collection('mc-statements').updateOne(
+                    { _id: statement._id },
+                    {
+                        $set: {
+                            'payout.bank_tran_id': bank_tran_id,
+                            'payout.bank_tran_date': moment().tz(timezone.kr).format('YYYYMMDD'),
+                            'payout.unconfirmed': true,
+                            'payout.account': {
+                                bank_code: account.bank_code,
+                                account_num: account.account_num_masked,
+                                holder_name: account.account_holder_name,
+                            },
+                        },
+                    }
+                );
+            })
+            .then(() => this.deposit(bank_tran_id, account, statement.payout.amount, this.client_name, business_id))
+            .then(outcome => Object.assign(outcome, { bank_tran_id: bank_tran_id }))
+            .catch(err => ({ result: 'failed', message: err.message }));
+    }
+
+    /**
+     * Sends a deposit transfer from the contract account. Resolves like _deposit(), rejects if no token could be issued.
+     * @param {string} bank_tran_id From bankTranId()
+     * @param {*} account { bank_code, account_num, account_holder_name }
+     * @param {number} amount
+     * @param {string} print_content Shown on the recipient's bank statement
+     * @param {string} business_id
+     */
+    deposit(bank_tran_id, account, amount, print_content, business_id) {
+        return this._token()
+            .then(token => this._call('/v2.0/transfer/deposit/acnt_num', token, {
+                cntr_account_type: 'N',
+                cntr_account_num: this.cntr_account_num,
+                wd_pass_phrase: this.wd_pass_phrase,
+                wd_print_content: `${business_id}`.slice(0, 20),
+                name_check_option: 'on',
+                tran_dtime: moment().tz(timezone.kr).format('YYYYMMDDHHmmss'),
+                req_cnt: '1',
+                req_list: [{
+                    tran_no: '1',
+                    bank_tran_id: bank_tran_id,
+                    bank_code_std: account.bank_code,
+                    account_num: account.account_num,
+                    account_holder_name: account.account_holder_name,
+                    print_content: print_content,
+                    tran_amt: `${amount}`,
+                    req_client_name: this.client_name,
+                    req_client_num: `${business_id}`.slice(0, 20),
+                    transfer_purpose: 'TR',
+                }],
+            })
+                .then(this._result, err => ({
+                    // The deposit may have gone through unless the API rejected the request
+                    result: (err.status && err.status < 500) ? 'failed' : 'unknown',
+                    message: err.message,
+                })));
+    }
+
+    /**
+     * Looks up the holder of an account (real name inquiry).
+     * Resolves with { result: 'found' | 'failed', account_holder_name, message }.
+     * @param {string} bank_code
+     * @param {string} account_num
+     * @param {string} holder_info Birth date (YYMMDD) or business registration number of the holder (optional)
+     */
+    realName(bank_code, account_num, holder_info) {
+        return this._token()
+            .then(token => this._call('/v2.0/inquiry/real_name', token, {
+                bank_tran_id: this.bankTranId(),
+                bank_code_std: bank_code,
+                account_num: account_num,
+                // ' ': birth date, '6': business registration number
+                account_holder_info_type: (holder_info && holder_info.length === 10) ? '6' : ' ',
+                account_holder_info: holder_info || '',
+                tran_dtime: moment().tz(timezone.kr).format('YYYYMMDDHHmmss'),
+            }))
+            .then((body) => {
+                if (body.rsp_code === 'A0000' && body.bank_rsp_code === bank_rsp_ok) {
+                    return { result: 'found', account_holder_name: body.account_holder_name };
+                }
+                const message = (body.bank_rsp_code) ? `${body.bank_rsp_code} ${body.bank_rsp_message}` : `${body.rsp_code} ${body.rsp_message}`;
+                return { result: 'failed', message: message };
+            })
+            .catch(err => ({ result: 'failed', message: err.message }));
+    }
+
+    /**
+     * Queues the held statements of a business whose payout account was just verified.
+     *
+     * Returns a promise resolving with the number of released statements.
+     * @param {string} business_id
+     */
+    releaseHeld(business_id) {
+        const now = new Date();
+        return mongoDB.getDB().collection('mc-statements').updateMany(
+            { business_id: business_id, 'payout.status': payout_status_type.held },
+            {
+                $set: { 'payout.status': payout_status_type.pending, 'payout.next_attempt': now },
+                $push: { 'payout.history': this._history(now, 'released', null, 'Payout account verified') },
+            }
+        )
+            .then((write_result) => {
+                if (write_result.modifiedCount > 0) { this.kick(); }
+                return write_result.modifiedCount;
+            });
+    }
+
+    /**
+     * Returns the business' verified payout account with the account number decrypted, or null.
+     * @param {string} business_id
+     */
+    _account(business_id) {
+        return mongoDB.getDB().collection('payout-accounts').findOne({ business_id: business_id, account: { $ne: null } })
+            .then((document) => {
+                if (!document) { return null; }
+                return Object.assign({}, document.account, { account_num: decrypt(document.account.account_num) });
+            });
+    }
+
+    /**
+     * Looks up the outcome of the payout's last transfer. Resolves like deposit().
+     * @param {*} payout
+     */
+    _inquire(payout) {
+        return this._token()
+            .then(token => this._call('/v2.0/transfer/result', token, {
+                check_type: '2',
+                tran_dtime: moment().tz(timezone.kr).format('YYYYMMDDHHmmss'),
+                req_cnt: '1',
+                req_list: [{
+                    tran_no: '1',
+                    org_bank_tran_id: payout.bank_tran_id,
+                    org_bank_tran_date: payout.bank_tran_date,
+                    org_tran_amt: `${payout.amount}`,
+                }],
+            }))
+            .then(this._result)
+            .catch(err => ({ result: 'unknown', message: err.message }));
+    }
+
+    /**
+     * Reads the outcome of the (single) transfer from a deposit or result inquiry response: 'sent', 'returned' (a bank
+     * return code), 'failed' (rejected by the bank) or 'unknown' for anything else, e.g. an API error (`rsp_code` other
+     * than A0000) or a transfer still being processed.
+     * @param {*} body
+     */
+    _result(body) {
+        const item = (body.res_list || [])[0] || {};
+        const message = (item.bank_rsp_code) ? `${item.bank_rsp_code} ${item.bank_rsp_message}` : `${body.rsp_code} ${body.rsp_message}`;
+        if (body.rsp_code !== 'A0000' || !item.bank_rsp_code || item.bank_rsp_code === bank_rsp_processing) {
+            return { result: 'unknown', message: message };
+        }
+        if (item.bank_rsp_code === bank_rsp_ok) {
+            return { result: 'sent' };
+        }
+        if (bank_rsp_returned.indexOf(item.bank_rsp_code) !== -1) {
+            return { result: 'returned', message: message };
+        }
+        return { result: 'failed', message: message };
+    }
+
+    /**
+     * Saves the outcome on the statement and publishes the payout event. Resolves with the new payout status.
+     * Failed transfers are retried after 30 minutes (doubling, at most a day) until OP_MAX_ATTEMPTS (default 5) attempts,
+     * then credited back to the business' balance.
+     * @param {*} statement
+     * @param {*} outcome Result of _deposit() or _inquire()
+     */
+    _record(statement, outcome) {
+        const now = new Date();
+        const payout = statement.payout;
+        const update = {
+            $set: { 'payout.last_error': outcome.message || null },
+            $push: { 'payout.history': this._history(now, outcome.result, outcome.bank_tran_id || payout.bank_tran_id, outcome.message) },
+        };
+        let status;
+        let event = null;
+        if (outcome.result === 'returned') {
+            // Found returned while confirming the transfer
+            return this._returned(statement, outcome);
+        }
+        if (outcome.result === 'unknown') {
+            // Looked up again on the next attempt
+            status = payout_status_type.pending;
+            Object.assign(update.$set, {
+                'payout.status': status,
+                'payout.unconfirmed': true,
+                'payout.next_attempt': new Date(now.getTime() + retry_delay),
+            });
+        } else if (outcome.result === 'sent') {
+            status = payout_status_type.sent;
+            event = event_type.payout_sent;
+            Object.assign(update.$set, {
+                'payout.status': status,
+                'payout.unconfirmed': false,
+                'payout.next_attempt': null,
+                'payout.time_sent': now,
+                'payout.next_check': new Date(now.getTime() + constants.full_day),
+            });
+            update.$inc = { 'payout.attempts': 1 };
+        } else {
+            const attempts = payout.attempts + 1;
+            const final = attempts >= max_attempts;
+            status = payout_status_type.failed;
+            event = (final) ? event_type.payout_failed : null;
+            Object.assign(update.$set, {
+                'payout.status': status,
+                'payout.unconfirmed': false,
+                'payout.next_attempt': (final) ? null : new Date(now.getTime() + Math.min(retry_delay * (2 ** (attempts - 1)), max_retry_delay)),
+            });
+            if (final) { update.$set['payout.compensated'] = false; }
+            update.$inc = { 'payout.attempts': 1 };
+        }
+        return mongoDB.getDB().collection('mc-statements').findOneAndUpdate({ _id: statement._id }, update, { returnOriginal: false })
+            .then((result) => {
+                const updated = (result.value) ? result.value.payout : payout;
+                logger.debug(`[#${statement.business_id}] Payout of statement (#${statement._id}) ${status} ${outcome.message || ''}`);
+                if (event) {
+                    eventsService.publish(event, statement.business_id, {
+                        statement_id: statement._id,
+                        payout: this.view(updated),
+                    }, `${statement._id}_${updated.retries || 0}`);
+                }
+                if (updated.compensated === false) { return this._compensate(result.value).then(() => status); }
+                return status;
+            });
+    }
+
+    /**
+     * Looks up the sent transfers due for a return check and marks the returned ones. Only a bank return code marks a
+     * transfer returned; lookups with any other outcome are tried again the next day, even after the 7 days.
+     *
+     * Returns a promise resolving with the number of returned transfers.
+     */
+    _checkReturns() {
+        const now = new Date();
+        let returned = 0;
+        return mongoDB.getDB().collection('mc-statements').find({
+            'payout.status': payout_status_type.sent,
+            'payout.next_check': { $lte: now },
+        }).toArray()
+            .then(statements => statements.reduce((promise, statement) => promise
+                .then(() => this._inquire(statement.payout))
+                .then((outcome) => {
+                    const payout = statement.payout;
+                    if (outcome.result === 'returned') {
+                        returned += 1;
+                        return this._returned(statement, outcome);
+                    }
+                    const check_days = return_check_days * constants.full_day;
+                    const checked_until = new Date(payout.time_sent.getTime() + check_days);
+                    const next_check = new Date(now.getTime() + constants.full_day);
+                    if (outcome.result !== 'sent') {
+                        logger.error(`[#${statement.business_id}] Return check of statement (#${statement._id}) failed (${outcome.message})`);
+                    }
+                    return mongoDB.getDB().collection('mc-statements').updateOne(
+                        { _id: statement._id, 'payout.status': payout_status_type.sent },
+                        { $set: { 'payout.next_check': (next_check < checked_until || outcome.result !== 'sent') ? next_check : null } }
+                    );
+                }), Promise.resolve()))
+            .then(() => returned);
+    }
+
+    /**
+     * Marks a sent transfer returned, credits it back to the business' balance and publishes the payout event.
+     * Resolves with the new payout status.
+     * @param {*} statement
+     * @param {*} outcome Result of _inquire()
+     */
+    _returned(statement, outcome) {
+        const now = new Date();
+        const payout = statement.payout;
+        logger.error(`[#${statement.business_id}] Payout of statement (#${statement._id}) returned (${outcome.message})`);
+        return mongoDB.getDB().collection('mc-statements').findOneAndUpdate(
+            { _id: statement._id },
+            {
+                $set: {
+                    'payout.status': payout_status_type.returned,
+                    'payout.unconfirmed': false,
+                    'payout.next_attempt': null,
+                    'payout.time_returned': now,
+                    'payout.next_check': null,
+                    'payout.last_error': outcome.message,
+                    'payout.compensated': false,
+                },
+                $push: { 'payout.history': this._history(now, 'returned', payout.bank_tran_id, outcome.message) },
+            },
+            { returnOriginal: false }
+        )
+            .then(result => this._compensate(result.value)
+                .then(() => {
+                    eventsService.publish(event_type.payout_returned, statement.business_id, {
+                        statement_id: statement._id,
+                        payout: this.view(result.value.payout),
+                    }, `${statement._id}_${result.value.payout.retries || 0}`);
+                    return payout_status_type.returned;
+                }));
+    }
+
+    /**
+     * Credits a payout that failed for good or was returned back to the business' balance with a ledger ADJUSTMENT,
+     * settled by its next statement, and flags the payout `compensated`. Keyed by the payout's retries, so it is added
+     * once per failure.
+     * @param {*} statement
+     */
+    _compensate(statement) {
+        const payout = statement.payout;
+        const status = (payout.status === payout_status_type.returned) ? 'returned' : 'failed';
+        return ledgerService.adjustPayout(
+            statement,
+            payout.amount,
+            `${statement._id}_${payout.retries}_${payout.status}`,
+            `Payout of statement (#${statement._id}) ${status}: ${payout.last_error}`
+        )
+            .then(() => mongoDB.getDB().collection('mc-statements').updateOne(
+                { _id: statement._id, 'payout.status': payout.status, 'payout.retries': payout.retries },
+                { $set: { 'payout.compensated': true } }
+            ));
+    }
+
+    /**
+     * Credits back the failed and returned payouts left uncompensated, e.g. by a crash right after the failure.
+     */
+    _compensatePending() {
+        return mongoDB.getDB().collection('mc-statements').find({
+            'payout.status': { $in: [payout_status_type.failed, payout_status_type.returned] },
+            'payout.compensated': false,
+        }).toArray()
+            .then(statements => statements.reduce((promise, statement) => promise
+                .then(() => this._compensate(statement)), Promise.resolve()));
+    }
+
+    /**
+     * Returns a cached client credentials token, requesting a new one when it is about to expire.
+     */
+    _token() {
+        if (this.token && this.token.expires > Date.now() + minute) { return Promise.resolve(this.token.access_token); }
+        const body = querystring.stringify({
+            client_id: this.client_id,
+            client_secret: this.client_secret,
+            scope: 'oob',
+            grant_type: 'client_credentials',
+        });
+        return httpRequest('POST', `${this.api_url}/oauth/2.0/token`, { 'Content-Type': 'application/x-www-form-urlencoded' }, body)
+            .then((response) => {
+                const token = JSON.parse(response.body || '{}');
+                if (response.status !== 200 || !token.access_token) {
+                    throw new Error(`Open Platform token request failed (${response.status}): ${token.rsp_message || response.body}`);
+                }
+                this.token = {
+                    access_token: token.access_token,
+                    expires: Date.now() + (token.expires_in * 1000),
+                };
+                return this.token.access_token;
+            });
+    }
+
+    /**
+     * POSTs to the Open Platform API. Rejects with `status` set on non-2xx responses.
+     * @param {string} path
+     * @param {string} token
+     * @param {*} body
+     */
+    _call(path, token, body) {
+        const headers = {
+            'Content-Type': 'application/json; charset=UTF-8',
+            Authorization: `Bearer ${token}`,
+        };
+        return httpRequest('POST', `${this.api_url}${path}`, headers, JSON.stringify(body))
+            .then((response) => {
+                if (response.status === 401) { this.token = null; }
+                if (response.status < 200 || response.status >= 300) {
+                    const err = new Error(`Open Platform responded with ${response.status} (${path})`);
+                    err.status = response.status;
+                    throw err;
+                }
+                return JSON.parse(response.body);
+            });
+    }
+
+    /**
+     * Entry of `payout.history`.
+     * @param {Date} time
+     * @param {string} result sent, failed, unknown, returned, retry or released
+     * @param {string} bank_tran_id
+     * @param {string} message
+     */
+    _history(time, result, bank_tran_id, message) {
+        return {
+            time: time,
+            result: result,
+            bank_tran_id: bank_tran_id,
+            message: message || null,
+        };
+    }
+
+    /**
+     * Unique transfer ID: institution code, 'U' and 9 random characters.
+     */
+    bankTranId() {
+        const random = Array.from(crypto.randomBytes(9)).map(byte => tran_id_chars[byte % tran_id_chars.length]).join('');
+        return `${this.org_code}U${random}`;
+    }
+
+    /**
+     * The payout fields shown to businesses and in events.
+     * @param {*} payout
+     */
+    view(payout) {
+        return {
+            status: payout.status,
+            amount: payout.amount,
+            attempts: payout.attempts,
+            account: payout.account || null,
+            time_sent: payout.time_sent || null,
+            time_returned: payout.time_returned || null,
+            last_error: payout.last_error,
+        };
+    }
+}
+
+module.exports = new OpService();
@@ -0,0 +1,165 @@
+// app/payout/op.standin.js
+
+'use strict';
+
+const crypto = require('crypto');
+const express = require('express');
+const bodyParser = require('body-parser');
+
+/**
+ * Local stand-in for the KFTC Open Platform API used by app/payout/op.service.js, for development and tests.
+ * Run with `npm run op-standin` (port OP_STANDIN_PORT, default 4010) and leave OP_API_URL unset.
+ *
+ * Transfers are kept in memory. The last four digits of the account number pick the outcome:
+ * - 0000: rejected (bank_rsp_code 822, account not found)
+ * - 1111: still processing (400); the result inquiry then reports it as deposited
+ * - 9999: deposited, then returned by the bank; the result inquiry reports it as returned (551)
+ * - anything else: deposited (000)
+ * The real name inquiry rejects the same '0000' accounts and returns the holder set with `POST /standin/accounts`,
+ * or OP_STANDIN_HOLDER_NAME (default 홍길동). `GET /standin/accounts/:account_num/deposits` lists the deposits made
+ * to an account, e.g. to read a 1-won verification code.
+ * Token requests check OP_CLIENT_ID and OP_CLIENT_SECRET when they are set.
+ */
+function createStandin() {
+    const app = express();
+    const tokens = {};
+    const transfers = {};
+    const holders = {};
+    const default_holder = process.env.OP_STANDIN_HOLDER_NAME || '홍길동';
+    const now = () => new Date().toISOString().replace(/[-T:]/g, '').slice(0, 14);
+    const apiTranId = () => `T${crypto.randomBytes(10).toString('hex').toUpperCase()}`;
+    const respond = (res, rsp_code, rsp_message, data) => {
+        res.send(Object.assign({
+            api_tran_id: apiTranId(),
+            api_tran_dtm: `${now()}000`,
+            rsp_code: rsp_code,
+            rsp_message: rsp_message,
+        }, data || {}));
+    };
+
+    app.use(bodyParser.urlencoded({ extended: false }));
+    app.use(bodyParser.json());
+
+    app.post('/oauth/2.0/token', (req, res) => {
+        const expected = {
+            client_id: process.env.OP_CLIENT_ID,
+            client_secret: process.env.OP_CLIENT_SECRET,
+        };
+        if (Object.keys(expected).some(key => expected[key] && req.body[key] !== expected[key])) {
+            res.status(401).send({ rsp_code: 'O0001', rsp_message: 'Invalid client credentials' });
+            return;
+        }
+        const access_token = crypto.randomBytes(24).toString('hex');
+        tokens[access_token] = true;
+        res.send({
+            access_token: access_token,
+            token_type: 'Bearer',
+            expires_in: 7776000,
+            scope: req.body.scope || 'oob',
+            client_use_code: 'F000000000',
+        });
+    });
+
+    app.use('/v2.0', (req, res, next) => {
+        const token = (req.get('Authorization') || '').replace(/^Bearer /, '');
+        if (!tokens[token]) {
+            res.status(401).send({ rsp_code: 'O0002', rsp_message: 'Invalid access token' });
+            return;
+        }
+        next();
+    });
+
+    app.post('/v2.0/transfer/deposit/acnt_num', (req, res) => {
+        const res_list = (req.body.req_list || []).map((item) => {
+            const ending = `${item.account_num}`.slice(-4);
+            const deposited = { bank_rsp_code: '000', bank_rsp_message: '' };
+            let outcome = deposited;
+            // Processing transfers complete, deposited ones to '9999' are returned afterwards
+            let inquiry = deposited;
+            if (ending === '0000') {
+                outcome = { bank_rsp_code: '822', bank_rsp_message: '수취계좌 없음' };
+                inquiry = outcome;
+            } else if (ending === '1111') {
+                outcome = { bank_rsp_code: '400', bank_rsp_message: '처리중' };
+            } else if (ending === '9999') {
+                inquiry = { bank_rsp_code: '551', bank_rsp_message: '입금 후 반환' };
+            }
+            transfers[item.bank_tran_id] = {
+                account_num: `${item.account_num}`,
+                amount: item.tran_amt,
+                print_content: item.print_content,
+                time: new Date(),
+                inquiry: inquiry,
+            };
+            return Object.assign({
+                tran_no: item.tran_no,
+                bank_tran_id: item.bank_tran_id,
+                bank_tran_date: now().slice(0, 8),
+                bank_code_tran: '097',
+                bank_code_std: item.bank_code_std,
+                account_num_masked: `${item.account_num}`.replace(/\d(?=\d{4})/g, '*'),
+                account_holder_name: item.account_holder_name,
+                print_content: item.print_content,
+                tran_amt: item.tran_amt,
+            }, outcome);
+        });
+        respond(res, 'A0000', '', { res_cnt: `${res_list.length}`, res_list: res_list });
+    });
+
+    app.post('/v2.0/inquiry/real_name', (req, res) => {
+        const account_num = `${req.body.account_num}`;
+        const found = !account_num.endsWith('0000');
+        respond(res, 'A0000', '', {
+            bank_tran_id: req.body.bank_tran_id,
+            bank_code_std: req.body.bank_code_std,
+            account_num: account_num,
+            account_holder_info_type: req.body.account_holder_info_type,
+            account_holder_info: req.body.account_holder_info,
+            account_holder_name: (found) ? holders[account_num] || default_holder : '',
+            bank_rsp_code: (found) ? '000' : '822',
+            bank_rsp_message: (found) ? '' : '수취계좌 없음',
+        });
+    });
+
+    app.post('/v2.0/transfer/result', (req, res) => {
+        const res_list = (req.body.req_list || []).map((item) => {
+            const transfer = transfers[item.org_bank_tran_id];
+            return Object.assign({
+                tran_no: item.tran_no,
+                bank_tran_id: item.org_bank_tran_id,
+                bank_tran_date: item.org_bank_tran_date,
+                tran_amt: item.org_tran_amt,
+            }, (transfer) ? transfer.inquiry : { bank_rsp_code: '804', bank_rsp_message: '거래 내역 없음' });
+        });
+        respond(res, 'A0000', '', { res_cnt: `${res_list.length}`, res_list: res_list });
+    });
+
+    // Stand-in only: set the holder name of an account, and read the deposits made to it (e.g. the 1-won code)
+    app.post('/standin/accounts', (req, res) => {
+        holders[`${req.body.account_num}`] = req.body.account_holder_name;
+        res.send({ account_num: req.body.account_num, account_holder_name: req.body.account_holder_name });
+    });
+
+    app.get('/standin/accounts/:account_num/deposits', (req, res) => {
+        const deposits = Object.keys(transfers)
+            .filter(bank_tran_id => transfers[bank_tran_id].account_num === req.params.account_num)
+            .map(bank_tran_id => ({
+                bank_tran_id: bank_tran_id,
+                tran_amt: transfers[bank_tran_id].amount,
+                print_content: transfers[bank_tran_id].print_content,
+                time: transfers[bank_tran_id].time,
+            }));
+        res.send({ deposits: deposits });
+    });
+
+    return app;
+}
+
+if (require.main === module) {
+    const port = process.env.OP_STANDIN_PORT || 4010;
+    createStandin().listen(port, () => {
+        console.log(`Open Platform stand-in listening on ${port}`); // eslint-disable-line no-console
+    });
+}
+
+module.exports = createStandin;
@@ -3,23 +3,123 @@
 'use strict';
 
 const express = require('express');
+const validate = require('../validate');
+const auth = require('../auth/auth.service');
 const payoutService = require('./payout.service');
+const schema = require('./payout.schema');
 const opService = require('./op.service');
+const accountService = require('./account.service');
+const ledgerService = require('./ledger.service');
+const cadenceService = require('./cadence.service');
+const idempotency = require('../idempotency/idempotency.service');
+const exportService = require('../export/export.service');
+const documentService = require('../documents/document.service');
 
 const router = express.Router();
 
 /**
  * Get statements for ':business_id'
  */
-router.get('/:business_id', (req, res) => {
+router.get('/:business_id', auth.business, validate(schema.getStatements), (req, res) => {
     payoutService.getStatements(req, res);
 });
 
+/**
+ * Get the projected statement of the open payout period for ':business_id'
+ */
+router.get('/:business_id/current', auth.business, validate(schema.getCurrentStatement), (req, res) => {
+    payoutService.getCurrentStatement(req, res);
+});
+
+/**
+ * Export the statements of ':business_id' as CSV or XLSX
+ */
+router.get('/:business_id/export', auth.business, validate(schema.exportStatements), (req, res) => {
+    exportService.export(req, res, 'mc-statements');
+});
+
+/**
+ * Export the Menucast transactions of ':business_id' as CSV or XLSX
+ */
+router.get('/:business_id/transactions/export', auth.business, validate(schema.exportTransactions), (req, res) => {
+    exportService.export(req, res, 'mc-transactions');
+});
+
+/**
+ * Get the payout account of ':business_id' (masked)
+ */
+router.get('/:business_id/account', auth.business, validate(schema.getAccount), (req, res) => {
+    accountService.getAccount(req, res);
+});
+
+/**
+ * Register or change the payout account of ':business_id'
+ */
+router.put('/:business_id/account', auth.business, validate(schema.registerAccount), idempotency.guard, (req, res) => {
+    accountService.registerAccount(req, res);
+});
+
+/**
+ * Verify the pending payout account with the 1-won deposit code
+ */
+router.post('/:business_id/account/verify', auth.business, validate(schema.verifyAccount), (req, res) => {
+    accountService.verifyAccount(req, res);
+});
+
+/**
+ * Get the audit trail of the payout account of ':business_id'
+ */
+router.get('/:business_id/account/audit', auth.business, validate(schema.getAccountAudit), (req, res) => {
+    accountService.getAudit(req, res);
+});
+
+/**
+ * Get the payout cadence of ':business_id'
+ */
+router.get('/:business_id/cadence', auth.business, validate(schema.getCadence), (req, res) => {
+    cadenceService.getCadence(req, res);
+});
+
+/**
+ * Set the payout cadence of ':business_id'
+ */
+router.put('/:business_id/cadence', auth.business, validate(schema.setCadence), (req, res) => {
+    cadenceService.setCadence(req, res);
+});
+
+/**
+ * Get the payout ledger and balance of ':business_id'
+ */
+router.get('/:business_id/ledger', auth.business, validate(schema.getLedger), (req, res) => {
+    ledgerService.getLedger(req, res);
+});
+
+/**
+ * Credit or debit the payout balance of ':business_id' (ops)
+ */
+router.post('/:business_id/adjustments', auth.admin, validate(schema.adjust), idempotency.guard, (req, res) => {
+    ledgerService.adjust(req, res);
+});
+
 /**
  * Get statement details for ':business_id'
  */
-router.get('/statement/:statement_id', (req, res) => {
+router.get('/statement/:statement_id', auth.statement, validate(schema.getStatementDetails), (req, res) => {
     payoutService.getStatementDetails(req, res);
 });
 
+/**
+ * Download the statement as a PDF
+ */
+router.get('/statement/:statement_id/pdf', auth.statement, validate(schema.getStatementPdf), (req, res) => {
+    documentService.getStatement(req, res);
+});
+
+/**
+ * Retry the transfer of a statement that failed for good or was returned (ops)
+ */
+router.post('/statement/:statement_id/transfer/retry', auth.admin, validate(schema.retryTransfer), (req, res) => {
+    opService.retryTransfer(req, res);
+});
+
 module.exports = router;
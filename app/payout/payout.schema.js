@@ -0,0 +1,104 @@
+// app/payout/payout.schema.js
+
+'use strict';
+
+const constants = require('../constants');
+const paging = require('../pagination').schema;
+const export_query = require('../export/export.schema').query;
+
+const payment_type = constants.payment_type;
+const status_type = constants.status_type;
+const payout_frequency_type = constants.payout_frequency_type;
+const object_id = /^[0-9a-fA-F]{24}$/;
+
+/**
+ * Request schemas for app/payout/payout.route.js (see app/validate.js)
+ */
+module.exports = {
+    getStatements: {
+        params: { business_id: { type: 'string', required: true } },
+        query: paging,
+    },
+    getCurrentStatement: {
+        params: { business_id: { type: 'string', required: true } },
+    },
+    getStatementDetails: {
+        params: { statement_id: { type: 'string', required: true, pattern: object_id } },
+        query: Object.assign({
+            type: { type: 'string', enum: [payment_type.mc_purchase, payment_type.mc_redeem, payment_type.refund] },
+            status: { type: 'string', enum: Object.values(status_type) },
+        }, paging),
+    },
+    getStatementPdf: {
+        params: { statement_id: { type: 'string', required: true, pattern: object_id } },
+        query: { lang: { type: 'string', enum: ['kr', 'en'] } },
+    },
+    getAccount: {
+        params: { business_id: { type: 'string', required: true } },
+    },
+    registerAccount: {
+        params: { business_id: { type: 'string', required: true } },
+        body: {
+            // KFTC standard bank code
+            bank_code: { type: 'string', required: true, pattern: /^\d{3}$/ },
+            account_num: { type: 'string', required: true, pattern: /^\d[\d-]{5,18}\d$/ },
+            account_holder_name: { type: 'string', required: true, max: 50 },
+            method: { type: 'string', required: true, enum: ['name_check', 'deposit_code'] },
+            // Birth date (YYMMDD) or business registration number
+            holder_info: { type: 'string', pattern: /^(\d{6}|\d{10})$/ },
+        },
+    },
+    verifyAccount: {
+        params: { business_id: { type: 'string', required: true } },
+        body: { code: { type: 'string', required: true, pattern: /^\d{4}$/ } },
+    },
+    getAccountAudit: {
+        params: { business_id: { type: 'string', required: true } },
+        query: paging,
+    },
+    getLedger: {
+        params: { business_id: { type: 'string', required: true } },
+        query: Object.assign({ type: { type: 'string', enum: Object.values(constants.ledger_entry_type) } }, paging),
+    },
+    adjust: {
+        params: { business_id: { type: 'string', required: true } },
+        body: {
+            type: { type: 'string', required: true, enum: ['credit', 'debit'] },
+            amount: { type: 'integer', required: true, min: 1 },
+            reason: { type: 'string', required: true, max: 200 },
+        },
+    },
+    getCadence: {
+        params: { business_id: { type: 'string', required: true } },
+    },
+    setCadence: {
+        params: { business_id: { type: 'string', required: true } },
+        body: {
+            frequency: { type: 'string', required: true, enum: Object.values(payout_frequency_type) },
+            payout_day: { type: 'integer', min: 0, max: 28 },
+            threshold: { type: 'integer', min: constants.min_payout_amount },
+        },
+        check: (req) => {
+            const frequency = req.body.frequency;
+            const payout_day = parseInt(req.body.payout_day);
+            if (frequency === payout_frequency_type.on_demand) {
+                return (req.body.threshold === undefined) ? '\'threshold\' is required for on_demand payouts.' : null;
+            }
+            if (frequency === payout_frequency_type.monthly) {
+                return (payout_day >= 1) ? null : '\'payout_day\' (1 to 28) is required for monthly payouts.';
+            }
+            return (payout_day <= 6) ? null : `'payout_day' (0 = Sunday to 6 = Saturday) is required for ${frequency} payouts.`;
+        },
+    },
+    retryTransfer: {
+        params: { statement_id: { type: 'string', required: true, pattern: object_id } },
+    },
+    exportStatements: {
+        params: { business_id: { type: 'string', required: true } },
+        query: export_query,
+    },
+    exportTransactions: {
+        params: { business_id: { type: 'string', required: true } },
+        query: export_query,
+    },
+};
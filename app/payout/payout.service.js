@@ -6,13 +6,27 @@ const mongoDB = require('../db');
 const constants = require('../constants');
 const logger = require('../utils').logger();
 const moment = require('../utils').moment();
+const scheduler = require('../scheduler/scheduler.service');
+const mailerService = require('../mailer/mailer.service');
+const opService = require('./op.service');
+const accountService = require('./account.service');
+const ledgerService = require('./ledger.service');
+const cadenceService = require('./cadence.service');
+const feeService = require('../fees/fee.service');
+const errors = require('../errors');
+const pagination = require('../pagination');
 // const crypto2 = require('crypto2');
 // const shortid = require('shortid');
 
 const timezone = constants.timezone;
 const payment_type = constants.payment_type;
 const status_type = constants.status_type;
-const week = constants.week;
+const voucher_status_type = constants.voucher_status_type;
+const email_type = constants.email_type;
+const payout_frequency_type = constants.payout_frequency_type;
+
+// Businesses without a statement are found through their transactions this far back (the longest first window)
+const lookback_months = 1;
 
 class PayoutService {
     /**
@@ -23,176 +37,417 @@ class PayoutService {
     }
 
     initialize() {
-        this._checkEverySecondFriday();
+        mongoDB.getDB().collection('mc-transactions').createIndex({ business_id: 1, time_created: 1 });
+        // Pay out the businesses whose payout date it is, daily at midnight (local time)
+        scheduler.define('payout-run', {
+            next: this._nextMidnight,
+            handler: this._payOut.bind(this),
+        });
         logger.debug('Payout schedule checking initialized.');
     }
 
-    _checkEverySecondFriday() {
-        const epoch = moment.unix(0);
-        const utcNow = moment.tz(timezone.utc);
-        const timeSinceEpoch = utcNow.diff(epoch);
-        const mod2Weeks = timeSinceEpoch % (2 * week);
-        const localNextFriday = moment.tz(timezone.kr).day(5).hour(0).minute(0).second(0).millisecond(0);
-        let timeUntilPayout = localNextFriday.diff(utcNow);
-        if (mod2Weeks < week) {
-            // If on the first week of biweekly schedule, add another week
-            timeUntilPayout += week;
-        }
-        const callback = function () {
-            this._payOut();
-        };
-        setTimeout(callback.bind(this), timeUntilPayout);
-        logger.debug(`Next payout scheduled on ${localNextFriday.format('LLLL')}.`);
+    /**
+     * Returns the first midnight (local time) after the given date.
+     * @param {Date} from
+     */
+    _nextMidnight(from) {
+        const local_midnight = moment(from).tz(timezone.kr).startOf('day');
+        if (!local_midnight.isAfter(from)) { local_midnight.add(1, 'day'); }
+        return local_midnight.toDate();
     }
 
     /**
-     * Inserts to 'mc-statements' using data from 'mc-transactions'
+     * Inserts to 'mc-statements' for the businesses whose payout date is `payout_date` (see cadence.service.js),
+     * using data from 'mc-transactions' since each business' last statement and carrying its balance and adjustments
+     * through the payout ledger (see ledger.service.js). On-demand businesses only get a statement once the payout
+     * due reaches their threshold.
+     * Each statement's `payout_amount` is queued for transfer through the Open Platform (see op.service.js), or held
+     * until the business verifies a payout account.
+     * Statements are inserted `settled: false` and settled in the ledger afterwards; statements a previous run left
+     * unsettled are settled first, so their adjustments are not carried twice.
+     *
+     * Returns a promise resolving with the run outcome.
+     * @param {Date} payout_date
      */
-    _payOut() {
-        const today = moment.tz(timezone.kr).day(5).hour(0).minute(0).second(0).millisecond(0);
-        const twoWeeksAgo = moment(today).subtract(2, 'week');
-        mongoDB.getDB().collection('mc-transactions').aggregate(
-            [
-                {
-                    $match: {
-                        $and: [
-                            { time_created: { $gte: twoWeeksAgo.toDate() } },
-                            { time_created: { $lt: today.toDate() } }
-                        ],
-                    },
-                },
-                {
-                    $group: {
-                        _id: '$business_id',
-                        raw_sales: { $sum: { $cond: { if: { $eq: ['$type', payment_type.mc_purchase] }, then: '$amount', else: 0 } } },
-                        num_voucher_purchases: { $sum: { $cond: { if: { $eq: ['$type', payment_type.mc_purchase] }, then: 1, else: 0 } } },
-                        num_coupon_redeems: { $sum: { $cond: { if: { $eq: ['$type', payment_type.mc_redeem] }, then: 1, else: 0 } } },
-                    },
-                }
-            ],
-            (db_error, statements) => {
-                if (statements.length === 0) { return; }
+    _payOut(payout_date) {
+        const lookback = moment(payout_date).tz(timezone.kr).subtract(lookback_months, 'month').toDate();
+        return ledgerService.settlePending()
+            .then(() => Promise.all([
+                cadenceService.cadences(),
+                this._lastStatementEnds(),
+                mongoDB.getDB().collection('mc-transactions')
+                    .distinct('business_id', { time_created: { $gte: lookback, $lt: payout_date } }),
+                ledgerService.balances(payout_date)
+            ]))
+            .then((results) => {
+                const candidates = results[2].concat(Object.keys(results[3]), Object.keys(results[0]))
+                    .filter((business_id, index, ids) => ids.indexOf(business_id) === index);
+                // Businesses without a statement start from their first transaction
+                return this._firstTransactions(candidates.filter(business_id => !results[1][business_id]))
+                    .then(first_transactions => results.concat([candidates, first_transactions]));
+            })
+            .then((results) => {
+                const cadences = results[0];
+                const last_ends = results[1];
+                const candidates = results[4];
+                const first_transactions = results[5];
+                // Each window starts where the business' last statement ended, whatever its cadence was then
+                const windows = {};
+                candidates.forEach((business_id) => {
+                    const cadence = cadences[business_id] || cadenceService.default;
+                    if (!cadenceService.isPayoutDate(cadence, payout_date)) { return; }
+                    const start = last_ends[business_id]
+                        || cadenceService.firstWindowStart(cadence, payout_date, first_transactions[business_id]);
+                    if (start >= payout_date) { return; }
+                    if (!windows[start.getTime()]) { windows[start.getTime()] = { start: start, business_ids: [] }; }
+                    windows[start.getTime()].business_ids.push(business_id);
+                });
+                return Object.keys(windows).reduce((promise, key) => promise.then(collected => (
+                    this._statements(windows[key].start, payout_date, windows[key].business_ids)
+                        .then(result => ({
+                            statements: collected.statements.concat(result.statements),
+                            verified: collected.verified.concat(result.verified),
+                        }))
+                )), Promise.resolve({ statements: [], verified: [] }))
+                    .then(result => ({
+                        statements: result.statements.filter((statement) => {
+                            const cadence = cadences[statement.business_id] || cadenceService.default;
+                            statement.cadence = {
+                                frequency: cadence.frequency,
+                                payout_day: cadence.payout_day,
+                                threshold: cadence.threshold,
+                            };
+                            if (cadence.frequency === payout_frequency_type.on_demand) {
+                                return statement.payout_amount > 0 && statement.payout_amount >= cadence.threshold;
+                            }
+                            return this._hasActivity(statement);
+                        }),
+                        verified: result.verified,
+                    }));
+            })
+            .then((result) => {
+                if (result.statements.length === 0) { return { statements: 0 }; }
                 logger.debug('Paying out...');
-                statements.forEach((statement) => {
-                    statement.business_id = statement._id;
-                    statement.date_range = {
-                        start: twoWeeksAgo.toDate(),
-                        end: today.toDate(),
-                    };
-                    const redeem_svc_fee = statement.num_coupon_redeems * constants.redeem_fee;
-                    const purchase_svc_fee = statement.num_voucher_purchases * constants.purchase_fee;
-                    statement.payout_amount = statement.raw_sales - redeem_svc_fee - purchase_svc_fee;
-                    statement.time_created = new Date();
-                    delete statement._id;
+                const now = new Date();
+                const statements = result.statements.map((statement) => {
+                    const verified = result.verified.includes(statement.business_id);
+                    statement.payout = opService.newPayout(statement.payout_amount, verified);
+                    statement.settled = false;
+                    statement.time_created = now;
+                    return statement;
                 });
-                mongoDB.getDB().collection('mc-statements').insertMany(statements)
+                return mongoDB.getDB().collection('mc-statements').insertMany(statements)
+                    .then(() => ledgerService.settle(statements))
                     .then(() => {
                         const msg = `Paid out to ${statements.length} businesses.`;
                         logger.debug(msg);
+                        opService.kick();
+                        return Promise.all(statements.map(statement => (
+                            mailerService.send(email_type.payout_statement, statement.business_id, statement)
+                        )));
                     })
-                    .catch((err) => {
-                        logger.error(err.message);
-                    });
+                    .then(() => ({ statements: statements.length }));
+            });
+    }
+
+    /**
+     * Computes the statements of the period [start, end): sales and refunds, fees, the balance carried in and the
+     * unsettled adjustments, and the resulting payout. One for each of `business_ids` when given, otherwise for every
+     * business with transactions in the period or a balance.
+     *
+     * Returns a promise resolving with { statements, verified } (the businesses with a verified payout account).
+     * @param {Date} start
+     * @param {Date} end
+     * @param {string[]} business_ids Only these businesses (optional)
+     */
+    _statements(start, end, business_ids) {
+        const match = {
+            $and: [
+                { time_created: { $gte: start } },
+                { time_created: { $lt: end } }
+            ],
+        };
+        if (business_ids) { match.business_id = { $in: business_ids }; }
+        return mongoDB.getDB().collection('mc-transactions').aggregate([
+            { $match: match },
+            {
+                $group: {
+                    _id: '$business_id',
+                    // Refund entries are negative, so sales are net of the refunds made in the period
+                    raw_sales: { $sum: { $cond: { if: { $or: [{ $eq: ['$type', payment_type.mc_purchase] }, { $eq: ['$type', payment_type.refund] }] }, then: '$amount', else: 0 } } },
+                    refunded_amount: { $sum: { $cond: { if: { $eq: ['$type', payment_type.refund] }, then: { $subtract: [0, '$amount'] }, else: 0 } } },
+                    num_voucher_refunds: { $sum: { $cond: { if: { $eq: ['$type', payment_type.refund] }, then: '$quantity', else: 0 } } },
+                    num_voucher_purchases: { $sum: { $cond: { if: { $eq: ['$type', payment_type.mc_purchase] }, then: 1, else: 0 } } },
+                    num_coupon_redeems: { $sum: { $cond: { if: { $eq: ['$type', payment_type.mc_redeem] }, then: 1, else: 0 } } },
+                },
             }
-        );
-        // TODO: Integrate with Open-Platform for actual payout.
-        this._checkEverySecondFriday();
+        ]).toArray()
+            .then(activity => ledgerService.balances(end, business_ids)
+                .then((balances) => {
+                    // Businesses without transactions in the period still get a statement for their balance
+                    const active_ids = activity.map(sales => sales._id);
+                    const idle_ids = Object.keys(balances).filter(id => !active_ids.includes(id));
+                    const ids = business_ids || active_ids.concat(idle_ids);
+                    return Promise.all([
+                        accountService.verifiedBusinesses(ids),
+                        feeService.periodFees(active_ids, start, end)
+                    ])
+                        .then(results => ({
+                            activity: activity,
+                            balances: balances,
+                            business_ids: ids,
+                            verified: results[0],
+                            fees: results[1],
+                        }));
+                }))
+            .then((result) => {
+                const statements = result.business_ids.map((id) => {
+                    const sales = result.activity.find(activity => activity._id === id) || {
+                        raw_sales: 0,
+                        refunded_amount: 0,
+                        num_voucher_refunds: 0,
+                        num_voucher_purchases: 0,
+                        num_coupon_redeems: 0,
+                    };
+                    const balance = result.balances[id] || { opening_balance: 0, adjustments: [] };
+                    const statement = Object.assign({ business_id: id }, sales, {
+                        date_range: {
+                            start: start,
+                            end: end,
+                        },
+                    });
+                    delete statement._id;
+                    // Each transaction is charged at the fee schedule in effect when it was made
+                    const fees = result.fees[id];
+                    statement.fees = (fees) ? fees.fees : { purchase: 0, redeem: 0 };
+                    statement.fee_breakdown = (fees) ? fees.breakdown : [];
+                    statement.fee_schedules = (fees) ? fees.schedules : [];
+                    statement.sales_amount = statement.raw_sales - statement.fees.purchase - statement.fees.redeem;
+                    statement.adjustments = balance.adjustments.map(adjustment => ({
+                        adjustment_id: adjustment._id,
+                        amount: adjustment.amount,
+                        reason: adjustment.reason,
+                        time_created: adjustment.time_created,
+                    }));
+                    statement.adjustment_amount = statement.adjustments.reduce((sum, entry) => sum + entry.amount, 0);
+                    // Negative balances and balances under the minimum payout are carried into the next statement
+                    statement.opening_balance = balance.opening_balance;
+                    const due = statement.opening_balance + statement.sales_amount + statement.adjustment_amount;
+                    statement.payout_amount = (due > 0 && due >= constants.min_payout_amount) ? due : 0;
+                    statement.closing_balance = due - statement.payout_amount;
+                    return statement;
+                });
+                return { statements: statements, verified: result.verified };
+            });
+    }
+
+    /**
+     * Returns a promise resolving with { [business_id]: end of the last statement's window }.
+     * @param {string[]} business_ids Only these businesses (optional)
+     */
+    _lastStatementEnds(business_ids) {
+        const match = (business_ids) ? { business_id: { $in: business_ids } } : {};
+        return mongoDB.getDB().collection('mc-statements').aggregate([
+            { $match: match },
+            { $group: { _id: '$business_id', last_end: { $max: '$date_range.end' } } }
+        ]).toArray()
+            .then(ends => ends.reduce((last_ends, end) => Object.assign(last_ends, { [end._id]: end.last_end }), {}));
+    }
+
+    /**
+     * Returns a promise resolving with { [business_id]: time of the business' first transaction }.
+     * @param {string[]} business_ids
+     */
+    _firstTransactions(business_ids) {
+        if (business_ids.length === 0) { return Promise.resolve({}); }
+        return mongoDB.getDB().collection('mc-transactions').aggregate([
+            { $match: { business_id: { $in: business_ids } } },
+            { $group: { _id: '$business_id', first: { $min: '$time_created' } } }
+        ]).toArray()
+            .then(firsts => firsts.reduce((first_transactions, first) => Object.assign(first_transactions, {
+                [first._id]: first.first,
+            }), {}));
     }
 
+    /**
+     * Returns whether the statement has anything to report: transactions, a balance carried in or adjustments.
+     * @param {*} statement From _statements()
+     */
+    _hasActivity(statement) {
+        return [
+            statement.num_voucher_purchases, statement.num_coupon_redeems, statement.num_voucher_refunds,
+            statement.raw_sales, statement.refunded_amount, statement.opening_balance, statement.adjustments.length
+        ].some(value => value);
+    }
+
+    /**
+     * Projects the business' ('business_id') next statement from the open period so far: running counts, fees,
+     * the balance carried in and the payout expected on `expected_payout_date` if nothing else happens.
+     * For on-demand cadences, `expected_payout_date` is the next daily check if the threshold is already reached.
+     * @param {*} req
+     * @param {*} res
+     */
+    getCurrentStatement(req, res) {
+        const business_id = req.params.business_id;
+        const now = new Date();
+        let cadence;
+        let payout_date;
+        Promise.all([
+            cadenceService.cadence(business_id),
+            this._lastStatementEnds([business_id]),
+            this._firstTransactions([business_id])
+        ])
+            .then((results) => {
+                cadence = results[0];
+                payout_date = cadenceService.nextPayoutDate(cadence, now);
+                const start = results[1][business_id] || cadenceService.firstWindowStart(cadence, payout_date, results[2][business_id]);
+                return this._statements(start, now, [business_id]);
+            })
+            .then((result) => {
+                const statement = result.statements[0];
+                const on_demand = cadence.frequency === payout_frequency_type.on_demand;
+                const reached = statement.payout_amount > 0 && statement.payout_amount >= cadence.threshold;
+                statement.date_range.end = payout_date;
+                const msg = `Current payout period projected for business (#${business_id})`;
+                logger.debug(msg);
+                res.send({
+                    success: true,
+                    message: msg,
+                    data: Object.assign(statement, {
+                        cadence: cadenceService.view(cadence, now),
+                        as_of: now,
+                        expected_payout_date: (!on_demand || reached) ? payout_date : null,
+                        // Without a verified account the payout would be held
+                        account_verified: result.verified.includes(business_id),
+                    }),
+                });
+            })
+            .catch((err) => {
+                errors.sendError(res, err, { business_id: business_id });
+            });
+    }
+
+    /**
+     * Fetches the payout statements for the business ('business_id'), newest first.
+     * Query: `limit`, `cursor` (`paging.next_cursor` of the previous page), `from` and `to` (statement creation date).
+     * `totals` covers every statement matching the filters, not only the page.
+     * @param {*} req
+     * @param {*} res
+     */
     getStatements(req, res) {
         const business_id = req.params.business_id;
-        mongoDB.getDB().collection('mc-statements').find(
-            { business_id: business_id },
-            (db_error, cursor) => {
-                if (db_error) {
-                    res.send({
-                        success: false,
-                        message: db_error.message,
-                    });
-                    return;
-                }
-                const statements = [];
-                cursor.sort({ time_created: -1 }).forEach(
-                    // Iteration callback
-                    (statement) => {
-                        statement.date_range.start = moment(statement.date_range.start).tz(timezone.kr).locale('kr').format('LL');
-                        statement.date_range.end = moment(statement.date_range.end).tz(timezone.kr).locale('kr').format('LL');
-                        statements.push(statement);
-                    },
-                    // End callback
-                    (end) => {
-                        const msg = `Payout statements fetched for business (${business_id})`;
-                        logger.debug(msg);
-                        res.send({
-                            sucecss: true,
-                            message: msg,
-                            data: statements,
-                        });
-                    }
-                );
-                // TODO: (FOR UPDATE) Use .limit() & .skip() to implement paging
-            }
-        );
+        const filter = { business_id: business_id };
+        const date_range = pagination.dateRange(req.query);
+        if (date_range) { filter.time_created = date_range; }
+        Promise.all([
+            pagination.findPage('mc-statements', filter, req.query),
+            pagination.totals('mc-statements', filter, [
+                'raw_sales', 'refunded_amount', 'num_voucher_purchases', 'num_voucher_refunds', 'num_coupon_redeems',
+                'sales_amount', 'adjustment_amount', 'payout_amount'
+            ])
+        ])
+            .then((results) => {
+                const page = results[0];
+                const statements = page.documents.map((statement) => {
+                    statement.date_range.start = moment(statement.date_range.start).tz(timezone.kr).locale('kr').format('LL');
+                    statement.date_range.end = moment(statement.date_range.end).tz(timezone.kr).locale('kr').format('LL');
+                    return statement;
+                });
+                const msg = `Payout statements fetched for business (${business_id})`;
+                logger.debug(msg);
+                res.send({
+                    success: true,
+                    message: msg,
+                    data: statements,
+                    paging: page.paging,
+                    totals: results[1],
+                });
+            })
+            .catch((err) => {
+                errors.sendError(res, err, { business_id: business_id });
+            });
     }
 
+    /**
+     * Fetches a payout statement with the Menucast transactions of its period, newest first.
+     * Query: `limit`, `cursor`, `from`, `to` (within the period), `type` (default PURCHASE) and `status` (default PAID).
+     * @param {*} req
+     * @param {*} res
+     */
     getStatementDetails(req, res) {
         const statement_id = req.params.statement_id;
+        let statement;
         mongoDB.getDB().collection('mc-statements').findOne({ _id: mongoDB.ObjectId(statement_id) })
-            .then((statement) => {
-                const business_id = statement.business_id;
+            .then((result) => {
+                statement = result;
+                if (!statement) { throw errors.notFound(`Payout statement (#${statement_id}) not found.`); }
+                const period = {
+                    $gte: statement.date_range.start,
+                    $lt: statement.date_range.end,
+                };
+                const type = req.query.type || payment_type.mc_purchase;
+                const default_status = (type === payment_type.refund) ? status_type.cancelled : status_type.paid;
+                const filter = {
+                    business_id: statement.business_id,
+                    type: type,
+                    status: req.query.status || default_status,
+                    $and: [{ time_created: period }],
+                };
+                const date_range = pagination.dateRange(req.query);
+                if (date_range) { filter.$and.push({ time_created: date_range }); }
+                return Promise.all([
+                    pagination.findPage('mc-transactions', filter, req.query),
+                    pagination.totals('mc-transactions', filter, ['amount'])
+                ]);
+            })
+            .then((results) => {
+                const page = results[0];
+                const local_date = value => ((value) ? moment(value).tz(timezone.kr).locale('kr').format('LL') : null);
+                const purchases = page.documents.map(document => ({
+                    date: local_date(document.time_created),
+                    description: document.promotable_name,
+                    amount: document.amount,
+                    type: document.type,
+                    status: document.status,
+                    // Purchases link to their redeem, redeems to their purchase
+                    voucher: (document.voucher_code) ? {
+                        code: document.voucher_code,
+                        status: document.voucher_status || voucher_status_type.redeemed,
+                        purchase_merchant_uid: document.purchase_merchant_uid || document.merchant_uid,
+                        purchased: local_date(document.time_purchased || document.time_created),
+                        redeemed: local_date((document.voucher_status) ? document.time_redeemed : document.time_created),
+                    } : null,
+                }));
                 const start_date = statement.date_range.start;
                 const end_date = statement.date_range.end;
-                mongoDB.getDB().collection('mc-transactions').find(
-                    {
-                        business_id: business_id,
-                        type: payment_type.mc_purchase,
-                        status: status_type.paid,
-                        $and: [
-                            { time_created: { $gte: start_date } },
-                            { time_created: { $lt: end_date } }
-                        ],
+                const msg = `[#${statement.business_id}] Menucast purchases for date_range ${moment(start_date).tz(timezone.kr).format('L')} - ${moment(end_date).tz(timezone.kr).format('L')}`;
+                logger.debug(msg);
+                res.send({
+                    success: true,
+                    message: msg,
+                    data: {
+                        raw_sales: statement.raw_sales,
+                        refunded_amount: statement.refunded_amount || 0,
+                        num_voucher_refunds: statement.num_voucher_refunds || 0,
+                        num_coupon_redeems: statement.num_coupon_redeems,
+                        num_voucher_purchases: statement.num_voucher_purchases,
+                        fees: statement.fees || null,
+                        fee_schedules: statement.fee_schedules || [],
+                        opening_balance: statement.opening_balance || 0,
+                        sales_amount: statement.sales_amount,
+                        adjustments: statement.adjustments || [],
+                        adjustment_amount: statement.adjustment_amount || 0,
+                        payout_amount: statement.payout_amount,
+                        closing_balance: statement.closing_balance || 0,
+                        payout: (statement.payout) ? opService.view(statement.payout) : null,
+                        purchases: purchases,
+                        paging: page.paging,
+                        totals: results[1],
                     },
-                    (db_error, cursor) => {
-                        const purchases = [];
-                        cursor.sort({ time_created: -1 }).forEach(
-                            // Iteration callback
-                            (document) => {
-                                const transaction = {
-                                    date: moment(document.time_created).tz(timezone.kr).locale('kr').format('LL'),
-                                    description: document.promotable_name,
-                                    amount: document.amount,
-                                    type: document.type,
-                                    status: document.status,
-                                };
-                                purchases.push(transaction);
-                            },
-                            // End callback
-                            (end) => {
-                                const msg = `[#${business_id}] Menucast purchases for date_range ${moment(start_date).tz(timezone.kr).format('L')} - ${moment(end_date).tz(timezone.kr).format('L')}`;
-                                logger.debug(msg);
-                                res.send({
-                                    sucecss: true,
-                                    message: msg,
-                                    data: {
-                                        raw_sales: statement.raw_sales,
-                                        num_coupon_redeems: statement.num_coupon_redeems,
-                                        num_voucher_purchases: statement.num_voucher_purchases,
-                                        payout_amount: statement.payout_amount,
-                                        purchases: purchases,
-                                    },
-                                });
-                            }
-                        );
-                        // TODO: (FOR UPDATE) Use .limit() & .skip() to implement paging
-                    }
-                );
+                });
             })
             .catch((err) => {
-                logger.error(err.message);
-                res.send({
-                    success: false,
-                    message: err.message,
-                });
+                errors.sendError(res, err, { statement_id: statement_id });
             });
     }
 }
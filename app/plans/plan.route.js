@@ -0,0 +1,32 @@
+// app/plans/plan.route.js
+
+'use strict';
+
+const express = require('express');
+const validate = require('../validate');
+const auth = require('../auth/auth.service');
+const planService = require('./plan.service');
+const schema = require('./plan.schema');
+
+const router = express.Router();
+
+/**
+ * Billing plans currently offered
+ */
+router.route('/')
+    .get(auth.authenticated, validate(schema.getPlans), (req, res) => {
+        planService.getPlans(req, res);
+    })
+    .post(auth.admin, validate(schema.createPlan), (req, res) => {
+        // Create a plan or a new price version of a plan (admin)
+        planService.createPlan(req, res);
+    });
+
+/**
+ * Retire a plan so it can no longer be subscribed to (admin)
+ */
+router.delete('/:plan_id', auth.admin, validate(schema.retirePlan), (req, res) => {
+    planService.retirePlan(req, res);
+});
+
+module.exports = router;
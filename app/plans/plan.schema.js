@@ -0,0 +1,30 @@
+// app/plans/plan.schema.js
+
+'use strict';
+
+const constants = require('../constants');
+
+const vat_type = constants.vat_type;
+
+/**
+ * Request schemas for app/plans/plan.route.js (see app/validate.js)
+ */
+module.exports = {
+    getPlans: {
+        query: { all: { type: 'boolean' } },
+    },
+    createPlan: {
+        body: {
+            plan_id: { type: 'string', required: true, max: 50 },
+            name: { type: 'string', max: 100 },
+            weeks: { type: 'integer', required: true, min: 1 },
+            price: { type: 'integer', required: true, min: 1 },
+            vat_type: { type: 'string', enum: Object.values(vat_type) },
+            effective_from: { type: 'date' },
+            effective_to: { type: 'date' },
+        },
+    },
+    retirePlan: {
+        params: { plan_id: { type: 'string', required: true } },
+    },
+};
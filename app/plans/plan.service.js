@@ -0,0 +1,178 @@
+// app/plans/plan.service.js
+
+'use strict';
+
+const mongoDB = require('../db');
+const constants = require('../constants');
+const logger = require('../utils').logger();
+const errors = require('../errors');
+
+const billing_plan_type = constants.billing_plan_type;
+const vat_type = constants.vat_type;
+
+class PlanService {
+    /**
+     * Plan service class constructor.
+     *
+     * 'billing-plans' holds one document per plan version. A price change is a new version of the same `plan_id`
+     * with a later `effective_from`, so existing subscriptions keep the price they were charged (grandfathered).
+     */
+    constructor() {
+        return null;
+    }
+
+    initialize() {
+        mongoDB.getDB().collection('billing-plans').createIndex({ plan_id: 1, effective_from: -1 });
+    }
+
+    /**
+     * Finds the active version of the plan effective at the given date.
+     *
+     * Returns a promise resolving with the plan, or null.
+     * @param {string} plan_id
+     * @param {Date} date
+     */
+    findPlan(plan_id, date) {
+        const at = date || new Date();
+        return mongoDB.getDB().collection('billing-plans').find({
+            plan_id: plan_id,
+            active: true,
+            effective_from: { $lte: at },
+            $or: [{ effective_to: null }, { effective_to: { $gt: at } }],
+        })
+            .sort({ effective_from: -1 })
+            .limit(1)
+            .next();
+    }
+
+    /**
+     * Returns the charge for a plan version: `amount` is the total charged and `vat` the VAT included in it.
+     * @param {*} plan
+     */
+    price(plan) {
+        return {
+            amount: plan.price,
+            vat: (plan.vat_type === vat_type.inclusive) ? Math.round(plan.price / 11) : 0,
+        };
+    }
+
+    /**
+     * Returns the number of weeks billed by a schedule, transaction or payment params.
+     * @param {*} params Object with `billing_weeks` (catalog plans) or a legacy `billing_plan`
+     */
+    planWeeks(params) {
+        return params.billing_weeks || billing_plan_type[params.billing_plan];
+    }
+
+    /**
+     * Lists the plans currently offered (`?all=true` includes retired and future versions).
+     * @param {*} req
+     * @param {*} res
+     */
+    getPlans(req, res) {
+        const now = new Date();
+        const query = (req.query.all === 'true') ? {} : {
+            active: true,
+            effective_from: { $lte: now },
+            $or: [{ effective_to: null }, { effective_to: { $gt: now } }],
+        };
+        mongoDB.getDB().collection('billing-plans').find(query)
+            .sort({ plan_id: 1, effective_from: -1 })
+            .toArray()
+            .then((plans) => {
+                res.send({
+                    success: true,
+                    message: `Fetched ${plans.length} billing plans.`,
+                    data: plans,
+                });
+            })
+            .catch((err) => {
+                errors.sendError(res, err);
+            });
+    }
+
+    /**
+     * Creates a plan, or a new price version of an existing plan starting at `effective_from` (default now).
+     * The current version of the plan ends where the new one starts.
+     * @param {*} req
+     * @param {*} res
+     */
+    createPlan(req, res) {
+        const body = req.body;
+        const plan = {
+            plan_id: body.plan_id,
+            name: body.name || body.plan_id,
+            weeks: parseInt(body.weeks),
+            price: parseInt(body.price),
+            vat_type: body.vat_type || vat_type.inclusive,
+            active: true,
+            effective_from: (body.effective_from) ? new Date(body.effective_from) : new Date(),
+            effective_to: (body.effective_to) ? new Date(body.effective_to) : null,
+            time_created: new Date(),
+        };
+        if (plan.effective_to && !(plan.effective_to > plan.effective_from)) {
+            errors.sendError(res, errors.badRequest('\'effective_to\' must be after \'effective_from\'.'));
+            return;
+        }
+        // End the open-ended version(s) of the plan where this one starts
+        mongoDB.getDB().collection('billing-plans').updateMany(
+            {
+                plan_id: plan.plan_id,
+                active: true,
+                effective_from: { $lt: plan.effective_from },
+                effective_to: null,
+            },
+            { $set: { effective_to: plan.effective_from } }
+        )
+            .then(() => mongoDB.getDB().collection('billing-plans').insertOne(plan))
+            .then(() => {
+                const msg = `Billing plan ${plan.plan_id} (${plan.weeks} weeks, ${plan.price}) effective from ${plan.effective_from.toISOString()}`;
+                logger.debug(msg);
+                res.send({
+                    success: true,
+                    message: msg,
+                    data: plan,
+                });
+            })
+            .catch((err) => {
+                errors.sendError(res, err, { plan_id: plan.plan_id });
+            });
+    }
+
+    /**
+     * Retires a plan: it can no longer be subscribed to. Existing subscriptions keep renewing at their price.
+     * @param {*} req
+     * @param {*} res
+     */
+    retirePlan(req, res) {
+        const plan_id = req.params.plan_id;
+        const now = new Date();
+        mongoDB.getDB().collection('billing-plans').updateMany(
+            {
+                plan_id: plan_id,
+                active: true,
+            },
+            {
+                $set: {
+                    active: false,
+                    time_retired: now,
+                },
+            }
+        )
+            .then((write_result) => {
+                if (write_result.matchedCount === 0) { throw errors.notFound(`Billing plan ${plan_id} not found or already retired.`); }
+                const msg = `Billing plan ${plan_id} retired`;
+                logger.debug(msg);
+                res.send({
+                    success: true,
+                    message: msg,
+                    data: { retired: write_result.modifiedCount },
+                });
+            })
+            .catch((err) => {
+                errors.sendError(res, err, { plan_id: plan_id });
+            });
+    }
+}
+
+module.exports = new PlanService();
@@ -6,6 +6,9 @@ const express = require('express');
 const iamport_router = require('./iamport/iamport.route');
 const payout_router = require('./payout/payout.route');
 const mc_router = require('./menucast/mc.route');
+const plan_router = require('./plans/plan.route');
+const export_router = require('./export/export.route');
+const fee_router = require('./fees/fee.route');
 
 const router = express.Router();
 
@@ -16,5 +19,8 @@ router.get('/', (req, res) => {
 router.use('/payment', iamport_router);
 router.use('/payout', payout_router);
 router.use('/menucast', mc_router);
+router.use('/plans', plan_router);
+router.use('/export', export_router);
+router.use('/fees', fee_router);
 
 module.exports = router;
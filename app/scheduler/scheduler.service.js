@@ -0,0 +1,220 @@
+// app/scheduler/scheduler.service.js
+
+'use strict';
+
+const os = require('os');
+const mongoDB = require('../db');
+const constants = require('../constants');
+const logger = require('../utils').logger();
+
+const job_status_type = constants.job_status_type;
+
+const poll_interval = 60 * 1000;
+const default_lease_time = 10 * 60 * 1000;
+const default_retry_delay = 5 * 60 * 1000;
+
+class SchedulerService {
+    /**
+     * Scheduler service class constructor.
+     *
+     * Job definitions live in 'scheduler-jobs' and every run is recorded in 'scheduler-runs'.
+     * A job is only run by the instance holding its lease, so multiple instances can share the same DB.
+     */
+    constructor() {
+        this.instance_id = `${os.hostname()}_${process.pid}`;
+        this.jobs = {};
+        this.running = {};
+        this.timer = null;
+    }
+
+    /**
+     * Registers a job. Must be called before start().
+     * @param {string} name Unique job name ('_id' in 'scheduler-jobs')
+     * @param {*} options
+     *  - next: function (Date) => Date, returns the first run time strictly after the given date
+     *  - handler: function (Date) => Promise, receives the run time being processed, resolves with the run outcome
+     *  - coalesce: if true, runs missed while down are merged into a single run for the latest missed time
+     *  - lease_time: how long an instance may hold the job before another instance can take over
+     *  - retry_delay: how long to wait before retrying a failed run
+     */
+    define(name, options) {
+        this.jobs[name] = {
+            next: options.next,
+            handler: options.handler,
+            coalesce: !!options.coalesce,
+            lease_time: options.lease_time || default_lease_time,
+            retry_delay: options.retry_delay || default_retry_delay,
+        };
+    }
+
+    /**
+     * Saves the job definitions and starts polling for due jobs.
+     */
+    start() {
+        const now = new Date();
+        mongoDB.getDB().collection('scheduler-runs').createIndex({ job: 1, time_started: -1 });
+        const promises = Object.keys(this.jobs).map(name => mongoDB.getDB().collection('scheduler-jobs').updateOne(
+            { _id: name },
+            {
+                // Keep the stored next run, so runs missed while down are caught up
+                $setOnInsert: {
+                    next_run: this.jobs[name].next(now),
+                    lease_owner: null,
+                    lease_expires: null,
+                    retry_after: null,
+                    time_created: now,
+                },
+                $set: { coalesce: this.jobs[name].coalesce },
+            },
+            { upsert: true }
+        ));
+        Promise.all(promises)
+            .then(() => {
+                this._tick();
+                this.timer = setInterval(this._tick.bind(this), poll_interval);
+                logger.debug(`Scheduler started on ${this.instance_id} with ${promises.length} jobs.`);
+            })
+            .catch((err) => {
+                logger.error(err.message);
+            });
+    }
+
+    _tick() {
+        Object.keys(this.jobs).forEach((name) => {
+            this._runIfDue(name);
+        });
+    }
+
+    /**
+     * Claims the job lease if the job is due and runs it.
+     * @param {string} name
+     */
+    _runIfDue(name) {
+        if (this.running[name]) { return; }
+        const job = this.jobs[name];
+        const now = new Date();
+        this.running[name] = true;
+        mongoDB.getDB().collection('scheduler-jobs').findOneAndUpdate(
+            {
+                _id: name,
+                next_run: { $lte: now },
+                $and: [
+                    { $or: [{ lease_expires: null }, { lease_expires: { $lt: now } }] },
+                    { $or: [{ retry_after: null }, { retry_after: { $lte: now } }] }
+                ],
+            },
+            {
+                $set: {
+                    lease_owner: this.instance_id,
+                    lease_expires: new Date(now.getTime() + job.lease_time),
+                },
+            },
+            { returnOriginal: false }
+        )
+            .then((claim_result) => {
+                // Not due, or another instance holds the lease
+                if (!claim_result.value) { return false; }
+                return this._run(name, claim_result.value).then(() => true);
+            })
+            .then((ran) => {
+                this.running[name] = false;
+                // Catch up on the next missed run right away
+                if (ran) { this._runIfDue(name); }
+            })
+            .catch((err) => {
+                this.running[name] = false;
+                logger.error(`Scheduler job (${name}) error: ${err.message}`);
+            });
+    }
+
+    /**
+     * Runs a claimed job and records the run.
+     * @param {string} name
+     * @param {*} job_document Claimed 'scheduler-jobs' document
+     */
+    _run(name, job_document) {
+        const job = this.jobs[name];
+        const now = new Date();
+        let run_date = job_document.next_run;
+        let coalesced = 0;
+        if (job.coalesce) {
+            while (job.next(run_date) <= now) {
+                run_date = job.next(run_date);
+                coalesced += 1;
+            }
+        }
+        // Keep the lease while the handler is running
+        const heartbeat = setInterval(() => {
+            mongoDB.getDB().collection('scheduler-jobs').updateOne(
+                { _id: name, lease_owner: this.instance_id },
+                { $set: { lease_expires: new Date(Date.now() + job.lease_time) } }
+            );
+        }, job.lease_time / 2);
+        let run_id;
+        logger.debug(`Scheduler job (${name}) started for ${run_date.toISOString()}${coalesced ? ` (${coalesced} missed runs coalesced)` : ''}`);
+        return mongoDB.getDB().collection('scheduler-runs').insertOne({
+            job: name,
+            run_date: run_date,
+            coalesced: coalesced,
+            instance_id: this.instance_id,
+            status: job_status_type.running,
+            time_started: now,
+        })
+            .then((insert_result) => {
+                run_id = insert_result.insertedId;
+                return job.handler(run_date);
+            })
+            .then((outcome) => {
+                logger.debug(`Scheduler job (${name}) succeeded for ${run_date.toISOString()}`);
+                return this._finish(name, run_id, {
+                    status: job_status_type.succeeded,
+                    outcome: outcome || null,
+                }, {
+                    next_run: job.next(run_date),
+                    retry_after: null,
+                    last_run: run_date,
+                });
+            })
+            .catch((err) => {
+                logger.error(`Scheduler job (${name}) failed for ${run_date.toISOString()}: ${err.message}`);
+                // Keep 'next_run' so the same run is retried
+                return this._finish(name, run_id, {
+                    status: job_status_type.failed,
+                    error: {
+                        code: err.code,
+                        message: err.message,
+                    },
+                }, {
+                    retry_after: new Date(Date.now() + job.retry_delay),
+                });
+            })
+            .then(() => {
+                clearInterval(heartbeat);
+            }, (err) => {
+                clearInterval(heartbeat);
+                throw err;
+            });
+    }
+
+    /**
+     * Records the run result and releases the lease.
+     * @param {string} name
+     * @param {*} run_id
+     * @param {*} run_update
+     * @param {*} job_update
+     */
+    _finish(name, run_id, run_update, job_update) {
+        run_update.time_ended = new Date();
+        job_update.lease_owner = null;
+        job_update.lease_expires = null;
+        const run_promise = (run_id)
+            ? mongoDB.getDB().collection('scheduler-runs').updateOne({ _id: run_id }, { $set: run_update })
+            : Promise.resolve();
+        return run_promise.then(() => mongoDB.getDB().collection('scheduler-jobs').updateOne(
+            { _id: name, lease_owner: this.instance_id },
+            { $set: job_update }
+        ));
+    }
+}
+
+module.exports = new SchedulerService();
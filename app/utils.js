@@ -2,9 +2,13 @@
 
 'use strict';
 
+const crypto = require('crypto');
 const tracer = require('tracer');
 const moment = require('moment-timezone');
 const nodemailer = require('nodemailer');
+const http = require('http');
+const https = require('https');
+const url = require('url');
 
 // Tracer - logger
 const logger = tracer.console({
@@ -70,6 +74,69 @@ const nodeLogger = new winston.Logger({
     transports: [nodeWinstonPapertrail],
 });
 
+// Http(s) - minimal promise based client for outbound calls
+const request_timeout = 10 * 1000;
+function httpRequest(method, request_url, headers, body) {
+    return new Promise((resolve, reject) => {
+        const parsed = url.parse(request_url);
+        const client = (parsed.protocol === 'https:') ? https : http;
+        const req = client.request({
+            method: method,
+            protocol: parsed.protocol,
+            hostname: parsed.hostname,
+            port: parsed.port,
+            path: parsed.path,
+            headers: Object.assign({}, headers, (body) ? { 'Content-Length': Buffer.byteLength(body) } : {}),
+        }, (res) => {
+            let data = '';
+            res.setEncoding('utf8');
+            res.on('data', (chunk) => { data += chunk; });
+            res.on('end', () => {
+                resolve({
+                    status: res.statusCode,
+                    headers: res.headers,
+                    body: data,
+                });
+            });
+        });
+        req.setTimeout(request_timeout, () => {
+            req.abort();
+            reject(new Error(`Request timed out (${method} ${request_url})`));
+        });
+        req.on('error', reject);
+        if (body) { req.write(body); }
+        req.end();
+    });
+}
+
+// AES-256-GCM - encryption of sensitive fields at rest (e.g. bank account numbers), keyed by CASTR_ENCRYPTION_KEY
+function encryptionKey() {
+    if (!process.env.CASTR_ENCRYPTION_KEY) { throw new Error('CASTR_ENCRYPTION_KEY is not set'); }
+    return crypto.createHash('sha256').update(process.env.CASTR_ENCRYPTION_KEY).digest();
+}
+
+/**
+ * Returns `{iv}.{auth tag}.{ciphertext}` (base64).
+ * @param {string} text
+ */
+function encrypt(text) {
+    const iv = crypto.randomBytes(12);
+    const cipher = crypto.createCipheriv('aes-256-gcm', encryptionKey(), iv);
+    const data = Buffer.concat([cipher.update(text, 'utf8'), cipher.final()]);
+    return [iv, cipher.getAuthTag(), data].map(part => part.toString('base64')).join('.');
+}
+
+/**
+ * Decrypts a value from encrypt(). Throws if it was tampered with or encrypted with another key.
+ * @param {string} value
+ */
+function decrypt(value) {
+    const parts = value.split('.').map(part => Buffer.from(part, 'base64'));
+    const decipher = crypto.createDecipheriv('aes-256-gcm', encryptionKey(), parts[0]);
+    decipher.setAuthTag(parts[1]);
+    return Buffer.concat([decipher.update(parts[2]), decipher.final()]).toString('utf8');
+}
+
 module.exports = {
     logger() {
         if (process.env.ENVIRONMENT === 'AWS-DEV') {
@@ -85,4 +152,7 @@ module.exports = {
     nodemailer() {
         return transporter;
     },
+    httpRequest: httpRequest,
+    encrypt: encrypt,
+    decrypt: decrypt,
 };
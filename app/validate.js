@@ -0,0 +1,79 @@
+// app/validate.js
+
+'use strict';
+
+const moment = require('./utils').moment();
+const errors = require('./errors');
+
+/**
+ * Checks a single value against a field rule. Values from the URL and urlencoded bodies are strings,
+ * so numbers, booleans and dates are also accepted in their string form.
+ *
+ * Returns an error message, or null.
+ * @param {*} value
+ * @param {*} rule { type, required, enum, min, max, pattern }
+ */
+function check(value, rule) {
+    if (value === undefined || value === null || value === '') {
+        return (rule.required) ? 'is required' : null;
+    }
+    switch (rule.type) {
+        case 'integer': {
+            const number = Number(value);
+            if (!Number.isInteger(number)) { return 'must be an integer'; }
+            if (rule.min !== undefined && number < rule.min) { return `must be at least ${rule.min}`; }
+            if (rule.max !== undefined && number > rule.max) { return `must be at most ${rule.max}`; }
+            break;
+        }
+        case 'boolean':
+            if (![true, false, 'true', 'false'].includes(value)) { return 'must be a boolean'; }
+            break;
+        case 'date':
+            if (!moment(value, moment.ISO_8601, true).isValid()) { return 'must be an ISO 8601 date'; }
+            break;
+        case 'array':
+            if (!Array.isArray(value)) { return 'must be an array'; }
+            if (rule.min !== undefined && value.length < rule.min) { return `must have at least ${rule.min} items`; }
+            break;
+        case 'object':
+            if (typeof value !== 'object' || Array.isArray(value)) { return 'must be an object'; }
+            break;
+        default:
+            if (typeof value !== 'string') { return 'must be a string'; }
+            if (rule.pattern && !rule.pattern.test(value)) { return 'has an invalid format'; }
+            if (rule.max !== undefined && value.length > rule.max) { return `must be at most ${rule.max} characters`; }
+    }
+    if (rule.enum && !rule.enum.includes(value)) { return `must be either: ${rule.enum}`; }
+    return null;
+}
+
+/**
+ * Returns a middleware validating the request against a declarative schema:
+ * { params: { field: rule }, query: { field: rule }, body: { field: rule }, check: (req) => message }
+ * `check` is for rules spanning several fields. Invalid requests are rejected with 400 `validation_error`,
+ * and `error.details` lists every invalid field.
+ * @param {*} schema
+ */
+function validate(schema) {
+    return (req, res, next) => {
+        const details = [];
+        ['params', 'query', 'body'].forEach((location) => {
+            const fields = schema[location] || {};
+            Object.keys(fields).forEach((field) => {
+                const message = check((req[location] || {})[field], fields[field]);
+                if (message) { details.push({ location: location, field: field, message: `'${field}' ${message}.` }); }
+            });
+        });
+        if (details.length === 0 && schema.check) {
+            const message = schema.check(req);
+            if (message) { details.push({ location: 'body', field: null, message: message }); }
+        }
+        if (details.length > 0) {
+            errors.sendError(res, errors.badRequest(details.map(detail => detail.message).join(' '), details));
+            return;
+        }
+        next();
+    };
+}
+
+module.exports = validate;
@@ -12,6 +12,17 @@ const logger = require('./app/utils').logger();
 const routes = require('./app/routes');
 const iamportService = require('./app/iamport/iamport.service');
 const payoutService = require('./app/payout/payout.service');
+const opService = require('./app/payout/op.service');
+const ledgerService = require('./app/payout/ledger.service');
+const cadenceService = require('./app/payout/cadence.service');
+const accountService = require('./app/payout/account.service');
+const eventsService = require('./app/events/events.service');
+const mailerService = require('./app/mailer/mailer.service');
+const planService = require('./app/plans/plan.service');
+const feeService = require('./app/fees/fee.service');
+const mcService = require('./app/menucast/mc.service');
+const idempotency = require('./app/idempotency/idempotency.service');
+const scheduler = require('./app/scheduler/scheduler.service');
 
 const app = express();
 const port = process.env.PORT;
@@ -32,6 +43,17 @@ mongoDB.connect((db_error) => {
 
     iamportService.initialize();
     payoutService.initialize();
+    opService.initialize();
+    ledgerService.initialize();
+    cadenceService.initialize();
+    accountService.initialize();
+    eventsService.initialize();
+    mailerService.initialize();
+    planService.initialize();
+    feeService.initialize();
+    mcService.initialize();
+    idempotency.initialize();
+    scheduler.start();
 
     app.listen(port, () => {
         logger.debug(`we are live on ${port}`);
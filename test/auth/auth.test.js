@@ -0,0 +1,59 @@
+// test/auth/auth.test.js
+
+'use strict';
+
+const assert = require('assert');
+const express = require('express');
+const http = require('../support/http');
+const testAuth = require('../support/auth');
+const authService = require('../../app/auth/auth.service');
+
+describe('AuthService', () => {
+    const in_an_hour = Math.floor(Date.now() / 1000) + 3600;
+    let app;
+    let restore;
+
+    before(() => {
+        restore = testAuth.useTestSecrets();
+        app = express();
+        app.get('/payout/:business_id/account', authService.business, (req, res) => res.send({ success: true }));
+        app.put('/payout/:business_id/account', authService.business, (req, res) => res.send({ success: true }));
+    });
+
+    after(() => {
+        restore();
+    });
+
+    function call(method, headers) {
+        return http.request(app, method, '/payout/biz1/account', { headers: headers });
+    }
+
+    function bearer(claims, secret) {
+        return { Authorization: `Bearer ${testAuth.sign(claims, secret || 'platform-secret')}` };
+    }
+
+    it('accepts a token of the business with an expiry', () => call('PUT', bearer({ business_ids: ['biz1'], exp: in_an_hour }))
+        .then(response => assert.strictEqual(response.status, 200)));
+
+    it('rejects tokens of other businesses', () => call('PUT', bearer({ business_ids: ['biz2'], exp: in_an_hour }))
+        .then(response => assert.strictEqual(response.status, 403)));
+
+    it('rejects tokens without a numeric expiry', () => Promise.all([
+        call('GET', bearer({ business_ids: ['biz1'] })),
+        call('GET', bearer({ business_ids: ['biz1'], exp: `${in_an_hour}` })),
+        call('GET', bearer({ role: 'admin' }, 'admin-secret')),
+    ])
+        .then(responses => assert.deepStrictEqual(responses.map(response => response.status), [401, 401, 401])));
+
+    it('rejects expired tokens', () => call('GET', bearer({ business_ids: ['biz1'], exp: in_an_hour - 7200 }))
+        .then(response => assert.strictEqual(response.status, 401)));
+
+    it('lets services read business resources but not change them', () => Promise.all([
+        call('GET', { 'X-Castr-Service-Key': 'service-key' }),
+        call('PUT', { 'X-Castr-Service-Key': 'service-key' }),
+    ])
+        .then(responses => assert.deepStrictEqual(responses.map(response => response.status), [200, 403])));
+
+    it('lets admins change any business', () => call('PUT', bearer({ role: 'admin', exp: in_an_hour }, 'admin-secret'))
+        .then(response => assert.strictEqual(response.status, 200)));
+});
@@ -0,0 +1,70 @@
+// test/documents/pdf.test.js
+
+'use strict';
+
+const assert = require('assert');
+const pdf = require('../../app/documents/pdf');
+
+/**
+ * Checks the cross-reference table and returns the objects by number.
+ * @param {string} output
+ */
+function parse(output) {
+    const startxref = parseInt(output.match(/startxref\n(\d+)\n%%EOF\n$/)[1]);
+    assert.strictEqual(output.substr(startxref, 4), 'xref');
+    const entries = output.slice(startxref).match(/^\d{10} 00000 n $/gm);
+    const objects = {};
+    entries.forEach((entry, i) => {
+        const offset = parseInt(entry.substr(0, 10));
+        const header = `${i + 1} 0 obj\n`;
+        assert.strictEqual(output.substr(offset, header.length), header, `Object ${i + 1} is at its xref offset`);
+        objects[i + 1] = output.slice(offset + header.length, output.indexOf('\nendobj\n', offset));
+    });
+    assert.ok(output.includes(`/Size ${entries.length + 1} `));
+    return objects;
+}
+
+function pageContents(objects) {
+    const pages = Object.keys(objects).map(number => objects[number]).find(body => body.indexOf('<< /Type /Pages') === 0);
+    const kids = pages.match(/\/Kids \[([^\]]*)\]/)[1].match(/\d+(?= 0 R)/g);
+    assert.ok(pages.includes(`/Count ${kids.length} `));
+    return kids.map((kid) => {
+        const stream = objects[objects[kid].match(/\/Contents (\d+) 0 R/)[1]];
+        const length = parseInt(stream.match(/\/Length (\d+)/)[1]);
+        const content = stream.slice(stream.indexOf('stream\n') + 7, stream.lastIndexOf('\nendstream'));
+        assert.strictEqual(Buffer.byteLength(content), length);
+        return content;
+    });
+}
+
+describe('pdf', () => {
+    it('builds a valid single-page document', () => {
+        const output = pdf([{ text: 'Receipt (copy)', size: 16 }, { rule: true }, { columns: [[0, 'Total'], [300, 55000]] }], 'Receipt').toString();
+        assert.strictEqual(output.indexOf('%PDF-1.4\n'), 0);
+        const objects = parse(output);
+        const contents = pageContents(objects);
+        assert.strictEqual(contents.length, 1);
+        assert.ok(contents[0].includes('BT /F1 16 Tf 50 770 Td (Receipt \\(copy\\)) Tj ET'));
+        assert.ok(contents[0].includes('(55000) Tj'));
+        assert.ok(contents[0].includes(' l S'));
+    });
+
+    it('writes Korean text with the CID font as UCS-2', () => {
+        const output = pdf([{ text: '환불 영수증' }], '환불').toString();
+        const objects = parse(output);
+        assert.ok(pageContents(objects)[0].includes('BT /F2 10 Tf 50 776 Td <D658BD880020C601C218C99D> Tj ET'));
+        assert.ok(output.includes('/BaseFont /HYGoThic-Medium-UniKS-UCS2-H /Encoding /UniKS-UCS2-H'));
+        assert.ok(output.includes('/Title <FEFFD658BD88>'));
+    });
+
+    it('starts a new page when the current one is full', () => {
+        const rows = [];
+        for (let i = 0; i < 100; i += 1) { rows.push({ text: `Line ${i}` }); }
+        const contents = pageContents(parse(pdf(rows, 'Statement').toString()));
+        // 16 points per row, 742 points per page
+        assert.strictEqual(contents.length, 3);
+        assert.ok(contents[0].includes('(Line 45) Tj') && !contents[0].includes('(Line 46) Tj'));
+        assert.ok(contents[1].includes('BT /F1 10 Tf 50 776 Td (Line 46) Tj ET'));
+        assert.ok(contents[2].includes('(Line 99) Tj'));
+    });
+});
@@ -0,0 +1,178 @@
+// test/events/events.test.js
+
+'use strict';
+
+const assert = require('assert');
+const crypto = require('crypto');
+const express = require('express');
+const bodyParser = require('body-parser');
+const fakeDB = require('../support/db');
+const eventsService = require('../../app/events/events.service');
+const logger = require('../../app/utils').logger();
+const constants = require('../../app/constants');
+
+const event_type = constants.event_type;
+const event_status_type = constants.event_status_type;
+
+const minute = 60 * 1000;
+
+describe('EventsService', () => {
+    let db;
+    let server;
+    let base_url;
+    let received;
+    let status_code;
+    const settings = {
+        endpoints: eventsService.endpoints,
+        secret: eventsService.secret,
+        claim: eventsService._claim,
+    };
+
+    before((done) => {
+        const app = express();
+        // Signatures are checked against the raw body
+        app.use(bodyParser.text({ type: '*/*' }));
+        app.post('/:endpoint', (req, res) => {
+            received.push({ endpoint: req.params.endpoint, headers: req.headers, body: req.body });
+            res.status(status_code).end();
+        });
+        server = app.listen(0, '127.0.0.1', () => {
+            base_url = `http://127.0.0.1:${server.address().port}`;
+            done();
+        });
+    });
+
+    after(() => {
+        server.close();
+        Object.assign(eventsService, settings);
+        eventsService._claim = settings.claim;
+    });
+
+    beforeEach(() => {
+        db = fakeDB.useFakeDB();
+        received = [];
+        status_code = 200;
+        eventsService.endpoints = [`${base_url}/first`, `${base_url}/second`];
+        eventsService.secret = 'webhook-secret';
+        eventsService._claim = settings.claim;
+        eventsService.initialize();
+    });
+
+    function outbox() {
+        return db.collection('event-outbox').documents;
+    }
+
+    // Resolves once no event is waiting for its first attempt
+    function settled() {
+        return new Promise((resolve) => {
+            const check = () => {
+                if (outbox().some(event => event.attempts === 0)) {
+                    setTimeout(check, 5);
+                    return;
+                }
+                resolve();
+            };
+            setTimeout(check, 5);
+        });
+    }
+
+    /**
+     * Queues an event for the first endpoint, due now.
+     * @param {number} attempts Attempts made so far
+     */
+    function queued(attempts) {
+        const event = {
+            _id: new fakeDB.ObjectId(),
+            event_id: 'evt_1',
+            type: event_type.payment_failed,
+            business_id: 'biz1',
+            data: {},
+            endpoint: `${base_url}/first`,
+            status: event_status_type.pending,
+            attempts: attempts,
+            next_attempt: new Date(Date.now() - 1000),
+            time_created: new Date(),
+        };
+        db.collection('event-outbox').documents.push(event);
+        return event;
+    }
+
+    it('queues an event once per endpoint however many times it is published, and signs it', () => {
+        const data = { merchant_uid: 'biz1_ch1' };
+        return eventsService.publish(event_type.payment_failed, 'biz1', data, 'imp_1_FAILED')
+            .then(() => eventsService.publish(event_type.payment_failed, 'biz1', data, 'imp_1_FAILED'))
+            .then(() => eventsService.publish(event_type.subscription_suspended, 'biz1', data, 'imp_1_FAILED'))
+            .then(settled)
+            .then(() => {
+                assert.strictEqual(outbox().length, 4);
+                assert.ok(outbox().every(event => event.status === event_status_type.delivered));
+                const failed = outbox().filter(event => event.type === event_type.payment_failed);
+                assert.deepStrictEqual(failed.map(event => event.endpoint), [`${base_url}/first`, `${base_url}/second`]);
+                assert.strictEqual(failed[0].event_id, eventsService.eventId(event_type.payment_failed, 'imp_1_FAILED'));
+                assert.strictEqual(failed[1].event_id, failed[0].event_id);
+                assert.strictEqual(received.length, 4);
+                received.forEach((request) => {
+                    const signature = /^t=(\d+),v1=([0-9a-f]{64})$/.exec(request.headers['x-castr-signature']);
+                    const expected = crypto.createHmac('sha256', 'webhook-secret').update(`${signature[1]}.${request.body}`).digest('hex');
+                    assert.strictEqual(signature[2], expected);
+                    assert.strictEqual(JSON.parse(request.body).id, outbox().find(event => event.type === request.headers['x-castr-event']).event_id);
+                });
+            });
+    });
+
+    it('backs off a failing endpoint exponentially and gives up after 10 attempts', () => {
+        status_code = 500;
+        const event = queued(0);
+        const delay = () => Math.round((event.next_attempt.getTime() - Date.now()) / minute);
+        return eventsService._deliverPending()
+            .then((outcome) => {
+                assert.deepStrictEqual(outcome, { delivered: 0, failed: 1 });
+                assert.strictEqual(event.attempts, 1);
+                assert.strictEqual(delay(), 1);
+                assert.strictEqual(event.last_error, 'Endpoint responded with 500');
+                Object.assign(event, { attempts: 3, next_attempt: new Date(Date.now() - 1000) });
+                return eventsService._deliverPending();
+            })
+            .then(() => {
+                assert.strictEqual(delay(), 8);
+                Object.assign(event, { attempts: 9, next_attempt: new Date(Date.now() - 1000) });
+                return eventsService._deliverPending();
+            })
+            .then(() => {
+                assert.strictEqual(event.status, event_status_type.failed);
+                assert.strictEqual(event.attempts, 10);
+                assert.strictEqual(received.length, 3);
+            });
+    });
+
+    it('publishes and delivers nothing without a secret', () => {
+        eventsService.secret = undefined;
+        const event = queued(0);
+        return eventsService.publish(event_type.payment_failed, 'biz1', {}, 'imp_2_FAILED')
+            .then(() => eventsService._deliverPending())
+            .then(() => {
+                assert.deepStrictEqual(outbox(), [event]);
+                assert.strictEqual(event.attempts, 0);
+                assert.strictEqual(received.length, 0);
+                assert.throws(() => eventsService.sign(1, '{}'), /CASTR_WEBHOOK_SECRET/);
+            });
+    });
+
+    it('logs a failed background delivery and leaves the event to the delivery job', () => {
+        const errors = [];
+        const error = logger.error;
+        logger.error = message => errors.push(message);
+        eventsService._claim = () => Promise.reject(new Error('Database unavailable'));
+        return eventsService.publish(event_type.payment_failed, 'biz1', {}, 'imp_3_FAILED')
+            .then(() => new Promise(resolve => setTimeout(resolve, 20)))
+            .then(() => {
+                logger.error = error;
+                assert.ok(errors.some(message => /left to the event-delivery job: Database unavailable/.test(message)));
+                assert.strictEqual(outbox().length, 2);
+                assert.ok(outbox().every(event => event.status === event_status_type.pending));
+            }, (err) => {
+                logger.error = error;
+                throw err;
+            });
+    });
+});
@@ -0,0 +1,133 @@
+// test/export/export.test.js
+
+'use strict';
+
+const assert = require('assert');
+const EventEmitter = require('events');
+const express = require('express');
+const ExcelJS = require('exceljs');
+const fakeDB = require('../support/db');
+const http = require('../support/http');
+const testAuth = require('../support/auth');
+const exportRouter = require('../../app/export/export.route');
+const exportService = require('../../app/export/export.service');
+
+describe('ExportService', () => {
+    let db;
+    let app;
+    let restore;
+
+    before(() => {
+        restore = testAuth.useTestSecrets();
+        app = express();
+        app.use('/export', exportRouter);
+    });
+
+    after(() => {
+        restore();
+    });
+
+    beforeEach(() => {
+        db = fakeDB.useFakeDB();
+        db.collection('mc-transactions').documents.push(
+            {
+                business_id: 'biz1',
+                merchant_uid: 'mc_order_1',
+                promotable_name: '=HYPERLINK("http://evil","click")',
+                type: 'PURCHASE',
+                amount: 4000,
+                status: 'PAID',
+                voucher_status: 'ISSUED',
+                time_created: new Date('2026-10-01T01:00:00Z'),
+            },
+            {
+                business_id: 'biz1',
+                merchant_uid: 'mc_order_1',
+                promotable_name: 'Americano, large',
+                type: 'REFUND',
+                amount: -4000,
+                status: 'REFUNDED',
+                time_created: new Date('2026-10-02T01:00:00Z'),
+            }
+        );
+    });
+
+    function download(format) {
+        return http.request(app, 'GET', `/export/mc-transactions?format=${format}&lang=en&from=2026-10-01&to=2026-11-01`, {
+            headers: testAuth.adminHeaders(),
+        });
+    }
+
+    it('streams CSV with English labels and escaped formulas', () => download('csv')
+        .then((response) => {
+            assert.strictEqual(response.status, 200);
+            assert.strictEqual(response.body[0], '\uFEFF');
+            const lines = response.body.slice(1).split('\r\n');
+            assert.strictEqual(lines[0].split(',')[0], 'Date');
+            assert.ok(lines[1].includes(',mc_order_1,"\'=HYPERLINK(""http://evil"",""click"")",Purchase,4000,'));
+            assert.ok(lines[2].includes(',mc_order_1,"Americano, large",Refund,-4000,'));
+            assert.strictEqual(lines[3], '');
+        }));
+
+    it('streams an XLSX workbook', () => download('xlsx')
+        .then((response) => {
+            assert.strictEqual(response.status, 200);
+            const workbook = new ExcelJS.Workbook();
+            return workbook.xlsx.load(response.raw)
+                .then(() => {
+                    const sheet = workbook.getWorksheet('Menucast transactions');
+                    assert.strictEqual(sheet.rowCount, 3);
+                    assert.strictEqual(sheet.getRow(1).getCell(1).value, 'Date');
+                    assert.strictEqual(sheet.getRow(2).getCell(4).value, '\'=HYPERLINK("http://evil","click")');
+                    assert.strictEqual(sheet.getRow(2).getCell(8).value, 'Paid');
+                    assert.strictEqual(sheet.getRow(3).getCell(6).value, -4000);
+                });
+        }));
+
+    describe('_streamRows', () => {
+        function documents(count) {
+            const collection = db.collection('rows');
+            for (let i = 0; i < count; i += 1) { collection.documents.push({ index: i }); }
+            return collection.find({}).sort({ index: 1 });
+        }
+
+        it('pauses the cursor until the response drains', (done) => {
+            const res = new EventEmitter();
+            const written = [];
+            exportService._streamRows(res, documents(3), (document) => {
+                written.push(document.index);
+                return false;
+            }, () => {
+                assert.deepStrictEqual(written, [0, 1, 2]);
+                done();
+            }, 'rows');
+            setTimeout(() => {
+                assert.deepStrictEqual(written, [0]);
+                res.emit('drain');
+                setTimeout(() => {
+                    assert.deepStrictEqual(written, [0, 1]);
+                    res.emit('drain');
+                }, 10);
+            }, 10);
+        });
+
+        it('closes the cursor when the client disconnects', (done) => {
+            const res = new EventEmitter();
+            const cursor = documents(3);
+            const written = [];
+            exportService._streamRows(res, cursor, (document) => {
+                written.push(document.index);
+                return false;
+            }, () => done(new Error('The export should not end')), 'rows');
+            setTimeout(() => {
+                res.emit('close');
+                res.emit('drain');
+                setTimeout(() => {
+                    assert.strictEqual(cursor.closed, true);
+                    assert.deepStrictEqual(written, [0]);
+                    done();
+                }, 10);
+            }, 10);
+        });
+    });
+});
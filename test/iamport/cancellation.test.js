@@ -0,0 +1,154 @@
+// test/iamport/cancellation.test.js
+
+'use strict';
+
+const assert = require('assert');
+const express = require('express');
+const bodyParser = require('body-parser');
+const fakeDB = require('../support/db');
+const http = require('../support/http');
+const testAuth = require('../support/auth');
+const iamportRouter = require('../../app/iamport/iamport.route');
+const iamportService = require('../../app/iamport/iamport.service');
+const eventsService = require('../../app/events/events.service');
+const mailerService = require('../../app/mailer/mailer.service');
+const constants = require('../../app/constants');
+
+const event_type = constants.event_type;
+const status_type = constants.status_type;
+
+describe('IamportService cancellation at period end', () => {
+    let db;
+    let app;
+    let restore;
+    let charges;
+    let events;
+    const period_end = new Date(Date.now() + (10 * constants.full_day));
+    const stubbed = {
+        publish: eventsService.publish,
+        send: mailerService.send,
+        again: iamportService.iamport.subscribe.again,
+        hook: iamportService._hookInBackground,
+    };
+
+    before(() => {
+        restore = testAuth.useTestSecrets();
+        eventsService.publish = (type, business_id, data) => {
+            events.push({ type: type, data: data });
+            return Promise.resolve();
+        };
+        mailerService.send = () => Promise.resolve();
+        iamportService._hookInBackground = () => null;
+        iamportService.iamport.subscribe.again = (params) => {
+            charges.push(params);
+            return Promise.resolve({ status: 'paid', merchant_uid: params.merchant_uid });
+        };
+        app = express();
+        app.use(bodyParser.json());
+        app.use('/payment', iamportRouter);
+    });
+
+    after(() => {
+        restore();
+        eventsService.publish = stubbed.publish;
+        mailerService.send = stubbed.send;
+        iamportService.iamport.subscribe.again = stubbed.again;
+        iamportService._hookInBackground = stubbed.hook;
+    });
+
+    beforeEach(() => {
+        db = fakeDB.useFakeDB();
+        charges = [];
+        events = [];
+        iamportService.initialize();
+        db.collection('payment-methods').documents.push({
+            _id: new fakeDB.ObjectId(), business_id: 'biz1', customer_uid: 'biz1_1234', default_method: true,
+        });
+        const period = (merchant_uid, status, date, time_scheduled) => ({
+            _id: new fakeDB.ObjectId(),
+            business_id: 'biz1',
+            merchant_uid: merchant_uid,
+            billing_plan: '4_WEEK',
+            billing_weeks: 4,
+            amount: 55000,
+            vat: 5000,
+            schedule: date,
+            status: status,
+            time_scheduled: time_scheduled,
+        });
+        db.collection('payment-schedule').documents.push(
+            period('biz1_ch0', status_type.paid, new Date(period_end.getTime() - (28 * constants.full_day)), new Date(Date.now() - 2000)),
+            period('biz1_ch1', status_type.scheduled, period_end, new Date(Date.now() - 1000))
+        );
+    });
+
+    function upcoming() {
+        return db.collection('payment-schedule').documents[1];
+    }
+
+    function request(method, path, body) {
+        return http.request(app, method, `/payment/biz1${path}`, { headers: testAuth.businessHeaders(['biz1']), body: body });
+    }
+
+    function plan() {
+        return request('GET', '')
+            .then((response) => {
+                assert.strictEqual(response.status, 200);
+                return response.body.data;
+            });
+    }
+
+    it('keeps the service until the period ends, and the undo restores the renewal', () => {
+        const before = Object.assign({}, upcoming());
+        return request('POST', '/subscription/cancellation', { reason: 'Closing the store' })
+            .then((response) => {
+                assert.strictEqual(response.status, 200);
+                assert.strictEqual(response.body.data.service_end_date, period_end.toISOString());
+                return plan();
+            })
+            .then((data) => {
+                assert.strictEqual(data.cancel_at_period_end, true);
+                assert.strictEqual(data.service_end_date, period_end.toISOString());
+                assert.strictEqual(data.plan_status, status_type.paid);
+                return request('DELETE', '/subscription/cancellation');
+            })
+            .then((response) => {
+                assert.strictEqual(response.status, 200);
+                assert.deepStrictEqual(upcoming(), before);
+                return plan();
+            })
+            .then((data) => {
+                assert.strictEqual(data.cancel_at_period_end, undefined);
+                assert.strictEqual(data.service_end_date, undefined);
+                assert.deepStrictEqual([data.next_plan_status, data.next_billing_amount], [status_type.scheduled, 55000]);
+                // The renewal is due and charged again
+                upcoming().schedule = new Date(Date.now() - constants.full_day);
+                return iamportService._checkScheduledPayments();
+            })
+            .then((outcome) => {
+                assert.deepStrictEqual([outcome.succeeded, outcome.ended], [1, 0]);
+                assert.deepStrictEqual(charges.map(charge => [charge.merchant_uid, charge.amount]), [['biz1_ch1', 55000]]);
+            });
+    });
+
+    it('ends the subscription without charging it when the period ends, and cannot be undone after', () => request('POST', '/subscription/cancellation', {})
+        .then(() => {
+            upcoming().schedule = new Date(Date.now() - 1000);
+            return iamportService._checkScheduledPayments();
+        })
+        .then((outcome) => {
+            assert.deepStrictEqual([outcome.scheduled, outcome.ended], [0, 1]);
+            assert.strictEqual(charges.length, 0);
+            assert.strictEqual(upcoming().status, status_type.unscheduled);
+            assert.deepStrictEqual(events.map(event => event.type), [event_type.subscription_cancelled]);
+            return request('DELETE', '/subscription/cancellation');
+        })
+        .then((response) => {
+            assert.strictEqual(response.status, 422);
+            return plan();
+        })
+        .then((data) => {
+            assert.strictEqual(data.next_plan_status, status_type.unscheduled);
+            assert.strictEqual(data.service_end_date, upcoming().schedule.toISOString());
+        }));
+});
@@ -0,0 +1,182 @@
+// test/iamport/change-subscription.test.js
+
+'use strict';
+
+const assert = require('assert');
+const express = require('express');
+const bodyParser = require('body-parser');
+const fakeDB = require('../support/db');
+const http = require('../support/http');
+const testAuth = require('../support/auth');
+const iamportRouter = require('../../app/iamport/iamport.route');
+const iamportService = require('../../app/iamport/iamport.service');
+const eventsService = require('../../app/events/events.service');
+const mailerService = require('../../app/mailer/mailer.service');
+const moment = require('../../app/utils').moment();
+const constants = require('../../app/constants');
+
+const status_type = constants.status_type;
+const payment_type = constants.payment_type;
+
+describe('IamportService immediate plan changes', () => {
+    let db;
+    let app;
+    let restore;
+    let charges;
+    let cancels;
+    // The current BASIC period started 10 days ago (KST), so 11 of its 28 days are served counting today
+    const paid_day = moment.tz(constants.timezone.kr).startOf('day').subtract(10, 'day').toDate();
+    const value_unserved = Math.round(44000 * (17 / 28));
+    const stubbed = {
+        publish: eventsService.publish,
+        send: mailerService.send,
+        again: iamportService.iamport.subscribe.again,
+        cancel: iamportService.iamport.payment.cancel,
+        hook: iamportService._hookInBackground,
+    };
+
+    before(() => {
+        restore = testAuth.useTestSecrets();
+        eventsService.publish = () => Promise.resolve();
+        mailerService.send = () => Promise.resolve();
+        iamportService._hookInBackground = () => null;
+        iamportService.iamport.subscribe.again = (params) => {
+            charges.push(params);
+            return Promise.resolve({ status: 'paid', merchant_uid: params.merchant_uid, custom_data: params.custom_data });
+        };
+        iamportService.iamport.payment.cancel = (params) => {
+            cancels.push(params);
+            return Promise.resolve({ status: 'cancelled', merchant_uid: params.merchant_uid });
+        };
+        app = express();
+        app.use(bodyParser.json());
+        app.use('/payment', iamportRouter);
+    });
+
+    after(() => {
+        restore();
+        eventsService.publish = stubbed.publish;
+        mailerService.send = stubbed.send;
+        iamportService.iamport.subscribe.again = stubbed.again;
+        iamportService.iamport.payment.cancel = stubbed.cancel;
+        iamportService._hookInBackground = stubbed.hook;
+    });
+
+    beforeEach(() => {
+        db = fakeDB.useFakeDB();
+        charges = [];
+        cancels = [];
+        iamportService.initialize();
+        const plan = (plan_id, price) => ({
+            _id: new fakeDB.ObjectId(),
+            plan_id: plan_id,
+            name: plan_id,
+            weeks: 4,
+            price: price,
+            vat_type: constants.vat_type.inclusive,
+            active: true,
+            effective_from: new Date('2026-01-01T00:00:00Z'),
+            effective_to: null,
+        });
+        db.collection('billing-plans').documents.push(plan('BASIC', 44000), plan('PREMIUM', 88000), plan('LITE', 22000));
+        db.collection('payment-methods').documents.push({
+            _id: new fakeDB.ObjectId(), business_id: 'biz1', customer_uid: 'biz1_1234', default_method: true,
+        });
+        const period = (merchant_uid, status, date, time_scheduled) => ({
+            _id: new fakeDB.ObjectId(),
+            business_id: 'biz1',
+            merchant_uid: merchant_uid,
+            billing_plan: 'BASIC',
+            billing_weeks: 4,
+            amount: 44000,
+            vat: 4000,
+            schedule: date,
+            status: status,
+            time_scheduled: time_scheduled,
+        });
+        db.collection('payment-schedule').documents.push(
+            period('biz1_ch0', status_type.paid, paid_day, new Date(paid_day.getTime() - 1000)),
+            period('biz1_ch1', status_type.scheduled, moment(paid_day).add(4, 'week').toDate(), paid_day)
+        );
+        db.collection('payment-transactions').documents.push({
+            _id: new fakeDB.ObjectId(),
+            business_id: 'biz1',
+            merchant_uid: 'biz1_ch0',
+            type: payment_type.initial,
+            amount: 44000,
+            status: status_type.paid,
+            time_created: paid_day,
+        });
+    });
+
+    function schedule(merchant_uid) {
+        return db.collection('payment-schedule').documents.find(document => document.merchant_uid === merchant_uid);
+    }
+
+    function change(billing_plan, dry_run) {
+        return http.request(app, 'PUT', '/payment/biz1/subscription', {
+            headers: testAuth.businessHeaders(['biz1']),
+            body: { billing_plan: billing_plan, mode: 'immediate', dry_run: !!dry_run },
+        })
+            .then((response) => {
+                assert.strictEqual(response.status, 200);
+                return response.body.data;
+            });
+    }
+
+    function refundQuote() {
+        return http.request(app, 'GET', '/payment/biz1/subscription/refund-quote', { headers: testAuth.businessHeaders(['biz1']) });
+    }
+
+    it('credits the unserved value of the current period as a refund would, and charges the rest of an upgrade', () => refundQuote()
+        .then((response) => {
+            assert.strictEqual(response.body.data.days_served, 11);
+            assert.strictEqual(response.body.data.value_unserved, value_unserved);
+            return change('PREMIUM');
+        })
+        .then((data) => {
+            assert.deepStrictEqual(data.proration, { credit: value_unserved, charge: 88000 - value_unserved, refund: 0 });
+            assert.deepStrictEqual([data.before.billing_plan, data.after.billing_plan], ['BASIC', 'PREMIUM']);
+            assert.strictEqual(charges.length, 1);
+            const charge = charges[0];
+            const custom_data = JSON.parse(charge.custom_data);
+            assert.deepStrictEqual([charge.merchant_uid, charge.amount], ['biz1_ch1', 88000 - value_unserved]);
+            assert.deepStrictEqual([custom_data.type, custom_data.renewal_amount], [payment_type.plan_change, 88000]);
+            return iamportService.paymentHook({
+                imp_uid: 'imp_1',
+                merchant_uid: charge.merchant_uid,
+                status: 'paid',
+                paid_at: Math.floor(Date.now() / 1000),
+                cancel_amount: 0,
+                cancel_history: [],
+                custom_data: charge.custom_data,
+            });
+        })
+        .then(() => {
+            assert.deepStrictEqual([schedule('biz1_ch1').status, schedule('biz1_ch1').billing_plan], [status_type.paid, 'PREMIUM']);
+            assert.strictEqual(schedule('biz1_ch1').amount, 88000 - value_unserved);
+            // The next period renews at the full price
+            assert.deepStrictEqual([schedule('biz1_ch2').status, schedule('biz1_ch2').amount], [status_type.scheduled, 88000]);
+        }));
+
+    it('refunds the credit left after paying for a downgrade on the last payment', () => change('LITE', true)
+        .then((quote) => {
+            assert.deepStrictEqual(quote.proration, { credit: value_unserved, charge: 0, refund: value_unserved - 22000 });
+            assert.strictEqual(schedule('biz1_ch1').status, status_type.scheduled);
+            assert.strictEqual(cancels.length, 0);
+            return change('LITE');
+        })
+        .then((data) => {
+            assert.deepStrictEqual(data.proration, { credit: value_unserved, charge: 0, refund: value_unserved - 22000 });
+            assert.strictEqual(charges.length, 0);
+            const refunds = cancels.map(cancel => [cancel.merchant_uid, cancel.amount]);
+            assert.deepStrictEqual(refunds, [['biz1_ch0', value_unserved - 22000]]);
+            const started = schedule('biz1_ch1');
+            assert.deepStrictEqual([started.status, started.billing_plan, started.amount], [status_type.paid, 'LITE', 22000]);
+            assert.strictEqual(started.paid_merchant_uid, 'biz1_ch0');
+            const next = schedule('biz1_ch2');
+            assert.deepStrictEqual([next.status, next.amount], [status_type.scheduled, 22000]);
+            const renewal = moment.tz(constants.timezone.kr).startOf('day').add(4, 'week');
+            assert.deepStrictEqual(next.schedule, renewal.toDate());
+        }));
+});
@@ -0,0 +1,181 @@
+// test/iamport/dunning.test.js
+
+'use strict';
+
+const assert = require('assert');
+const express = require('express');
+const fakeDB = require('../support/db');
+const http = require('../support/http');
+const testAuth = require('../support/auth');
+const iamportRouter = require('../../app/iamport/iamport.route');
+const iamportService = require('../../app/iamport/iamport.service');
+const eventsService = require('../../app/events/events.service');
+const mailerService = require('../../app/mailer/mailer.service');
+const constants = require('../../app/constants');
+
+const event_type = constants.event_type;
+const status_type = constants.status_type;
+
+// First failure: Tuesday 2026-10-06, 6 am KST
+const first_failed = new Date('2026-10-05T21:00:00Z');
+
+/**
+ * Returns the I'mport result of a failed attempt at the scheduled payment biz1_ch2, `days` after the first failure.
+ * @param {number} attempt 1 for the first attempt
+ * @param {number} days
+ */
+function failedResult(attempt, days) {
+    return {
+        imp_uid: `imp_fail_${attempt}`,
+        merchant_uid: 'biz1_ch2',
+        status: 'failed',
+        fail_reason: `Declined (${attempt})`,
+        failed_at: (first_failed.getTime() / 1000) + (days * 86400),
+        custom_data: JSON.stringify({
+            business_id: 'biz1',
+            merchant_uid: 'biz1_ch2',
+            type: constants.payment_type.scheduled,
+            billing_plan: '4_WEEK',
+            billing_weeks: 4,
+            amount: 55000,
+            vat: 5000,
+        }),
+    };
+}
+
+describe('IamportService dunning', () => {
+    let db;
+    let app;
+    let restore;
+    let events;
+    const stubbed = {
+        publish: eventsService.publish,
+        send: mailerService.send,
+        again: iamportService.iamport.subscribe.again,
+        hook: iamportService._hookInBackground,
+    };
+
+    before(() => {
+        restore = testAuth.useTestSecrets();
+        eventsService.publish = (type, business_id, data) => {
+            events.push({ type: type, data: data });
+            return Promise.resolve();
+        };
+        mailerService.send = () => Promise.resolve();
+        iamportService._hookInBackground = () => null;
+        app = express();
+        app.use('/payment', iamportRouter);
+    });
+
+    after(() => {
+        restore();
+        eventsService.publish = stubbed.publish;
+        mailerService.send = stubbed.send;
+        iamportService.iamport.subscribe.again = stubbed.again;
+        iamportService._hookInBackground = stubbed.hook;
+    });
+
+    beforeEach(() => {
+        db = fakeDB.useFakeDB();
+        events = [];
+        iamportService.initialize();
+        const schedule = (merchant_uid, status, date, time_scheduled) => ({
+            _id: new fakeDB.ObjectId(),
+            business_id: 'biz1',
+            merchant_uid: merchant_uid,
+            billing_plan: '4_WEEK',
+            billing_weeks: 4,
+            amount: 55000,
+            vat: 5000,
+            schedule: date,
+            status: status,
+            time_scheduled: time_scheduled,
+        });
+        db.collection('payment-schedule').documents.push(
+            schedule('biz1_ch1', status_type.paid, new Date('2026-09-07T15:00:00Z'), new Date('2026-09-08T00:00:00Z')),
+            schedule('biz1_ch2', status_type.scheduled, new Date('2026-10-05T15:00:00Z'), new Date('2026-09-08T00:00:01Z'))
+        );
+    });
+
+    function upcoming() {
+        return db.collection('payment-schedule').documents[1];
+    }
+
+    function plan() {
+        return http.request(app, 'GET', '/payment/biz1', { headers: testAuth.businessHeaders(['biz1']) })
+            .then((response) => {
+                assert.strictEqual(response.status, 200);
+                return response.body.data;
+            });
+    }
+
+    it('retries on the policy days counted from the first failure, then suspends the subscription', () => {
+        // KST midnights 1, 3 and 7 days after the first failure
+        const retry_dates = ['2026-10-06T15:00:00.000Z', '2026-10-08T15:00:00.000Z', '2026-10-12T15:00:00.000Z'];
+        return iamportService.paymentHook(failedResult(1, 0))
+            .then(plan)
+            .then((data) => {
+                assert.strictEqual(upcoming().status, status_type.failed);
+                assert.strictEqual(data.plan_status, status_type.failed);
+                assert.strictEqual(data.fail_reason, 'Declined (1)');
+                assert.strictEqual(data.retries_left, 3);
+                assert.strictEqual(data.next_retry_date, retry_dates[0]);
+                assert.deepStrictEqual([data.plan, data.billing_amount], ['4_WEEK', 55000]);
+                return iamportService.paymentHook(failedResult(2, 1));
+            })
+            // A repeated notification is not recorded as another attempt
+            .then(() => iamportService.paymentHook(failedResult(2, 1)))
+            .then(plan)
+            .then((data) => {
+                assert.strictEqual(upcoming().failures.length, 2);
+                assert.strictEqual(data.fail_reason, 'Declined (2)');
+                assert.deepStrictEqual([data.retries_left, data.next_retry_date], [2, retry_dates[1]]);
+                return iamportService.paymentHook(failedResult(3, 3));
+            })
+            .then(plan)
+            .then((data) => {
+                assert.deepStrictEqual([data.retries_left, data.next_retry_date], [1, retry_dates[2]]);
+                assert.ok(!events.some(event => event.type === event_type.subscription_suspended));
+                return iamportService.paymentHook(failedResult(4, 7));
+            })
+            .then(plan)
+            .then((data) => {
+                assert.strictEqual(upcoming().status, status_type.suspended);
+                assert.strictEqual(upcoming().next_retry, null);
+                assert.strictEqual(data.plan_status, status_type.suspended);
+                assert.deepStrictEqual([data.retries_left, data.next_retry_date], [0, null]);
+                const attempts = upcoming().failures.map(failure => failure.imp_uid);
+                assert.deepStrictEqual(attempts, ['imp_fail_4', 'imp_fail_3', 'imp_fail_2', 'imp_fail_1']);
+                const failed = events.filter(event => event.type === event_type.payment_failed);
+                assert.deepStrictEqual(failed.map(event => event.data.retries_left), [3, 2, 1, 0]);
+                assert.strictEqual(events.filter(event => event.type === event_type.subscription_suspended).length, 1);
+            });
+    });
+
+    it('retries the failed payments that are due, with the default payment method', () => {
+        const charged = [];
+        iamportService.iamport.subscribe.again = (params) => {
+            charged.push(params.merchant_uid);
+            return Promise.resolve({ status: 'paid', merchant_uid: params.merchant_uid });
+        };
+        db.collection('payment-methods').documents.push({
+            _id: new fakeDB.ObjectId(), business_id: 'biz1', customer_uid: 'biz1_1234', default_method: true,
+        });
+        Object.assign(upcoming(), {
+            status: status_type.failed,
+            next_retry: new Date(Date.now() - 1000),
+            failures: [{ imp_uid: 'imp_fail_1', reason: 'Declined', time_failed: new Date(Date.now() - 86400000) }],
+        });
+        // Not due yet, and suspended
+        db.collection('payment-schedule').documents.push(Object.assign({}, upcoming(), {
+            _id: new fakeDB.ObjectId(), business_id: 'biz2', merchant_uid: 'biz2_ch2', next_retry: new Date(Date.now() + 86400000),
+        }), Object.assign({}, upcoming(), {
+            _id: new fakeDB.ObjectId(), business_id: 'biz3', merchant_uid: 'biz3_ch2', status: status_type.suspended, next_retry: null,
+        }));
+        return iamportService._retryFailedPayments()
+            .then((outcome) => {
+                assert.deepStrictEqual(outcome, { retried: 1, succeeded: 1, failed: 0 });
+                assert.deepStrictEqual(charged, ['biz1_ch2']);
+            });
+    });
+});
@@ -0,0 +1,227 @@
+// test/iamport/mc-pay.test.js
+
+'use strict';
+
+const assert = require('assert');
+const express = require('express');
+const bodyParser = require('body-parser');
+const fakeDB = require('../support/db');
+const http = require('../support/http');
+const testAuth = require('../support/auth');
+const fixtures = require('../support/fixtures');
+const mcRouter = require('../../app/menucast/mc.route');
+const iamportService = require('../../app/iamport/iamport.service');
+const idempotencyService = require('../../app/idempotency/idempotency.service');
+const eventsService = require('../../app/events/events.service');
+const constants = require('../../app/constants');
+
+const payment_type = constants.payment_type;
+
+describe('IamportService Menucast purchases', () => {
+    let db;
+    let app;
+    let restore;
+    let charges;
+    let charge;
+    // Orders paid at I'mport, by merchant_uid
+    let paid;
+    const stubbed = {
+        publish: eventsService.publish,
+        decrypt: iamportService._rsaDecryptArray,
+        onetime: iamportService.iamport.subscribe.onetime,
+        getByMerchant: iamportService.iamport.payment.getByMerchant,
+    };
+
+    before(() => {
+        restore = testAuth.useTestSecrets();
+        eventsService.publish = () => Promise.resolve();
+        // The payload is sent as plain JSON
+        iamportService._rsaDecryptArray = payload => Promise.resolve(payload[0]);
+        iamportService.iamport.subscribe.onetime = (params) => {
+            charges.push(params);
+            return charge(params);
+        };
+        iamportService.iamport.payment.getByMerchant = (params) => {
+            if (paid[params.merchant_uid]) { return Promise.resolve(paid[params.merchant_uid]); }
+            const err = new Error('404');
+            err.code = 'HTTP_404';
+            return Promise.reject(err);
+        };
+        app = express();
+        app.use(bodyParser.json());
+        app.use('/menucast', mcRouter);
+    });
+
+    after(() => {
+        restore();
+        eventsService.publish = stubbed.publish;
+        iamportService._rsaDecryptArray = stubbed.decrypt;
+        iamportService.iamport.subscribe.onetime = stubbed.onetime;
+        iamportService.iamport.payment.getByMerchant = stubbed.getByMerchant;
+    });
+
+    beforeEach(() => {
+        db = fakeDB.useFakeDB();
+        iamportService.initialize();
+        idempotencyService.initialize();
+        const promotion = fixtures.promotion();
+        Object.assign(promotion.promoTable[0], { nameOne: 'Americano', price: 4000, discount: 0 });
+        db.collection('promotions').documents.push(promotion);
+        charges = [];
+        paid = {};
+        charge = (params) => {
+            const result = fixtures.mcOrderResult({
+                imp_uid: `imp_${charges.length}`,
+                merchant_uid: params.merchant_uid,
+                custom_data: params.custom_data,
+            });
+            paid[params.merchant_uid] = result;
+            return Promise.resolve(result);
+        };
+    });
+
+    /**
+     * Purchases `qty` (default 3) vouchers for `mc_customer_id` (default customer1), with the idempotency key if given.
+     * @param {string} key
+     * @param {string} mc_customer_id
+     * @param {number} qty
+     */
+    function purchase(key, mc_customer_id, qty) {
+        const headers = { 'X-Castr-Service-Key': 'service-key' };
+        if (key) { headers['Idempotency-Key'] = key; }
+        return http.request(app, 'POST', `/menucast/biz1/purchase/${fixtures.promotable_id}`, {
+            headers: headers,
+            body: {
+                mc_customer_id: mc_customer_id || 'customer1',
+                payload: [JSON.stringify({ qty: qty || 3, card_number: '1234-5678-9012-3456' })],
+            },
+        });
+    }
+
+    function promotable() {
+        return db.collection('promotions').documents[0].promoTable[0];
+    }
+
+    function bought(mc_customer_id) {
+        const quota = db.collection('mc-customer-quotas').documents.find(document => document.mc_customer_id === mc_customer_id);
+        return (quota) ? quota.bought : 0;
+    }
+
+    function vouchers() {
+        return db.collection('mc-transactions').documents.filter(transaction => transaction.type === payment_type.mc_purchase);
+    }
+
+    it('charges an order derived from the idempotency key', () => purchase('key1')
+        .then((response) => {
+            assert.strictEqual(response.status, 200);
+            assert.strictEqual(response.body.data.merchant_uid, iamportService._mcMerchantUid('biz1', 'key1'));
+            assert.notStrictEqual(iamportService._mcMerchantUid('biz2', 'key1'), iamportService._mcMerchantUid('biz1', 'key1'));
+            assert.strictEqual(response.body.data.vouchers.length, 3);
+        }));
+
+    it('returns the vouchers of an order paid before a timeout instead of charging it again', () => {
+        charge = params => Promise.resolve()
+            .then(() => { paid[params.merchant_uid] = fixtures.mcOrderResult({ merchant_uid: params.merchant_uid, custom_data: params.custom_data }); })
+            .then(() => { throw new Error('ETIMEDOUT'); });
+        return purchase('key1')
+            .then((response) => {
+                assert.strictEqual(response.status, 500);
+                assert.strictEqual(vouchers().length, 0);
+                return new Promise(resolve => setImmediate(resolve));
+            })
+            .then(() => purchase('key1'))
+            .then((response) => {
+                assert.strictEqual(response.status, 200);
+                assert.strictEqual(charges.length, 1);
+                assert.strictEqual(response.body.data.vouchers.length, 3);
+                assert.strictEqual(vouchers().length, 3);
+            });
+    });
+
+    it('charges the same order again when I\'mport did not charge it', () => {
+        charge = () => {
+            const err = new Error('502');
+            err.code = 'HTTP_502';
+            return Promise.reject(err);
+        };
+        return purchase('key1')
+            .then((response) => {
+                assert.strictEqual(response.status, 502);
+                return new Promise(resolve => setImmediate(resolve));
+            })
+            .then(() => {
+                charge = params => Promise.resolve(fixtures.mcOrderResult({ merchant_uid: params.merchant_uid, custom_data: params.custom_data }));
+                return purchase('key1');
+            })
+            .then((response) => {
+                assert.strictEqual(response.status, 200);
+                assert.strictEqual(charges.length, 2);
+                assert.strictEqual(charges[0].merchant_uid, charges[1].merchant_uid);
+                assert.strictEqual(vouchers().length, 3);
+            });
+    });
+
+    it('takes stock and customer quotas atomically for concurrent purchases', () => {
+        promotable().max_per_customer = 4;
+        // Charges complete in turn, after every purchase has been checked
+        charge = params => new Promise(resolve => setTimeout(resolve, 10 * charges.length))
+            .then(() => fixtures.mcOrderResult({ imp_uid: params.merchant_uid, merchant_uid: params.merchant_uid, custom_data: params.custom_data }));
+        return Promise.all([purchase(null, 'customer1', 2), purchase(null, 'customer1', 2), purchase(null, 'customer1', 2)])
+            .then((responses) => {
+                assert.deepStrictEqual(responses.map(response => response.status).sort(), [200, 200, 422]);
+                const rejected = responses.find(response => response.status === 422);
+                assert.strictEqual(rejected.body.error.code, 'mc_promotion_customer_limit');
+                assert.strictEqual(charges.length, 2);
+                assert.strictEqual(bought('customer1'), 4);
+                return Promise.all([purchase(null, 'customer2', 3), purchase(null, 'customer3', 3)]);
+            })
+            .then((responses) => {
+                assert.deepStrictEqual(responses.map(response => response.status).sort(), [200, 422]);
+                assert.strictEqual(responses.find(response => response.status === 422).body.error.code, 'mc_promotion_sold_out');
+                assert.deepStrictEqual([promotable().stock, promotable().sold], [0, 10]);
+                assert.strictEqual(vouchers().length, 7);
+                // The sold out purchase took no quota, or gave it back
+                assert.strictEqual(bought('customer2') + bought('customer3'), 3);
+            });
+    });
+
+    it('counts vouchers bought before quotas, and gives quotas back on failed payments and refunds', () => {
+        promotable().max_per_customer = 3;
+        let order;
+        return iamportService.mcPaymentHook(fixtures.mcOrderResult({
+            custom_data: JSON.stringify(Object.assign(JSON.parse(fixtures.mcOrderResult().custom_data), { quantity: 2 })),
+        }))
+            .then(() => purchase(null, 'customer1', 2))
+            .then((response) => {
+                assert.strictEqual(response.status, 422);
+                assert.strictEqual(response.body.message, `Customer (customer1) can buy 1 more vouchers of promotable (#${fixtures.promotable_id}).`);
+                charge = params => Promise.resolve(fixtures.mcOrderResult({
+                    status: 'failed', fail_reason: 'Declined', merchant_uid: params.merchant_uid, custom_data: params.custom_data,
+                }));
+                return purchase(null, 'customer1', 1);
+            })
+            .then((response) => {
+                assert.strictEqual(response.status, 402);
+                assert.strictEqual(bought('customer1'), 2);
+                assert.deepStrictEqual([promotable().stock, promotable().sold], [7, 3]);
+                // The first order refunds a voucher
+                order = fixtures.mcOrderResult({
+                    custom_data: JSON.stringify(Object.assign(JSON.parse(fixtures.mcOrderResult().custom_data), { quantity: 2 })),
+                    cancel_amount: 4000,
+                    cancel_history: [{ amount: 4000, cancelled_at: 1791300000, reason: 'Refund' }],
+                });
+                return iamportService.mcPaymentHook(order);
+            })
+            .then(() => {
+                assert.strictEqual(bought('customer1'), 1);
+                charge = params => Promise.resolve(fixtures.mcOrderResult({
+                    imp_uid: 'imp_2', merchant_uid: params.merchant_uid, custom_data: params.custom_data,
+                }));
+                return purchase(null, 'customer1', 2);
+            })
+            .then((response) => {
+                assert.strictEqual(response.status, 200);
+                assert.strictEqual(bought('customer1'), 3);
+            });
+    });
+});
@@ -0,0 +1,80 @@
+// test/iamport/mc-payment-hook.test.js
+
+'use strict';
+
+const assert = require('assert');
+const fakeDB = require('../support/db');
+const fixtures = require('../support/fixtures');
+const iamportService = require('../../app/iamport/iamport.service');
+const eventsService = require('../../app/events/events.service');
+const constants = require('../../app/constants');
+
+const event_type = constants.event_type;
+const status_type = constants.status_type;
+const payment_type = constants.payment_type;
+const voucher_status_type = constants.voucher_status_type;
+
+const promotable_id = fixtures.promotable_id;
+const orderResult = fixtures.mcOrderResult;
+
+describe('IamportService Menucast payment hooks', () => {
+    let db;
+    let events;
+    const publish = eventsService.publish;
+
+    before(() => {
+        eventsService.publish = (type, business_id, data) => {
+            events.push({ type: type, data: data });
+            return Promise.resolve();
+        };
+    });
+
+    after(() => {
+        eventsService.publish = publish;
+    });
+
+    beforeEach(() => {
+        db = fakeDB.useFakeDB();
+        events = [];
+        iamportService.initialize();
+        db.collection('promotions').documents.push(fixtures.promotion());
+    });
+
+    it('issues one voucher per unit once', () => iamportService.mcPaymentHook(orderResult())
+        .then(() => iamportService.mcPaymentHook(orderResult()))
+        .then(() => {
+            const vouchers = db.collection('mc-transactions').documents;
+            assert.strictEqual(vouchers.length, 3);
+            assert.ok(vouchers.every(voucher => voucher.voucher_status === voucher_status_type.issued));
+            const purchases = events.filter(event => event.type === event_type.mc_voucher_purchased);
+            assert.strictEqual(purchases.length, 1);
+            assert.strictEqual(purchases[0].data.vouchers.length, 3);
+        }));
+
+    it('records two refunds made within the same second', () => {
+        const refunded = orderResult({
+            cancel_amount: 8000,
+            cancel_history: [
+                { amount: 4000, cancelled_at: 1791300000, reason: 'First' },
+                { amount: 4000, cancelled_at: 1791300000, reason: 'Second' },
+            ],
+        });
+        return iamportService.mcPaymentHook(orderResult())
+            .then(() => iamportService.mcPaymentHook(refunded))
+            .then(() => iamportService.mcPaymentHook(refunded))
+            .then(() => {
+                const transactions = db.collection('mc-transactions').documents;
+                const refunds = transactions.filter(transaction => transaction.type === payment_type.refund);
+                assert.deepStrictEqual(refunds.map(refund => refund.ref_reason), ['First', 'Second']);
+                const statuses = transactions.filter(transaction => transaction.type === payment_type.mc_purchase)
+                    .map(voucher => voucher.voucher_status);
+                assert.deepStrictEqual(statuses, [
+                    voucher_status_type.issued, voucher_status_type.refunded, voucher_status_type.refunded,
+                ]);
+                assert.deepStrictEqual(db.collection('promotions').documents[0].promoTable[0], {
+                    _id: promotable_id, stock: 9, sold: 1,
+                });
+                assert.strictEqual(events.filter(event => event.type === event_type.mc_voucher_refunded).length, 2);
+            });
+    });
+});
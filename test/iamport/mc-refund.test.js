@@ -0,0 +1,160 @@
+// test/iamport/mc-refund.test.js
+
+'use strict';
+
+const assert = require('assert');
+const express = require('express');
+const bodyParser = require('body-parser');
+const fakeDB = require('../support/db');
+const http = require('../support/http');
+const testAuth = require('../support/auth');
+const fixtures = require('../support/fixtures');
+const mcRouter = require('../../app/menucast/mc.route');
+const iamportService = require('../../app/iamport/iamport.service');
+const eventsService = require('../../app/events/events.service');
+const constants = require('../../app/constants');
+
+const payment_type = constants.payment_type;
+const voucher_status_type = constants.voucher_status_type;
+
+describe('IamportService Menucast refunds', () => {
+    let db;
+    let app;
+    let restore;
+    let cancels;
+    let cancel;
+    let hooked;
+    const publish = eventsService.publish;
+    const payment_cancel = iamportService.iamport.payment.cancel;
+    const hookInBackground = iamportService._hookInBackground;
+
+    before(() => {
+        restore = testAuth.useTestSecrets();
+        eventsService.publish = () => Promise.resolve();
+        iamportService.iamport.payment.cancel = (params) => {
+            cancels.push(params);
+            return cancel(params);
+        };
+        // Background hooks are run by the tests themselves
+        iamportService._hookInBackground = (hook, iamport_result) => hooked.push(iamport_result);
+        app = express();
+        app.use(bodyParser.json());
+        app.use('/menucast', mcRouter);
+    });
+
+    after(() => {
+        restore();
+        eventsService.publish = publish;
+        iamportService.iamport.payment.cancel = payment_cancel;
+        iamportService._hookInBackground = hookInBackground;
+    });
+
+    beforeEach(() => {
+        db = fakeDB.useFakeDB();
+        iamportService.initialize();
+        db.collection('promotions').documents.push(fixtures.promotion());
+        cancels = [];
+        hooked = [];
+        cancel = params => Promise.resolve(fixtures.mcOrderResult({
+            cancel_amount: params.amount,
+            cancel_history: [{ amount: params.amount, cancelled_at: 1791300000, reason: params.reason }],
+        }));
+        return iamportService.mcPaymentHook(fixtures.mcOrderResult());
+    });
+
+    function refund(body) {
+        return http.request(app, 'POST', '/menucast/biz1/orders/mc_order_1/refunds', {
+            headers: { 'X-Castr-Service-Key': 'service-key' },
+            body: body,
+        });
+    }
+
+    function voucherStatuses() {
+        return db.collection('mc-transactions').documents
+            .filter(transaction => transaction.type === payment_type.mc_purchase)
+            .map(voucher => voucher.voucher_status);
+    }
+
+    function stock() {
+        const promotable = db.collection('promotions').documents[0].promoTable[0];
+        return [promotable.stock, promotable.sold];
+    }
+
+    it('refunds the latest vouchers and puts them back in stock once', () => refund({ quantity: 2 })
+        .then((response) => {
+            assert.strictEqual(response.status, 200);
+            assert.deepStrictEqual(cancels.map(params => [params.amount, params.checksum]), [[8000, 12000]]);
+            assert.deepStrictEqual(voucherStatuses(), [
+                voucher_status_type.issued, voucher_status_type.refunded, voucher_status_type.refunded,
+            ]);
+            assert.deepStrictEqual(stock(), [9, 1]);
+            return iamportService.mcPaymentHook(hooked[0]);
+        })
+        .then(() => {
+            const refunds = db.collection('mc-transactions').documents
+                .filter(transaction => transaction.type === payment_type.refund);
+            assert.strictEqual(refunds.length, 1);
+            assert.strictEqual(refunds[0].quantity, 2);
+            assert.deepStrictEqual(voucherStatuses(), [
+                voucher_status_type.issued, voucher_status_type.refunded, voucher_status_type.refunded,
+            ]);
+            assert.deepStrictEqual(stock(), [9, 1]);
+        }));
+
+    it('gives the vouchers back when I\'mport rejects the refund', () => {
+        cancel = () => Promise.reject(new Error('Checksum mismatch'));
+        return refund({ quantity: 2 })
+            .then((response) => {
+                assert.strictEqual(response.status, 500);
+                assert.deepStrictEqual(voucherStatuses(), [
+                    voucher_status_type.issued, voucher_status_type.issued, voucher_status_type.issued,
+                ]);
+                assert.ok(db.collection('mc-transactions').documents.every(voucher => !voucher.refund_reservation));
+                assert.deepStrictEqual(stock(), [7, 3]);
+            });
+    });
+
+    it('does not refund vouchers redeemed while the refund is reserved', () => {
+        const collection = db.collection('mc-transactions');
+        const updateMany = collection.updateMany;
+        collection.updateMany = function (filter, update) {
+            // A redeem takes the latest voucher between the read and the reservation
+            collection.documents[2].voucher_status = voucher_status_type.redeemed;
+            collection.updateMany = updateMany;
+            return updateMany.call(collection, filter, update);
+        };
+        return refund({ quantity: 2 })
+            .then((response) => {
+                assert.strictEqual(response.status, 409);
+                assert.strictEqual(cancels.length, 0);
+                assert.deepStrictEqual(voucherStatuses(), [
+                    voucher_status_type.issued, voucher_status_type.issued, voucher_status_type.redeemed,
+                ]);
+            });
+    });
+
+    it('lets the notification wait for a refund in progress, then finish an abandoned one', () => {
+        const collection = db.collection('mc-transactions');
+        collection.documents.slice(1).forEach((voucher) => {
+            voucher.voucher_status = voucher_status_type.refunding;
+            voucher.refund_reservation = 'abandoned';
+            voucher.time_reserved = new Date();
+        });
+        const refunded = fixtures.mcOrderResult({
+            cancel_amount: 8000,
+            cancel_history: [{ amount: 8000, cancelled_at: 1791300000, reason: 'Refund' }],
+        });
+        return iamportService.mcPaymentHook(refunded)
+            .then(() => assert.fail('The notification should be retried later'), (err) => {
+                assert.strictEqual(err.status, 409);
+                collection.documents.forEach((voucher) => { voucher.time_reserved = new Date(Date.now() - 3600000); });
+                return iamportService.mcPaymentHook(refunded);
+            })
+            .then(() => {
+                assert.deepStrictEqual(voucherStatuses(), [
+                    voucher_status_type.issued, voucher_status_type.refunded, voucher_status_type.refunded,
+                ]);
+                assert.deepStrictEqual(stock(), [9, 1]);
+            });
+    });
+});
@@ -0,0 +1,154 @@
+// test/iamport/pause.test.js
+
+'use strict';
+
+const assert = require('assert');
+const express = require('express');
+const bodyParser = require('body-parser');
+const fakeDB = require('../support/db');
+const http = require('../support/http');
+const testAuth = require('../support/auth');
+const iamportRouter = require('../../app/iamport/iamport.route');
+const iamportService = require('../../app/iamport/iamport.service');
+const eventsService = require('../../app/events/events.service');
+const mailerService = require('../../app/mailer/mailer.service');
+const moment = require('../../app/utils').moment();
+const constants = require('../../app/constants');
+
+const status_type = constants.status_type;
+
+describe('IamportService timed pauses', () => {
+    let db;
+    let app;
+    let restore;
+    let charges;
+    const today = moment.tz(constants.timezone.kr).startOf('day');
+    const billing_date = today.clone().add(10, 'day').toDate();
+    const stubbed = {
+        publish: eventsService.publish,
+        send: mailerService.send,
+        again: iamportService.iamport.subscribe.again,
+        hook: iamportService._hookInBackground,
+    };
+
+    before(() => {
+        restore = testAuth.useTestSecrets();
+        eventsService.publish = () => Promise.resolve();
+        mailerService.send = () => Promise.resolve();
+        iamportService._hookInBackground = () => null;
+        iamportService.iamport.subscribe.again = (params) => {
+            charges.push(params);
+            return Promise.resolve({ status: 'paid', merchant_uid: params.merchant_uid });
+        };
+        app = express();
+        app.use(bodyParser.json());
+        app.use('/payment', iamportRouter);
+    });
+
+    after(() => {
+        restore();
+        eventsService.publish = stubbed.publish;
+        mailerService.send = stubbed.send;
+        iamportService.iamport.subscribe.again = stubbed.again;
+        iamportService._hookInBackground = stubbed.hook;
+    });
+
+    beforeEach(() => {
+        db = fakeDB.useFakeDB();
+        charges = [];
+        iamportService.initialize();
+        db.collection('payment-methods').documents.push({
+            _id: new fakeDB.ObjectId(), business_id: 'biz1', customer_uid: 'biz1_1234', default_method: true,
+        });
+        const period = (merchant_uid, status, date, time_scheduled) => ({
+            _id: new fakeDB.ObjectId(),
+            business_id: 'biz1',
+            merchant_uid: merchant_uid,
+            billing_plan: '4_WEEK',
+            billing_weeks: 4,
+            amount: 55000,
+            vat: 5000,
+            schedule: date,
+            status: status,
+            time_scheduled: time_scheduled,
+        });
+        db.collection('payment-schedule').documents.push(
+            period('biz1_ch0', status_type.paid, today.clone().subtract(18, 'day').toDate(), new Date(Date.now() - 2000)),
+            period('biz1_ch1', status_type.scheduled, billing_date, new Date(Date.now() - 1000))
+        );
+    });
+
+    function upcoming() {
+        return db.collection('payment-schedule').documents[1];
+    }
+
+    function pause(body) {
+        return http.request(app, 'POST', '/payment/biz1/pause', { headers: testAuth.businessHeaders(['biz1']), body: body });
+    }
+
+    /**
+     * Records a past pause of `days` days, started `days_ago` days ago.
+     * @param {number} days_ago
+     * @param {number} days
+     */
+    function pastPause(days_ago, days) {
+        const start = today.clone().subtract(days_ago, 'day');
+        db.collection('subscription-pauses').documents.push({
+            _id: new fakeDB.ObjectId(),
+            business_id: 'biz1',
+            merchant_uid: 'biz1_ch0',
+            start: start.toDate(),
+            end: start.clone().add(days, 'day').toDate(),
+            days: days,
+        });
+    }
+
+    it('limits the pause weeks taken within a year', () => {
+        pastPause(100, 35);
+        // Started more than a year ago
+        pastPause(400, 56);
+        return pause({ weeks: 4 })
+            .then((response) => {
+                assert.strictEqual(response.status, 422);
+                assert.strictEqual(response.body.message, `Pause of 28 days exceeds the ${(constants.max_pause_weeks * 7) - 35} days left this year (${constants.max_pause_weeks} weeks per year).`);
+                assert.strictEqual(upcoming().status, status_type.scheduled);
+                return pause({ resume_date: today.clone().add((constants.max_pause_weeks * 7) - 35, 'day').format('YYYY-MM-DD') });
+            })
+            .then((response) => {
+                assert.strictEqual(response.status, 200);
+                assert.strictEqual(db.collection('subscription-pauses').documents.length, 3);
+                return pause({ weeks: 1 });
+            })
+            .then((response) => {
+                assert.strictEqual(response.status, 422);
+            });
+    });
+
+    it('pushes the billing date back by the pause and resumes automatically when it ends', () => pause({ weeks: 2 })
+        .then((response) => {
+            const pushed = moment(billing_date).add(14, 'day').toDate();
+            assert.strictEqual(response.status, 200);
+            assert.strictEqual(response.body.data.next_billing_date, pushed.toISOString());
+            assert.deepStrictEqual([upcoming().status, upcoming().schedule], [status_type.paused, pushed]);
+            return http.request(app, 'GET', '/payment/biz1', { headers: testAuth.businessHeaders(['biz1']) });
+        })
+        .then((response) => {
+            const data = response.body.data;
+            assert.strictEqual(data.next_plan_status, status_type.paused);
+            assert.strictEqual(data.pause_start, today.toDate().toISOString());
+            assert.strictEqual(data.pause_end, today.clone().add(2, 'week').toDate().toISOString());
+            return iamportService._checkScheduledPayments();
+        })
+        .then((outcome) => {
+            // Still paused
+            assert.strictEqual(outcome.resumed, 0);
+            upcoming().pause.end = new Date(Date.now() - 1000);
+            return iamportService._checkScheduledPayments();
+        })
+        .then((outcome) => {
+            assert.deepStrictEqual([outcome.resumed, outcome.scheduled], [1, 0]);
+            assert.strictEqual(upcoming().status, status_type.scheduled);
+            assert.deepStrictEqual(upcoming().schedule, moment(billing_date).add(14, 'day').toDate());
+            assert.strictEqual(charges.length, 0);
+        }));
+});
@@ -0,0 +1,196 @@
+// test/iamport/payment-hook.test.js
+
+'use strict';
+
+const assert = require('assert');
+const fakeDB = require('../support/db');
+const iamportService = require('../../app/iamport/iamport.service');
+const eventsService = require('../../app/events/events.service');
+const mailerService = require('../../app/mailer/mailer.service');
+const constants = require('../../app/constants');
+
+const event_type = constants.event_type;
+const status_type = constants.status_type;
+const hook_status_type = constants.hook_status_type;
+
+function paidResult(overrides) {
+    const custom_data = Object.assign({
+        business_id: 'biz1',
+        merchant_uid: 'biz1_ch1',
+        type: 'INITIAL',
+        name: { short: 'Castr 4 weeks', long: 'Castr subscription (4 weeks)', long_kr: 'Castr 구독 (4주)' },
+        amount: 50000,
+        vat: 5000,
+        pay_date: '2026-10-05T15:00:00.000Z',
+        billing_plan: '4_WEEK',
+        billing_weeks: 4,
+    }, (overrides || {}).custom_data);
+    return Object.assign({
+        imp_uid: 'imp_1',
+        merchant_uid: custom_data.merchant_uid,
+        status: 'paid',
+        currency: 'KRW',
+        pay_method: 'card',
+        card_name: 'Test card',
+        receipt_url: 'https://receipt/1',
+        paid_at: 1791298800,
+        cancel_amount: 0,
+        cancel_history: [],
+    }, overrides, { custom_data: JSON.stringify(custom_data) });
+}
+
+describe('IamportService payment hooks', () => {
+    let db;
+    let events;
+    const publish = eventsService.publish;
+    const send = mailerService.send;
+
+    before(() => {
+        eventsService.publish = (type, business_id, data) => {
+            events.push({ type: type, business_id: business_id, data: data });
+            return Promise.resolve();
+        };
+        mailerService.send = () => Promise.resolve();
+    });
+
+    after(() => {
+        eventsService.publish = publish;
+        mailerService.send = send;
+    });
+
+    beforeEach(() => {
+        db = fakeDB.useFakeDB();
+        events = [];
+        iamportService.initialize();
+    });
+
+    it('processes an initial payment once', () => iamportService.paymentHook(paidResult())
+        .then(() => iamportService.paymentHook(paidResult()))
+        .then((outcome) => {
+            assert.strictEqual(outcome, null);
+            assert.strictEqual(db.collection('payment-transactions').documents.length, 1);
+            const schedules = db.collection('payment-schedule').documents;
+            assert.deepStrictEqual(schedules.map(schedule => schedule.merchant_uid), ['biz1_ch1', 'biz1_ch2']);
+            assert.strictEqual(schedules[1].status, status_type.scheduled);
+            assert.deepStrictEqual(events.map(event => event.data.reason), ['subscribed']);
+            assert.strictEqual(db.collection('payment-hooks').documents[0].status, hook_status_type.done);
+        }));
+
+    it('completes a payment on the next delivery after a failed run, without duplicates', () => {
+        db.collection('payment-schedule').failNext('updateOne', filter => filter.merchant_uid === 'biz1_ch2');
+        return iamportService.paymentHook(paidResult())
+            .then(() => assert.fail('The first run should fail'), (err) => {
+                assert.strictEqual(err.message, 'payment-schedule.updateOne failed');
+                assert.strictEqual(db.collection('payment-hooks').documents[0].status, hook_status_type.processing);
+                assert.strictEqual(events.length, 0);
+            })
+            .then(() => iamportService.paymentHook(paidResult()))
+            .then(() => {
+                assert.strictEqual(db.collection('payment-transactions').documents.length, 1);
+                assert.strictEqual(db.collection('payment-schedule').documents.length, 2);
+                assert.strictEqual(events.length, 1);
+                assert.strictEqual(db.collection('payment-hooks').documents[0].status, hook_status_type.done);
+            });
+    });
+
+    it('rejects a delivery while another one is processing the payment', () => {
+        db.collection('payment-hooks').documents.push({
+            _id: `imp_1_${status_type.paid}`,
+            status: hook_status_type.processing,
+            lease_expires: new Date(Date.now() + 60000),
+        });
+        return iamportService.paymentHook(paidResult())
+            .then(() => assert.fail('The delivery should be rejected'), (err) => {
+                assert.strictEqual(err.status, 409);
+                assert.strictEqual(db.collection('payment-transactions').documents.length, 0);
+            });
+    });
+
+    it('takes over a payment whose lease expired', () => {
+        db.collection('payment-hooks').documents.push({
+            _id: `imp_1_${status_type.paid}`,
+            status: hook_status_type.processing,
+            lease_expires: new Date(Date.now() - 1),
+        });
+        return iamportService.paymentHook(paidResult())
+            .then(() => {
+                assert.strictEqual(db.collection('payment-transactions').documents.length, 1);
+                assert.strictEqual(db.collection('payment-hooks').documents[0].status, hook_status_type.done);
+            });
+    });
+
+    it('reactivates a subscription when a failed scheduled payment is recovered', () => {
+        db.collection('payment-schedule').documents.push({
+            merchant_uid: 'biz1_ch2',
+            business_id: 'biz1',
+            status: status_type.failed,
+            failures: [{ imp_uid: 'imp_0', reason: 'Insufficient funds' }],
+        });
+        const result = paidResult({ imp_uid: 'imp_2', custom_data: { merchant_uid: 'biz1_ch2', type: 'SCHEDULED' } });
+        return iamportService.paymentHook(result)
+            .then(() => {
+                const schedule = db.collection('payment-schedule').documents[0];
+                assert.strictEqual(schedule.status, status_type.paid);
+                assert.strictEqual(schedule.next_retry, null);
+                assert.deepStrictEqual(events.map(event => event.data.reason), ['payment_recovered']);
+            });
+    });
+
+    it('logs a failed background hook instead of leaving its rejection unhandled', (done) => {
+        const unhandled = [];
+        const onUnhandled = reason => unhandled.push(reason);
+        process.on('unhandledRejection', onUnhandled);
+        db.collection('payment-transactions').failNext('updateOne');
+        iamportService._hookInBackground(iamportService.paymentHook, paidResult());
+        setTimeout(() => {
+            process.removeListener('unhandledRejection', onUnhandled);
+            assert.deepStrictEqual(unhandled, []);
+            assert.strictEqual(db.collection('payment-hooks').documents[0].status, hook_status_type.processing);
+            done();
+        }, 20);
+    });
+
+    it('records two refunds made within the same second', () => {
+        const refunded = paidResult({
+            cancel_amount: 10000,
+            cancel_history: [
+                { amount: 5000, cancelled_at: 1791300000, reason: 'First' },
+                { amount: 5000, cancelled_at: 1791300000, reason: 'Second' },
+            ],
+        });
+        return iamportService.paymentHook(refunded)
+            .then(() => {
+                const refunds = db.collection('payment-transactions').documents
+                    .filter(transaction => transaction.status === status_type.cancelled);
+                assert.deepStrictEqual(refunds.map(refund => refund.ref_reason), ['First', 'Second']);
+                assert.strictEqual(db.collection('payment-schedule').documents[0].status, status_type.paid);
+            });
+    });
+
+    it('records every refund once, one event each', () => {
+        const refunded = paidResult({
+            status: 'cancelled',
+            cancel_amount: 55000,
+            cancel_history: [
+                {
+                    amount: 5000, cancelled_at: 1791300000, reason: 'Partial', receipt_url: 'https://receipt/2',
+                },
+                {
+                    amount: 50000, cancelled_at: 1791400000, reason: 'Cancelled', receipt_url: 'https://receipt/3',
+                },
+            ],
+        });
+        return iamportService.paymentHook(paidResult())
+            .then(() => iamportService.paymentHook(refunded))
+            .then(() => iamportService.paymentHook(refunded))
+            .then(() => {
+                const refunds = db.collection('payment-transactions').documents
+                    .filter(transaction => transaction.status === status_type.cancelled);
+                assert.deepStrictEqual(refunds.map(refund => refund.amount), [-5000, -50000]);
+                assert.strictEqual(db.collection('payment-transactions').documents[0].refunded_amount, 55000);
+                assert.strictEqual(db.collection('payment-schedule').documents[0].status, status_type.cancelled);
+                const refund_events = events.filter(event => event.type === event_type.subscription_refunded);
+                assert.deepStrictEqual(refund_events.map(event => event.data.refund_amount), [5000, 50000]);
+            });
+    });
+});
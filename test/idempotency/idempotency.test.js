@@ -0,0 +1,106 @@
+// test/idempotency/idempotency.test.js
+
+'use strict';
+
+const assert = require('assert');
+const express = require('express');
+const bodyParser = require('body-parser');
+const fakeDB = require('../support/db');
+const http = require('../support/http');
+const idempotencyService = require('../../app/idempotency/idempotency.service');
+
+describe('IdempotencyService guard', () => {
+    let db;
+    let app;
+    let calls;
+    let fail;
+
+    beforeEach(() => {
+        db = fakeDB.useFakeDB();
+        idempotencyService.initialize();
+        calls = 0;
+        fail = false;
+        app = express();
+        app.use(bodyParser.json());
+        app.post('/payment/:business_id/refunds', idempotencyService.guard, (req, res) => {
+            calls += 1;
+            if (fail) {
+                res.status(502).send({ success: false, message: 'I\'mport unavailable' });
+                return;
+            }
+            res.send({ success: true, data: { call: calls } });
+        });
+    });
+
+    function refund(key) {
+        return http.request(app, 'POST', '/payment/biz1/refunds', {
+            headers: { 'Idempotency-Key': key },
+            body: { amount: 1000 },
+        });
+    }
+
+    it('replays the stored response of a completed request', () => refund('key1')
+        .then(() => refund('key1'))
+        .then((response) => {
+            assert.strictEqual(calls, 1);
+            assert.strictEqual(response.headers['idempotent-replayed'], 'true');
+            assert.deepStrictEqual(response.body.data, { call: 1 });
+        }));
+
+    it('does not process a retry again after a server error', () => {
+        fail = true;
+        return refund('key1')
+            .then((response) => {
+                assert.strictEqual(response.status, 502);
+                fail = false;
+                return new Promise(resolve => setImmediate(resolve));
+            })
+            .then(() => {
+                assert.strictEqual(db.collection('idempotency-keys').documents[0].status, 'UNKNOWN');
+                return refund('key1');
+            })
+            .then((response) => {
+                assert.strictEqual(calls, 1);
+                assert.strictEqual(response.status, 409);
+                assert.strictEqual(response.body.error.code, 'idempotency_outcome_unknown');
+            });
+    });
+
+    it('hands a retry of unknown outcome to the reconciler once', () => {
+        let reconciled = 0;
+        app.post('/payment/:business_id/purchases', idempotencyService.guardWith((req, res, next) => {
+            reconciled += 1;
+            setTimeout(next, 5);
+        }), (req, res) => {
+            calls += 1;
+            res.send({ success: true, data: { call: calls } });
+        });
+        const purchase = () => http.request(app, 'POST', '/payment/biz1/purchases', {
+            headers: { 'Idempotency-Key': 'key1' },
+            body: { amount: 1000 },
+        });
+        db.collection('idempotency-keys').documents.push({
+            business_id: 'biz1',
+            key: 'key1',
+            fingerprint: idempotencyService._fingerprint({
+                method: 'POST', baseUrl: '', path: '/payment/biz1/purchases', body: { amount: 1000 },
+            }),
+            status: 'UNKNOWN',
+            status_code: 502,
+            time_claimed: new Date(),
+            time_created: new Date(),
+        });
+        return Promise.all([purchase(), purchase()])
+            .then((responses) => {
+                assert.deepStrictEqual(responses.map(response => response.status).sort(), [200, 409]);
+                assert.strictEqual(reconciled, 1);
+                assert.strictEqual(calls, 1);
+                assert.strictEqual(db.collection('idempotency-keys').documents[0].status, 'COMPLETED');
+                return purchase();
+            })
+            .then((response) => {
+                assert.strictEqual(response.headers['idempotent-replayed'], 'true');
+                assert.strictEqual(reconciled, 1);
+            });
+    });
+});
@@ -0,0 +1,164 @@
+// test/mailer/mailer.test.js
+
+'use strict';
+
+const assert = require('assert');
+const express = require('express');
+const bodyParser = require('body-parser');
+const fakeDB = require('../support/db');
+const http = require('../support/http');
+const testAuth = require('../support/auth');
+const iamportRouter = require('../../app/iamport/iamport.route');
+const mailerService = require('../../app/mailer/mailer.service');
+const templates = require('../../app/mailer/templates');
+const constants = require('../../app/constants');
+
+const email_type = constants.email_type;
+const email_status_type = constants.email_status_type;
+
+// Template data with markup where values come from I'mport or the plans
+const hostile = '<img src=x onerror="alert(1)">';
+const data = {
+    [email_type.payment_receipt]: {
+        name: { long: hostile, long_kr: hostile },
+        time_paid: new Date('2026-10-01T03:00:00Z'),
+        amount: 11000,
+        vat: 1000,
+        card_name: hostile,
+        receipt_url: 'data:text/html,alert(1)',
+    },
+    [email_type.renewal_reminder]: {
+        billing_plan: hostile, billing_weeks: 4, schedule: new Date('2026-10-05T00:00:00Z'), amount: 11000,
+    },
+    [email_type.payment_failed]: { amount: 11000, fail_reason: hostile, next_retry: null },
+    [email_type.refund_confirmation]: {
+        billing_plan: hostile,
+        plan_value: 11000,
+        days_served: 3,
+        value_unserved: 8000,
+        fee: 1000,
+        fee_waived: false,
+        refund_value: 7000,
+    },
+    [email_type.payout_statement]: {
+        date_range: { start: new Date('2026-09-27T15:00:00Z'), end: new Date('2026-10-04T15:00:00Z') },
+        raw_sales: 30000,
+        num_voucher_purchases: hostile,
+        num_coupon_redeems: 2,
+        sales_amount: 29000,
+        payout_amount: 29000,
+    },
+};
+
+describe('MailerService billing emails', () => {
+    let db;
+    let app;
+    let restore;
+    let deliveries;
+    const deliver = mailerService._deliver;
+
+    before(() => {
+        restore = testAuth.useTestSecrets();
+        mailerService._deliver = (to, subject, html) => {
+            deliveries.push({ to: to, subject: subject, html: html });
+            return new Promise(resolve => setTimeout(resolve, 5));
+        };
+        app = express();
+        app.use(bodyParser.json());
+        app.use('/payment', iamportRouter);
+    });
+
+    after(() => {
+        restore();
+        mailerService._deliver = deliver;
+    });
+
+    beforeEach(() => {
+        db = fakeDB.useFakeDB();
+        deliveries = [];
+    });
+
+    function logs() {
+        return db.collection('email-log').documents;
+    }
+
+    it('escapes every value in every template', () => {
+        Object.keys(data).forEach((template) => {
+            ['kr', 'en'].forEach((locale) => {
+                const html = templates[template][locale](data[template]).html;
+                assert.ok(!html.includes('<img'), `${template} (${locale}) renders markup from its data`);
+                assert.ok(!html.includes('href'), `${template} (${locale}) links to a URL that is not http(s)`);
+            });
+        });
+        const receipt = templates[email_type.payment_receipt].en(Object.assign({}, data[email_type.payment_receipt], {
+            receipt_url: 'https://receipt/1?a=1&b=2',
+        })).html;
+        assert.ok(receipt.includes('&lt;img src=x onerror=&quot;alert(1)&quot;&gt;'));
+        assert.ok(receipt.includes('<a href="https://receipt/1?a=1&amp;b=2">View receipt</a>'));
+    });
+
+    it('logs an email as skipped when the business has no billing contact', () => mailerService.send(email_type.payment_failed, 'biz1', data[email_type.payment_failed])
+        .then((log) => {
+            assert.strictEqual(log.status, email_status_type.skipped);
+            assert.strictEqual(log.to, null);
+            assert.deepStrictEqual(logs().map(email => email.status), [email_status_type.skipped]);
+            assert.strictEqual(deliveries.length, 0);
+        }));
+
+    it('reminds each upcoming renewal once, however many runs overlap', () => {
+        const due = new Date(Date.now() + (constants.renewal_reminder_days * constants.full_day));
+        const schedule = (business_id, fields) => Object.assign({
+            _id: new fakeDB.ObjectId(),
+            business_id: business_id,
+            merchant_uid: `${business_id}_ch2`,
+            billing_plan: 'monthly',
+            billing_weeks: 4,
+            amount: 11000,
+            schedule: due,
+            status: constants.status_type.scheduled,
+            time_reminded: null,
+        }, fields);
+        db.collection('payment-schedule').documents.push(
+            schedule('biz1'),
+            schedule('biz2'),
+            schedule('biz3', { cancel_at_period_end: true }),
+            schedule('biz4', { schedule: new Date(due.getTime() + (2 * constants.full_day)) })
+        );
+        ['biz1', 'biz2', 'biz3', 'biz4'].forEach((business_id) => {
+            db.collection('billing-contacts').documents.push({ business_id: business_id, email: `${business_id}@castr.test`, locale: 'en' });
+        });
+        return Promise.all([mailerService._sendRenewalReminders(), mailerService._sendRenewalReminders()])
+            .then((outcomes) => {
+                assert.strictEqual(outcomes[0].reminded + outcomes[1].reminded, 2);
+                assert.deepStrictEqual(deliveries.map(delivery => delivery.to).sort(), ['biz1@castr.test', 'biz2@castr.test']);
+                return mailerService._sendRenewalReminders();
+            })
+            .then((outcome) => {
+                assert.strictEqual(outcome.reminded, 0);
+                assert.strictEqual(logs().length, 2);
+            });
+    });
+
+    it('resends a logged email to the current billing contact', () => {
+        const headers = testAuth.businessHeaders(['biz1']);
+        const resend = email_id => http.request(app, 'POST', `/payment/biz1/emails/${email_id}/resend`, { headers: headers });
+        let email_id;
+        return mailerService.send(email_type.payment_failed, 'biz1', data[email_type.payment_failed])
+            .then((log) => {
+                email_id = log._id;
+                return resend(email_id);
+            })
+            .then((response) => {
+                assert.strictEqual(response.status, 422);
+                db.collection('billing-contacts').documents.push({ business_id: 'biz1', email: 'billing@castr.test', locale: 'kr' });
+                return Promise.all([resend(email_id), resend(new fakeDB.ObjectId())]);
+            })
+            .then((responses) => {
+                assert.deepStrictEqual(responses.map(response => response.status), [200, 404]);
+                assert.strictEqual(deliveries.length, 1);
+                assert.strictEqual(deliveries[0].to, 'billing@castr.test');
+                assert.strictEqual(deliveries[0].html, logs()[0].html);
+                assert.deepStrictEqual(logs()[0].resends.map(sent => sent.to), ['billing@castr.test']);
+            });
+    });
+});
@@ -0,0 +1,50 @@
+// test/menucast/mc-promotion.test.js
+
+'use strict';
+
+const assert = require('assert');
+const mcService = require('../../app/menucast/mc.service');
+
+// Wednesday 2026-10-14, 12:30 KST
+const wednesday_noon = new Date('2026-10-14T03:30:00Z');
+
+/**
+ * Returns the `error.code` checkPromotable() rejects the promotable with at `now`, or null if it is valid.
+ * @param {*} promotion
+ * @param {*} promotable
+ * @param {Date} now
+ */
+function rejection(promotion, promotable, now) {
+    try {
+        mcService.checkPromotable(promotion, Object.assign({ _id: 'promotable1' }, promotable), now || wednesday_noon);
+        return null;
+    } catch (err) {
+        return err.code;
+    }
+}
+
+describe('MenucastService promotion rules', () => {
+    it('checks the promotion dates, the promotable overriding its promotion', () => {
+        const promotion = { start_date: '2026-10-15T00:00:00Z', end_date: '2026-10-31T00:00:00Z' };
+        assert.strictEqual(rejection(promotion, {}), 'mc_promotion_not_started');
+        assert.strictEqual(rejection(promotion, { start_date: '2026-10-01T00:00:00Z' }), null);
+        assert.strictEqual(rejection({}, { end_date: '2026-10-14T03:30:00Z' }), 'mc_promotion_ended');
+        assert.strictEqual(rejection({}, {}), null);
+    });
+
+    it('checks the days of the week in KST', () => {
+        assert.strictEqual(rejection({ valid_days: [3] }, {}), null);
+        assert.strictEqual(rejection({ valid_days: [1, 2] }, {}), 'mc_promotion_not_available_now');
+        // Tuesday 23:30 UTC is Wednesday in KST
+        assert.strictEqual(rejection({ valid_days: [3] }, {}, new Date('2026-10-13T15:30:00Z')), null);
+        assert.strictEqual(rejection({ valid_days: [] }, {}), null);
+    });
+
+    it('checks the hours in KST, including hours spanning midnight', () => {
+        assert.strictEqual(rejection({}, { valid_hours: { start: '11:00', end: '14:00' } }), null);
+        assert.strictEqual(rejection({}, { valid_hours: { start: '12:30', end: '14:00' } }), null);
+        assert.strictEqual(rejection({}, { valid_hours: { start: '11:00', end: '12:30' } }), 'mc_promotion_not_available_now');
+        assert.strictEqual(rejection({}, { valid_hours: { start: '22:00', end: '02:00' } }), 'mc_promotion_not_available_now');
+        assert.strictEqual(rejection({}, { valid_hours: { start: '22:00', end: '02:00' } }, new Date('2026-10-14T16:30:00Z')), null);
+    });
+});
@@ -0,0 +1,133 @@
+// test/menucast/mc-redeem.test.js
+
+'use strict';
+
+const assert = require('assert');
+const express = require('express');
+const bodyParser = require('body-parser');
+const fakeDB = require('../support/db');
+const http = require('../support/http');
+const testAuth = require('../support/auth');
+const mcRouter = require('../../app/menucast/mc.route');
+const constants = require('../../app/constants');
+
+const payment_type = constants.payment_type;
+const voucher_status_type = constants.voucher_status_type;
+
+const promotable_id = new fakeDB.ObjectId();
+
+describe('MenucastService voucher redemption', () => {
+    let db;
+    let app;
+    let restore;
+
+    before(() => {
+        restore = testAuth.useTestSecrets();
+        app = express();
+        app.use(bodyParser.json());
+        app.use('/menucast', mcRouter);
+    });
+
+    after(() => {
+        restore();
+    });
+
+    beforeEach(() => {
+        db = fakeDB.useFakeDB();
+        db.collection('promotions').documents.push({ promoTable: [{ _id: promotable_id, stock: 7, sold: 3 }] });
+        ['AAAA-AAAA-AAA2', 'AAAA-AAAA-AAA3', 'AAAA-AAAA-AAA4'].forEach((voucher_code, i) => {
+            db.collection('mc-transactions').documents.push({
+                _id: new fakeDB.ObjectId(),
+                business_id: 'biz1',
+                merchant_uid: 'mc_order_1',
+                mc_customer_id: 'customer1',
+                promotable_id: promotable_id.toString(),
+                promotable_name: 'Americano',
+                type: payment_type.mc_purchase,
+                amount: 4000,
+                perc_disc_applied: 0,
+                voucher_code: voucher_code,
+                voucher_status: voucher_status_type.issued,
+                expires_at: new Date(Date.now() + ((i + 1) * constants.full_day)),
+                time_created: new Date(),
+            });
+        });
+    });
+
+    function redeem(body) {
+        return http.request(app, 'POST', `/menucast/biz1/coupon-redeem/${promotable_id}`, {
+            headers: { 'X-Castr-Service-Key': 'service-key' },
+            body: Object.assign({ mc_customer_id: 'customer1' }, body),
+        });
+    }
+
+    function vouchers() {
+        return db.collection('mc-transactions').documents.filter(transaction => transaction.type === payment_type.mc_purchase);
+    }
+
+    function redeems() {
+        return db.collection('mc-transactions').documents.filter(transaction => transaction.type === payment_type.mc_redeem);
+    }
+
+    it('redeems a voucher by code once', () => {
+        const voucher = vouchers()[1];
+        return redeem({ voucher_code: voucher.voucher_code })
+            .then((response) => {
+                assert.strictEqual(response.status, 200);
+                assert.deepStrictEqual(response.body.data, { voucher_code: voucher.voucher_code, purchase_merchant_uid: 'mc_order_1' });
+                assert.strictEqual(voucher.voucher_status, voucher_status_type.redeemed);
+                assert.deepStrictEqual(redeems()[0]._id, voucher.redeem_id);
+                assert.deepStrictEqual(redeems()[0].purchase_id, voucher._id);
+                return redeem({ voucher_code: voucher.voucher_code });
+            })
+            .then((response) => {
+                assert.strictEqual(response.status, 422);
+                assert.strictEqual(response.body.error.code, 'mc_voucher_error');
+                assert.strictEqual(redeems().length, 1);
+            });
+    });
+
+    it('redeems the voucher expiring first when no code is given', () => redeem()
+        .then((response) => {
+            assert.strictEqual(response.status, 200);
+            assert.strictEqual(response.body.data.voucher_code, 'AAAA-AAAA-AAA2');
+        }));
+
+    it('redeems each voucher once when redeemed concurrently', () => Promise.all([redeem(), redeem(), redeem(), redeem()])
+        .then((responses) => {
+            assert.deepStrictEqual(responses.map(response => response.status).sort(), [200, 200, 200, 422]);
+            const codes = responses.filter(response => response.status === 200).map(response => response.body.data.voucher_code);
+            assert.deepStrictEqual(codes.sort(), vouchers().map(voucher => voucher.voucher_code).sort());
+            assert.strictEqual(redeems().length, 3);
+        }));
+
+    it('explains why a voucher cannot be redeemed', () => {
+        const expired = vouchers()[0];
+        expired.expires_at = new Date(Date.now() - 1000);
+        const refunding = vouchers()[1];
+        refunding.voucher_status = voucher_status_type.refunding;
+        return Promise.all([
+            redeem({ voucher_code: 'AAAA-BBBB-CCCC' }),
+            redeem({ voucher_code: expired.voucher_code }),
+            redeem({ voucher_code: refunding.voucher_code })
+        ])
+            .then((responses) => {
+                assert.deepStrictEqual(responses.map(response => response.status), [404, 422, 422]);
+                assert.ok(responses[1].body.message.includes(voucher_status_type.expired));
+                assert.ok(responses[2].body.message.includes(voucher_status_type.refunding));
+                assert.strictEqual(redeems().length, 0);
+            });
+    });
+
+    it('gives the voucher back when the redeem cannot be recorded', () => {
+        const voucher = vouchers()[2];
+        db.collection('mc-transactions').failNext('insertOne');
+        return redeem({ voucher_code: voucher.voucher_code })
+            .then((response) => {
+                assert.strictEqual(response.status, 500);
+                assert.strictEqual(voucher.voucher_status, voucher_status_type.issued);
+                assert.strictEqual(voucher.redeem_id, null);
+                assert.strictEqual(redeems().length, 0);
+            });
+    });
+});
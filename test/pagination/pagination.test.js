@@ -0,0 +1,112 @@
+// test/pagination/pagination.test.js
+
+'use strict';
+
+const assert = require('assert');
+const express = require('express');
+const fakeDB = require('../support/db');
+const http = require('../support/http');
+const testAuth = require('../support/auth');
+const iamportRouter = require('../../app/iamport/iamport.route');
+const payoutRouter = require('../../app/payout/payout.route');
+const constants = require('../../app/constants');
+
+const status_type = constants.status_type;
+const payment_type = constants.payment_type;
+
+describe('Pagination', () => {
+    let db;
+    let app;
+    let restore;
+    const statement_id = new fakeDB.ObjectId();
+
+    before(() => {
+        restore = testAuth.useTestSecrets();
+        app = express();
+        app.use('/payment', iamportRouter);
+        app.use('/payout', payoutRouter);
+    });
+
+    after(() => {
+        restore();
+    });
+
+    beforeEach(() => {
+        db = fakeDB.useFakeDB();
+        const transaction = (amount, status, time_created, business_id) => ({
+            _id: new fakeDB.ObjectId(),
+            business_id: business_id || 'biz1',
+            type: payment_type.scheduled,
+            amount: amount,
+            status: status,
+            pay_date: time_created,
+            time_paid: time_created,
+            time_created: time_created,
+        });
+        db.collection('payment-transactions').documents.push(
+            transaction(1000, status_type.paid, new Date('2026-10-01T03:00:00Z')),
+            // Two transactions created at the same time are ordered by _id
+            transaction(2000, status_type.paid, new Date('2026-10-02T03:00:00Z')),
+            transaction(3000, status_type.failed, new Date('2026-10-02T03:00:00Z')),
+            transaction(4000, status_type.paid, new Date('2026-10-03T03:00:00Z')),
+            transaction(5000, status_type.paid, new Date('2026-10-04T03:00:00Z')),
+            transaction(9000, status_type.paid, new Date('2026-10-03T03:00:00Z'), 'biz2')
+        );
+        db.collection('mc-statements').documents.push({
+            _id: statement_id,
+            business_id: 'biz1',
+            date_range: { start: new Date('2026-09-27T15:00:00Z'), end: new Date('2026-10-04T15:00:00Z') },
+            time_created: new Date('2026-10-04T15:00:00Z'),
+        });
+    });
+
+    function history(query) {
+        return http.request(app, 'GET', `/payment/biz1/history?${query}`, { headers: testAuth.businessHeaders(['biz1']) });
+    }
+
+    it('walks every page once, newest first', () => {
+        const amounts = [];
+        const page = cursor => history(`limit=2${(cursor) ? `&cursor=${encodeURIComponent(cursor)}` : ''}`)
+            .then((response) => {
+                assert.strictEqual(response.status, 200);
+                response.body.data.forEach(transaction => amounts.push(transaction.amount));
+                if (!response.body.paging.has_more) {
+                    assert.strictEqual(response.body.paging.next_cursor, null);
+                    return null;
+                }
+                return page(response.body.paging.next_cursor);
+            });
+        return page(null)
+            .then(() => {
+                assert.deepStrictEqual(amounts, [5000, 4000, 3000, 2000, 1000]);
+            });
+    });
+
+    it('filters the page and totals every matching transaction', () => history('limit=1&status=PAID&from=2026-10-02&to=2026-10-03')
+        .then((response) => {
+            assert.strictEqual(response.status, 200);
+            assert.deepStrictEqual(response.body.data.map(transaction => transaction.amount), [4000]);
+            assert.strictEqual(response.body.paging.has_more, true);
+            assert.strictEqual(response.body.totals.count, 2);
+            assert.strictEqual(response.body.totals.amount, 6000);
+            assert.deepStrictEqual(response.body.totals.by_status, { PAID: { count: 2, amount: 6000 } });
+        }));
+
+    it('rejects an invalid cursor with a 400 error envelope', () => {
+        const headers = testAuth.businessHeaders(['biz1']);
+        return Promise.all([
+            history('cursor=Zm9v'),
+            http.request(app, 'GET', '/payout/biz1?cursor=Zm9v', { headers: headers }),
+            http.request(app, 'GET', `/payout/statement/${statement_id}?cursor=Zm9v`, { headers: headers }),
+            http.request(app, 'GET', '/payout/biz1/ledger?cursor=Zm9v', { headers: headers }),
+            http.request(app, 'GET', '/payout/biz1/account/audit?cursor=Zm9v', { headers: headers })
+        ])
+            .then((responses) => {
+                responses.forEach((response) => {
+                    assert.strictEqual(response.status, 400);
+                    assert.strictEqual(response.body.success, false);
+                    assert.strictEqual(response.body.error.code, 'validation_error');
+                });
+            });
+    });
+});
@@ -0,0 +1,110 @@
+// test/payout/account.test.js
+
+'use strict';
+
+const assert = require('assert');
+const express = require('express');
+const bodyParser = require('body-parser');
+const fakeDB = require('../support/db');
+const http = require('../support/http');
+const testAuth = require('../support/auth');
+const payoutRouter = require('../../app/payout/payout.route');
+const opService = require('../../app/payout/op.service');
+
+describe('AccountService deposit code verification', () => {
+    let app;
+    let restore;
+    let deposits;
+    const encryption_key = process.env.CASTR_ENCRYPTION_KEY;
+    const deposit = opService.deposit;
+
+    before(() => {
+        restore = testAuth.useTestSecrets();
+        process.env.CASTR_ENCRYPTION_KEY = 'test-key';
+        opService.deposit = (bank_tran_id, account, amount, print_content) => {
+            deposits.push(print_content);
+            return Promise.resolve({ result: 'sent' });
+        };
+        app = express();
+        app.use(bodyParser.json());
+        app.use('/payout', payoutRouter);
+    });
+
+    after(() => {
+        restore();
+        process.env.CASTR_ENCRYPTION_KEY = encryption_key;
+        opService.deposit = deposit;
+    });
+
+    beforeEach(() => {
+        fakeDB.useFakeDB();
+        deposits = [];
+    });
+
+    function register(account_num) {
+        return http.request(app, 'PUT', '/payout/biz1/account', {
+            headers: testAuth.businessHeaders(['biz1']),
+            body: {
+                bank_code: '004', account_num: account_num, account_holder_name: '홍길동', method: 'deposit_code',
+            },
+        });
+    }
+
+    function verify(code) {
+        return http.request(app, 'POST', '/payout/biz1/account/verify', {
+            headers: testAuth.businessHeaders(['biz1']),
+            body: { code: code },
+        });
+    }
+
+    // A code that is not the one deposited last
+    function wrongCode() {
+        const code = deposits[deposits.length - 1].split(' ')[1];
+        return (code === '0000') ? '0001' : '0000';
+    }
+
+    function tryWrongCodes(count) {
+        const statuses = [];
+        return Array.from({ length: count }).reduce(chain => chain
+            .then(() => verify(wrongCode()))
+            .then(response => statuses.push(response.status)), Promise.resolve())
+            .then(() => statuses);
+    }
+
+    it('counts deposit codes tried for an account over all of its registrations', () => register('1234567890')
+        .then(() => tryWrongCodes(5))
+        .then((statuses) => {
+            assert.deepStrictEqual(statuses, [422, 422, 422, 422, 422]);
+            return register('123-456-7890');
+        })
+        .then(() => tryWrongCodes(5))
+        .then(() => register('1234567890'))
+        .then((response) => {
+            assert.strictEqual(response.status, 200);
+            return verify(deposits[deposits.length - 1].split(' ')[1]);
+        })
+        .then((response) => {
+            assert.strictEqual(response.status, 429);
+            assert.strictEqual(response.body.error.code, 'castr_rate_limited');
+            // Another account can still be verified
+            return register('9876543210');
+        })
+        .then(() => verify(deposits[deposits.length - 1].split(' ')[1]))
+        .then((response) => {
+            assert.strictEqual(response.status, 200);
+            assert.strictEqual(response.body.data.account.account_num, '******3210');
+        }));
+
+    it('limits the registrations of a business a day', () => {
+        let chain = Promise.resolve();
+        for (let i = 0; i < 5; i += 1) {
+            chain = chain.then(() => register(`123456789${i}`)).then(response => assert.strictEqual(response.status, 200));
+        }
+        return chain
+            .then(() => register('1234567895'))
+            .then((response) => {
+                assert.strictEqual(response.status, 429);
+                assert.strictEqual(deposits.length, 5);
+            });
+    });
+});
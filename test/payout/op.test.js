@@ -0,0 +1,185 @@
+// test/payout/op.test.js
+
+'use strict';
+
+const assert = require('assert');
+const express = require('express');
+const fakeDB = require('../support/db');
+const http = require('../support/http');
+const testAuth = require('../support/auth');
+const fixtures = require('../support/fixtures');
+const payoutRouter = require('../../app/payout/payout.route');
+const opService = require('../../app/payout/op.service');
+const eventsService = require('../../app/events/events.service');
+const utils = require('../../app/utils');
+const constants = require('../../app/constants');
+
+const payout_status_type = constants.payout_status_type;
+const ledger_entry_type = constants.ledger_entry_type;
+
+/**
+ * Deposit or result inquiry response of the Open Platform.
+ * @param {string} rsp_code
+ * @param {string} bank_rsp_code
+ */
+function response(rsp_code, bank_rsp_code) {
+    const res_list = (bank_rsp_code) ? [{ bank_rsp_code: bank_rsp_code, bank_rsp_message: 'Message' }] : [];
+    return { rsp_code: rsp_code, rsp_message: 'Message', res_list: res_list };
+}
+
+describe('OpService transfers', () => {
+    let db;
+    let app;
+    let restore;
+    let responses;
+    let events;
+    const encryption_key = process.env.CASTR_ENCRYPTION_KEY;
+    const stubbed = {
+        publish: eventsService.publish,
+        token: opService._token,
+        call: opService._call,
+        kick: opService.kick,
+    };
+
+    before(() => {
+        restore = testAuth.useTestSecrets();
+        process.env.CASTR_ENCRYPTION_KEY = 'test-key';
+        eventsService.publish = (type) => {
+            events.push(type);
+            return Promise.resolve();
+        };
+        opService._token = () => Promise.resolve('token');
+        opService._call = () => Promise.resolve(responses.shift());
+        opService.kick = () => null;
+        app = express();
+        app.use('/payout', payoutRouter);
+    });
+
+    after(() => {
+        restore();
+        process.env.CASTR_ENCRYPTION_KEY = encryption_key;
+        eventsService.publish = stubbed.publish;
+        opService._token = stubbed.token;
+        opService._call = stubbed.call;
+        opService.kick = stubbed.kick;
+    });
+
+    beforeEach(() => {
+        db = fakeDB.useFakeDB();
+        responses = [];
+        events = [];
+        db.collection('payout-accounts').documents.push({
+            business_id: 'biz1',
+            account: {
+                bank_code: '004',
+                account_num: utils.encrypt('1234567890'),
+                account_num_masked: '******7890',
+                account_holder_name: '홍길동',
+            },
+        });
+    });
+
+    function ledger() {
+        return db.collection('payout-ledger').documents.map(entry => [entry.type, entry.amount]);
+    }
+
+    function payout() {
+        return db.collection('mc-statements').documents[0].payout;
+    }
+
+    it('only treats a bank rejection as failed and a bank return code as returned', () => {
+        assert.deepStrictEqual([
+            response('A0000', '000'),
+            response('A0000', '400'),
+            response('A0000', '551'),
+            response('A0000', '822'),
+            response('A0007', '822'),
+            response('A0001'),
+        ].map(body => opService._result(body).result), ['sent', 'unknown', 'returned', 'failed', 'unknown', 'unknown']);
+    });
+
+    it('keeps checking a sent transfer whose lookup fails, and credits a returned one back', () => {
+        const sent = fixtures.payoutStatement({
+            status: payout_status_type.sent,
+            attempts: 1,
+            next_attempt: null,
+            bank_tran_id: 'M000000000U123456789',
+            time_sent: new Date(Date.now() - (8 * constants.full_day)),
+            next_check: new Date(Date.now() - 1000),
+        });
+        db.collection('mc-statements').documents.push(sent);
+        responses.push(response('A0001'));
+        return opService.processTransfers()
+            .then((outcome) => {
+                assert.strictEqual(outcome[payout_status_type.returned], 0);
+                assert.strictEqual(payout().status, payout_status_type.sent);
+                assert.ok(payout().next_check > new Date());
+                assert.deepStrictEqual(ledger(), []);
+                payout().next_check = new Date(Date.now() - 1000);
+                responses.push(response('A0000', '551'));
+                return opService.processTransfers();
+            })
+            .then((outcome) => {
+                assert.strictEqual(outcome[payout_status_type.returned], 1);
+                assert.strictEqual(payout().status, payout_status_type.returned);
+                assert.strictEqual(payout().compensated, true);
+                assert.deepStrictEqual(ledger(), [[ledger_entry_type.adjustment, 50000]]);
+                assert.strictEqual(db.collection('payout-ledger').documents[0].statement_id, null);
+                assert.deepStrictEqual(events, [constants.event_type.payout_returned]);
+                return opService.processTransfers();
+            })
+            .then(() => {
+                assert.deepStrictEqual(ledger(), [[ledger_entry_type.adjustment, 50000]]);
+            });
+    });
+
+    it('credits a payout back once it fails for good, and debits it again when retried', () => {
+        db.collection('mc-statements').documents.push(fixtures.payoutStatement({
+            status: payout_status_type.failed,
+            attempts: 4,
+        }));
+        const statement_id = db.collection('mc-statements').documents[0]._id;
+        const retry = () => http.request(app, 'POST', `/payout/statement/${statement_id}/transfer/retry`, {
+            headers: testAuth.adminHeaders(),
+        });
+        responses.push(response('A0000', '822'));
+        return opService.processTransfers()
+            .then(() => {
+                assert.strictEqual(payout().status, payout_status_type.failed);
+                assert.strictEqual(payout().next_attempt, null);
+                assert.deepStrictEqual(ledger(), [[ledger_entry_type.adjustment, 50000]]);
+                return retry();
+            })
+            .then((res) => {
+                assert.strictEqual(res.status, 200);
+                assert.strictEqual(payout().status, payout_status_type.pending);
+                assert.strictEqual(payout().retries, 1);
+                assert.deepStrictEqual(ledger(), [[ledger_entry_type.adjustment, 50000], [ledger_entry_type.adjustment, -50000]]);
+                return retry();
+            })
+            .then((res) => {
+                assert.strictEqual(res.status, 409);
+                assert.strictEqual(ledger().length, 2);
+            });
+    });
+
+    it('credits back a failed payout left uncompensated on the next run', () => {
+        db.collection('mc-statements').documents.push(fixtures.payoutStatement({
+            status: payout_status_type.failed,
+            attempts: 4,
+        }));
+        db.collection('payout-ledger').failNext('updateOne');
+        responses.push(response('A0000', '822'));
+        return opService.processTransfers()
+            .then(() => assert.fail('The run should fail'), () => {
+                assert.strictEqual(payout().status, payout_status_type.failed);
+                assert.strictEqual(payout().compensated, false);
+                assert.deepStrictEqual(ledger(), []);
+                return opService.processTransfers();
+            })
+            .then(() => {
+                assert.strictEqual(payout().compensated, true);
+                assert.deepStrictEqual(ledger(), [[ledger_entry_type.adjustment, 50000]]);
+            });
+    });
+});
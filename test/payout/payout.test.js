@@ -0,0 +1,370 @@
+// test/payout/payout.test.js
+
+'use strict';
+
+const assert = require('assert');
+const express = require('express');
+const bodyParser = require('body-parser');
+const fakeDB = require('../support/db');
+const http = require('../support/http');
+const testAuth = require('../support/auth');
+const feeRouter = require('../../app/fees/fee.route');
+const payoutRouter = require('../../app/payout/payout.route');
+const feeService = require('../../app/fees/fee.service');
+const payoutService = require('../../app/payout/payout.service');
+const ledgerService = require('../../app/payout/ledger.service');
+const opService = require('../../app/payout/op.service');
+const cadenceService = require('../../app/payout/cadence.service');
+const mailerService = require('../../app/mailer/mailer.service');
+const constants = require('../../app/constants');
+
+const ledger_entry_type = constants.ledger_entry_type;
+
+// Mondays, midnight KST
+const first_payout = new Date('2026-10-04T15:00:00Z');
+const second_payout = new Date('2026-10-11T15:00:00Z');
+
+describe('PayoutService payout runs', () => {
+    let db;
+    let app;
+    let restore;
+    const send = mailerService.send;
+    const kick = opService.kick;
+
+    before(() => {
+        restore = testAuth.useTestSecrets();
+        mailerService.send = () => Promise.resolve();
+        opService.kick = () => null;
+        app = express();
+        app.use('/payout', payoutRouter);
+    });
+
+    after(() => {
+        restore();
+        mailerService.send = send;
+        opService.kick = kick;
+    });
+
+    beforeEach(() => {
+        db = fakeDB.useFakeDB();
+        db.collection('payout-cadences').documents.push({
+            business_id: 'biz1', frequency: constants.payout_frequency_type.weekly, payout_day: 1, threshold: null,
+        });
+    });
+
+    function purchase(amount, time_created, business_id) {
+        db.collection('mc-transactions').documents.push({
+            business_id: business_id || 'biz1', type: constants.payment_type.mc_purchase, amount: amount, time_created: time_created,
+        });
+    }
+
+    function adjustment(amount, time_created) {
+        const entry = {
+            _id: new fakeDB.ObjectId(),
+            business_id: 'biz1',
+            type: ledger_entry_type.adjustment,
+            amount: amount,
+            reason: 'Goodwill',
+            statement_id: null,
+            actor: null,
+            time_created: time_created,
+        };
+        db.collection('payout-ledger').documents.push(entry);
+        return entry;
+    }
+
+    function entries(type) {
+        return db.collection('payout-ledger').documents.filter(entry => entry.type === type);
+    }
+
+    it('settles a statement left unsettled by a failed run before the next run, once', () => {
+        purchase(30000, new Date('2026-10-01T03:00:00Z'));
+        const credit = adjustment(5000, new Date('2026-10-02T03:00:00Z'));
+        db.collection('payout-ledger').failNext('bulkWrite');
+        let statement;
+        return payoutService._payOut(first_payout)
+            .then(() => assert.fail('The run should fail'), () => {
+                statement = db.collection('mc-statements').documents[0];
+                assert.strictEqual(statement.settled, false);
+                assert.strictEqual(statement.payout_amount, 34750);
+                assert.strictEqual(entries(ledger_entry_type.sales).length, 0);
+                return payoutService._payOut(second_payout);
+            })
+            .then((outcome) => {
+                assert.strictEqual(outcome.statements, 0);
+                assert.strictEqual(db.collection('mc-statements').documents.length, 1);
+                assert.strictEqual(statement.settled, true);
+                assert.deepStrictEqual(credit.statement_id, statement._id);
+                return ledgerService.settle([statement]);
+            })
+            .then(() => {
+                assert.deepStrictEqual(entries(ledger_entry_type.sales).map(entry => entry.amount), [29750]);
+                assert.deepStrictEqual(entries(ledger_entry_type.payout).map(entry => entry.amount), [-34750]);
+            });
+    });
+
+    it('carries balances as of the payout date when catching up on missed runs', () => {
+        purchase(5000, new Date('2026-10-01T03:00:00Z'));
+        purchase(8000, new Date('2026-10-08T03:00:00Z'));
+        // Made after both payout dates, before the runs caught up
+        const late = adjustment(3000, new Date(second_payout.getTime() + 3600000));
+        return payoutService._payOut(first_payout)
+            .then(() => payoutService._payOut(second_payout))
+            .then(() => {
+                const statements = db.collection('mc-statements').documents;
+                assert.strictEqual(statements.length, 2);
+                assert.deepStrictEqual(statements.map(statement => statement.adjustments.length), [0, 0]);
+                assert.strictEqual(statements[0].closing_balance, 4750);
+                assert.strictEqual(statements[1].opening_balance, 4750);
+                assert.strictEqual(statements[1].payout_amount, 12500);
+                assert.strictEqual(late.statement_id, null);
+            });
+    });
+
+    it('starts the first on-demand statement at the first transaction', () => {
+        db.collection('payout-cadences').documents.push({
+            business_id: 'biz2', frequency: constants.payout_frequency_type.on_demand, payout_day: null, threshold: 50000,
+        });
+        purchase(30000, new Date('2026-08-10T03:00:00Z'), 'biz2');
+        purchase(30000, new Date('2026-10-08T03:00:00Z'), 'biz2');
+        return payoutService._payOut(second_payout)
+            .then(() => {
+                const statement = db.collection('mc-statements').documents.find(document => document.business_id === 'biz2');
+                assert.deepStrictEqual(statement.date_range.start, new Date('2026-08-09T15:00:00Z'));
+                assert.strictEqual(statement.raw_sales, 60000);
+                assert.strictEqual(statement.payout_amount, 59500);
+            });
+    });
+
+    function current(business_id) {
+        return http.request(app, 'GET', `/payout/${business_id}/current`, { headers: testAuth.businessHeaders([business_id]) })
+            .then((response) => {
+                assert.strictEqual(response.status, 200);
+                return response.body.data;
+            });
+    }
+
+    it('projects the statement the next payout run writes for the open period', () => {
+        const cadence = db.collection('payout-cadences').documents[0];
+        const payout_date = cadenceService.nextPayoutDate(cadence, new Date());
+        const last_end = new Date(payout_date.getTime() - (7 * constants.full_day));
+        const ago = seconds => new Date(Date.now() - (seconds * 1000));
+        db.collection('mc-statements').documents.push({
+            _id: new fakeDB.ObjectId(),
+            business_id: 'biz1',
+            date_range: { start: new Date(last_end.getTime() - (7 * constants.full_day)), end: last_end },
+            payout_amount: 0,
+            closing_balance: -2000,
+            settled: true,
+        });
+        // Reported on the last statement
+        purchase(9000, new Date(last_end.getTime() - 1000));
+        purchase(30000, ago(5));
+        purchase(12000, ago(4));
+        db.collection('mc-transactions').documents.push({
+            business_id: 'biz1', type: constants.payment_type.mc_redeem, amount: 0, time_created: ago(3),
+        }, {
+            business_id: 'biz1', type: constants.payment_type.refund, amount: -4000, quantity: 1, time_created: ago(2),
+        });
+        adjustment(5000, ago(1));
+        let projection;
+        return current('biz1')
+            .then((data) => {
+                projection = data;
+                assert.strictEqual(projection.expected_payout_date, payout_date.toISOString());
+                assert.strictEqual(projection.payout_amount, 40400);
+                return payoutService._payOut(payout_date);
+            })
+            .then(() => {
+                const statement = JSON.parse(JSON.stringify(db.collection('mc-statements').documents[1]));
+                [
+                    'date_range', 'raw_sales', 'refunded_amount', 'num_voucher_purchases', 'num_voucher_refunds',
+                    'num_coupon_redeems', 'fees', 'fee_breakdown', 'fee_schedules', 'sales_amount', 'adjustments',
+                    'adjustment_amount', 'opening_balance', 'payout_amount', 'closing_balance'
+                ].forEach((field) => {
+                    assert.deepStrictEqual(projection[field], statement[field], field);
+                });
+            });
+    });
+
+    it('expects an on-demand payout at the next daily check once the threshold is reached', () => {
+        db.collection('payout-cadences').documents.push({
+            business_id: 'biz2', frequency: constants.payout_frequency_type.on_demand, payout_day: null, threshold: 50000,
+        });
+        purchase(30000, new Date(Date.now() - 2000), 'biz2');
+        return current('biz2')
+            .then((data) => {
+                assert.strictEqual(data.payout_amount, 29750);
+                assert.strictEqual(data.expected_payout_date, null);
+                assert.strictEqual(data.date_range.end, payoutService._nextMidnight(new Date()).toISOString());
+                purchase(30000, new Date(Date.now() - 1000), 'biz2');
+                return current('biz2');
+            })
+            .then((data) => {
+                assert.strictEqual(data.payout_amount, 59500);
+                assert.strictEqual(data.expected_payout_date, payoutService._nextMidnight(new Date()).toISOString());
+            });
+    });
+});
+
+describe('FeeService fee schedules', () => {
+    let db;
+    let app;
+    let restore;
+
+    before(() => {
+        restore = testAuth.useTestSecrets();
+        app = express();
+        app.use(bodyParser.json());
+        app.use('/fees', feeRouter);
+    });
+
+    after(() => {
+        restore();
+    });
+
+    beforeEach(() => {
+        db = fakeDB.useFakeDB();
+    });
+
+    /**
+     * Stores a schedule version; `fees` default to flat 500 purchases, flat 100 redeems and 20% refunds.
+     * @param {string} business_id null for the default schedule
+     * @param {*} fields
+     */
+    function schedule(business_id, fields) {
+        const version = Object.assign({
+            _id: new fakeDB.ObjectId(),
+            schedule_id: `fee_${db.collection('fee-schedules').documents.length + 1}`,
+            business_id: business_id,
+            name: business_id || 'Default',
+            fees: {
+                purchase: { type: constants.fee_rule_type.flat, value: 500, tiers: [] },
+                redeem: { type: constants.fee_rule_type.flat, value: 100, tiers: [] },
+                refund: { type: constants.fee_rule_type.percent, value: 20, tiers: [] },
+            },
+            effective_from: new Date('2026-01-01T00:00:00Z'),
+            effective_to: null,
+        }, fields);
+        db.collection('fee-schedules').documents.push(version);
+        return version;
+    }
+
+    function purchases(count, time_created) {
+        for (let i = 0; i < count; i += 1) {
+            db.collection('mc-transactions').documents.push({
+                business_id: 'biz1', type: constants.payment_type.mc_purchase, amount: 10000, time_created: time_created,
+            });
+        }
+    }
+
+    function periodFees() {
+        return feeService.periodFees(['biz1'], new Date('2026-10-01T00:00:00Z'), new Date('2026-11-01T00:00:00Z'))
+            .then(result => result.biz1);
+    }
+
+    it('charges every transaction of the period at the highest tier reached', () => {
+        const version = schedule(null);
+        version.fees.purchase.tiers = [{ from: 3, value: 400 }, { from: 5, value: 300 }];
+        purchases(4, new Date('2026-10-05T00:00:00Z'));
+        return periodFees()
+            .then((business) => {
+                assert.strictEqual(business.fees.purchase, 1600);
+                purchases(1, new Date('2026-10-06T00:00:00Z'));
+                return periodFees();
+            })
+            .then((business) => {
+                assert.strictEqual(business.fees.purchase, 1500);
+                // A tier from 0 replaces the base value
+                version.fees.purchase.tiers = [{ from: 0, value: 450 }];
+                return periodFees();
+            })
+            .then((business) => {
+                assert.strictEqual(business.fees.purchase, 2250);
+                version.fees.purchase = {
+                    type: constants.fee_rule_type.percent, value: 3, tiers: [{ from: 5, value: 2.5 }],
+                };
+                return periodFees();
+            })
+            .then((business) => {
+                assert.strictEqual(business.fees.purchase, 1250);
+                assert.deepStrictEqual(business.breakdown.map(row => [row.fee_type, row.rate, row.count]), [['purchase', 2.5, 5]]);
+            });
+    });
+
+    it('charges each transaction at the override, default or built-in schedule in effect when it was made', () => {
+        schedule(null, { effective_from: new Date('2026-10-05T00:00:00Z') });
+        schedule('biz1', {
+            effective_from: new Date('2026-10-07T00:00:00Z'),
+            effective_to: new Date('2026-10-09T00:00:00Z'),
+            fees: {
+                purchase: { type: constants.fee_rule_type.flat, value: 200, tiers: [] },
+                redeem: { type: constants.fee_rule_type.flat, value: 50, tiers: [] },
+                refund: { type: constants.fee_rule_type.flat, value: 1000, tiers: [] },
+            },
+        });
+        purchases(1, new Date('2026-10-03T00:00:00Z'));
+        purchases(2, new Date('2026-10-06T00:00:00Z'));
+        purchases(3, new Date('2026-10-08T00:00:00Z'));
+        purchases(1, new Date('2026-10-10T00:00:00Z'));
+        return periodFees()
+            .then((business) => {
+                assert.deepStrictEqual(
+                    business.breakdown.map(row => [row.schedule_id, row.count, row.fee]),
+                    [['builtin', 1, constants.purchase_fee], ['fee_1', 3, 1500], ['fee_2', 3, 600]]
+                );
+                assert.strictEqual(business.fees.purchase, constants.purchase_fee + 2100);
+                assert.deepStrictEqual(business.schedules.map(used => used.schedule_id), ['builtin', 'fee_1', 'fee_2']);
+                return Promise.all([
+                    feeService.scheduleAt('biz1', new Date('2026-10-08T00:00:00Z')),
+                    feeService.scheduleAt('biz1', new Date('2026-10-09T00:00:00Z')),
+                    feeService.scheduleAt('biz3', new Date('2026-10-01T00:00:00Z'))
+                ]);
+            })
+            .then((schedules) => {
+                assert.deepStrictEqual(schedules.map(picked => picked.schedule_id), ['fee_2', 'fee_1', 'builtin']);
+            });
+    });
+
+    it('caps a flat refund fee at the refunded value', () => {
+        const flat = schedule('biz1', {
+            fees: { refund: { type: constants.fee_rule_type.flat, value: 5000, tiers: [] } },
+        });
+        const percent = schedule(null);
+        assert.strictEqual(feeService.refundFee(flat, 8000), 5000);
+        assert.strictEqual(feeService.refundFee(flat, 3000), 3000);
+        assert.strictEqual(feeService.refundFee(percent, 10001), 2000);
+        assert.strictEqual(feeService.refundFee(feeService.builtin, 5000), 5000 * constants.refund_fee_perc);
+    });
+
+    it('ends the open version of the same schedule where a new version starts', () => {
+        const create = body => http.request(app, 'POST', '/fees', { headers: testAuth.adminHeaders(), body: body });
+        const fees = {
+            purchase: { type: constants.fee_rule_type.flat, value: 300 },
+            redeem: { type: constants.fee_rule_type.flat, value: 100 },
+            refund: { type: constants.fee_rule_type.percent, value: 10 },
+        };
+        const open_default = schedule(null);
+        const ended_default = schedule(null, { effective_from: new Date('2025-01-01T00:00:00Z'), effective_to: new Date('2026-01-01T00:00:00Z') });
+        const override = schedule('biz1');
+        const tier_from_0 = { type: constants.fee_rule_type.flat, value: 300, tiers: [{ from: 0, value: 200 }] };
+        return create({ fees: Object.assign({}, fees, { purchase: tier_from_0 }) })
+            .then((response) => {
+                assert.strictEqual(response.status, 400);
+                return create({ fees: fees, effective_from: '2026-11-01T00:00:00Z' });
+            })
+            .then((response) => {
+                assert.strictEqual(response.status, 200);
+                assert.deepStrictEqual(open_default.effective_to, new Date('2026-11-01T00:00:00Z'));
+                assert.deepStrictEqual(ended_default.effective_to, new Date('2026-01-01T00:00:00Z'));
+                assert.strictEqual(override.effective_to, null);
+                const created = db.collection('fee-schedules').documents.find(version => version.schedule_id === response.body.data.schedule_id);
+                assert.strictEqual(created.effective_to, null);
+                assert.strictEqual(created.fees.purchase.value, 300);
+                return feeService.scheduleAt('biz2', new Date('2026-11-02T00:00:00Z'));
+            })
+            .then((picked) => {
+                assert.strictEqual(picked.fees.purchase.value, 300);
+            });
+    });
+});
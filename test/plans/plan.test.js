@@ -0,0 +1,222 @@
+// test/plans/plan.test.js
+
+'use strict';
+
+const assert = require('assert');
+const express = require('express');
+const bodyParser = require('body-parser');
+const fakeDB = require('../support/db');
+const http = require('../support/http');
+const testAuth = require('../support/auth');
+const planRouter = require('../../app/plans/plan.route');
+const iamportRouter = require('../../app/iamport/iamport.route');
+const iamportService = require('../../app/iamport/iamport.service');
+const eventsService = require('../../app/events/events.service');
+const mailerService = require('../../app/mailer/mailer.service');
+const constants = require('../../app/constants');
+
+const status_type = constants.status_type;
+
+describe('Plan routes', () => {
+    let db;
+    let app;
+    let restore;
+
+    before(() => {
+        restore = testAuth.useTestSecrets();
+        app = express();
+        app.use(bodyParser.json());
+        app.use('/plans', planRouter);
+    });
+
+    after(() => {
+        restore();
+    });
+
+    beforeEach(() => {
+        db = fakeDB.useFakeDB();
+    });
+
+    function createPlan(body) {
+        return http.request(app, 'POST', '/plans', { headers: testAuth.adminHeaders(), body: body });
+    }
+
+    it('creates a plan version', () => createPlan({ plan_id: 'STANDARD', weeks: 4, price: 55000 })
+        .then((response) => {
+            assert.strictEqual(response.status, 200);
+            assert.strictEqual(response.body.data.vat_type, 'INCLUSIVE');
+            assert.strictEqual(db.collection('billing-plans').documents.length, 1);
+        }));
+
+    it('rejects invalid plans with 400 and the invalid fields', () => createPlan({ plan_id: 'STANDARD', weeks: 0, vat_type: 'NONE' })
+        .then((response) => {
+            assert.strictEqual(response.status, 400);
+            assert.strictEqual(response.body.error.code, 'validation_error');
+            assert.deepStrictEqual(response.body.error.details.map(detail => detail.field), ['weeks', 'price', 'vat_type']);
+            assert.strictEqual(db.collection('billing-plans').documents.length, 0);
+        }));
+
+    it('rejects a plan ending before it starts with 400', () => createPlan({
+        plan_id: 'STANDARD', weeks: 4, price: 55000, effective_from: '2026-11-01T00:00:00Z', effective_to: '2026-10-01T00:00:00Z',
+    })
+        .then((response) => {
+            assert.strictEqual(response.status, 400);
+            assert.strictEqual(response.body.error.code, 'validation_error');
+        }));
+
+    it('answers 404 when retiring an unknown plan', () => http.request(app, 'DELETE', '/plans/UNKNOWN', { headers: testAuth.adminHeaders() })
+        .then((response) => {
+            assert.strictEqual(response.status, 404);
+            assert.strictEqual(response.body.error.code, 'castr_not_found');
+        }));
+
+    it('answers 500 when the plans cannot be read', () => {
+        db.collection('billing-plans').failNext('find');
+        return http.request(app, 'GET', '/plans', { headers: testAuth.adminHeaders() })
+            .then((response) => {
+                assert.strictEqual(response.status, 500);
+                assert.strictEqual(response.body.success, false);
+            });
+    });
+});
+
+describe('Billing plan catalog pricing', () => {
+    let db;
+    let app;
+    let restore;
+    let charges;
+    const stubbed = {
+        publish: eventsService.publish,
+        send: mailerService.send,
+        again: iamportService.iamport.subscribe.again,
+        hook: iamportService._hookInBackground,
+    };
+
+    before(() => {
+        restore = testAuth.useTestSecrets();
+        eventsService.publish = () => Promise.resolve();
+        mailerService.send = () => Promise.resolve();
+        // Charges are approved, and their results processed by the test
+        iamportService._hookInBackground = () => null;
+        iamportService.iamport.subscribe.again = (params) => {
+            charges.push(params);
+            return Promise.resolve({
+                imp_uid: `imp_${charges.length}`,
+                merchant_uid: params.merchant_uid,
+                status: 'paid',
+                paid_at: Math.floor(Date.now() / 1000),
+                cancel_amount: 0,
+                cancel_history: [],
+                custom_data: params.custom_data,
+            });
+        };
+        app = express();
+        app.use(bodyParser.json());
+        app.use('/plans', planRouter);
+        app.use('/payment', iamportRouter);
+    });
+
+    after(() => {
+        restore();
+        eventsService.publish = stubbed.publish;
+        mailerService.send = stubbed.send;
+        iamportService.iamport.subscribe.again = stubbed.again;
+        iamportService._hookInBackground = stubbed.hook;
+    });
+
+    beforeEach(() => {
+        db = fakeDB.useFakeDB();
+        charges = [];
+        iamportService.initialize();
+        ['biz1', 'biz2'].forEach((business_id) => {
+            db.collection('payment-methods').documents.push({
+                _id: new fakeDB.ObjectId(), business_id: business_id, customer_uid: `${business_id}_1234`, default_method: true,
+            });
+        });
+    });
+
+    function createPlan(body) {
+        return http.request(app, 'POST', '/plans', { headers: testAuth.adminHeaders(), body: body });
+    }
+
+    function subscribe(business_id, billing_plan) {
+        return http.request(app, 'POST', `/payment/${business_id}/subscription`, {
+            headers: testAuth.businessHeaders([business_id]),
+            body: { billing_plan: billing_plan },
+        });
+    }
+
+    /**
+     * Processes the result of the last charge, as I'mport's notification would.
+     */
+    function notified() {
+        const params = charges[charges.length - 1];
+        return iamportService.paymentHook({
+            imp_uid: `imp_${charges.length}`,
+            merchant_uid: params.merchant_uid,
+            status: 'paid',
+            paid_at: Math.floor(Date.now() / 1000),
+            cancel_amount: 0,
+            cancel_history: [],
+            custom_data: params.custom_data,
+        });
+    }
+
+    function schedule(merchant_uid) {
+        return db.collection('payment-schedule').documents.find(document => document.merchant_uid === merchant_uid);
+    }
+
+    it('keeps renewing existing subscriptions at their price after a price change', () => createPlan({
+        plan_id: 'STANDARD', weeks: 4, price: 55000, effective_from: '2026-01-01T00:00:00Z',
+    })
+        .then(() => subscribe('biz1', 'STANDARD'))
+        .then((response) => {
+            assert.strictEqual(response.status, 200);
+            assert.deepStrictEqual([charges[0].amount, charges[0].vat], [55000, 5000]);
+            return notified();
+        })
+        .then(() => createPlan({ plan_id: 'STANDARD', weeks: 4, price: 66000 }))
+        .then((response) => {
+            assert.strictEqual(response.status, 200);
+            assert.ok(db.collection('billing-plans').documents[0].effective_to);
+            assert.strictEqual(schedule('biz1_ch1').amount, 55000);
+            // The renewal is due
+            schedule('biz1_ch1').schedule = new Date(Date.now() - constants.full_day);
+            return iamportService._checkScheduledPayments();
+        })
+        .then((outcome) => {
+            assert.strictEqual(outcome.succeeded, 1);
+            assert.deepStrictEqual([charges[1].merchant_uid, charges[1].amount, charges[1].vat], ['biz1_ch1', 55000, 5000]);
+            return notified();
+        })
+        .then(() => {
+            assert.strictEqual(schedule('biz1_ch2').amount, 55000);
+            assert.strictEqual(schedule('biz1_ch2').status, status_type.scheduled);
+            return subscribe('biz2', 'STANDARD');
+        })
+        .then((response) => {
+            assert.strictEqual(response.status, 200);
+            assert.deepStrictEqual([charges[2].amount, charges[2].vat], [66000, 6000]);
+            // Changing plans ends the grandfathered price
+            return http.request(app, 'PUT', '/payment/biz1/subscription', {
+                headers: testAuth.businessHeaders(['biz1']),
+                body: { billing_plan: 'STANDARD' },
+            });
+        })
+        .then((response) => {
+            assert.strictEqual(response.status, 200);
+            assert.deepStrictEqual(response.body.data.before.next_billing_amount, 55000);
+            assert.strictEqual(schedule('biz1_ch2').amount, 66000);
+        }));
+
+    it('does not subscribe to a retired plan', () => createPlan({ plan_id: 'STANDARD', weeks: 4, price: 55000 })
+        .then(() => http.request(app, 'DELETE', '/plans/STANDARD', { headers: testAuth.adminHeaders() }))
+        .then((response) => {
+            assert.strictEqual(response.status, 200);
+            return subscribe('biz1', 'STANDARD');
+        })
+        .then((response) => {
+            assert.strictEqual(response.status, 422);
+            assert.strictEqual(charges.length, 0);
+        }));
+});
@@ -0,0 +1,148 @@
+// test/scheduler/scheduler.test.js
+
+'use strict';
+
+const assert = require('assert');
+const fakeDB = require('../support/db');
+const scheduler = require('../../app/scheduler/scheduler.service');
+const constants = require('../../app/constants');
+
+const job_status_type = constants.job_status_type;
+
+const hour = 60 * 60 * 1000;
+
+// Hourly, on the hour
+function nextHour(from) {
+    return new Date((Math.floor(from.getTime() / hour) + 1) * hour);
+}
+
+/**
+ * Returns a scheduler of its own instance (as if on another server) with the `hourly` job, and the run dates it handled.
+ * @param {string} instance_id
+ * @param {*} options Job options to replace
+ */
+function instance(instance_id, options) {
+    const handled = [];
+    const service = new scheduler.constructor();
+    service.instance_id = instance_id;
+    service.define('hourly', Object.assign({
+        next: nextHour,
+        handler: (run_date) => {
+            handled.push(run_date);
+            return new Promise(resolve => setTimeout(resolve, 5));
+        },
+    }, options));
+    return { service: service, handled: handled };
+}
+
+// Resolves once the schedulers are done with the job
+function idle(services) {
+    return new Promise((resolve) => {
+        const check = () => {
+            if (services.some(service => service.running.hourly)) {
+                setTimeout(check, 1);
+                return;
+            }
+            resolve();
+        };
+        setTimeout(check, 1);
+    });
+}
+
+describe('SchedulerService', () => {
+    let db;
+    let job;
+    const now = Date.now();
+
+    beforeEach(() => {
+        db = fakeDB.useFakeDB();
+        job = {
+            _id: 'hourly',
+            next_run: new Date(nextHour(new Date(now)).getTime() - hour),
+            lease_owner: null,
+            lease_expires: null,
+            retry_after: null,
+            coalesce: false,
+        };
+        db.collection('scheduler-jobs').documents.push(job);
+    });
+
+    it('runs a due job on one instance only and releases the lease', () => {
+        const first = instance('server1');
+        const second = instance('server2');
+        const due = job.next_run;
+        first.service._runIfDue('hourly');
+        second.service._runIfDue('hourly');
+        return idle([first.service, second.service])
+            .then(() => {
+                assert.deepStrictEqual(first.handled.concat(second.handled), [due]);
+                assert.deepStrictEqual(job.next_run, nextHour(due));
+                assert.strictEqual(job.lease_owner, null);
+                assert.strictEqual(job.lease_expires, null);
+                const runs = db.collection('scheduler-runs').documents;
+                assert.deepStrictEqual(runs.map(run => run.status), [job_status_type.succeeded]);
+            });
+    });
+
+    it('takes over a job whose lease expired, but not a held one', () => {
+        const second = instance('server2');
+        Object.assign(job, { lease_owner: 'server1', lease_expires: new Date(now + 60000) });
+        second.service._runIfDue('hourly');
+        return idle([second.service])
+            .then(() => {
+                assert.deepStrictEqual(second.handled, []);
+                assert.strictEqual(job.lease_owner, 'server1');
+                job.lease_expires = new Date(now - 1000);
+                second.service._runIfDue('hourly');
+                return idle([second.service]);
+            })
+            .then(() => {
+                assert.strictEqual(second.handled.length, 1);
+                assert.strictEqual(job.lease_owner, null);
+            });
+    });
+
+    it('retries a failed run for the same date after the retry delay', () => {
+        const due = job.next_run;
+        const failing = instance('server1', { handler: () => Promise.reject(new Error('Database unavailable')) });
+        failing.service._runIfDue('hourly');
+        return idle([failing.service])
+            .then(() => {
+                assert.deepStrictEqual(job.next_run, due);
+                assert.ok(job.retry_after > new Date());
+                assert.strictEqual(db.collection('scheduler-runs').documents[0].status, job_status_type.failed);
+                const retry = instance('server2');
+                retry.service._runIfDue('hourly');
+                return idle([retry.service])
+                    .then(() => {
+                        assert.deepStrictEqual(retry.handled, []);
+                        job.retry_after = new Date(now - 1000);
+                        retry.service._runIfDue('hourly');
+                        return idle([retry.service]);
+                    })
+                    .then(() => {
+                        assert.deepStrictEqual(retry.handled, [due]);
+                        assert.strictEqual(job.retry_after, null);
+                    });
+            });
+    });
+
+    it('catches up on missed runs one by one, or in a single run when coalesced', () => {
+        const missed = new Date(job.next_run.getTime() - (2 * hour));
+        job.next_run = missed;
+        const catching_up = instance('server1');
+        catching_up.service._runIfDue('hourly');
+        return idle([catching_up.service])
+            .then(() => {
+                assert.deepStrictEqual(catching_up.handled, [missed, nextHour(missed), nextHour(nextHour(missed))]);
+                job.next_run = missed;
+                const coalescing = instance('server2', { coalesce: true });
+                coalescing.service._runIfDue('hourly');
+                return idle([coalescing.service])
+                    .then(() => {
+                        assert.deepStrictEqual(coalescing.handled, [nextHour(nextHour(missed))]);
+                        assert.strictEqual(db.collection('scheduler-runs').documents[3].coalesced, 2);
+                    });
+            });
+    });
+});
@@ -0,0 +1,62 @@
+// test/support/auth.js
+
+'use strict';
+
+const crypto = require('crypto');
+const authService = require('../../app/auth/auth.service');
+
+function base64url(value) {
+    return Buffer.from(value).toString('base64').replace(/=+$/, '').replace(/\+/g, '-').replace(/\//g, '_');
+}
+
+/**
+ * Returns an HS256 JWT with the given claims.
+ * @param {*} claims
+ * @param {string} secret
+ */
+function sign(claims, secret) {
+    const unsigned = `${base64url(JSON.stringify({ alg: 'HS256', typ: 'JWT' }))}.${base64url(JSON.stringify(claims))}`;
+    const signature = crypto.createHmac('sha256', secret).update(unsigned).digest('base64')
+        .replace(/=+$/, '').replace(/\+/g, '-').replace(/\//g, '_');
+    return `${unsigned}.${signature}`;
+}
+
+/**
+ * Sets the secrets and service keys of app/auth/auth.service.js for a test suite and returns a function restoring them.
+ * Secrets: `platform-secret` (platform tokens), `admin-secret` (admin tokens); service key: `service-key`.
+ */
+function useTestSecrets() {
+    const settings = {
+        secret: authService.secret,
+        admin_secret: authService.admin_secret,
+        service_keys: authService.service_keys,
+    };
+    authService.secret = 'platform-secret';
+    authService.admin_secret = 'admin-secret';
+    authService.service_keys = [{ name: 'menucast', key: 'service-key' }];
+    return () => Object.assign(authService, settings);
+}
+
+/**
+ * Returns the Authorization header of a platform token for the businesses, valid for an hour.
+ * @param {string[]} business_ids
+ */
+function businessHeaders(business_ids) {
+    const exp = Math.floor(Date.now() / 1000) + 3600;
+    return { Authorization: `Bearer ${sign({ business_ids: business_ids, exp: exp }, 'platform-secret')}` };
+}
+
+/**
+ * Returns the Authorization header of an admin token, valid for an hour.
+ */
+function adminHeaders() {
+    const exp = Math.floor(Date.now() / 1000) + 3600;
+    return { Authorization: `Bearer ${sign({ role: 'admin', sub: 'admin1', exp: exp }, 'admin-secret')}` };
+}
+
+module.exports = {
+    sign: sign,
+    useTestSecrets: useTestSecrets,
+    businessHeaders: businessHeaders,
+    adminHeaders: adminHeaders,
+};
@@ -0,0 +1,399 @@
+// test/support/db.js
+
+'use strict';
+
+const Readable = require('stream').Readable;
+const mingo = require('mingo');
+const ObjectId = require('mongodb').ObjectId;
+const mongoDB = require('../../app/db');
+
+/**
+ * In-memory stand-in for the parts of the MongoDB 2.2 driver the services use, so they can be tested without a
+ * database. Queries, updates and aggregations are evaluated with mingo. Unique indexes are enforced (error 11000).
+ * `collection.failNext(method, when)` makes the next call of a method (whose arguments pass `when`, if given) reject,
+ * to test partial failures.
+ */
+
+function clone(value) {
+    if (value instanceof Date) { return new Date(value.getTime()); }
+    if (value instanceof ObjectId) { return value; }
+    if (Array.isArray(value)) { return value.map(clone); }
+    if (value && typeof value === 'object') {
+        return Object.keys(value).reduce((copy, key) => Object.assign(copy, { [key]: clone(value[key]) }), {});
+    }
+    return value;
+}
+
+function getPath(document, path) {
+    return path.split('.').reduce((value, key) => ((value === null || value === undefined) ? undefined : value[key]), document);
+}
+
+function duplicateError(index) {
+    const error = new Error(`E11000 duplicate key error index: ${Object.keys(index.keys).join('_')}`);
+    error.code = 11000;
+    return error;
+}
+
+function project(document, projection) {
+    const keys = Object.keys(projection || {}).filter(key => key !== '_id');
+    if (keys.length === 0) { return document; }
+    if (projection[keys[0]]) {
+        const projected = (projection._id === 0) ? {} : { _id: document._id };
+        keys.forEach((key) => {
+            const value = getPath(document, key);
+            if (value !== undefined) { mingo.update(projected, { $set: { [key]: value } }); }
+        });
+        return projected;
+    }
+    const projected = clone(document);
+    keys.forEach(key => mingo.update(projected, { $unset: { [key]: '' } }));
+    return projected;
+}
+
+class Cursor {
+    constructor(load, call) {
+        this.load = load;
+        this.call = call;
+        this.sort_spec = null;
+        this.skip_count = 0;
+        this.limit_count = 0;
+        this.projection = null;
+        this.readable = null;
+        this.closed = false;
+        // Documents left for next(), read on its first call
+        this.remaining = null;
+    }
+
+    sort(spec) { this.sort_spec = spec; return this; }
+
+    skip(count) { this.skip_count = count; return this; }
+
+    limit(count) { this.limit_count = count; return this; }
+
+    project(projection) { this.projection = projection; return this; }
+
+    _documents() {
+        let cursor = mingo.find(this.load(), {});
+        if (this.sort_spec) { cursor = cursor.sort(this.sort_spec); }
+        let documents = cursor.all().slice(this.skip_count);
+        if (this.limit_count) { documents = documents.slice(0, this.limit_count); }
+        return documents.map(document => project(clone(document), this.projection));
+    }
+
+    toArray() {
+        return this.call(() => this._documents());
+    }
+
+    count() {
+        return this.call(() => this._documents().length);
+    }
+
+    next() {
+        return this.call(() => {
+            if (!this.remaining) { this.remaining = this._documents(); }
+            return this.remaining.shift() || null;
+        });
+    }
+
+    hasNext() {
+        return this.call(() => {
+            if (!this.remaining) { this.remaining = this._documents(); }
+            return this.remaining.length > 0;
+        });
+    }
+
+    forEach(iterator, callback) {
+        return this.toArray()
+            .then((documents) => {
+                documents.forEach(iterator);
+                if (callback) { callback(null); }
+            });
+    }
+
+    /**
+     * Readable stream of the documents (object mode, supports pause() and resume()).
+     */
+    stream() {
+        let documents = null;
+        this.readable = new Readable({
+            objectMode: true,
+            read: () => {
+                this.call(() => {
+                    if (!documents) { documents = this._documents(); }
+                    return documents.shift() || null;
+                })
+                    .then(document => this.readable.push(document), err => this.readable.destroy(err));
+            },
+        });
+        return this.readable;
+    }
+
+    close() {
+        this.closed = true;
+        if (this.readable) { this.readable.destroy(); }
+        return Promise.resolve();
+    }
+}
+
+class Collection {
+    constructor(name) {
+        this.name = name;
+        this.documents = [];
+        this.indexes = [{ keys: { _id: 1 }, sparse: false }];
+        this.failures = {};
+    }
+
+    createIndex(keys, options) {
+        if (options && options.unique) { this.indexes.push({ keys: keys, sparse: !!options.sparse }); }
+        return Promise.resolve();
+    }
+
+    failNext(method, when) {
+        this.failures[method] = { error: new Error(`${this.name}.${method} failed`), when: when || (() => true) };
+    }
+
+    _call(method, work, args) {
+        const failure = this.failures[method];
+        if (failure && failure.when.apply(null, args || [])) {
+            delete this.failures[method];
+            return Promise.reject(failure.error);
+        }
+        return Promise.resolve().then(work);
+    }
+
+    _matching(filter) {
+        return mingo.find(this.documents, filter || {}).all();
+    }
+
+    _checkUnique(document) {
+        this.indexes.forEach((index) => {
+            const fields = Object.keys(index.keys);
+            const values = fields.map(field => getPath(document, field));
+            if (index.sparse && values.every(value => value === undefined)) { return; }
+            const taken = this.documents.some(other => other !== document
+                && fields.every((field, i) => mingo.find([{ value: getPath(other, field) }], { value: values[i] }).all().length > 0));
+            if (taken) { throw duplicateError(index); }
+        });
+    }
+
+    _insert(document) {
+        if (document._id === undefined) { document._id = new ObjectId(); }
+        const stored = clone(document);
+        this._checkUnique(stored);
+        this.documents.push(stored);
+        return stored;
+    }
+
+    /**
+     * Applies an update to a stored document, resolving the positional operator ('a.$.b') against the filter.
+     */
+    _apply(document, filter, update) {
+        const operators = Object.assign({}, update);
+        delete operators.$setOnInsert;
+        const resolved = {};
+        Object.keys(operators).forEach((operator) => {
+            resolved[operator] = {};
+            Object.keys(operators[operator]).forEach((path) => {
+                let target = path;
+                if (path.indexOf('.$.') > 0) {
+                    const array_path = path.split('.$.')[0];
+                    const condition = (filter[array_path] && filter[array_path].$elemMatch) || {};
+                    const index = getPath(document, array_path)
+                        .findIndex(element => mingo.find([element], condition).all().length > 0);
+                    target = path.replace('.$.', `.${index}.`);
+                }
+                resolved[operator][target] = operators[operator][path];
+            });
+        });
+        const previous = clone(document);
+        mingo.update(document, resolved);
+        try {
+            this._checkUnique(document);
+        } catch (err) {
+            Object.keys(document).forEach((key) => { delete document[key]; });
+            Object.assign(document, previous);
+            throw err;
+        }
+        return JSON.stringify(previous) !== JSON.stringify(document);
+    }
+
+    _upsert(filter, update) {
+        const document = {};
+        Object.keys(filter).forEach((key) => {
+            const value = filter[key];
+            const operator = value && typeof value === 'object' && !(value instanceof Date) && !(value instanceof ObjectId)
+                && Object.keys(value).some(name => name[0] === '$');
+            if (key === '_id') {
+                document._id = value;
+            } else if (key[0] !== '$' && !operator) {
+                mingo.update(document, { $set: { [key]: clone(value) } });
+            }
+        });
+        if (update.$setOnInsert) { mingo.update(document, { $set: clone(update.$setOnInsert) }); }
+        if (document._id === undefined) { document._id = new ObjectId(); }
+        const stored = clone(document);
+        this._apply(stored, filter, update);
+        this._checkUnique(stored);
+        this.documents.push(stored);
+        return stored;
+    }
+
+    _updateOne(filter, update, options) {
+        const document = this._matching(filter)[0];
+        if (!document) {
+            if (options && options.upsert) {
+                const stored = this._upsert(filter, update);
+                return {
+                    matchedCount: 0, modifiedCount: 0, upsertedCount: 1, upsertedId: { _id: stored._id },
+                };
+            }
+            return { matchedCount: 0, modifiedCount: 0, upsertedCount: 0 };
+        }
+        const modified = this._apply(document, filter, update);
+        return { matchedCount: 1, modifiedCount: (modified) ? 1 : 0, upsertedCount: 0 };
+    }
+
+    insertOne(document) {
+        return this._call('insertOne', () => ({ insertedId: this._insert(document)._id }), [document]);
+    }
+
+    insertMany(documents) {
+        return this._call('insertMany', () => ({ insertedIds: documents.map(document => this._insert(document)._id) }), [documents]);
+    }
+
+    updateOne(filter, update, options) {
+        return this._call('updateOne', () => this._updateOne(filter, update, options), [filter, update, options]);
+    }
+
+    updateMany(filter, update) {
+        return this._call('updateMany', () => {
+            const documents = this._matching(filter);
+            const modified = documents.filter(document => this._apply(document, filter, update)).length;
+            return { matchedCount: documents.length, modifiedCount: modified };
+        }, [filter, update]);
+    }
+
+    findOneAndUpdate(filter, update, options) {
+        return this._call('findOneAndUpdate', () => {
+            const settings = options || {};
+            let matching = mingo.find(this.documents, filter);
+            if (settings.sort) { matching = matching.sort(settings.sort); }
+            let document = matching.all()[0];
+            let original = null;
+            if (document) {
+                original = clone(document);
+                this._apply(document, filter, update);
+            } else if (settings.upsert) {
+                document = this._upsert(filter, update);
+            } else {
+                return { value: null };
+            }
+            const value = (settings.returnOriginal === false) ? clone(document) : original;
+            return { value: (value) ? project(value, settings.projection) : null };
+        }, [filter, update, options]);
+    }
+
+    findOne(filter, projection, callback) {
+        if (typeof projection === 'function') { return this.findOne(filter, null, projection); }
+        const found = this._call('findOne', () => {
+            const document = this._matching(filter)[0];
+            return (document) ? project(clone(document), projection) : null;
+        }, [filter, projection]);
+        if (!callback) { return found; }
+        found.then(document => callback(null, document), err => callback(err, null));
+        return undefined;
+    }
+
+    find(filter, projection, callback) {
+        // The driver also takes the callback in place of the projection
+        if (typeof projection === 'function') { return this.find(filter, null, projection); }
+        const cursor = new Cursor(() => this._matching(filter), work => this._call('find', work, [filter, projection]))
+            .project(projection);
+        if (!callback) { return cursor; }
+        callback(null, cursor);
+        return undefined;
+    }
+
+    count(filter) {
+        return this._call('count', () => this._matching(filter).length);
+    }
+
+    distinct(field, filter) {
+        return this._call('distinct', () => this._matching(filter)
+            .map(document => getPath(document, field))
+            .filter((value, index, values) => values.indexOf(value) === index));
+    }
+
+    aggregate(pipeline) {
+        return {
+            toArray: () => this._call('aggregate', () => mingo.aggregate(clone(this.documents), pipeline)),
+        };
+    }
+
+    bulkWrite(operations) {
+        return this._call('bulkWrite', () => {
+            const result = {
+                matchedCount: 0, modifiedCount: 0, upsertedCount: 0, upsertedIds: {},
+            };
+            let first_error = null;
+            operations.forEach((operation, index) => {
+                try {
+                    const write = operation.updateOne;
+                    const outcome = this._updateOne(write.filter, write.update, { upsert: write.upsert });
+                    result.matchedCount += outcome.matchedCount;
+                    result.modifiedCount += outcome.modifiedCount;
+                    if (outcome.upsertedCount) {
+                        result.upsertedCount += 1;
+                        result.upsertedIds[index] = outcome.upsertedId._id;
+                    }
+                } catch (err) {
+                    first_error = first_error || err;
+                }
+            });
+            if (first_error) { throw first_error; }
+            return result;
+        }, [operations]);
+    }
+
+    deleteOne(filter) {
+        return this._call('deleteOne', () => {
+            const document = this._matching(filter)[0];
+            if (!document) { return { deletedCount: 0 }; }
+            this.documents.splice(this.documents.indexOf(document), 1);
+            return { deletedCount: 1 };
+        });
+    }
+
+    deleteMany(filter) {
+        return this._call('deleteMany', () => {
+            const documents = this._matching(filter);
+            this.documents = this.documents.filter(document => !documents.includes(document));
+            return { deletedCount: documents.length };
+        });
+    }
+}
+
+class FakeDB {
+    constructor() {
+        this.collections = {};
+    }
+
+    collection(name) {
+        if (!this.collections[name]) { this.collections[name] = new Collection(name); }
+        return this.collections[name];
+    }
+}
+
+/**
+ * Points app/db.js at a new, empty in-memory database and returns it.
+ */
+function useFakeDB() {
+    const db = new FakeDB();
+    mongoDB.getDB = () => db;
+    return db;
+}
+
+module.exports = {
+    useFakeDB: useFakeDB,
+    ObjectId: ObjectId,
+};
@@ -0,0 +1,78 @@
+// test/support/fixtures.js
+
+'use strict';
+
+const ObjectId = require('./db').ObjectId;
+const constants = require('../../app/constants');
+
+// Promotable of the Menucast orders below
+const promotable_id = new ObjectId();
+
+/**
+ * Returns the I'mport result of a paid Menucast order of 3 vouchers at 4000 (imp_mc_1, mc_order_1).
+ * @param {*} overrides Fields of the result to replace
+ */
+function mcOrderResult(overrides) {
+    return Object.assign({
+        imp_uid: 'imp_mc_1',
+        merchant_uid: 'mc_order_1',
+        status: 'paid',
+        currency: 'KRW',
+        pay_method: 'card',
+        card_name: 'Test card',
+        receipt_url: 'https://receipt/mc_1',
+        paid_at: 1791298800,
+        cancel_amount: 0,
+        cancel_history: [],
+        custom_data: JSON.stringify({
+            business_id: 'biz1',
+            mc_customer_id: 'customer1',
+            promotable_id: promotable_id.toString(),
+            promotable_name: 'Americano',
+            type: constants.payment_type.mc_purchase,
+            name: { short: 'MC#biz1=Americano', long: 'Menucast purchase', long_kr: '메뉴캐스트 결제' },
+            amount: 4000,
+            perc_disc_applied: 0,
+            quantity: 3,
+        }),
+    }, overrides);
+}
+
+/**
+ * Returns the promotion holding the promotable, with 7 left in stock and 3 sold.
+ */
+function promotion() {
+    return { promoTable: [{ _id: promotable_id, stock: 7, sold: 3 }] };
+}
+
+/**
+ * Returns a statement of biz1 paying out 50000 with the given payout fields (see OpService.newPayout()).
+ * @param {*} payout Fields of the payout to replace
+ */
+function payoutStatement(payout) {
+    return {
+        _id: new ObjectId(),
+        business_id: 'biz1',
+        payout_amount: 50000,
+        time_created: new Date(),
+        payout: Object.assign({
+            status: constants.payout_status_type.pending,
+            amount: 50000,
+            attempts: 0,
+            retries: 0,
+            next_attempt: new Date(Date.now() - 1000),
+            bank_tran_id: null,
+            bank_tran_date: null,
+            unconfirmed: false,
+            last_error: null,
+            history: [],
+        }, payout),
+    };
+}
+
+module.exports = {
+    promotable_id: promotable_id,
+    mcOrderResult: mcOrderResult,
+    promotion: promotion,
+    payoutStatement: payoutStatement,
+};
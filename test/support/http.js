@@ -0,0 +1,57 @@
+// test/support/http.js
+
+'use strict';
+
+const http = require('http');
+
+/**
+ * Sends one request to an Express app listening on an ephemeral port, then closes it.
+ *
+ * Returns a promise resolving with { status, headers, body, raw } (body parsed when JSON, raw as a Buffer).
+ * @param {*} app
+ * @param {string} method
+ * @param {string} path
+ * @param {*} options `headers` and `body` (sent as JSON)
+ */
+function request(app, method, path, options) {
+    const settings = options || {};
+    const payload = (settings.body !== undefined) ? JSON.stringify(settings.body) : null;
+    return new Promise((resolve, reject) => {
+        const server = app.listen(0, '127.0.0.1', () => {
+            const headers = Object.assign({}, settings.headers);
+            if (payload !== null) {
+                headers['Content-Type'] = 'application/json';
+                headers['Content-Length'] = Buffer.byteLength(payload);
+            }
+            const req = http.request({
+                host: '127.0.0.1',
+                port: server.address().port,
+                method: method,
+                path: path,
+                headers: headers,
+            }, (res) => {
+                const chunks = [];
+                res.on('data', chunk => chunks.push(chunk));
+                res.on('end', () => {
+                    server.close();
+                    const raw = Buffer.concat(chunks);
+                    let body = raw.toString();
+                    if ((res.headers['content-type'] || '').indexOf('json') >= 0) { body = JSON.parse(body); }
+                    resolve({
+                        status: res.statusCode, headers: res.headers, body: body, raw: raw,
+                    });
+                });
+            });
+            req.on('error', (err) => {
+                server.close();
+                reject(err);
+            });
+            if (payload !== null) { req.write(payload); }
+            req.end();
+        });
+    });
+}
+
+module.exports = {
+    request: request,
+};
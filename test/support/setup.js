@@ -0,0 +1,19 @@
+// test/support/setup.js
+
+'use strict';
+
+// Loaded before every test file (see the `test` script): keep the services offline and quiet
+process.env.ENVIRONMENT = 'DEV';
+process.env.CASTR_ENCRYPTION_KEY = process.env.CASTR_ENCRYPTION_KEY || 'test-encryption-key';
+
+const winston = require('winston');
+
+require('winston-papertrail');
+// No log shipping from tests
+winston.transports.Papertrail = winston.transports.Console;
+
+const logger = require('../../app/utils').logger();
+
+['log', 'trace', 'debug', 'info', 'warn', 'error'].forEach((level) => {
+    logger[level] = () => {};
+});